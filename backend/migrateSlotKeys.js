@@ -0,0 +1,45 @@
+/**
+ * Slot Key Migration Script
+ * Gives confirmed and in-progress appointments booked before the unique slot
+ * index existed their slot key, so they are protected from double booking.
+ * Safe to run more than once.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Import models
+require('./src/models/Hospital');
+const Appointment = require('./src/models/Appointment');
+
+const migrateSlotKeys = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected Successfully');
+
+    // Build the slot index first so the backfill cannot create double bookings
+    await Appointment.createIndexes();
+
+    const { updated, conflicts } = await Appointment.backfillSlotKeys();
+    console.log(`🔑 Slot keys added: ${updated}`);
+
+    if (conflicts.length > 0) {
+      console.log(`⚠️  ${conflicts.length} appointment(s) double-book a slot and were left without a key:`);
+      conflicts.forEach(({ appointmentId, doctorId, slotKey }) => {
+        console.log(`   ${appointmentId} (doctor ${doctorId}, ${slotKey})`);
+      });
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Slot key migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateSlotKeys();
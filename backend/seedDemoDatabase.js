@@ -347,7 +347,13 @@ const createDemoAppointments = async (hospitals, doctors, patients) => {
       };
     }
     
-    await appointment.save();
+    try {
+      await appointment.save();
+    } catch (error) {
+      // Random doctor/time picks can land on an already booked slot
+      if (error.code === 11000) continue;
+      throw error;
+    }
     appointments.push(appointment);
   }
   
@@ -399,7 +399,13 @@ const createAppointments = async (hospitals, doctors, patients) => {
       appointment.consultationStartedAt = new Date();
     }
     
-    await appointment.save();
+    try {
+      await appointment.save();
+    } catch (error) {
+      // Random doctor/time picks can land on an already booked slot
+      if (error.code === 11000) continue;
+      throw error;
+    }
     appointments.push(appointment);
     
     if ((i + 1) % 2000 === 0) {
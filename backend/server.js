@@ -16,13 +16,14 @@ const dotenv = require('dotenv');
 const http = require('http');
 const socketIo = require('socket.io');
 const connectDB = require('./src/config/database');
+const { configureSocketAdapter } = require('./src/config/socketAdapter');
 const { startAppointmentScheduler } = require('./src/utils/appointmentScheduler');
 
 // Load environment variables
 dotenv.config();
 
 // Import routes with error handling
-let authRoutes, hospitalRoutes, doctorRoutes, appointmentRoutes, queueRoutes, ratingRoutes, adminRoutes, emergencyRoutes, schedulerRoutes, statsRoutes, referralRoutes;
+let authRoutes, hospitalRoutes, doctorRoutes, appointmentRoutes, queueRoutes, ratingRoutes, adminRoutes, emergencyRoutes, schedulerRoutes, statsRoutes, referralRoutes, leaveRoutes, waitlistRoutes, notificationRoutes, staffRoutes;
 
 try {
   authRoutes = require('./src/routes/authRoutes');
@@ -101,240 +102,329 @@ try {
   console.error('❌ Error loading referral routes:', error.message);
 }
 
+try {
+  leaveRoutes = require('./src/routes/leaveRoutes');
+  console.log('✅ Leave routes loaded');
+} catch (error) {
+  console.error('❌ Error loading leave routes:', error.message);
+}
+
+try {
+  waitlistRoutes = require('./src/routes/waitlistRoutes');
+  console.log('✅ Waitlist routes loaded');
+} catch (error) {
+  console.error('❌ Error loading waitlist routes:', error.message);
+}
+
+try {
+  notificationRoutes = require('./src/routes/notificationRoutes');
+  console.log('✅ Notification routes loaded');
+} catch (error) {
+  console.error('❌ Error loading notification routes:', error.message);
+}
+
+try {
+  staffRoutes = require('./src/routes/staffRoutes');
+  console.log('✅ Staff routes loaded');
+} catch (error) {
+  console.error('❌ Error loading staff routes:', error.message);
+}
+
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
 const { authenticateToken } = require('./src/middleware/auth');
+const { authenticateSocket, authorizeRoomJoin } = require('./src/middleware/socketAuth');
 
-// Initialize Express app
-const app = express();
-const server = http.createServer(app);
-
-// Production security and optimization middleware
-app.use(helmet()); // Set security HTTP headers
-app.use(compression()); // Compress all responses
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again after 15 minutes'
-  },
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-});
-
-// Apply rate limiter to all API routes
-app.use('/api/', limiter);
-
-// Logging in production
-if (process.env.NODE_ENV === 'production') {
-  app.use(morgan('combined'));
-} else {
-  app.use(morgan('dev'));
-}
+/**
+ * Build the Express app and Socket.IO server on a new HTTP server.
+ * Connecting to MongoDB, the Socket.IO adapter, listening and the scheduler are
+ * left to the caller, so several instances can run in one process (tests).
+ * @returns {{ app: Object, server: Object, io: Object }}
+ */
+const createServer = () => {
+  // Initialize Express app
+  const app = express();
+  const server = http.createServer(app);
+
+  // Production security and optimization middleware
+  app.use(helmet()); // Set security HTTP headers
+  app.use(compression()); // Compress all responses
+
+  // Rate limiting. Password guessing is limited per account (utils/loginThrottle.js),
+  // so sites where many staff share one IP can raise RATE_LIMIT_MAX safely.
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // limit each IP to this many requests per windowMs
+    message: {
+      success: false,
+      message: 'Too many requests from this IP, please try again after 15 minutes'
+    },
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  });
 
-// Initialize Socket.IO
-const io = socketIo(server, {
-  cors: {
-    origin: process.env.CLIENT_URL || "http://localhost:3000",
-    methods: ["GET", "POST"],
-    credentials: true
+  // Apply rate limiter to all API routes
+  app.use('/api/', limiter);
+
+  // Logging in production
+  if (process.env.NODE_ENV === 'production') {
+    app.use(morgan('combined'));
+  } else {
+    app.use(morgan('dev'));
   }
-});
-
-// Make io globally available for background jobs
-global.io = io;
-
-// Connect to MongoDB
-connectDB();
-
-// Middleware
-app.use(cors({
-  origin: process.env.CLIENT_URL || "http://localhost:3000",
-  credentials: true
-}));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Make io accessible to routes
-app.use((req, res, next) => {
-  req.io = io;
-  next();
-});
-
-// Routes with logging
-app.use('/api/auth', (req, res, next) => {
-  console.log(`Auth route: ${req.method} ${req.path}`);
-  next();
-}, authRoutes);
-
-app.use('/api/hospitals', (req, res, next) => {
-  console.log(`Hospital route: ${req.method} ${req.path}`);
-  next();
-}, hospitalRoutes);
-
-app.use('/api/doctors', (req, res, next) => {
-  console.log(`Doctor route: ${req.method} ${req.path}`);
-  next();
-}, doctorRoutes);
-
-app.use('/api/appointments', (req, res, next) => {
-  console.log(`Appointment route: ${req.method} ${req.path}`);
-  next();
-}, appointmentRoutes);
-
-app.use('/api/queue', (req, res, next) => {
-  console.log(`Queue route: ${req.method} ${req.path}`);
-  next();
-}, queueRoutes);
-
-app.use('/api/ratings', (req, res, next) => {
-  console.log(`Rating route: ${req.method} ${req.path}`);
-  next();
-}, ratingRoutes);
-
-app.use('/api/admin', (req, res, next) => {
-  console.log(`Admin route: ${req.method} ${req.path}`);
-  next();
-}, adminRoutes);
-
-app.use('/api/emergency', (req, res, next) => {
-  console.log(`Emergency route: ${req.method} ${req.path}`);
-  next();
-}, emergencyRoutes);
-
-app.use('/api/scheduler', (req, res, next) => {
-  console.log(`Scheduler route: ${req.method} ${req.path}`);
-  next();
-}, schedulerRoutes);
-
-app.use('/api/stats', (req, res, next) => {
-  console.log(`Stats route: ${req.method} ${req.path}`);
-  next();
-}, statsRoutes);
-
-if (referralRoutes) {
-  app.use('/api/referrals', (req, res, next) => {
-    console.log(`Referral route: ${req.method} ${req.path}`);
-    next();
-  }, referralRoutes);
-}
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'One Hospital API is running',
-    timestamp: new Date().toISOString()
+  // Initialize Socket.IO
+  const io = socketIo(server, {
+    cors: {
+      origin: process.env.CLIENT_URL || "http://localhost:3000",
+      methods: ["GET", "POST"],
+      credentials: true
+    }
   });
-});
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  // Middleware
+  app.use(cors({
+    origin: process.env.CLIENT_URL || "http://localhost:3000",
+    credentials: true
+  }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
 
-  // Join hospital-specific room for queue updates
-  socket.on('join-hospital', (hospitalId) => {
-    socket.join(`hospital-${hospitalId}`);
-    console.log(`Client ${socket.id} joined hospital-${hospitalId}`);
+  // Make io accessible to routes
+  app.use((req, res, next) => {
+    req.io = io;
+    next();
   });
 
-  // Join doctor-specific room for appointment updates
-  socket.on('join-doctor', (doctorId) => {
-    const roomName = `doctor-${doctorId}`;
-    socket.join(roomName);
-    console.log(`✅ Client ${socket.id} joined doctor room: ${roomName}`);
-    console.log(`   Doctor ID received: ${doctorId}`);
-    console.log(`   Rooms for this socket:`, socket.rooms);
-  });
+  // Routes with logging
+  app.use('/api/auth', (req, res, next) => {
+    console.log(`Auth route: ${req.method} ${req.path}`);
+    next();
+  }, authRoutes);
 
-  // Join patient-specific room for emergency calls
-  socket.on('join-patient', (patientId) => {
-    socket.join(`patient-${patientId}`);
-    console.log(`Client ${socket.id} joined patient-${patientId}`);
-  });
+  app.use('/api/hospitals', (req, res, next) => {
+    console.log(`Hospital route: ${req.method} ${req.path}`);
+    next();
+  }, hospitalRoutes);
 
-  // Handle emergency call events
-  socket.on('emergency-call-request', (data) => {
-    socket.broadcast.emit('emergency-call-available', data);
-  });
+  app.use('/api/doctors', (req, res, next) => {
+    console.log(`Doctor route: ${req.method} ${req.path}`);
+    next();
+  }, doctorRoutes);
 
-  socket.on('join-emergency-call', (callId) => {
-    socket.join(`emergency-${callId}`);
-    console.log(`Client ${socket.id} joined emergency call ${callId}`);
-  });
+  app.use('/api/appointments', (req, res, next) => {
+    console.log(`Appointment route: ${req.method} ${req.path}`);
+    next();
+  }, appointmentRoutes);
 
-  socket.on('leave-emergency-call', (callId) => {
-    socket.leave(`emergency-${callId}`);
-    console.log(`Client ${socket.id} left emergency call ${callId}`);
-  });
+  app.use('/api/queue', (req, res, next) => {
+    console.log(`Queue route: ${req.method} ${req.path}`);
+    next();
+  }, queueRoutes);
 
-  // WebRTC signaling for video calls
-  socket.on('webrtc-offer', (data) => {
-    console.log(`WebRTC offer for call ${data.callId}`);
-    socket.to(`emergency-${data.callId}`).emit('webrtc-offer', data);
-  });
+  app.use('/api/ratings', (req, res, next) => {
+    console.log(`Rating route: ${req.method} ${req.path}`);
+    next();
+  }, ratingRoutes);
 
-  socket.on('webrtc-answer', (data) => {
-    console.log(`WebRTC answer for call ${data.callId}`);
-    socket.to(`emergency-${data.callId}`).emit('webrtc-answer', data);
-  });
+  app.use('/api/admin', (req, res, next) => {
+    console.log(`Admin route: ${req.method} ${req.path}`);
+    next();
+  }, adminRoutes);
+
+  app.use('/api/emergency', (req, res, next) => {
+    console.log(`Emergency route: ${req.method} ${req.path}`);
+    next();
+  }, emergencyRoutes);
+
+  app.use('/api/scheduler', (req, res, next) => {
+    console.log(`Scheduler route: ${req.method} ${req.path}`);
+    next();
+  }, schedulerRoutes);
+
+  app.use('/api/stats', (req, res, next) => {
+    console.log(`Stats route: ${req.method} ${req.path}`);
+    next();
+  }, statsRoutes);
+
+  if (referralRoutes) {
+    app.use('/api/referrals', (req, res, next) => {
+      console.log(`Referral route: ${req.method} ${req.path}`);
+      next();
+    }, referralRoutes);
+  }
+
+  app.use('/api/leaves', (req, res, next) => {
+    console.log(`Leave route: ${req.method} ${req.path}`);
+    next();
+  }, leaveRoutes);
 
-  socket.on('webrtc-ice-candidate', (data) => {
-    console.log(`ICE candidate for call ${data.callId}`);
-    socket.to(`emergency-${data.callId}`).emit('webrtc-ice-candidate', data);
+  app.use('/api/waitlist', (req, res, next) => {
+    console.log(`Waitlist route: ${req.method} ${req.path}`);
+    next();
+  }, waitlistRoutes);
+
+  app.use('/api/notifications', (req, res, next) => {
+    console.log(`Notification route: ${req.method} ${req.path}`);
+    next();
+  }, notificationRoutes);
+
+  app.use('/api/staff', (req, res, next) => {
+    console.log(`Staff route: ${req.method} ${req.path}`);
+    next();
+  }, staffRoutes);
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.status(200).json({
+      success: true,
+      message: 'One Hospital API is running',
+      timestamp: new Date().toISOString()
+    });
   });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
+  // Socket.IO connection handling
+  io.use(authenticateSocket);
+
+  // Join a room once the socket's user is authorized for it.
+  // Refused joins are reported back with a join-error event.
+  const joinRoom = async (socket, type, id) => {
+    try {
+      const reason = await authorizeRoomJoin(socket.data.user, type, id);
+      if (reason) {
+        console.warn(`Client ${socket.id} refused ${type}-${id}: ${reason}`);
+        socket.emit('join-error', { room: type, id, message: reason });
+        return;
+      }
+
+      socket.join(`${type}-${id}`);
+      console.log(`Client ${socket.id} joined ${type}-${id}`);
+    } catch (error) {
+      console.error('Socket room join error:', error);
+      socket.emit('join-error', { room: type, id, message: 'Authorization error' });
+    }
+  };
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    console.log('Client connected:', socket.id, user ? `(${user.role} ${user._id})` : '(anonymous)');
+
+    // Revoking the session disconnects its sockets through this room
+    if (socket.data.sessionId) {
+      socket.join(`session-${socket.data.sessionId}`);
+    }
+
+    // Join hospital-specific room for queue updates
+    socket.on('join-hospital', (hospitalId) => joinRoom(socket, 'hospital', hospitalId));
+
+    // Join the public waiting-room board for a hospital (no login needed)
+    socket.on('join-hospital-board', (hospitalId) => joinRoom(socket, 'board', hospitalId));
+
+    // Join doctor-specific room for appointment updates
+    socket.on('join-doctor', (doctorId) => joinRoom(socket, 'doctor', doctorId));
+
+    // Join patient-specific room for emergency calls
+    socket.on('join-patient', (patientId) => joinRoom(socket, 'patient', patientId));
+
+    // Join appointment-specific room for live queue position updates
+    socket.on('join-appointment', (appointmentId) => joinRoom(socket, 'appointment', appointmentId));
+
+    socket.on('leave-appointment', (appointmentId) => {
+      socket.leave(`appointment-${appointmentId}`);
+    });
+
+    // Handle emergency call events
+    socket.on('join-emergency-call', (callId) => joinRoom(socket, 'emergency', callId));
+
+    socket.on('leave-emergency-call', (callId) => {
+      socket.leave(`emergency-${callId}`);
+      console.log(`Client ${socket.id} left emergency call ${callId}`);
+    });
+
+    // WebRTC signaling for video calls, relayed only by members of the call room
+    const relayToCall = (event) => (data) => {
+      const room = `emergency-${data?.callId}`;
+      if (!socket.rooms.has(room)) {
+        socket.emit('join-error', { room: 'emergency', id: data?.callId, message: 'Join the call before signaling' });
+        return;
+      }
+      console.log(`${event} for call ${data.callId}`);
+      socket.to(room).emit(event, data);
+    };
+
+    socket.on('webrtc-offer', relayToCall('webrtc-offer'));
+    socket.on('webrtc-answer', relayToCall('webrtc-answer'));
+    socket.on('webrtc-ice-candidate', relayToCall('webrtc-ice-candidate'));
+
+    // Handle disconnection
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
   });
-});
-
-// Error handling middleware (must be last)
-app.use(errorHandler);
-
-// Handle 404 routes with detailed info
-app.use('*', (req, res) => {
-  console.log(`404 - Route not found: ${req.method} ${req.originalUrl}`);
-  res.status(404).json({
-    success: false,
-    message: 'Route not found',
-    requestedRoute: req.originalUrl,
-    method: req.method,
-    availableRoutes: [
-      'GET /api/health',
-      'POST /api/auth/login',
-      'POST /api/auth/register',
-      'GET /api/hospitals',
-      'GET /api/doctors/hospital/:hospitalId',
-      'GET /api/appointments/patient',
-      'GET /api/queue/doctor/:doctorId',
-      'GET /api/ratings/hospital/:hospitalId',
-      'GET /api/admin/hospitals/pending'
-    ]
+
+  // Error handling middleware (must be last)
+  app.use(errorHandler);
+
+  // Handle 404 routes with detailed info
+  app.use('*', (req, res) => {
+    console.log(`404 - Route not found: ${req.method} ${req.originalUrl}`);
+    res.status(404).json({
+      success: false,
+      message: 'Route not found',
+      requestedRoute: req.originalUrl,
+      method: req.method,
+      availableRoutes: [
+        'GET /api/health',
+        'POST /api/auth/login',
+        'POST /api/auth/register',
+        'GET /api/hospitals',
+        'GET /api/doctors/hospital/:hospitalId',
+        'GET /api/appointments/patient',
+        'GET /api/queue/doctor/:doctorId',
+        'GET /api/ratings/hospital/:hospitalId',
+        'GET /api/admin/hospitals/pending'
+      ]
+    });
   });
-});
-
-// Start server
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`🏥 One Hospital Server running on port ${PORT}`);
-  console.log(`📡 Socket.IO server ready for real-time updates`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV}`);
-  
-  // Start appointment scheduler for automatic status updates
-  startAppointmentScheduler();
-});
-
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err, promise) => {
-  console.log(`Error: ${err.message}`);
-  server.close(() => {
-    process.exit(1);
+
+  return { app, server, io };
+};
+
+// Start the server when run directly (npm start / npm run dev)
+if (require.main === module) {
+  const { server, io } = createServer();
+
+  // Make io globally available for background jobs
+  global.io = io;
+
+  // Connect to MongoDB
+  connectDB();
+
+  // Start server once the Socket.IO adapter is ready, so emits reach clients on every instance
+  const PORT = process.env.PORT || 5000;
+  configureSocketAdapter(io)
+    .then(() => {
+      server.listen(PORT, () => {
+        console.log(`🏥 One Hospital Server running on port ${PORT}`);
+        console.log(`📡 Socket.IO server ready for real-time updates`);
+        console.log(`🌐 Environment: ${process.env.NODE_ENV}`);
+        
+        // Start appointment scheduler for automatic status updates
+        startAppointmentScheduler();
+      });
+    })
+    .catch((error) => {
+      console.error('Socket.IO adapter setup failed:', error.message);
+      process.exit(1);
+    });
+
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (err, promise) => {
+    console.log(`Error: ${err.message}`);
+    server.close(() => {
+      process.exit(1);
+    });
   });
-});
+}
 
-module.exports = { app, io };
\ No newline at end of file
+module.exports = { createServer };
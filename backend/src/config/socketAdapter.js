@@ -0,0 +1,98 @@
+/**
+ * Socket.IO Adapter Configuration
+ * Chooses how room emits reach clients when several server instances run.
+ * Set SOCKET_ADAPTER to one of the registered adapters:
+ * - memory: single process (default)
+ * - mongo: MongoDB change stream, needs a replica set
+ * - redis: Redis pub/sub at REDIS_URL
+ */
+
+const mongoose = require('mongoose');
+
+// Seconds adapter events are kept in the MongoDB collection
+const MONGO_EVENT_TTL_SECONDS = 60 * 60;
+
+// How long startup waits for Redis before failing
+const REDIS_CONNECT_TIMEOUT_MS = 10 * 1000;
+
+const adapters = new Map();
+
+/**
+ * Register an adapter factory
+ * @param {string} name - Value of SOCKET_ADAPTER that selects it
+ * @param {Function} factory - async () => Socket.IO adapter constructor, or null for the built-in one
+ */
+const registerSocketAdapter = (name, factory) => {
+  adapters.set(name, factory);
+};
+
+registerSocketAdapter('memory', async () => null);
+
+registerSocketAdapter('mongo', async () => {
+  const { createAdapter } = require('@socket.io/mongo-adapter');
+
+  // Reuse the mongoose connection; events are tailed with a change stream
+  await mongoose.connection.asPromise();
+  const collection = mongoose.connection.db.collection(
+    process.env.SOCKET_ADAPTER_COLLECTION || 'socket_io_events'
+  );
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: MONGO_EVENT_TTL_SECONDS });
+
+  return createAdapter(collection, { addCreatedAtField: true });
+});
+
+registerSocketAdapter('redis', async () => {
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const { createClient } = require('redis');
+
+  const pubClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  const subClient = pubClient.duplicate();
+
+  pubClient.on('error', (err) => console.error('Redis adapter error:', err.message));
+  subClient.on('error', (err) => console.error('Redis adapter error:', err.message));
+
+  // The client keeps retrying an unreachable server, so give up on startup after a while
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Timed out connecting to Redis')), REDIS_CONNECT_TIMEOUT_MS);
+  });
+
+  try {
+    await Promise.race([Promise.all([pubClient.connect(), subClient.connect()]), timeout]);
+  } catch (error) {
+    pubClient.destroy();
+    subClient.destroy();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return createAdapter(pubClient, subClient);
+});
+
+/**
+ * Install the configured adapter on a Socket.IO server.
+ * Call before the HTTP server starts listening so no socket joins a room on the old adapter.
+ * @param {Object} io - Socket.IO server
+ * @param {string} [name] - Adapter name, defaults to SOCKET_ADAPTER
+ * @returns {Promise<string>} Name of the adapter in use
+ */
+const configureSocketAdapter = async (io, name = process.env.SOCKET_ADAPTER || 'memory') => {
+  const factory = adapters.get(name);
+  if (!factory) {
+    throw new Error(`Unknown SOCKET_ADAPTER "${name}". Expected one of: ${[...adapters.keys()].join(', ')}`);
+  }
+
+  const adapter = await factory();
+  if (adapter) {
+    io.adapter(adapter);
+  }
+
+  console.log(`📡 Socket.IO adapter: ${name}`);
+  return name;
+};
+
+module.exports = {
+  registerSocketAdapter,
+  configureSocketAdapter
+};
@@ -8,6 +8,206 @@ const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
+const { checkSlotAvailability } = require('../utils/slotAvailability');
+const { publishBoardUpdate, publishQueueUpdate } = require('../utils/queueUpdates');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { getBookingRestriction } = require('../utils/noShowPolicy');
+const { notifyAppointmentPatient, saveNotification } = require('../utils/notifications');
+const { managesHospital } = require('../utils/permissions');
+const {
+  getDayKey,
+  getDayRange,
+  zonedTimeToUtc,
+  addDays,
+  addMonths,
+  getHospitalTimeZone,
+  getDoctorTimeZone
+} = require('../utils/timezone');
+
+// Helper function to convert time string to minutes
+const timeToMinutes = (timeStr) => {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Duplicate key error raised by the unique doctor slot index
+const isSlotConflictError = (error) => {
+  return error.code === 11000 && Boolean(error.keyPattern?.slotKey);
+};
+
+// Response body for a doctor's slot that is taken, suggesting the next 20-minute slots
+const buildSlotConflict = (appointmentTime) => {
+  return {
+    success: false,
+    message: 'This time slot is already booked. Please choose a different time.',
+    data: {
+      conflictingTime: appointmentTime,
+      canJoinWaitlist: true,
+      suggestedTimes: [
+        // Suggest next available 20-minute slots
+        `${Math.floor((timeToMinutes(appointmentTime) + 20) / 60).toString().padStart(2, '0')}:${((timeToMinutes(appointmentTime) + 20) % 60).toString().padStart(2, '0')}`,
+        `${Math.floor((timeToMinutes(appointmentTime) + 40) / 60).toString().padStart(2, '0')}:${((timeToMinutes(appointmentTime) + 40) % 60).toString().padStart(2, '0')}`,
+        `${Math.floor((timeToMinutes(appointmentTime) + 60) / 60).toString().padStart(2, '0')}:${((timeToMinutes(appointmentTime) + 60) % 60).toString().padStart(2, '0')}`
+      ].filter(time => {
+        const [h, m] = time.split(':').map(Number);
+        return h >= 9 && h <= 17; // Only suggest times between 9 AM and 5 PM
+      })
+    }
+  };
+};
+
+// Check a requested date/time against the doctor's schedule and existing bookings.
+// Shared by booking and rescheduling; returns the 400 response body, or null when the slot is free.
+const findBookingConflict = async ({ doctor, patientId, appointmentDate, appointmentTime, excludeAppointmentId }) => {
+  // Check the requested time against the doctor's weekly slots and capacity
+  const slotCheck = await checkSlotAvailability(doctor, appointmentDate, appointmentTime, { excludeAppointmentId });
+
+  if (!slotCheck.available) {
+    return {
+      success: false,
+      message: slotCheck.message,
+      data: {
+        reason: slotCheck.reason,
+        requestedTime: appointmentTime,
+        suggestedTimes: slotCheck.suggestedTimes,
+        // Patients can wait for a freed slot when the doctor is booked up
+        canJoinWaitlist: ['full', 'held'].includes(slotCheck.reason)
+      }
+    };
+  }
+
+  const { startOfDay, endOfDay } = getDayRange(appointmentDate, await getDoctorTimeZone(doctor));
+  const dayRange = { $gte: startOfDay, $lt: endOfDay };
+  const excludeQuery = excludeAppointmentId ? { _id: { $ne: excludeAppointmentId } } : {};
+
+  // Check for existing appointment at the same time for the same patient
+  // Allow multiple appointments per day but with 20-minute intervals
+  const existingAppointment = await Appointment.findOne({
+    ...excludeQuery,
+    patientId,
+    doctorId: doctor._id,
+    appointmentDate: dayRange,
+    status: { $in: ['confirmed', 'in_progress'] }
+  });
+
+  if (existingAppointment) {
+    // Check if the new appointment time conflicts with existing appointment (within 20 minutes)
+    const existingTime = existingAppointment.appointmentTime;
+    const existingMinutes = timeToMinutes(existingTime);
+    const timeDifference = Math.abs(timeToMinutes(appointmentTime) - existingMinutes);
+
+    if (timeDifference < 20) {
+      return {
+        success: false,
+        message: `You already have an appointment with this doctor at ${existingTime}. Please choose a time at least 20 minutes apart.`,
+        data: {
+          existingAppointment: {
+            time: existingTime,
+            id: existingAppointment._id
+          },
+          minimumGap: 20,
+          suggestedTimes: [
+            // Suggest times 20 minutes before and after
+            `${Math.floor((existingMinutes - 20) / 60).toString().padStart(2, '0')}:${((existingMinutes - 20) % 60).toString().padStart(2, '0')}`,
+            `${Math.floor((existingMinutes + 20) / 60).toString().padStart(2, '0')}:${((existingMinutes + 20) % 60).toString().padStart(2, '0')}`
+          ].filter(time => {
+            const [h, m] = time.split(':').map(Number);
+            return h >= 9 && h <= 17 && h * 60 + m > 0; // Only suggest times between 9 AM and 5 PM
+          })
+        }
+      };
+    }
+  }
+
+  // Check for conflicting appointments with the same doctor at the same time
+  const conflictingAppointment = await Appointment.findOne({
+    ...excludeQuery,
+    doctorId: doctor._id,
+    appointmentDate: dayRange,
+    appointmentTime,
+    status: { $in: ['confirmed', 'in_progress'] }
+  });
+
+  if (conflictingAppointment) {
+    return buildSlotConflict(appointmentTime);
+  }
+
+  return null;
+};
+
+// Patients and doctors act on (cancel, update) their own appointments, hospital admins
+// and staff on those at their hospital, and super admins on any.
+// The route's permission check decides which of these actions each user may take.
+const canManageAppointment = (user, appointment) => {
+  const toId = (value) => (value?._id || value)?.toString();
+
+  if (user.role === 'super_admin') return true;
+  if (user.role === 'patient') return toId(appointment.patientId) === toId(user._id);
+  if (user.role === 'doctor') return toId(appointment.doctorId) === toId(user._id);
+
+  return managesHospital(user) && toId(appointment.hospitalId) === toId(user.hospitalId);
+};
+
+// Notify the hospital, doctor and patient of a cancellation, move the queue up and
+// offer a freed slot to the waitlist
+const publishCancellation = async (io, appointment, { freesSlot, cancelledBy }) => {
+  const appointmentId = appointment._id;
+
+  await notifyAppointmentPatient('appointment_cancelled', appointment, {
+    reason: appointment.cancellationReason
+  });
+  await saveNotification({
+    userIds: [appointment.doctorId],
+    hospitalId: appointment.hospitalId,
+    exclude: cancelledBy
+  }, {
+    type: 'appointment-cancelled',
+    title: 'Appointment cancelled',
+    message: `The ${appointment.appointmentTime} appointment on ${appointment.appointmentDate.toLocaleDateString('en-IN', { timeZone: await appointment.getTimeZone() })} was cancelled${appointment.cancellationReason ? `: ${appointment.cancellationReason}` : ''}`,
+    data: { appointmentId }
+  });
+
+  // Emit real-time update
+  if (io) {
+    const hospitalId = appointment.hospitalId._id || appointment.hospitalId;
+    const doctorId = appointment.doctorId._id || appointment.doctorId;
+    
+    console.log('Emitting appointment-cancelled event to hospital:', hospitalId, 'and doctor:', doctorId);
+    
+    io.to(`hospital-${hospitalId}`).emit('appointment-cancelled', {
+      appointmentId,
+      message: 'Appointment cancelled'
+    });
+    
+    io.to(`doctor-${doctorId}`).emit('appointment-cancelled', {
+      appointmentId,
+      message: 'Appointment cancelled'
+    });
+    
+    console.log('Appointment cancelled socket events emitted successfully');
+  } else {
+    console.warn('Socket.IO not available for cancelled appointment events');
+  }
+
+  // Patients behind a cancelled appointment move up the queue
+  await publishQueueUpdate(io, {
+    doctorId: appointment.doctorId,
+    hospitalId: appointment.hospitalId,
+    date: appointment.appointmentDate,
+    appointmentId,
+    appointment
+  });
+
+  if (freesSlot) {
+    await offerFreedSlot(io, {
+      doctorId: appointment.doctorId,
+      appointmentDate: appointment.appointmentDate,
+      appointmentTime: appointment.appointmentTime,
+      sourceAppointmentId: appointment._id,
+      excludePatientIds: [appointment.patientId]
+    });
+  }
+};
 
 // Book new appointment
 const bookAppointment = async (req, res) => {
@@ -39,12 +239,10 @@ const bookAppointment = async (req, res) => {
     });
 
     // Verify doctor belongs to hospital
-    const doctor = await User.findOne({
+    const doctor = await User.findOne(User.verifiedDoctorQuery({
       _id: doctorId,
-      hospitalId: hospitalId,
-      role: 'doctor',
-      isActive: true
-    });
+      hospitalId: hospitalId
+    }));
 
     if (!doctor) {
       return res.status(400).json({
@@ -53,123 +251,50 @@ const bookAppointment = async (req, res) => {
       });
     }
 
+    // Patients over the hospital's no-show threshold may be blocked or asked to prepay
+    const restriction = await getBookingRestriction(req.user, hospitalId);
+    if (restriction?.restriction === 'block_online_booking') {
+      return res.status(403).json({
+        success: false,
+        message: restriction.message,
+        data: {
+          reason: 'no_show_limit',
+          noShowCount: restriction.noShowCount,
+          threshold: restriction.threshold
+        }
+      });
+    }
+
     // Parse appointment date properly
-    const appointmentDateTime = new Date(appointmentDate);
-    if (isNaN(appointmentDateTime.getTime())) {
+    if (isNaN(new Date(appointmentDate).getTime())) {
       return res.status(400).json({
         success: false,
         message: 'Invalid appointment date format'
       });
     }
 
+    // The appointment is stored as the start of its day in the hospital's timezone
+    const timeZone = await getHospitalTimeZone(hospitalId);
+    const { startOfDay: appointmentDateTime, dayKey } = getDayRange(appointmentDate, timeZone);
+
     // Check if appointment date is in the future
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    if (appointmentDateTime < today) {
+    if (dayKey < getDayKey(new Date(), timeZone)) {
       return res.status(400).json({
         success: false,
         message: 'Appointment date cannot be in the past'
       });
     }
 
-    // Check if doctor is available on the requested date/time (simplified check)
-    const dayOfWeek = appointmentDateTime.toLocaleDateString('en-US', { weekday: 'long' });
-    
-    let isAvailable = true; // Temporarily always available for testing
-    // if (doctor.doctorInfo && doctor.doctorInfo.availableSlots && doctor.doctorInfo.availableSlots.length > 0) {
-    //   isAvailable = doctor.doctorInfo.availableSlots.some(slot => 
-    //     slot.day === dayOfWeek && 
-    //     appointmentTime >= slot.startTime && 
-    //     appointmentTime <= slot.endTime
-    //   );
-    // }
-
-    // if (!isAvailable) {
-    //   return res.status(400).json({
-    //     success: false,
-    //     message: 'Doctor is not available at the requested time'
-    //   });
-    // }
-
-    // Check for existing appointment at the same time for the same patient
-    // Allow multiple appointments per day but with 20-minute intervals
-    
-    // Helper function to convert time string to minutes
-    const timeToMinutes = (timeStr) => {
-      const [hours, minutes] = timeStr.split(':').map(Number);
-      return hours * 60 + minutes;
-    };
-    
-    const existingAppointment = await Appointment.findOne({
+    // Apply the doctor schedule and double-booking rules
+    const conflict = await findBookingConflict({
+      doctor,
       patientId: req.user._id,
-      doctorId: doctorId,
-      appointmentDate: {
-        $gte: new Date(appointmentDate).setHours(0, 0, 0, 0),
-        $lt: new Date(appointmentDate).setHours(23, 59, 59, 999)
-      },
-      status: { $in: ['confirmed', 'in_progress'] }
+      appointmentDate: appointmentDateTime,
+      appointmentTime
     });
 
-    if (existingAppointment) {
-      // Check if the new appointment time conflicts with existing appointment (within 20 minutes)
-      const existingTime = existingAppointment.appointmentTime;
-      const newTime = appointmentTime;
-      
-      const existingMinutes = timeToMinutes(existingTime);
-      const newMinutes = timeToMinutes(newTime);
-      const timeDifference = Math.abs(newMinutes - existingMinutes);
-      
-      if (timeDifference < 20) {
-        return res.status(400).json({
-          success: false,
-          message: `You already have an appointment with this doctor at ${existingTime}. Please choose a time at least 20 minutes apart.`,
-          data: {
-            existingAppointment: {
-              time: existingTime,
-              id: existingAppointment._id
-            },
-            minimumGap: 20,
-            suggestedTimes: [
-              // Suggest times 20 minutes before and after
-              `${Math.floor((existingMinutes - 20) / 60).toString().padStart(2, '0')}:${((existingMinutes - 20) % 60).toString().padStart(2, '0')}`,
-              `${Math.floor((existingMinutes + 20) / 60).toString().padStart(2, '0')}:${((existingMinutes + 20) % 60).toString().padStart(2, '0')}`
-            ].filter(time => {
-              const [h, m] = time.split(':').map(Number);
-              return h >= 9 && h <= 17 && h * 60 + m > 0; // Only suggest times between 9 AM and 5 PM
-            })
-          }
-        });
-      }
-    }
-
-    // Check for conflicting appointments with the same doctor at the same time
-    const conflictingAppointment = await Appointment.findOne({
-      doctorId: doctorId,
-      appointmentDate: {
-        $gte: new Date(appointmentDate).setHours(0, 0, 0, 0),
-        $lt: new Date(appointmentDate).setHours(23, 59, 59, 999)
-      },
-      appointmentTime: appointmentTime,
-      status: { $in: ['confirmed', 'in_progress'] }
-    });
-
-    if (conflictingAppointment) {
-      return res.status(400).json({
-        success: false,
-        message: 'This time slot is already booked. Please choose a different time.',
-        data: {
-          conflictingTime: appointmentTime,
-          suggestedTimes: [
-            // Suggest next available 20-minute slots
-            `${Math.floor((timeToMinutes(appointmentTime) + 20) / 60).toString().padStart(2, '0')}:${((timeToMinutes(appointmentTime) + 20) % 60).toString().padStart(2, '0')}`,
-            `${Math.floor((timeToMinutes(appointmentTime) + 40) / 60).toString().padStart(2, '0')}:${((timeToMinutes(appointmentTime) + 40) % 60).toString().padStart(2, '0')}`,
-            `${Math.floor((timeToMinutes(appointmentTime) + 60) / 60).toString().padStart(2, '0')}:${((timeToMinutes(appointmentTime) + 60) % 60).toString().padStart(2, '0')}`
-          ].filter(time => {
-            const [h, m] = time.split(':').map(Number);
-            return h >= 9 && h <= 17; // Only suggest times between 9 AM and 5 PM
-          })
-        }
-      });
+    if (conflict) {
+      return res.status(400).json(conflict);
     }
 
     // Prepare appointment data
@@ -184,13 +309,23 @@ const bookAppointment = async (req, res) => {
         urgency: patientDetails.urgency || 'medium',
         notes: patientDetails.notes || ''
       },
-      consultationFee: doctor.doctorInfo?.consultationFee || 500
+      consultationFee: doctor.doctorInfo?.consultationFee || 500,
+      prepaymentRequired: restriction?.restriction === 'require_prepayment'
     };
 
     console.log('Creating appointment with data:', appointmentData);
 
-    // Create appointment (tokenNumber will be auto-generated by pre-save middleware)
-    const appointment = await Appointment.create(appointmentData);
+    // Create appointment (tokenNumber will be auto-generated by pre-save middleware).
+    // The unique slot index rejects the loser when two patients book the same slot at once.
+    let appointment;
+    try {
+      appointment = await Appointment.create(appointmentData);
+    } catch (error) {
+      if (isSlotConflictError(error)) {
+        return res.status(400).json(buildSlotConflict(appointmentTime));
+      }
+      throw error;
+    }
 
     console.log('Appointment created:', appointment);
 
@@ -227,15 +362,26 @@ const bookAppointment = async (req, res) => {
         message: 'Queue updated',
         appointmentId: appointment._id
       });
+      publishBoardUpdate(req.io, hospitalId, doctorId);
       console.log('   ✅ Emitted queue-updated to hospital room');
       console.log('New appointment socket events emitted successfully');
     } else {
       console.warn('Socket.IO not available for new appointment events');
     }
 
+    await saveNotification({ userIds: [doctorId], hospitalId }, {
+      type: 'new-appointment',
+      title: 'New appointment',
+      message: `${populatedAppointment.patientId.firstName} ${populatedAppointment.patientId.lastName} booked ${appointmentTime} on ${dayKey} (token #${appointment.tokenNumber})`,
+      data: { appointmentId: appointment._id }
+    });
+    await notifyAppointmentPatient('booking_confirmation', appointment);
+
     res.status(201).json({
       success: true,
-      message: 'Appointment booked successfully',
+      message: appointment.prepaymentRequired
+        ? `Appointment booked. ${restriction.message}`
+        : 'Appointment booked successfully',
       data: { appointment: populatedAppointment }
     });
 
@@ -302,43 +448,30 @@ const getDoctorAppointments = async (req, res) => {
 
     let query = { doctorId };
 
-    if (date) {
-      const appointmentDate = new Date(date);
-      const startOfDay = new Date(appointmentDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(appointmentDate);
-      endOfDay.setHours(23, 59, 59, 999);
-      
-      query.appointmentDate = {
-        $gte: startOfDay,
-        $lt: endOfDay
-      };
-    } else {
-      // Default to today
-      const today = new Date();
-      const startOfDay = new Date(today);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(today);
-      endOfDay.setHours(23, 59, 59, 999);
-      
-      query.appointmentDate = {
-        $gte: startOfDay,
-        $lt: endOfDay
-      };
-    }
+    // Days are counted in the hospital's timezone; default to today
+    const timeZone = await getDoctorTimeZone(req.user);
+    const { startOfDay, endOfDay } = getDayRange(date || new Date(), timeZone);
+    query.appointmentDate = {
+      $gte: startOfDay,
+      $lt: endOfDay
+    };
 
     if (status) query.status = status;
 
-    const appointments = await Appointment.find(query)
+    const tokenOrdered = await Appointment.find(query)
       .populate('patientId', 'firstName lastName phone patientInfo')
       .populate('hospitalId', 'name')
       .sort({ tokenNumber: 1 });
 
+    // Order the queue by the hospital's triage policy
+    const queuePolicy = await Appointment.getQueuePolicy(req.user.hospitalId?._id || req.user.hospitalId);
+    const appointments = Appointment.sortQueue(tokenOrdered, queuePolicy, new Date(), timeZone);
+
     console.log('Found', appointments.length, 'appointments for doctor', doctorId);
 
     res.status(200).json({
       success: true,
-      data: { appointments }
+      data: { appointments, queuePolicy }
     });
 
   } catch (error) {
@@ -378,6 +511,13 @@ const updateAppointmentStatus = async (req, res) => {
       });
     }
 
+    if (!canManageAppointment(req.user, appointment)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own appointments or those at your hospital'
+      });
+    }
+
     console.log('📋 Found appointment:', {
       id: appointment._id,
       currentStatus: appointment.status,
@@ -408,17 +548,31 @@ const updateAppointmentStatus = async (req, res) => {
         message: `Appointment ${status}`
       });
       
-      // Emit queue update to hospital
-      req.io.to(`hospital-${hospitalId}`).emit('queue-updated', {
-        message: 'Queue updated',
-        appointmentId: appointmentId
-      });
-      
       console.log('Socket events emitted successfully');
     } else {
       console.warn('Socket.IO not available for emitting events');
     }
 
+    await saveNotification({
+      userIds: [appointment.doctorId],
+      hospitalId: appointment.hospitalId,
+      exclude: req.user._id
+    }, {
+      type: 'appointment-updated',
+      title: `Appointment ${status.replace('_', ' ')}`,
+      message: `${appointment.patientId?.firstName} ${appointment.patientId?.lastName}'s ${appointment.appointmentTime} appointment with Dr. ${appointment.doctorId?.lastName} is now ${status.replace('_', ' ')}`,
+      data: { appointmentId: appointment._id }
+    });
+
+    // Refresh wait estimates for everyone still waiting and push them to the queue
+    await publishQueueUpdate(req.io, {
+      doctorId: appointment.doctorId._id || appointment.doctorId,
+      hospitalId: appointment.hospitalId._id || appointment.hospitalId,
+      date: appointment.appointmentDate,
+      appointmentId,
+      appointment
+    });
+
     res.status(200).json({
       success: true,
       message: 'Appointment status updated successfully',
@@ -450,11 +604,10 @@ const cancelAppointment = async (req, res) => {
       });
     }
 
-    // Check if user can cancel this appointment
-    if (req.user.role === 'patient' && appointment.patientId.toString() !== req.user._id.toString()) {
+    if (!canManageAppointment(req.user, appointment)) {
       return res.status(403).json({
         success: false,
-        message: 'You can only cancel your own appointments'
+        message: 'You can only cancel your own appointments or those at your hospital'
       });
     }
 
@@ -466,50 +619,672 @@ const cancelAppointment = async (req, res) => {
       });
     }
 
+    // Only an appointment still waiting to be seen frees a slot for the waitlist
+    const freesSlot = appointment.status === 'confirmed';
+
     // Update appointment
     await appointment.updateStatus('cancelled', {
       reason,
-      cancelledBy: req.user.role
+      cancelledBy: getCancelledByRole(req.user.role)
     });
 
-    // Emit real-time update
-    if (req.io) {
-      const hospitalId = appointment.hospitalId._id || appointment.hospitalId;
-      const doctorId = appointment.doctorId._id || appointment.doctorId;
-      
-      console.log('Emitting appointment-cancelled event to hospital:', hospitalId, 'and doctor:', doctorId);
-      
-      req.io.to(`hospital-${hospitalId}`).emit('appointment-cancelled', {
-        appointmentId,
-        message: 'Appointment cancelled'
+    await publishCancellation(req.io, appointment, { freesSlot, cancelledBy: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('Cancel appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel appointment',
+      error: error.message
+    });
+  }
+};
+
+// Reschedule appointment to a new date/time
+const rescheduleAppointment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
-      
-      req.io.to(`doctor-${doctorId}`).emit('appointment-cancelled', {
-        appointmentId,
-        message: 'Appointment cancelled'
+    }
+
+    const { appointmentId } = req.params;
+    const { appointmentDate, appointmentTime, reason } = req.body;
+
+    const appointment = await Appointment.findById(appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
       });
-      
+    }
+
+    // Patients can only reschedule their own appointments
+    if (appointment.patientId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only reschedule your own appointments'
+      });
+    }
+
+    // Only appointments that have not started can be moved
+    if (appointment.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only confirmed appointments can be rescheduled'
+      });
+    }
+
+    if (isNaN(new Date(appointmentDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appointment date format'
+      });
+    }
+
+    const timeZone = await appointment.getTimeZone();
+    const { startOfDay: appointmentDateTime, dayKey } = getDayRange(appointmentDate, timeZone);
+
+    if (dayKey < getDayKey(new Date(), timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment date cannot be in the past'
+      });
+    }
+
+    if (getDayKey(appointment.appointmentDate, timeZone) === dayKey &&
+        timeToMinutes(appointment.appointmentTime) === timeToMinutes(appointmentTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The appointment is already booked for this date and time'
+      });
+    }
+
+    const doctor = await User.findOne(User.verifiedDoctorQuery({ _id: appointment.doctorId }));
+
+    if (!doctor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor is no longer available'
+      });
+    }
+
+    // Apply the same rules as booking, ignoring the appointment being moved
+    const conflict = await findBookingConflict({
+      doctor,
+      patientId: req.user._id,
+      appointmentDate: appointmentDateTime,
+      appointmentTime,
+      excludeAppointmentId: appointment._id
+    });
+
+    if (conflict) {
+      return res.status(400).json(conflict);
+    }
+
+    const previous = {
+      appointmentDate: appointment.appointmentDate,
+      appointmentTime: appointment.appointmentTime,
+      tokenNumber: appointment.tokenNumber
+    };
+
+    // Move the appointment and issue a token for the new day
+    try {
+      await appointment.moveTo(appointmentDateTime, appointmentTime, {
+        rescheduledBy: req.user._id,
+        rescheduledByRole: 'patient',
+        reason
+      });
+    } catch (error) {
+      if (isSlotConflictError(error)) {
+        return res.status(400).json(buildSlotConflict(appointmentTime));
+      }
+      throw error;
+    }
+
+    await appointment.calculateWaitTime();
+
+    const populatedAppointment = await Appointment.findById(appointment._id)
+      .populate('hospitalId', 'name address phone')
+      .populate('doctorId', 'firstName lastName doctorInfo')
+      .populate('patientId', 'firstName lastName phone');
+
+    // Emit real-time update
+    if (req.io) {
+      const hospitalId = appointment.hospitalId;
+      const doctorId = appointment.doctorId;
+
+      console.log('Emitting appointment-rescheduled event to hospital:', hospitalId, 'and doctor:', doctorId);
+
+      const payload = {
+        appointment: populatedAppointment,
+        previous,
+        message: 'Appointment rescheduled by patient'
+      };
+
+      req.io.to(`hospital-${hospitalId}`).emit('appointment-rescheduled', payload);
+      req.io.to(`doctor-${doctorId}`).emit('appointment-rescheduled', payload);
+
       // Emit queue update
       req.io.to(`hospital-${hospitalId}`).emit('queue-updated', {
         message: 'Queue updated',
-        appointmentId: appointmentId
+        appointmentId: appointment._id
       });
-      
-      console.log('Appointment cancelled socket events emitted successfully');
+      publishBoardUpdate(req.io, hospitalId, doctorId);
     } else {
-      console.warn('Socket.IO not available for cancelled appointment events');
+      console.warn('Socket.IO not available for rescheduled appointment events');
     }
 
     res.status(200).json({
       success: true,
-      message: 'Appointment cancelled successfully'
+      message: 'Appointment rescheduled successfully',
+      data: { appointment: populatedAppointment, previous }
     });
 
   } catch (error) {
-    console.error('Cancel appointment error:', error);
+    console.error('Reschedule appointment error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to cancel appointment',
+      message: 'Failed to reschedule appointment',
+      error: error.message
+    });
+  }
+};
+
+// Check in a patient on arrival (reception staff or the patient from their booking QR code)
+const checkInAppointment = async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('patientId', 'firstName lastName phone')
+      .populate('doctorId', 'firstName lastName')
+      .populate('hospitalId', 'name timezone');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    // Patients can only check in themselves; reception only for their own hospital
+    if (req.user.role === 'patient' &&
+        appointment.patientId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only check in to your own appointments'
+      });
+    }
+
+    if (managesHospital(req.user)) {
+      const userHospitalId = req.user.hospitalId?._id || req.user.hospitalId;
+      if (appointment.hospitalId._id.toString() !== userHospitalId?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only check in patients at your hospital'
+        });
+      }
+    }
+
+    if (appointment.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in an appointment that is ${appointment.status.replace('_', ' ')}`
+      });
+    }
+
+    if (appointment.checkedInAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient is already checked in'
+      });
+    }
+
+    // Check-in is only open on the day of the appointment
+    const timeZone = await appointment.getTimeZone();
+    if (getDayKey(appointment.appointmentDate, timeZone) !== getDayKey(new Date(), timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is only available on the day of the appointment'
+      });
+    }
+
+    // Patients over the no-show threshold pay before they join the queue
+    if (appointment.prepaymentRequired && appointment.paymentStatus !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'The consultation fee must be paid at reception before check-in',
+        data: { reason: 'prepayment_required', consultationFee: appointment.consultationFee }
+      });
+    }
+
+    await appointment.checkIn();
+
+    // Emit real-time update
+    if (req.io) {
+      const hospitalId = appointment.hospitalId._id;
+      const doctorId = appointment.doctorId._id;
+      const patientId = appointment.patientId._id;
+
+      console.log('Emitting patient-checked-in event to hospital:', hospitalId, 'and doctor:', doctorId);
+
+      const payload = {
+        appointment,
+        message: `${appointment.patientId.firstName} ${appointment.patientId.lastName} has checked in`
+      };
+
+      req.io.to(`hospital-${hospitalId}`).emit('patient-checked-in', payload);
+      req.io.to(`doctor-${doctorId}`).emit('patient-checked-in', payload);
+      req.io.to(`patient-${patientId}`).emit('patient-checked-in', payload);
+    } else {
+      console.warn('Socket.IO not available for check-in events');
+    }
+
+    // Checked-in patients move ahead of those who have not arrived
+    await publishQueueUpdate(req.io, {
+      doctorId: appointment.doctorId._id,
+      hospitalId: appointment.hospitalId._id,
+      date: appointment.appointmentDate,
+      appointmentId: appointment._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked in successfully',
+      data: { appointment }
+    });
+
+  } catch (error) {
+    console.error('Check-in appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in',
+      error: error.message
+    });
+  }
+};
+
+// Record payment of the consultation fee (Hospital Admin only)
+const recordPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { appointmentId } = req.params;
+    const { paymentStatus, paymentMethod } = req.body;
+
+    // Refunds are a separate permission from taking payments
+    const requiredPermission = paymentStatus === 'refunded' ? 'billing:refund' : 'billing:payment';
+    if (!req.permissions.includes(requiredPermission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Required permission: ${requiredPermission}`,
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('patientId', 'firstName lastName phone')
+      .populate('doctorId', 'firstName lastName');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const userHospitalId = req.user.hospitalId?._id || req.user.hospitalId;
+    if (appointment.hospitalId.toString() !== userHospitalId?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record payments at your hospital'
+      });
+    }
+
+    appointment.paymentStatus = paymentStatus;
+    if (paymentMethod) appointment.paymentMethod = paymentMethod;
+    await appointment.save();
+
+    if (req.io) {
+      const payload = {
+        appointment,
+        message: `Payment ${paymentStatus}`
+      };
+      req.io.to(`hospital-${appointment.hospitalId}`).emit('appointment-updated', payload);
+      req.io.to(`patient-${appointment.patientId._id}`).emit('appointment-updated', payload);
+    }
+
+    await saveNotification({
+      userIds: [appointment.patientId._id],
+      hospitalId: appointment.hospitalId,
+      exclude: req.user._id
+    }, {
+      type: 'appointment-updated',
+      title: `Payment ${paymentStatus}`,
+      message: `The ₹${appointment.consultationFee} consultation fee for the ${appointment.appointmentTime} appointment with Dr. ${appointment.doctorId?.lastName} is ${paymentStatus}`,
+      data: { appointmentId: appointment._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment recorded',
+      data: { appointment }
+    });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment',
+      error: error.message
+    });
+  }
+};
+
+// Days between occurrences of a recurring follow-up series (monthly steps by calendar month)
+const SERIES_INTERVAL_DAYS = { weekly: 7, fortnightly: 14 };
+
+// Dates of each occurrence in a follow-up series, starting with the first date.
+// Steps are taken in calendar days of the hospital's timezone so DST changes never shift a day.
+const buildSeriesDates = (firstDate, frequency, occurrences, timeZone) => {
+  const firstDay = getDayKey(firstDate, timeZone);
+  return Array.from({ length: occurrences }, (_, index) => {
+    let dayKey = firstDay;
+    if (frequency === 'monthly') {
+      dayKey = addMonths(firstDay, index);
+    } else if (SERIES_INTERVAL_DAYS[frequency]) {
+      dayKey = addDays(firstDay, index * SERIES_INTERVAL_DAYS[frequency]);
+    }
+    return zonedTimeToUtc(dayKey, '00:00', timeZone);
+  });
+};
+
+// Map a user role onto the appointment cancelledBy values
+const getCancelledByRole = (role) => {
+  if (role === 'patient' || role === 'doctor') return role;
+  return 'hospital';
+};
+
+// Book a follow-up, or a recurring series of follow-ups, from a consultation (Doctor only)
+const bookFollowUp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { appointmentId } = req.params;
+    const { appointmentDate, appointmentTime, frequency = 'once', notes } = req.body;
+    const occurrences = frequency === 'once' ? 1 : parseInt(req.body.occurrences, 10) || 1;
+
+    const appointment = await Appointment.findById(appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.doctorId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only book follow-ups for your own patients'
+      });
+    }
+
+    if (!['in_progress', 'completed'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Follow-ups can only be booked from a consultation that has started or completed'
+      });
+    }
+
+    const doctor = await User.findOne({ _id: req.user._id, role: 'doctor', isActive: true });
+    const timeZone = await appointment.getTimeZone();
+    const dates = buildSeriesDates(appointmentDate, frequency, occurrences, timeZone);
+
+    // Every occurrence must pass the same schedule and double-booking rules as a patient booking
+    const conflicts = [];
+    for (const [index, date] of dates.entries()) {
+      const conflict = await findBookingConflict({
+        doctor,
+        patientId: appointment.patientId,
+        appointmentDate: date,
+        appointmentTime
+      });
+
+      if (conflict) {
+        conflicts.push({
+          occurrence: index + 1,
+          appointmentDate: date,
+          appointmentTime,
+          message: conflict.message,
+          suggestedTimes: conflict.data?.suggestedTimes || []
+        });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: occurrences === 1
+          ? conflicts[0].message
+          : `${conflicts.length} of ${occurrences} follow-up dates are not available. Nothing was booked.`,
+        data: { conflicts }
+      });
+    }
+
+    const seriesId = occurrences > 1 ? new mongoose.Types.ObjectId() : undefined;
+    const created = [];
+
+    try {
+      for (const [index, date] of dates.entries()) {
+        const followUp = await Appointment.create({
+          patientId: appointment.patientId,
+          hospitalId: appointment.hospitalId,
+          doctorId: appointment.doctorId,
+          appointmentDate: date,
+          appointmentTime,
+          patientDetails: {
+            symptoms: notes || `Follow-up${appointment.doctorNotes?.diagnosis ? `: ${appointment.doctorNotes.diagnosis}` : ''}`,
+            urgency: appointment.patientDetails?.urgency || 'medium',
+            previousVisit: true
+          },
+          consultationFee: doctor.doctorInfo?.consultationFee || 500,
+          followUpOf: appointment._id,
+          series: seriesId
+            ? { seriesId, occurrence: index + 1, total: occurrences, frequency }
+            : undefined
+        });
+        created.push(followUp);
+      }
+    } catch (error) {
+      // A slot taken while the series was being booked - book all or nothing.
+      // Occurrences already booked are cancelled rather than deleted, so they keep
+      // their tokens and release their slots like any other cancellation. The
+      // patient was never told about them, so only the queue and waitlist hear of it.
+      for (const followUp of created) {
+        await followUp.updateStatus('cancelled', {
+          reason: 'Follow-up series could not be booked',
+          cancelledBy: 'doctor'
+        });
+        await publishQueueUpdate(req.io, {
+          doctorId: followUp.doctorId,
+          hospitalId: followUp.hospitalId,
+          date: followUp.appointmentDate,
+          appointmentId: followUp._id,
+          appointment: followUp
+        });
+        await offerFreedSlot(req.io, {
+          doctorId: followUp.doctorId,
+          appointmentDate: followUp.appointmentDate,
+          appointmentTime: followUp.appointmentTime,
+          sourceAppointmentId: followUp._id,
+          excludePatientIds: [followUp.patientId]
+        });
+      }
+      if (isSlotConflictError(error)) {
+        return res.status(400).json(buildSlotConflict(appointmentTime));
+      }
+      throw error;
+    }
+
+    appointment.doctorNotes = {
+      ...appointment.doctorNotes,
+      followUpRequired: true,
+      followUpDate: dates[0]
+    };
+    await appointment.save();
+
+    await Promise.all(created.map(followUp => followUp.calculateWaitTime()));
+
+    const populatedAppointments = await Appointment.find({ _id: { $in: created.map(apt => apt._id) } })
+      .populate('hospitalId', 'name address phone')
+      .populate('doctorId', 'firstName lastName doctorInfo')
+      .populate('patientId', 'firstName lastName phone')
+      .sort({ appointmentDate: 1 });
+
+    if (req.io) {
+      populatedAppointments.forEach(followUp => {
+        req.io.to(`hospital-${appointment.hospitalId}`).emit('new-appointment', {
+          appointment: followUp,
+          message: 'Follow-up appointment booked'
+        });
+        req.io.to(`doctor-${appointment.doctorId}`).emit('new-appointment', {
+          appointment: followUp,
+          message: 'Follow-up appointment booked'
+        });
+      });
+
+      req.io.to(`patient-${appointment.patientId}`).emit('follow-up-booked', {
+        appointments: populatedAppointments,
+        seriesId,
+        message: occurrences === 1
+          ? `Your doctor booked a follow-up on ${dates[0].toLocaleDateString('en-IN', { timeZone })} at ${appointmentTime}`
+          : `Your doctor booked ${occurrences} follow-up appointments starting ${dates[0].toLocaleDateString('en-IN', { timeZone })} at ${appointmentTime}`
+      });
+    } else {
+      console.warn('Socket.IO not available for follow-up booking events');
+    }
+
+    await saveNotification({
+      userIds: [appointment.doctorId],
+      hospitalId: appointment.hospitalId,
+      exclude: req.user._id
+    }, {
+      type: 'new-appointment',
+      title: occurrences === 1 ? 'Follow-up booked' : 'Follow-up series booked',
+      message: `${populatedAppointments[0].patientId.firstName} ${populatedAppointments[0].patientId.lastName}: ${occurrences} follow-up appointment(s) starting ${dates[0].toLocaleDateString('en-IN', { timeZone })} at ${appointmentTime}`,
+      data: { appointmentId: populatedAppointments[0]._id }
+    });
+
+    // Confirm the first visit; later occurrences are covered by their reminders
+    await notifyAppointmentPatient('booking_confirmation', populatedAppointments[0]);
+
+    res.status(201).json({
+      success: true,
+      message: occurrences === 1 ? 'Follow-up booked successfully' : `${occurrences} follow-up appointments booked`,
+      data: {
+        appointments: populatedAppointments,
+        seriesId
+      }
+    });
+
+  } catch (error) {
+    console.error('Book follow-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book follow-up',
+      error: error.message
+    });
+  }
+};
+
+// Cancel every upcoming occurrence of a follow-up series
+const cancelSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const { reason } = req.body;
+    const user = req.user;
+
+    const occurrences = await Appointment.find({ 'series.seriesId': seriesId }).sort({ appointmentDate: 1 });
+
+    if (occurrences.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment series not found'
+      });
+    }
+
+    const [first] = occurrences;
+    if (!canManageAppointment(user, first)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to cancel this series'
+      });
+    }
+
+    const upcoming = occurrences.filter(apt => apt.status === 'confirmed');
+
+    if (upcoming.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no upcoming appointments left in this series'
+      });
+    }
+
+    for (const occurrence of upcoming) {
+      await occurrence.updateStatus('cancelled', {
+        reason: reason || 'Follow-up series cancelled',
+        cancelledBy: getCancelledByRole(user.role)
+      });
+      await publishCancellation(req.io, occurrence, { freesSlot: true, cancelledBy: req.user._id });
+    }
+
+    if (req.io && user.role !== 'patient') {
+      req.io.to(`patient-${first.patientId}`).emit('appointment-cancelled', {
+        seriesId,
+        message: `${upcoming.length} follow-up appointment(s) were cancelled`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Cancelled ${upcoming.length} upcoming appointment(s) in the series`,
+      data: {
+        cancelledCount: upcoming.length,
+        cancelledIds: upcoming.map(apt => apt._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel appointment series',
       error: error.message
     });
   }
@@ -553,5 +1328,10 @@ module.exports = {
   getDoctorAppointments,
   updateAppointmentStatus,
   cancelAppointment,
+  rescheduleAppointment,
+  checkInAppointment,
+  recordPayment,
+  bookFollowUp,
+  cancelSeries,
   getAppointmentById
 };
\ No newline at end of file
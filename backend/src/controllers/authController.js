@@ -6,7 +6,168 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
-const { generateToken } = require('../utils/jwt');
+const Session = require('../models/Session');
+const { startSession, refreshSession, revokeSessions } = require('../utils/sessions');
+const { generateActionToken, verifyActionToken, decodeToken } = require('../utils/jwt');
+const { sendAccountEmail, saveNotification } = require('../utils/notifications');
+const twoFactor = require('../utils/twoFactor');
+const { getUserPermissions } = require('../utils/permissions');
+const {
+  LOCKOUT_MINUTES,
+  getLoginBlock,
+  lockedResponse,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginThrottle');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Email a link that verifies the user's email address
+const sendVerificationEmail = (user) => {
+  const token = generateActionToken(user._id, 'verify-email', user.email);
+  return sendAccountEmail(user, 'email_verification', {
+    link: `${CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`
+  });
+};
+
+// The profile sent to the client, with the permissions its screens are built from
+const getClientProfile = async (user) => ({
+  ...user.getPublicProfile(),
+  permissions: await getUserPermissions(user)
+});
+
+// Fields users may change on their own profile. Email, password, role, hospital,
+// verification, lockout and two-factor state and no-show history all have their own flows.
+const EDITABLE_PROFILE_FIELDS = ['firstName', 'lastName', 'phone', 'profileImage'];
+const EDITABLE_PROFILE_GROUPS = {
+  notificationPreferences: { fields: ['email', 'sms', 'inApp'] },
+  patientInfo: { role: 'patient', fields: ['dateOfBirth', 'gender', 'address', 'emergencyContact'] },
+  doctorInfo: {
+    role: 'doctor',
+    fields: ['specialization', 'qualification', 'experience', 'consultationFee', 'availableSlots', 'isAvailable', 'emergencyAvailable']
+  }
+};
+
+// Build the $set for a profile update from the editable fields in the request.
+// Nested groups are set field by field, sent as { patientInfo: { gender } } or
+// { 'patientInfo.gender': ... }, so the fields users cannot edit are kept.
+const buildProfileUpdate = (user, body = {}) => {
+  const updates = {};
+
+  EDITABLE_PROFILE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) updates[field] = body[field];
+  });
+
+  Object.entries(EDITABLE_PROFILE_GROUPS).forEach(([group, { role, fields }]) => {
+    if (role && user.role !== role) return;
+
+    const values = body[group] && typeof body[group] === 'object' ? body[group] : {};
+    fields.forEach(field => {
+      const value = values[field] !== undefined ? values[field] : body[`${group}.${field}`];
+      if (value !== undefined) updates[`${group}.${field}`] = value;
+    });
+  });
+
+  return updates;
+};
+
+// Find the user an action token was issued to and check it is still valid.
+// Returns null when the token is invalid or expired.
+const findUserForActionToken = async (token, purpose) => {
+  const decoded = decodeToken(token);
+  if (!decoded?.userId) return null;
+
+  const user = await User.findById(decoded.userId).select('+password');
+  if (!user || !user.isActive) return null;
+
+  try {
+    // Email verification is tied to the address; every other action to the password hash
+    verifyActionToken(token, purpose, purpose === 'verify-email' ? user.email : user.password);
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start a session for a user who has passed every sign-in step
+// and build the login response data
+const signIn = async (user, req) => {
+  const { token, refreshToken } = await startSession(user, req);
+
+  // Update last login and forget earlier failed attempts
+  await User.updateOne({ _id: user._id }, { lastLogin: new Date() });
+  await clearFailedLogins(user._id);
+
+  // Populate hospital info if applicable
+  const populatedUser = await User.findById(user._id)
+    .populate('hospitalId', 'name address type category security')
+    .populate('staffRoleId', 'name')
+    .select('-password');
+
+  return {
+    user: await getClientProfile(populatedUser),
+    token,
+    refreshToken
+  };
+};
+
+// During a login that requires enrollment, the user the setup token was
+// issued to; otherwise the signed-in user
+const getEnrollingUser = async (req) => {
+  if (req.body.twoFactorToken) {
+    return findUserForActionToken(req.body.twoFactorToken, 'two-factor-setup');
+  }
+  return req.user || null;
+};
+
+// An expired setup token sends the user back to the login form; 400 rather
+// than 401 so the client does not try to refresh an access token it does not have
+const rejectEnrollment = (req, res) => {
+  if (req.body.twoFactorToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Sign-in has expired. Please log in again.'
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Authentication required'
+  });
+};
+
+// Refuse a sign-in attempt for a locked or throttled account
+const sendLoginBlock = (res, block) => {
+  if (block.data.retryAfter) {
+    res.set('Retry-After', String(block.data.retryAfter));
+  }
+
+  return res.status(block.statusCode).json({
+    success: false,
+    code: block.code,
+    message: block.message,
+    data: block.data
+  });
+};
+
+// Count a failed password or code. The failure that locks the account
+// says so, and the owner is emailed in case it was not them.
+const rejectFailedLogin = async (user, res, message) => {
+  const { locked, lockedUntil } = await recordFailedLogin(user);
+
+  if (locked) {
+    sendAccountEmail(user, 'account_locked', {
+      minutes: LOCKOUT_MINUTES,
+      link: `${CLIENT_URL}/forgot-password`
+    });
+    return sendLoginBlock(res, lockedResponse(lockedUntil));
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
 
 // Register new user
 const register = async (req, res) => {
@@ -30,6 +191,7 @@ const register = async (req, res) => {
       role,
       hospitalId,
       doctorInfo,
+      doctorVerification,
       patientInfo,
       hospitalInfo
     } = req.body;
@@ -97,6 +259,14 @@ const register = async (req, res) => {
       userData.doctorInfo = doctorInfo;
     }
 
+    // Self-registered doctors cannot be booked until a hospital admin checks their license
+    if (role === 'doctor') {
+      userData.doctorVerification = {
+        status: 'pending_verification',
+        licenseNumber: doctorVerification?.licenseNumber
+      };
+    }
+
     if (role === 'patient' && patientInfo) {
       userData.patientInfo = patientInfo;
     }
@@ -175,8 +345,18 @@ const register = async (req, res) => {
       }
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id, user.role);
+    await sendVerificationEmail(user);
+
+    if (role === 'doctor' && hospitalId) {
+      await saveNotification({ hospitalId }, {
+        type: 'doctor-registered',
+        title: 'Doctor awaiting verification',
+        message: `Dr. ${firstName} ${lastName} registered with your hospital and is waiting for license verification.`
+      });
+    }
+
+    // Start a session with an access token and refresh token
+    const { token, refreshToken } = await startSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -184,8 +364,9 @@ const register = async (req, res) => {
 
     // Prepare response
     const responseData = {
-      user: user.getPublicProfile(),
-      token
+      user: await getClientProfile(user),
+      token,
+      refreshToken
     };
 
     let message = 'User registered successfully';
@@ -194,6 +375,8 @@ const register = async (req, res) => {
       message = 'Account and hospital registered successfully. Hospital is pending approval.';
     } else if (role === 'hospital_admin') {
       message = 'Account registered successfully. You can register your hospital from the dashboard.';
+    } else if (role === 'doctor') {
+      message = 'Account registered successfully. Patients can book you once your hospital verifies your license.';
     }
 
     res.status(201).json({
@@ -245,37 +428,46 @@ const login = async (req, res) => {
       });
     }
 
+    // Locked and throttled accounts are refused before the password is checked
+    const block = getLoginBlock(user);
+    if (block) {
+      return sendLoginBlock(res, block);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+      return rejectFailedLogin(user, res, 'Invalid email or password');
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id, user.role);
-
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Accounts with two-factor authentication finish signing in with a code
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: generateActionToken(user._id, 'two-factor', user.password)
+        }
+      });
+    }
 
-    // Populate hospital info if applicable
-    let populatedUser = user;
-    if (user.hospitalId) {
-      populatedUser = await User.findById(user._id)
-        .populate('hospitalId', 'name address type category')
-        .select('-password');
+    // The hospital requires two-factor authentication, so staff set it up before signing in
+    if (await twoFactor.isTwoFactorRequired(user)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Your hospital requires two-factor authentication. Set it up to continue.',
+        data: {
+          twoFactorSetupRequired: true,
+          twoFactorToken: generateActionToken(user._id, 'two-factor-setup', user.password)
+        }
+      });
     }
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      data: {
-        user: populatedUser.getPublicProfile(),
-        token
-      }
+      data: await signIn(user, req)
     });
 
   } catch (error) {
@@ -296,14 +488,15 @@ const getProfile = async (req, res) => {
     // Populate hospital info if applicable
     if (user.hospitalId) {
       user = await User.findById(user._id)
-        .populate('hospitalId', 'name address type category approvalStatus')
+        .populate('hospitalId', 'name address type category approvalStatus security')
+        .populate('staffRoleId', 'name')
         .select('-password');
     }
 
     res.status(200).json({
       success: true,
       data: {
-        user: user.getPublicProfile()
+        user: await getClientProfile(user)
       }
     });
 
@@ -321,19 +514,14 @@ const getProfile = async (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     const userId = req.user._id;
-    const updates = req.body;
-
-    // Remove sensitive fields that shouldn't be updated via this endpoint
-    delete updates.password;
-    delete updates.email;
-    delete updates.role;
-    delete updates.hospitalId;
+    const updates = buildProfileUpdate(req.user, req.body);
 
     const user = await User.findByIdAndUpdate(
       userId,
-      updates,
+      { $set: updates },
       { new: true, runValidators: true }
-    ).populate('hospitalId', 'name address type category');
+    ).populate('hospitalId', 'name address type category')
+      .populate('staffRoleId', 'name');
 
     if (!user) {
       return res.status(404).json({
@@ -346,7 +534,7 @@ const updateProfile = async (req, res) => {
       success: true,
       message: 'Profile updated successfully',
       data: {
-        user: user.getPublicProfile()
+        user: await getClientProfile(user)
       }
     });
 
@@ -395,9 +583,16 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    const revokedSessions = await revokeSessions(
+      { userId: user._id, _id: { $ne: req.sessionId } },
+      'password_changed'
+    );
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: { revokedSessions }
     });
 
   } catch (error) {
@@ -410,12 +605,11 @@ const changePassword = async (req, res) => {
   }
 };
 
-// Logout (client-side token removal, server-side logging)
+// Logout - end the current session
 const logout = async (req, res) => {
   try {
-    // In a more advanced implementation, you might maintain a blacklist of tokens
-    // For now, we'll just log the logout action
-    
+    await revokeSessions({ _id: req.sessionId }, 'logout');
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -431,11 +625,522 @@ const logout = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token and refresh token
+const refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokens = await refreshSession(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
+// List the user's signed-in sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toObject(),
+          current: session._id.equals(req.sessionId)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      error: error.message
+    });
+  }
+};
+
+// Sign out one of the user's sessions
+const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await revokeSessions(
+      { _id: req.params.sessionId, userId: req.user._id },
+      'revoked'
+    );
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session',
+      error: error.message
+    });
+  }
+};
+
+// Verify an email address from the emailed link
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserForActionToken(req.body.token, 'verify-email');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+};
+
+// Send the verification email again
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sent = await sendVerificationEmail(req.user);
+    if (!sent) {
+      return res.status(503).json({
+        success: false,
+        message: 'Verification email could not be sent. Please try again later.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: error.message
+    });
+  }
+};
+
+// Email a password reset link. The response is the same whether or not
+// the account exists, so it cannot be used to look up emails.
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email }).select('+password');
+
+    // Not awaited, so the response time does not reveal whether the account exists
+    if (user && user.isActive) {
+      const token = generateActionToken(user._id, 'reset-password', user.password);
+      sendAccountEmail(user, 'password_reset', {
+        link: `${CLIENT_URL}/reset-password?token=${encodeURIComponent(token)}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send password reset email',
+      error: error.message
+    });
+  }
+};
+
+// Set a new password from the emailed reset link
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // The token is tied to the old password hash, so it stops working once used
+    const user = await findUserForActionToken(req.body.token, 'reset-password');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    // Opening the emailed link proves the user owns the address
+    user.isVerified = true;
+    await user.save();
+
+    // Proving access to the email also lifts a lockout
+    await clearFailedLogins(user._id);
+
+    await revokeSessions({ userId: user._id }, 'password_changed');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+};
+
+// Finish a login with an authenticator or recovery code
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserForActionToken(req.body.twoFactorToken, 'two-factor');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in has expired. Please log in again.'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const block = getLoginBlock(user);
+    if (block) {
+      return sendLoginBlock(res, block);
+    }
+
+    const isValid = await twoFactor.verifySecondFactor(user, req.body);
+    if (!isValid) {
+      return rejectFailedLogin(user, res, req.body.code ? 'Invalid verification code' : 'Invalid recovery code');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: await signIn(user, req)
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// Start two-factor enrollment; returns the secret for the authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await getEnrollingUser(req);
+    if (!user) {
+      return rejectEnrollment(req, res);
+    }
+
+    const enrollment = await twoFactor.beginEnrollment(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app',
+      data: enrollment
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// Confirm enrollment with a first code. During a login that required
+// enrollment this also signs the user in.
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await getEnrollingUser(req);
+    if (!user) {
+      return rejectEnrollment(req, res);
+    }
+
+    const recoveryCodes = await twoFactor.enableTwoFactor(user, req.body.code);
+    const data = req.body.twoFactorToken
+      ? { ...await signIn(user, req), recoveryCodes }
+      : { recoveryCodes };
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Turn two-factor authentication off; needs the password and a current code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await twoFactor.isTwoFactorRequired(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your hospital requires two-factor authentication for staff'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const isValid = await twoFactor.verifySecondFactor(user, req.body);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await twoFactor.disableTwoFactor(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Replace the recovery codes; needs a current code
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isValid = await twoFactor.verifySecondFactor(req.user, { code: req.body.code });
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getProfile,
   updateProfile,
   changePassword,
-  logout
+  logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
\ No newline at end of file
@@ -8,6 +8,8 @@ const mongoose = require('mongoose');
 const EmergencyCall = require('../models/EmergencyCall');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
+const Notification = require('../models/Notification');
+const { saveNotification } = require('../utils/notifications');
 
 // Request emergency consultation
 const requestEmergencyCall = async (req, res) => {
@@ -74,16 +76,15 @@ const requestEmergencyCall = async (req, res) => {
     await emergencyCall.populate('patientId', 'firstName lastName phone patientInfo');
 
     // Find available doctors for emergency calls
-    const availableDoctors = await User.find({
-      role: 'doctor',
-      isActive: true,
+    const availableDoctors = await User.find(User.verifiedDoctorQuery({
       'doctorInfo.isAvailable': true,
       'doctorInfo.emergencyAvailable': true
-    }).populate('hospitalId', 'name address');
+    })).populate('hospitalId', 'name address');
 
     // Emit emergency call request to all available doctors
-    if (req.io) {
-      req.io.emit('emergency-call-request', {
+    if (req.io && availableDoctors.length > 0) {
+      // The request includes symptoms, so it only goes to the available doctors' rooms
+      req.io.to(availableDoctors.map(doctor => `doctor-${doctor._id}`)).emit('emergency-call-request', {
         callId: emergencyCall.callId,
         call: emergencyCall,
         availableDoctors: availableDoctors.length,
@@ -100,6 +101,13 @@ const requestEmergencyCall = async (req, res) => {
       });
     }
 
+    await saveNotification({ userIds: availableDoctors.map(doctor => doctor._id) }, {
+      type: 'emergency-call-available',
+      title: 'Emergency consultation available',
+      message: `A patient is requesting an emergency consultation (${urgencyLevel} urgency)`,
+      data: { callId: emergencyCall.callId }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Emergency call request created. Searching for available doctors...',
@@ -176,6 +184,12 @@ const acceptEmergencyCall = async (req, res) => {
       });
     }
 
+    // The call is no longer waiting for the other doctors who were notified
+    await Notification.updateMany(
+      { type: 'emergency-call-available', 'data.callId': emergencyCall.callId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
     res.status(200).json({
       success: true,
       message: 'Emergency call accepted successfully',
@@ -8,6 +8,8 @@ const mongoose = require('mongoose');
 const Hospital = require('../models/Hospital');
 const User = require('../models/User');
 const Appointment = require('../models/Appointment');
+const { DEFAULT_TIMEZONE, getDayRange, getHospitalTimeZone } = require('../utils/timezone');
+const { enforceHospitalTwoFactor } = require('../utils/twoFactor');
 
 // Register new hospital
 const registerHospital = async (req, res) => {
@@ -120,12 +122,10 @@ const getHospitals = async (req, res) => {
     // Get current queue counts and updated stats for each hospital
     const hospitalsWithQueue = await Promise.all(
       hospitals.map(async (hospital) => {
+        const { startOfDay, endOfDay } = getDayRange(new Date(), hospital.timezone);
         const currentQueue = await Appointment.countDocuments({
           hospitalId: hospital._id,
-          appointmentDate: {
-            $gte: new Date().setHours(0, 0, 0, 0),
-            $lt: new Date().setHours(23, 59, 59, 999)
-          },
+          appointmentDate: { $gte: startOfDay, $lt: endOfDay },
           status: { $in: ['confirmed', 'in_progress'] }
         });
 
@@ -213,12 +213,10 @@ const getHospitalById = async (req, res) => {
     }
 
     // Get current queue count
+    const { startOfDay, endOfDay } = getDayRange(new Date(), hospital.timezone);
     const currentQueue = await Appointment.countDocuments({
       hospitalId: hospital._id,
-      appointmentDate: {
-        $gte: new Date().setHours(0, 0, 0, 0),
-        $lt: new Date().setHours(23, 59, 59, 999)
-      },
+      appointmentDate: { $gte: startOfDay, $lt: endOfDay },
       status: { $in: ['confirmed', 'in_progress'] }
     });
 
@@ -233,11 +231,8 @@ const getHospitalById = async (req, res) => {
     });
 
     // Get doctors in this hospital
-    const doctors = await User.find({
-      hospitalId: hospital._id,
-      role: 'doctor',
-      isActive: true
-    }).select('firstName lastName doctorInfo profileImage');
+    const doctors = await User.find(User.verifiedDoctorQuery({ hospitalId: hospital._id }))
+      .select('firstName lastName doctorInfo profileImage');
 
     // Get average rating from appointments/ratings
     const ratingStats = await Appointment.aggregate([
@@ -303,6 +298,18 @@ const updateHospital = async (req, res) => {
     delete updates.approvedAt;
     delete updates.stats;
 
+    const previous = await Hospital.findById(hospitalId).select('security');
+    const turnsOnTwoFactor = updates.security?.requireTwoFactor === true &&
+      !previous?.security?.requireTwoFactor;
+
+    // Otherwise the admin would be signed out by their own change
+    if (turnsOnTwoFactor && req.user.role === 'hospital_admin' && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for staff'
+      });
+    }
+
     const hospital = await Hospital.findByIdAndUpdate(
       hospitalId,
       updates,
@@ -316,6 +323,11 @@ const updateHospital = async (req, res) => {
       });
     }
 
+    // Staff without two-factor authentication are signed out and set it up at their next login
+    if (turnsOnTwoFactor) {
+      await enforceHospitalTwoFactor(hospital._id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Hospital updated successfully',
@@ -336,9 +348,7 @@ const updateHospital = async (req, res) => {
 const getHospitalDashboard = async (req, res) => {
   try {
     const { hospitalId } = req.params;
-    const today = new Date();
-    const startOfDay = new Date(today.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(today.setHours(23, 59, 59, 999));
+    const { startOfDay, endOfDay } = getDayRange(new Date(), await getHospitalTimeZone(hospitalId));
 
     // Get today's appointments summary
     const appointmentsSummary = await Appointment.aggregate([
@@ -645,14 +655,21 @@ const searchHospitals = async (req, res) => {
     pipeline.push({
       $lookup: {
         from: 'appointments',
-        let: { hospitalId: '$_id' },
+        let: { hospitalId: '$_id', timezone: { $ifNull: ['$timezone', DEFAULT_TIMEZONE] } },
         pipeline: [
           {
             $match: {
-              $expr: { $eq: ['$hospitalId', '$$hospitalId'] },
-              appointmentDate: {
-                $gte: new Date().setHours(0, 0, 0, 0),
-                $lt: new Date().setHours(23, 59, 59, 999)
+              // Today is compared in each hospital's own timezone
+              $expr: {
+                $and: [
+                  { $eq: ['$hospitalId', '$$hospitalId'] },
+                  {
+                    $eq: [
+                      { $dateToString: { format: '%Y-%m-%d', date: '$appointmentDate', timezone: '$$timezone' } },
+                      { $dateToString: { format: '%Y-%m-%d', date: new Date(), timezone: '$$timezone' } }
+                    ]
+                  }
+                ]
               },
               status: { $in: ['confirmed', 'in_progress'] }
             }
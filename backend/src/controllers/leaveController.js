@@ -0,0 +1,425 @@
+/**
+ * Leave Controller
+ * Handles doctor leave calendars, hospital holidays and the appointments they affect
+ */
+
+const { validationResult } = require('express-validator');
+const Leave = require('../models/Leave');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { getDoctorSlotsForDate } = require('../utils/slotAvailability');
+const { getDayKey, getDayRange, getHospitalTimeZone } = require('../utils/timezone');
+const { notifyAppointmentPatient, formatAppointmentDate, saveNotification } = require('../utils/notifications');
+const { publishBoardUpdate } = require('../utils/queueUpdates');
+const { managesHospital } = require('../utils/permissions');
+
+// Get the hospital ID of the logged-in user (may be populated)
+const getUserHospitalId = (user) => {
+  return user.hospitalId?._id || user.hospitalId;
+};
+
+// Check whether the user may manage a leave entry
+const canManageLeave = (user, leave) => {
+  if (user.role === 'super_admin') return true;
+  if (managesHospital(user)) {
+    return leave.hospitalId.toString() === getUserHospitalId(user)?.toString();
+  }
+  if (user.role === 'doctor') {
+    return leave.type === 'leave' && leave.doctorId?.toString() === user._id.toString();
+  }
+  return false;
+};
+
+// Find confirmed appointments that fall inside a leave or holiday
+const findAffectedAppointments = (leave) => {
+  const query = {
+    status: 'confirmed',
+    appointmentDate: { $gte: leave.startDate, $lte: leave.endDate }
+  };
+
+  if (leave.type === 'holiday') {
+    query.hospitalId = leave.hospitalId;
+  } else {
+    query.doctorId = leave.doctorId;
+  }
+
+  return Appointment.find(query)
+    .populate('patientId', 'firstName lastName phone')
+    .populate('doctorId', 'firstName lastName')
+    .sort({ appointmentDate: 1, appointmentTime: 1 });
+};
+
+// Emit the existing appointment socket events for an appointment
+const emitAppointmentEvent = (io, event, appointment, message) => {
+  if (!io) return;
+
+  const hospitalId = appointment.hospitalId._id || appointment.hospitalId;
+  const doctorId = appointment.doctorId._id || appointment.doctorId;
+  const patientId = appointment.patientId._id || appointment.patientId;
+  const payload = event === 'appointment-cancelled'
+    ? { appointmentId: appointment._id, message }
+    : { appointment, message };
+
+  io.to(`hospital-${hospitalId}`).emit(event, payload);
+  io.to(`doctor-${doctorId}`).emit(event, payload);
+  io.to(`patient-${patientId}`).emit(event, payload);
+  io.to(`hospital-${hospitalId}`).emit('queue-updated', {
+    message: 'Queue updated',
+    appointmentId: appointment._id
+  });
+  publishBoardUpdate(io, hospitalId, doctorId);
+};
+
+// Get leaves and holidays
+const getLeaves = async (req, res) => {
+  try {
+    const { doctorId, from, to } = req.query;
+    const user = req.user;
+
+    const query = { isActive: true };
+
+    if (user.role === 'doctor') {
+      query.$or = [
+        { type: 'leave', doctorId: user._id },
+        { type: 'holiday', hospitalId: getUserHospitalId(user) }
+      ];
+    } else if (managesHospital(user)) {
+      query.hospitalId = getUserHospitalId(user);
+      if (doctorId) query.doctorId = doctorId;
+    } else {
+      if (req.query.hospitalId) query.hospitalId = req.query.hospitalId;
+      if (doctorId) query.doctorId = doctorId;
+    }
+
+    const timeZone = await getHospitalTimeZone(query.hospitalId || getUserHospitalId(user));
+    if (from) query.endDate = { $gte: getDayRange(from, timeZone).startOfDay };
+    if (to) query.startDate = { $lte: getDayRange(to, timeZone).endOfDay };
+
+    const leaves = await Leave.find(query)
+      .populate('doctorId', 'firstName lastName doctorInfo.specialization')
+      .populate('createdBy', 'firstName lastName role')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { leaves }
+    });
+
+  } catch (error) {
+    console.error('Get leaves error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leaves',
+      error: error.message
+    });
+  }
+};
+
+// Create a doctor leave or a hospital-wide holiday
+const createLeave = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId, startDate, endDate, reason } = req.body;
+    const user = req.user;
+
+    let leaveData;
+
+    if (user.role === 'doctor') {
+      // Doctors can only add leave for themselves
+      leaveData = {
+        type: 'leave',
+        doctorId: user._id,
+        hospitalId: getUserHospitalId(user)
+      };
+    } else if (doctorId) {
+      const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+
+      if (managesHospital(user) &&
+          doctor.hospitalId.toString() !== getUserHospitalId(user)?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage doctors in your hospital'
+        });
+      }
+
+      leaveData = { type: 'leave', doctorId: doctor._id, hospitalId: doctor.hospitalId };
+    } else {
+      const hospitalId = user.role === 'super_admin' ? req.body.hospitalId : getUserHospitalId(user);
+      if (!hospitalId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Hospital ID is required for a holiday'
+        });
+      }
+
+      leaveData = { type: 'holiday', doctorId: null, hospitalId };
+    }
+
+    const timeZone = await getHospitalTimeZone(leaveData.hospitalId);
+    const leave = await Leave.create({
+      ...leaveData,
+      startDate: getDayRange(startDate, timeZone).startOfDay,
+      endDate: getDayRange(endDate, timeZone).endOfDay,
+      reason,
+      createdBy: user._id
+    });
+
+    const affectedAppointments = await findAffectedAppointments(leave);
+
+    res.status(201).json({
+      success: true,
+      message: leave.type === 'holiday' ? 'Hospital holiday added successfully' : 'Leave added successfully',
+      data: { leave, affectedAppointments }
+    });
+
+  } catch (error) {
+    console.error('Create leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add leave',
+      error: error.message
+    });
+  }
+};
+
+// Remove a leave or holiday
+const deleteLeave = async (req, res) => {
+  try {
+    const { leaveId } = req.params;
+
+    const leave = await Leave.findById(leaveId);
+    if (!leave || !leave.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave not found'
+      });
+    }
+
+    if (!canManageLeave(req.user, leave)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage this leave'
+      });
+    }
+
+    // Deactivate instead of delete to keep the history
+    leave.isActive = false;
+    await leave.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove leave',
+      error: error.message
+    });
+  }
+};
+
+// List confirmed appointments that fall on a leave or holiday
+const getAffectedAppointments = async (req, res) => {
+  try {
+    const { leaveId } = req.params;
+
+    const leave = await Leave.findById(leaveId);
+    if (!leave || !leave.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave not found'
+      });
+    }
+
+    if (!canManageLeave(req.user, leave)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage this leave'
+      });
+    }
+
+    const appointments = await findAffectedAppointments(leave);
+
+    res.status(200).json({
+      success: true,
+      data: { leave, appointments }
+    });
+
+  } catch (error) {
+    console.error('Get affected appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get affected appointments',
+      error: error.message
+    });
+  }
+};
+
+// Bulk cancel or reschedule appointments affected by a leave or holiday
+const resolveAffectedAppointments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { leaveId } = req.params;
+    const { action, appointmentIds, newDate, reason } = req.body;
+
+    const leave = await Leave.findById(leaveId);
+    if (!leave || !leave.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave not found'
+      });
+    }
+
+    if (!canManageLeave(req.user, leave)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage this leave'
+      });
+    }
+
+    let appointments = await findAffectedAppointments(leave);
+    if (Array.isArray(appointmentIds) && appointmentIds.length > 0) {
+      appointments = appointments.filter(apt => appointmentIds.includes(apt._id.toString()));
+    }
+
+    const updated = [];
+    const failed = [];
+
+    if (action === 'cancel') {
+      const cancellationReason = reason || (leave.type === 'holiday'
+        ? `Hospital closed${leave.reason ? `: ${leave.reason}` : ''}`
+        : 'Doctor on leave');
+
+      for (const appointment of appointments) {
+        await appointment.updateStatus('cancelled', {
+          reason: cancellationReason,
+          cancelledBy: 'hospital'
+        });
+        emitAppointmentEvent(req.io, 'appointment-cancelled', appointment, 'Appointment cancelled by hospital');
+        await notifyAppointmentPatient('appointment_cancelled', appointment, { reason: cancellationReason });
+        await saveNotification({
+          userIds: [appointment.doctorId],
+          hospitalId: appointment.hospitalId,
+          exclude: req.user._id
+        }, {
+          type: 'appointment-cancelled',
+          title: 'Appointment cancelled',
+          message: `${appointment.patientId?.firstName} ${appointment.patientId?.lastName}'s ${appointment.appointmentTime} appointment was cancelled: ${cancellationReason}`,
+          data: { appointmentId: appointment._id }
+        });
+        updated.push(appointment._id);
+      }
+    } else {
+      // Reschedule each appointment into the first free slot with the same doctor on the new date
+      const doctorCache = {};
+      const timeZone = await getHospitalTimeZone(leave.hospitalId);
+      const { startOfDay: newDay, dayKey: newDayKey } = getDayRange(newDate, timeZone);
+
+      if (newDayKey < getDayKey(new Date(), timeZone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'New date cannot be in the past'
+        });
+      }
+      const rescheduleReason = leave.type === 'holiday' ? 'Hospital holiday' : 'Doctor on leave';
+
+      for (const appointment of appointments) {
+        const doctorId = (appointment.doctorId._id || appointment.doctorId).toString();
+        if (!doctorCache[doctorId]) {
+          doctorCache[doctorId] = await User.findById(doctorId).select('hospitalId doctorInfo');
+        }
+
+        const { slots } = await getDoctorSlotsForDate(doctorCache[doctorId], newDate);
+        const freeSlots = slots.filter(slot => slot.status === 'free');
+
+        const previousDate = formatAppointmentDate(appointment.appointmentDate, timeZone);
+        const previousTime = appointment.appointmentTime;
+
+        let moved = false;
+        for (const slot of freeSlots) {
+          try {
+            await appointment.moveTo(newDay, slot.time, {
+              rescheduledBy: req.user._id,
+              rescheduledByRole: 'hospital',
+              reason: rescheduleReason
+            });
+            moved = true;
+            break;
+          } catch (error) {
+            // Slot taken by an earlier appointment in this batch or a concurrent booking
+            if (error.code !== 11000) throw error;
+          }
+        }
+
+        if (moved) {
+          emitAppointmentEvent(req.io, 'appointment-updated', appointment, 'Appointment rescheduled by hospital');
+          await notifyAppointmentPatient('appointment_rescheduled', appointment, {
+            previousDate,
+            previousTime,
+            reason: rescheduleReason
+          });
+          await saveNotification({
+            userIds: [appointment.doctorId],
+            hospitalId: appointment.hospitalId,
+            exclude: req.user._id
+          }, {
+            type: 'appointment-updated',
+            title: 'Appointment rescheduled',
+            message: `${appointment.patientId?.firstName} ${appointment.patientId?.lastName}'s appointment on ${previousDate} at ${previousTime} was moved to ${formatAppointmentDate(appointment.appointmentDate, timeZone)} at ${appointment.appointmentTime}: ${rescheduleReason}`,
+            data: { appointmentId: appointment._id }
+          });
+          updated.push(appointment._id);
+        } else {
+          failed.push({ appointmentId: appointment._id, reason: 'No free slot on the new date' });
+        }
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${updated.length} appointment(s) ${action === 'cancel' ? 'cancelled' : 'rescheduled'}`,
+      data: { updated, failed }
+    });
+
+  } catch (error) {
+    console.error('Resolve affected appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update affected appointments',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getLeaves,
+  createLeave,
+  deleteLeave,
+  getAffectedAppointments,
+  resolveAffectedAppointments
+};
@@ -0,0 +1,126 @@
+/**
+ * Notification Controller
+ * Lists the logged-in user's notifications and marks them read
+ */
+
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+
+// Get the user's notifications, newest first, with the unread count
+const getNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const query = { userId: req.user._id };
+    if (unread === 'true') query.readAt = null;
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId: req.user._id, readAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: error.message
+    });
+  }
+};
+
+// Mark one notification read
+const markNotificationRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, userId: req.user._id },
+      [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: error.message
+    });
+  }
+};
+
+// Mark all of the user's notifications read
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${modifiedCount} notification(s) marked as read`,
+      data: { updatedCount: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -8,6 +8,7 @@ const Rating = require('../models/Rating');
 const Appointment = require('../models/Appointment');
 const Hospital = require('../models/Hospital');
 const User = require('../models/User');
+const { managesHospital } = require('../utils/permissions');
 
 // Submit rating for completed appointment
 const submitRating = async (req, res) => {
@@ -369,6 +370,117 @@ const updateRating = async (req, res) => {
   }
 };
 
+// Get a hospital's written reviews for moderation, hidden ones included
+const getReviewsForModeration = async (req, res) => {
+  try {
+    const { hospitalId } = req.params;
+    const { flagged, page = 1, limit = 20 } = req.query;
+
+    const query = {
+      hospitalId: hospitalId,
+      $or: [
+        { 'feedback.hospitalFeedback': { $exists: true, $ne: '' } },
+        { 'feedback.doctorFeedback': { $exists: true, $ne: '' } }
+      ]
+    };
+    if (flagged !== undefined) {
+      query.isFlagged = flagged === 'true';
+    }
+
+    const skip = (page - 1) * limit;
+    const [reviews, total] = await Promise.all([
+      Rating.find(query)
+        .populate('patientId', 'firstName lastName')
+        .populate('doctorId', 'firstName lastName')
+        .populate('moderatedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Rating.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews for moderation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reviews',
+      error: error.message
+    });
+  }
+};
+
+// Hide a review from the public and from the rating averages, or restore it
+const moderateRating = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { ratingId } = req.params;
+    const { isFlagged, flagReason } = req.body;
+
+    const rating = await Rating.findById(ratingId);
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rating not found'
+      });
+    }
+
+    if (managesHospital(req.user)) {
+      const userHospitalId = req.user.hospitalId?._id || req.user.hospitalId;
+      if (rating.hospitalId.toString() !== userHospitalId?.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only moderate reviews of your hospital'
+        });
+      }
+    }
+
+    rating.isFlagged = isFlagged;
+    rating.flagReason = isFlagged ? flagReason : undefined;
+    rating.moderatedBy = req.user._id;
+    rating.moderatedAt = new Date();
+    await rating.save();
+
+    // Hidden reviews do not count towards the averages
+    await updateHospitalStats(rating.hospitalId);
+    await updateDoctorStats(rating.doctorId);
+
+    res.status(200).json({
+      success: true,
+      message: isFlagged ? 'Review hidden' : 'Review restored',
+      data: { rating }
+    });
+
+  } catch (error) {
+    console.error('Moderate rating error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate review',
+      error: error.message
+    });
+  }
+};
+
 // Helper function to update hospital statistics
 const updateHospitalStats = async (hospitalId) => {
   try {
@@ -411,5 +523,7 @@ module.exports = {
   getDoctorRatings,
   getPatientRatings,
   getEligibleAppointments,
-  updateRating
+  updateRating,
+  getReviewsForModeration,
+  moderateRating
 };
\ No newline at end of file
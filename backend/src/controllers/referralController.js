@@ -8,6 +8,16 @@ const Referral = require('../models/Referral');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
 const Appointment = require('../models/Appointment');
+const { notifyUser, saveNotification } = require('../utils/notifications');
+
+// Template data for a referral populated with both doctors and the receiving hospital
+const getReferralNotificationData = (referral) => ({
+  referralId: referral._id,
+  status: referral.status,
+  referringDoctorName: `${referral.referringDoctorId?.firstName} ${referral.referringDoctorId?.lastName}`,
+  referredToDoctorName: `${referral.referredToDoctorId?.firstName} ${referral.referredToDoctorId?.lastName}`,
+  referredToHospitalName: referral.referredToHospitalId?.name
+});
 
 // Create new referral
 const createReferral = async (req, res) => {
@@ -110,6 +120,14 @@ const createReferral = async (req, res) => {
       });
     }
 
+    await saveNotification({ userIds: [referredToDoctorId] }, {
+      type: 'new-referral',
+      title: 'New referral',
+      message: `Dr. ${referringDoctor.firstName} ${referringDoctor.lastName} referred ${patient.firstName} ${patient.lastName} to you`,
+      data: { referralId: referral._id }
+    });
+    await notifyUser(patientId, 'referral_update', getReferralNotificationData(populatedReferral));
+
     res.status(201).json({
       success: true,
       message: 'Referral created successfully',
@@ -300,7 +318,8 @@ const respondToReferral = async (req, res) => {
     const populatedReferral = await Referral.findById(referral._id)
       .populate('patientId', 'firstName lastName')
       .populate('referringDoctorId', 'firstName lastName')
-      .populate('referredToDoctorId', 'firstName lastName');
+      .populate('referredToDoctorId', 'firstName lastName')
+      .populate('referredToHospitalId', 'name');
 
     // Send notification to referring doctor
     if (req.io) {
@@ -310,6 +329,14 @@ const respondToReferral = async (req, res) => {
       });
     }
 
+    await saveNotification({ userIds: [referral.referringDoctorId] }, {
+      type: 'referral-response',
+      title: `Referral ${status}`,
+      message: `Dr. ${populatedReferral.referredToDoctorId.firstName} ${populatedReferral.referredToDoctorId.lastName} ${status} your referral of ${populatedReferral.patientId.firstName} ${populatedReferral.patientId.lastName}`,
+      data: { referralId: referral._id }
+    });
+    await notifyUser(referral.patientId, 'referral_update', getReferralNotificationData(populatedReferral));
+
     res.status(200).json({
       success: true,
       message: `Referral ${status} successfully`,
@@ -332,11 +359,9 @@ const getAvailableDoctors = async (req, res) => {
     const { specialty, hospitalId } = req.query;
     const currentDoctorId = req.user.userId;
 
-    let query = { 
-      role: 'doctor', 
-      isActive: true,
+    let query = User.verifiedDoctorQuery({
       _id: { $ne: currentDoctorId } // Exclude current doctor
-    };
+    });
 
     if (specialty) {
       query['doctorInfo.specialization'] = specialty;
@@ -0,0 +1,178 @@
+/**
+ * Scheduler Controller
+ * Lists the scheduler's job history and lets admins run jobs on demand
+ */
+
+const { validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { getJobDefinitions, triggerJob } = require('../utils/jobQueue');
+const { checkMissedAppointmentsNow } = require('../utils/appointmentScheduler');
+
+// Get job history, newest first
+const getJobs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, name, status } = req.query;
+
+    const query = {};
+    if (name) query.name = name;
+    if (status) query.status = status;
+
+    const jobs = await Job.find(query)
+      .populate('triggeredBy', 'firstName lastName role')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Job.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get jobs',
+      error: error.message
+    });
+  }
+};
+
+// Get the registered jobs with their latest run
+const getJobDefinitionList = async (req, res) => {
+  try {
+    const definitions = getJobDefinitions();
+
+    const latestRuns = await Job.aggregate([
+      { $match: { name: { $in: definitions.map(definition => definition.name) } } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$name',
+          status: { $first: '$status' },
+          startedAt: { $first: '$startedAt' },
+          finishedAt: { $first: '$finishedAt' },
+          lastError: { $first: '$lastError' }
+        }
+      }
+    ]);
+    const latestByName = new Map(latestRuns.map(run => [run._id, run]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        definitions: definitions.map(definition => {
+          const latest = latestByName.get(definition.name);
+          return {
+            ...definition,
+            lastRun: latest ? {
+              status: latest.status,
+              startedAt: latest.startedAt,
+              finishedAt: latest.finishedAt,
+              lastError: latest.lastError
+            } : null
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get job definitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job definitions',
+      error: error.message
+    });
+  }
+};
+
+// Run a job now and return its history entry
+const runJobNow = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const definition = getJobDefinitions().find(jobDefinition => jobDefinition.name === name);
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown job: ${name}`
+      });
+    }
+
+    // Jobs such as notifications need a payload and are only queued by the app
+    if (!definition.intervalMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: `Job ${name} is queued by the app and cannot be run on demand`
+      });
+    }
+
+    const job = await triggerJob(name, { triggeredBy: req.user._id });
+
+    res.status(200).json({
+      success: job.status === 'completed',
+      message: job.status === 'completed'
+        ? `Job ${name} completed`
+        : `Job ${name} ${job.status === 'pending' ? 'is queued' : 'failed'}`,
+      data: { job }
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+      error: error.message
+    });
+  }
+};
+
+// Manual check for missed appointments
+const checkMissed = async (req, res) => {
+  try {
+    const result = await checkMissedAppointmentsNow({ triggeredBy: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Missed appointments check completed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Manual missed appointments check error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to check missed appointments',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobDefinitionList,
+  runJobNow,
+  checkMissed
+};
@@ -0,0 +1,373 @@
+/**
+ * Staff Controller
+ * Handles a hospital's custom staff roles and the staff accounts that hold them
+ */
+
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const StaffRole = require('../models/StaffRole');
+const User = require('../models/User');
+const { PERMISSIONS, STAFF_PERMISSIONS } = require('../utils/permissions');
+const { revokeSessions } = require('../utils/sessions');
+
+// Get the hospital ID of the logged-in user (may be populated)
+const getUserHospitalId = (user) => {
+  return user.hospitalId?._id || user.hospitalId;
+};
+
+// Hospital admins manage their own hospital's staff; super admins any hospital's
+const canManageHospitalStaff = (user, hospitalId) => {
+  if (user.role === 'super_admin') return true;
+  return getUserHospitalId(user)?.toString() === hospitalId?.toString();
+};
+
+// List the permissions a staff role can be given
+const getStaffPermissions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: STAFF_PERMISSIONS.map(name => ({ name, description: PERMISSIONS[name] }))
+    }
+  });
+};
+
+// List a hospital's staff roles with how many active staff hold each
+const getStaffRoles = async (req, res) => {
+  try {
+    const { hospitalId } = req.params;
+
+    const [roles, counts] = await Promise.all([
+      StaffRole.find({ hospitalId, isActive: true }).sort({ name: 1 }),
+      User.aggregate([
+        { $match: { hospitalId: new mongoose.Types.ObjectId(hospitalId), role: 'staff', isActive: true } },
+        { $group: { _id: '$staffRoleId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const memberCounts = new Map(counts.map(({ _id, count }) => [_id?.toString(), count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({
+          ...role.toObject(),
+          memberCount: memberCounts.get(role._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get staff roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get staff roles',
+      error: error.message
+    });
+  }
+};
+
+// Create a staff role for a hospital
+const createStaffRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { hospitalId } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const existing = await StaffRole.findOne({ hospitalId, name });
+    if (existing?.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'A staff role with this name already exists'
+      });
+    }
+
+    // Reuse a retired role's name rather than failing on the unique index
+    const role = existing || new StaffRole({ hospitalId, name, createdBy: req.user._id });
+    role.set({ description, permissions: [...new Set(permissions)], isActive: true });
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff role created',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Create staff role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create staff role',
+      error: error.message
+    });
+  }
+};
+
+// Rename a staff role or change its permissions. Staff holding it are affected
+// on their next request, since permissions are looked up every time.
+const updateStaffRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roleId } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const role = await StaffRole.findOne({ _id: roleId, isActive: true });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff role not found'
+      });
+    }
+
+    if (!canManageHospitalStaff(req.user, role.hospitalId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage staff roles at your hospital'
+      });
+    }
+
+    if (name !== role.name && await StaffRole.exists({ hospitalId: role.hospitalId, name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A staff role with this name already exists'
+      });
+    }
+
+    role.set({ name, description, permissions: [...new Set(permissions)] });
+    await role.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff role updated',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Update staff role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update staff role',
+      error: error.message
+    });
+  }
+};
+
+// Retire a staff role that no active staff hold
+const deleteStaffRole = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+
+    const role = await StaffRole.findOne({ _id: roleId, isActive: true });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff role not found'
+      });
+    }
+
+    if (!canManageHospitalStaff(req.user, role.hospitalId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage staff roles at your hospital'
+      });
+    }
+
+    const memberCount = await User.countDocuments({ staffRoleId: role._id, role: 'staff', isActive: true });
+    if (memberCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Move the ${memberCount} staff member${memberCount === 1 ? '' : 's'} with this role to another role first`
+      });
+    }
+
+    role.isActive = false;
+    await role.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff role removed'
+    });
+  } catch (error) {
+    console.error('Delete staff role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove staff role',
+      error: error.message
+    });
+  }
+};
+
+// List a hospital's staff accounts
+const getStaffMembers = async (req, res) => {
+  try {
+    const { hospitalId } = req.params;
+
+    const members = await User.find({ hospitalId, role: 'staff' })
+      .select('firstName lastName email phone staffRoleId isActive lastLogin createdAt')
+      .populate('staffRoleId', 'name')
+      .sort({ isActive: -1, firstName: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { members }
+    });
+  } catch (error) {
+    console.error('Get staff members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get staff',
+      error: error.message
+    });
+  }
+};
+
+// Create a staff account at a hospital
+const createStaffMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { hospitalId } = req.params;
+    const { firstName, lastName, email, phone, password, staffRoleId } = req.body;
+
+    const role = await StaffRole.findOne({ _id: staffRoleId, hospitalId, isActive: true });
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff role not found at this hospital'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
+
+    // The hospital vouches for the address, as for doctors it adds
+    const member = await User.create({
+      firstName,
+      lastName,
+      email,
+      phone,
+      password,
+      role: 'staff',
+      hospitalId,
+      staffRoleId: role._id,
+      isActive: true,
+      isVerified: true
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff member added',
+      data: { member: member.getPublicProfile() }
+    });
+  } catch (error) {
+    console.error('Create staff member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add staff member',
+      error: error.message
+    });
+  }
+};
+
+// Change a staff member's role, or deactivate and reactivate their account
+const updateStaffMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { staffRoleId, isActive } = req.body;
+
+    const member = await User.findOne({ _id: userId, role: 'staff' });
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    if (!canManageHospitalStaff(req.user, member.hospitalId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage staff at your hospital'
+      });
+    }
+
+    if (staffRoleId) {
+      const role = await StaffRole.findOne({ _id: staffRoleId, hospitalId: member.hospitalId, isActive: true });
+      if (!role) {
+        return res.status(400).json({
+          success: false,
+          message: 'Staff role not found at this hospital'
+        });
+      }
+      member.staffRoleId = role._id;
+    }
+
+    if (isActive !== undefined) {
+      member.isActive = isActive;
+    }
+
+    await member.save();
+
+    // A deactivated account is signed out everywhere straight away
+    if (isActive === false) {
+      await revokeSessions({ userId: member._id }, 'revoked');
+    }
+
+    await member.populate('staffRoleId', 'name');
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff member updated',
+      data: { member: member.getPublicProfile() }
+    });
+  } catch (error) {
+    console.error('Update staff member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update staff member',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStaffPermissions,
+  getStaffRoles,
+  createStaffRole,
+  updateStaffRole,
+  deleteStaffRole,
+  getStaffMembers,
+  createStaffMember,
+  updateStaffMember
+};
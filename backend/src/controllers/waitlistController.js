@@ -0,0 +1,419 @@
+/**
+ * Waitlist Controller
+ * Handles joining a doctor's waitlist and confirming or declining freed slot offers
+ */
+
+const { validationResult } = require('express-validator');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { publishQueueUpdate } = require('../utils/queueUpdates');
+const { hasSlotStarted, passOfferOn } = require('../utils/waitlist');
+const { getDayRange, getHospitalTimeZone } = require('../utils/timezone');
+const { getBookingRestriction } = require('../utils/noShowPolicy');
+const { notifyAppointmentPatient, saveNotification } = require('../utils/notifications');
+const { managesHospital } = require('../utils/permissions');
+
+// Get the hospital ID of the logged-in user (may be populated)
+const getUserHospitalId = (user) => {
+  return user.hospitalId?._id || user.hospitalId;
+};
+
+// Find a waitlist entry owned by the logged-in patient
+const findOwnEntry = async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.entryId);
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found'
+    });
+    return null;
+  }
+
+  if (entry.patientId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only manage your own waitlist entries'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// Join a doctor's waitlist for a day
+const joinWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { hospitalId, doctorId, appointmentDate, patientDetails = {} } = req.body;
+
+    const doctor = await User.findOne(User.verifiedDoctorQuery({ _id: doctorId, hospitalId }));
+
+    if (!doctor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor not found in the specified hospital'
+      });
+    }
+
+    const restriction = await getBookingRestriction(req.user, hospitalId);
+    if (restriction?.restriction === 'block_online_booking') {
+      return res.status(403).json({
+        success: false,
+        message: restriction.message,
+        data: { reason: 'no_show_limit' }
+      });
+    }
+
+    const { startOfDay, endOfDay } = getDayRange(appointmentDate, await getHospitalTimeZone(hospitalId));
+
+    const [existingEntry, existingAppointment] = await Promise.all([
+      WaitlistEntry.findOne({
+        patientId: req.user._id,
+        doctorId,
+        appointmentDate: startOfDay,
+        status: { $in: ['waiting', 'offered'] }
+      }),
+      Appointment.findOne({
+        patientId: req.user._id,
+        doctorId,
+        appointmentDate: { $gte: startOfDay, $lt: endOfDay },
+        status: { $in: ['confirmed', 'in_progress'] }
+      })
+    ]);
+
+    if (existingEntry) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on this doctor\'s waitlist for this date'
+      });
+    }
+
+    if (existingAppointment) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have an appointment with this doctor at ${existingAppointment.appointmentTime} on this date`
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patientId: req.user._id,
+      hospitalId,
+      doctorId,
+      appointmentDate: startOfDay,
+      patientDetails: {
+        symptoms: patientDetails.symptoms || '',
+        urgency: patientDetails.urgency || 'medium',
+        notes: patientDetails.notes || ''
+      }
+    });
+
+    const position = await WaitlistEntry.getPosition(entry);
+
+    res.status(201).json({
+      success: true,
+      message: 'You have joined the waitlist. We will notify you when a slot frees up.',
+      data: { entry, position }
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist',
+      error: error.message
+    });
+  }
+};
+
+// Get the logged-in patient's open waitlist entries
+const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      patientId: req.user._id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+      .populate('doctorId', 'firstName lastName doctorInfo.specialization')
+      .populate('hospitalId', 'name')
+      .sort({ appointmentDate: 1, createdAt: 1 });
+
+    const entriesWithPosition = await Promise.all(entries.map(async (entry) => ({
+      ...entry.toJSON(),
+      position: entry.status === 'waiting' ? await WaitlistEntry.getPosition(entry) : null
+    })));
+
+    res.status(200).json({
+      success: true,
+      data: { entries: entriesWithPosition }
+    });
+
+  } catch (error) {
+    console.error('Get patient waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get waitlist',
+      error: error.message
+    });
+  }
+};
+
+// Get the waitlist for a doctor and day (doctor, hospital admin or staff)
+const getWaitlist = async (req, res) => {
+  try {
+    const { date = new Date() } = req.query;
+    const doctorId = req.user.role === 'doctor' ? req.user._id : req.query.doctorId;
+
+    const { startOfDay } = getDayRange(date, await getHospitalTimeZone(getUserHospitalId(req.user)));
+
+    const query = {
+      appointmentDate: startOfDay,
+      status: { $in: ['waiting', 'offered'] }
+    };
+
+    if (doctorId) {
+      query.doctorId = doctorId;
+    }
+    if (managesHospital(req.user)) {
+      query.hospitalId = getUserHospitalId(req.user);
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('patientId', 'firstName lastName phone')
+      .populate('doctorId', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { entries }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get waitlist',
+      error: error.message
+    });
+  }
+};
+
+// Leave the waitlist, releasing any slot currently held
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This waitlist entry is already closed'
+      });
+    }
+
+    const hadOffer = entry.isOfferActive;
+    entry.status = 'cancelled';
+    entry.closedAt = new Date();
+    await entry.save();
+
+    if (hadOffer) {
+      await passOfferOn(req.io, entry);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: error.message
+    });
+  }
+};
+
+// Confirm a held slot and book it as an appointment
+const confirmOffer = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no slot on offer for this waitlist entry'
+      });
+    }
+
+    // A slot that started while the offer was open can no longer be booked;
+    // the patient stays on the waitlist for a later one
+    const timeZone = await getHospitalTimeZone(entry.hospitalId);
+    if (hasSlotStarted(entry.appointmentDate, entry.offer.appointmentTime, timeZone)) {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'offered' },
+        { $set: { status: 'waiting' }, $unset: { offer: 1 } }
+      );
+
+      return res.status(400).json({
+        success: false,
+        message: 'This slot has already started. You are still on the waitlist.'
+      });
+    }
+
+    // Claim the offer atomically so a confirm never races the expiry sweep
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+      { $set: { status: 'booked', closedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer has expired'
+      });
+    }
+
+    const [doctor, restriction] = await Promise.all([
+      User.findById(claimed.doctorId).select('doctorInfo.consultationFee'),
+      getBookingRestriction(req.user, claimed.hospitalId)
+    ]);
+
+    // The hold kept the slot free and it has not started, so the booking rules are not applied again
+    let appointment;
+    try {
+      appointment = await Appointment.create({
+        patientId: claimed.patientId,
+        hospitalId: claimed.hospitalId,
+        doctorId: claimed.doctorId,
+        appointmentDate: claimed.appointmentDate,
+        appointmentTime: claimed.offer.appointmentTime,
+        patientDetails: claimed.patientDetails,
+        consultationFee: doctor?.doctorInfo?.consultationFee || 500,
+        prepaymentRequired: restriction?.restriction === 'require_prepayment'
+      });
+    } catch (error) {
+      // Return the patient to the waitlist if the slot could not be booked
+      claimed.status = 'waiting';
+      claimed.offer = undefined;
+      claimed.closedAt = undefined;
+      await claimed.save();
+
+      if (error.code === 11000 && error.keyPattern?.slotKey) {
+        return res.status(400).json({
+          success: false,
+          message: 'This slot is no longer available. You are still on the waitlist.'
+        });
+      }
+      throw error;
+    }
+
+    claimed.appointmentId = appointment._id;
+    await claimed.save();
+
+    await appointment.calculateWaitTime();
+
+    const populatedAppointment = await Appointment.findById(appointment._id)
+      .populate('hospitalId', 'name address phone')
+      .populate('doctorId', 'firstName lastName doctorInfo')
+      .populate('patientId', 'firstName lastName phone');
+
+    if (req.io) {
+      req.io.to(`hospital-${claimed.hospitalId}`).emit('new-appointment', {
+        appointment: populatedAppointment,
+        message: 'Waitlisted patient booked a freed slot'
+      });
+      req.io.to(`doctor-${claimed.doctorId}`).emit('new-appointment', {
+        appointment: populatedAppointment,
+        message: 'New appointment in your queue'
+      });
+    } else {
+      console.warn('Socket.IO not available for waitlist booking events');
+    }
+
+    await publishQueueUpdate(req.io, {
+      doctorId: claimed.doctorId,
+      hospitalId: claimed.hospitalId,
+      date: claimed.appointmentDate,
+      appointmentId: appointment._id
+    });
+
+    await saveNotification({ userIds: [claimed.doctorId], hospitalId: claimed.hospitalId }, {
+      type: 'new-appointment',
+      title: 'Waitlist slot booked',
+      message: `${populatedAppointment.patientId.firstName} ${populatedAppointment.patientId.lastName} booked the freed ${appointment.appointmentTime} slot (token #${appointment.tokenNumber})`,
+      data: { appointmentId: appointment._id }
+    });
+    await notifyAppointmentPatient('booking_confirmation', appointment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked from the waitlist',
+      data: { appointment: populatedAppointment }
+    });
+
+  } catch (error) {
+    console.error('Confirm waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm waitlist offer',
+      error: error.message
+    });
+  }
+};
+
+// Decline a held slot and stay on the waitlist for a later one
+const declineOffer = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no slot on offer for this waitlist entry'
+      });
+    }
+
+    const declined = entry.toObject();
+    entry.status = 'waiting';
+    entry.offer = undefined;
+    await entry.save();
+
+    await passOfferOn(req.io, declined);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined. You are still on the waitlist.',
+      data: { entry }
+    });
+
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline waitlist offer',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  getWaitlist,
+  leaveWaitlist,
+  confirmOffer,
+  declineOffer
+};
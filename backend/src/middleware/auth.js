@@ -1,10 +1,12 @@
 /**
  * Authentication Middleware
- * JWT token verification and role-based access control
+ * JWT token verification and permission-based access control
  */
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { managesHospital, getUserPermissions, canViewHospitalRecords } = require('../utils/permissions');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -39,8 +41,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // The session must still be signed in (not logged out or revoked)
+    const session = decoded.sid && await Session.findActive(decoded.sid, user._id);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired'
+      });
+    }
+
     // Add user to request object
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -64,28 +76,44 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Role-based authorization
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
+// Permission-based authorization: the user needs at least one of the permissions.
+// The user's permissions are left on req.permissions for finer checks in handlers.
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+      }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+      if (!permissions.some(permission => req.permissions.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Required permission: ${permissions.join(' or ')}`,
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
         success: false,
-        message: `Access denied. Required roles: ${roles.join(', ')}`
+        message: 'Authorization error'
       });
     }
-
-    next();
   };
 };
 
-// Hospital-specific authorization (for hospital admins and doctors)
+// Hospital-specific authorization (for hospital admins, staff and doctors).
+// Scopes the user to their own hospital; admins and staff also need a permission,
+// either from a requirePermission check earlier in the route or appointments:view.
 const authorizeHospital = async (req, res, next) => {
   try {
     const { hospitalId } = req.params;
@@ -96,10 +124,16 @@ const authorizeHospital = async (req, res, next) => {
       return next();
     }
 
-    // Hospital admin and doctors can only access their own hospital
-    if ((user.role === 'hospital_admin' || user.role === 'doctor') && 
-        user.hospitalId.toString() === hospitalId) {
-      return next();
+    if (user.hospitalId?.toString() === hospitalId) {
+      // Doctors can access their own hospital
+      if (user.role === 'doctor') {
+        return next();
+      }
+
+      // requirePermission leaves req.permissions behind only once it has passed
+      if (managesHospital(user) && (req.permissions || await canViewHospitalRecords(user))) {
+        return next();
+      }
     }
 
     return res.status(403).json({
@@ -121,15 +155,15 @@ const authorizeDoctor = async (req, res, next) => {
     const { doctorId } = req.params;
     const user = req.user;
 
-    // Super admin and hospital admin can access any doctor in their hospital
+    // Super admin can access any doctor
     if (user.role === 'super_admin') {
       return next();
     }
 
-    if (user.role === 'hospital_admin') {
-      // Check if doctor belongs to the same hospital
+    // Hospital admins and staff who can view appointments can access any doctor in their hospital
+    if (await canViewHospitalRecords(user, req.permissions)) {
       const doctor = await User.findById(doctorId);
-      if (doctor && doctor.hospitalId.toString() === user.hospitalId.toString()) {
+      if (doctor && doctor.hospitalId?.toString() === user.hospitalId?.toString()) {
         return next();
       }
     }
@@ -153,7 +187,7 @@ const authorizeDoctor = async (req, res, next) => {
 };
 
 // Patient-specific authorization (patients can only access their own data)
-const authorizePatient = (req, res, next) => {
+const authorizePatient = async (req, res, next) => {
   try {
     const { patientId } = req.params;
     const user = req.user;
@@ -163,8 +197,9 @@ const authorizePatient = (req, res, next) => {
       return next();
     }
 
-    // Hospital admin and doctors can access patients in their hospital context
-    if (user.role === 'hospital_admin' || user.role === 'doctor') {
+    // Doctors, and hospital admins and staff who can view appointments, can access
+    // patients in their hospital context
+    if (user.role === 'doctor' || await canViewHospitalRecords(user, req.permissions)) {
       return next();
     }
 
@@ -186,6 +221,22 @@ const authorizePatient = (req, res, next) => {
   }
 };
 
+// Roles that must verify their email before sensitive actions
+const VERIFIED_ROLES = ['doctor', 'hospital_admin', 'staff'];
+
+// Email verification check (for doctors, hospital admins and staff)
+const requireVerified = (req, res, next) => {
+  if (req.user && VERIFIED_ROLES.includes(req.user.role) && !req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before doing this',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
 // Optional authentication (for public endpoints that can benefit from user context)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -196,8 +247,12 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
+      const session = user && user.isActive && decoded.sid &&
+        await Session.findActive(decoded.sid, user._id);
+
+      if (session) {
         req.user = user;
+        req.sessionId = session._id;
       }
     }
     
@@ -210,9 +265,10 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  authorize,
+  requirePermission,
   authorizeHospital,
   authorizeDoctor,
   authorizePatient,
+  requireVerified,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Socket.IO Authentication Middleware
+ * JWT verification for socket handshakes and authorization for room joins
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Appointment = require('../models/Appointment');
+const EmergencyCall = require('../models/EmergencyCall');
+const { canViewHospitalRecords, canViewAppointment } = require('../utils/permissions');
+
+// Verify the JWT sent in the handshake (`auth: { token }`).
+// Sockets without a token connect anonymously and may only join public rooms.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      socket.data.user = null;
+      return next();
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user) {
+      return next(new Error('Invalid token - user not found'));
+    }
+
+    if (!user.isActive) {
+      return next(new Error('Account is deactivated'));
+    }
+
+    const session = decoded.sid && await Session.findActive(decoded.sid, user._id);
+    if (!session) {
+      return next(new Error('Session expired'));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = session._id;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token'));
+    }
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token expired'));
+    }
+
+    console.error('Socket auth error:', error);
+    next(new Error('Authentication error'));
+  }
+};
+
+const isSameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// Hospital room: the hospital's doctors, and its admins and staff who can view appointments
+const canJoinHospital = async (user, hospitalId) => {
+  if (user.role === 'super_admin') return true;
+  if (!isSameId(user.hospitalId, hospitalId)) return false;
+
+  return user.role === 'doctor' || canViewHospitalRecords(user);
+};
+
+// Doctor room: same rules as authorizeDoctor
+const canJoinDoctor = async (user, doctorId) => {
+  if (user.role === 'super_admin') return true;
+
+  if (await canViewHospitalRecords(user)) {
+    const doctor = await User.findById(doctorId).select('hospitalId');
+    return Boolean(doctor) && isSameId(doctor.hospitalId, user.hospitalId);
+  }
+
+  return user.role === 'doctor' && isSameId(user._id, doctorId);
+};
+
+// Patient room: the patient's own notifications
+const canJoinPatient = (user, patientId) => {
+  return user.role === 'super_admin' || isSameId(user._id, patientId);
+};
+
+// Appointment room: the appointment's patient and doctor, and its hospital's admins
+// and staff who can view appointments
+const canJoinAppointment = async (user, appointmentId) => {
+  if (user.role === 'super_admin') return true;
+
+  const appointment = await Appointment.findById(appointmentId).select('patientId doctorId hospitalId');
+  return Boolean(appointment) && canViewAppointment(user, appointment);
+};
+
+// Emergency call room: the calling patient and the doctor who accepted
+const canJoinEmergencyCall = async (user, callId) => {
+  const call = await EmergencyCall.findOne({ callId }).select('patientId doctorId');
+  if (!call) return false;
+
+  return isSameId(call.patientId, user._id) || isSameId(call.doctorId, user._id);
+};
+
+// Rooms a socket can ask to join, by room name prefix.
+// `idType` is checked before the rule runs; `public` rooms need no login.
+const ROOM_RULES = {
+  hospital: { idType: 'objectId', authorize: canJoinHospital },
+  doctor: { idType: 'objectId', authorize: canJoinDoctor },
+  patient: { idType: 'objectId', authorize: canJoinPatient },
+  appointment: { idType: 'objectId', authorize: canJoinAppointment },
+  emergency: { idType: 'string', authorize: canJoinEmergencyCall },
+  board: { idType: 'objectId', public: true }
+};
+
+/**
+ * Check whether a socket's user may join a room
+ * @param {Object|null} user - Authenticated user, or null for anonymous sockets
+ * @param {string} type - Room prefix, e.g. 'hospital'
+ * @param {string} id - ID after the prefix
+ * @returns {Promise<string|null>} Reason the join is refused, or null if allowed
+ */
+const authorizeRoomJoin = async (user, type, id) => {
+  const rule = ROOM_RULES[type];
+  if (!rule) return 'Unknown room';
+
+  const validId = rule.idType === 'objectId'
+    ? mongoose.isValidObjectId(id)
+    : typeof id === 'string' && id.length > 0 && id.length <= 100;
+  if (!validId) return 'Invalid room ID';
+
+  if (rule.public) return null;
+  if (!user) return 'Authentication required';
+
+  return await rule.authorize(user, id) ? null : 'Access denied to this room';
+};
+
+module.exports = {
+  authenticateSocket,
+  authorizeRoomJoin
+};
@@ -4,6 +4,16 @@
  */
 
 const mongoose = require('mongoose');
+const TokenCounter = require('./TokenCounter');
+const QueueReorderLog = require('./QueueReorderLog');
+const {
+  DEFAULT_TIMEZONE,
+  getDayKey,
+  getDayRange,
+  zonedTimeToUtc,
+  getHospitalTimeZone,
+  getDoctorTimeZone
+} = require('../utils/timezone');
 
 const appointmentSchema = new mongoose.Schema({
   // Patient Information
@@ -41,6 +51,14 @@ const appointmentSchema = new mongoose.Schema({
     type: Number,
     // Remove required validation, will be set by pre-save middleware
   },
+  // Day the token was issued for (YYYY-MM-DD), part of the unique token index
+  tokenDay: {
+    type: String
+  },
+  // "YYYY-MM-DD HH:MM" while the appointment holds its slot, unset otherwise
+  slotKey: {
+    type: String
+  },
   estimatedWaitTime: {
     type: Number, // in minutes
     default: 0
@@ -94,6 +112,11 @@ const appointmentSchema = new mongoose.Schema({
   checkedInAt: Date,
   consultationStartedAt: Date,
   consultationEndedAt: Date,
+  // Set when the patient is sent each pre-appointment reminder
+  reminders: {
+    dayBeforeSentAt: Date,
+    hourBeforeSentAt: Date
+  },
   
   // Payment Information
   consultationFee: {
@@ -110,6 +133,11 @@ const appointmentSchema = new mongoose.Schema({
     enum: ['cash', 'card', 'upi', 'online'],
     default: 'cash'
   },
+  // Set when the hospital's no-show policy requires payment before check-in
+  prepaymentRequired: {
+    type: Boolean,
+    default: false
+  },
   
   // Cancellation Information
   cancellationReason: String,
@@ -119,6 +147,42 @@ const appointmentSchema = new mongoose.Schema({
   },
   cancelledAt: Date,
   
+  // Previous date/time values, most recent last
+  rescheduleHistory: [{
+    appointmentDate: Date,
+    appointmentTime: String,
+    tokenNumber: Number,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledByRole: {
+      type: String,
+      enum: ['patient', 'doctor', 'hospital', 'system']
+    },
+    reason: String
+  }],
+  
+  // Follow-up care booked by the doctor from an earlier consultation
+  followUpOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // Recurring follow-ups share a series ID; occurrences are numbered from 1
+  series: {
+    seriesId: mongoose.Schema.Types.ObjectId,
+    occurrence: Number,
+    total: Number,
+    frequency: {
+      type: String,
+      enum: ['once', 'weekly', 'fortnightly', 'monthly']
+    }
+  },
+  
   // Rating and Feedback
   rating: {
     doctorRating: {
@@ -150,7 +214,8 @@ appointmentSchema.virtual('consultationDuration').get(function() {
 
 // Virtual for formatted appointment date and time
 appointmentSchema.virtual('formattedDateTime').get(function() {
-  const date = this.appointmentDate.toLocaleDateString('en-IN');
+  const timeZone = this.hospitalId?.timezone || DEFAULT_TIMEZONE;
+  const date = this.appointmentDate.toLocaleDateString('en-IN', { timeZone });
   return `${date} at ${this.appointmentTime}`;
 });
 
@@ -160,6 +225,13 @@ appointmentSchema.index({ doctorId: 1, appointmentDate: 1 });
 appointmentSchema.index({ hospitalId: 1, appointmentDate: 1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ tokenNumber: 1, doctorId: 1, appointmentDate: 1 });
+appointmentSchema.index({ 'series.seriesId': 1, appointmentDate: 1 }, { sparse: true });
+
+// A token number can only be issued once per doctor per day
+appointmentSchema.index(
+  { doctorId: 1, tokenDay: 1, tokenNumber: 1 },
+  { unique: true, partialFilterExpression: { tokenDay: { $exists: true } } }
+);
 
 // Compound index for queue management
 appointmentSchema.index({ 
@@ -169,37 +241,218 @@ appointmentSchema.index({
   tokenNumber: 1 
 });
 
-// Pre-save middleware to generate token number
-appointmentSchema.pre('save', async function(next) {
+// Only one active appointment may hold a doctor's slot
+appointmentSchema.index(
+  { doctorId: 1, slotKey: 1 },
+  { unique: true, partialFilterExpression: { slotKey: { $type: 'string' } } }
+);
+
+// Statuses that keep a slot reserved
+const SLOT_HOLDING_STATUSES = ['confirmed', 'in_progress'];
+
+// Wait time estimation settings
+const DEFAULT_CONSULTATION_MINUTES = 15; // Used until a doctor has completed consultations
+const CONSULTATION_SAMPLE_SIZE = 20;     // Rolling window of recent consultations
+const MIN_URGENCY_SAMPLES = 5;           // Samples needed before an urgency gets its own average
+const MAX_CONSULTATION_MINUTES = 180;
+
+// Queue triage settings
+const URGENCY_RANK = { low: 1, medium: 2, high: 3, emergency: 4 };
+const DEFAULT_QUEUE_POLICY = { mode: 'token', urgencyWeightMinutes: 15 };
+
+// Queue group: in consultation or seen, then checked in, then not yet arrived, then everything else
+const getQueueGroup = (apt) => {
+  if (apt.status === 'in_progress' || apt.status === 'completed') return 0;
+  if (apt.status === 'confirmed') return apt.checkedInAt ? 1 : 2;
+  return 3;
+};
+
+// Minutes a patient has waited: since check-in, or since their slot time if not checked in
+const getWaitingMinutes = (apt, now, timeZone) => {
+  let since = apt.checkedInAt;
+  if (!since) {
+    since = zonedTimeToUtc(getDayKey(apt.appointmentDate, timeZone), apt.appointmentTime || '00:00', timeZone);
+  }
+  return Math.max((now - since) / 60000, 0);
+};
+
+// New appointments get their token number once the insert has secured the slot
+// (see the post-save hook below), so a booking that loses a slot race never uses one up
+appointmentSchema.pre('save', function(next) {
   if (this.isNew && !this.tokenNumber) {
+    this.$locals.needsToken = true;
+  }
+  next();
+});
+
+// Pre-save middleware to reserve or release the doctor's slot
+appointmentSchema.pre('save', async function(next) {
+  try {
+    if (SLOT_HOLDING_STATUSES.includes(this.status)) {
+      const timeZone = await this.getTimeZone();
+      this.slotKey = `${TokenCounter.getDayKey(this.appointmentDate, timeZone)} ${this.appointmentTime}`;
+    } else {
+      this.slotKey = undefined;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue the token of a newly inserted appointment
+appointmentSchema.post('save', async function() {
+  if (!this.$locals.needsToken) return;
+  this.$locals.needsToken = false;
+
+  try {
+    await this.issueToken();
+    console.log(`Generated token number ${this.tokenNumber} for doctor ${this.doctorId} on ${this.tokenDay}`);
+  } catch (error) {
+    // Give the slot back rather than leave an appointment without a token
+    console.error('Error generating token number:', error);
+    await this.constructor.deleteOne({ _id: this._id });
+    throw error;
+  }
+});
+
+// Remember the status an appointment was loaded with so no-show changes can be counted
+appointmentSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Keep the patient's no-show count in step when an appointment enters or leaves no_show
+appointmentSchema.post('save', async function() {
+  const wasNoShow = this.$locals.savedStatus === 'no_show';
+  const isNoShow = this.status === 'no_show';
+  this.$locals.savedStatus = this.status;
+
+  if (wasNoShow !== isNoShow) {
+    await mongoose.model('User').adjustNoShowCount(this.patientId?._id || this.patientId, isNoShow ? 1 : -1);
+  }
+});
+
+// Method to get the timezone of the appointment's hospital, cached on the document
+appointmentSchema.methods.getTimeZone = async function() {
+  if (!this.$locals.timeZone) {
+    this.$locals.timeZone = await getHospitalTimeZone(this.hospitalId);
+  }
+  return this.$locals.timeZone;
+};
+
+// Method to reserve the next token number for the appointment's doctor and day
+appointmentSchema.methods.assignToken = async function() {
+  const timeZone = await this.getTimeZone();
+  const day = TokenCounter.getDayKey(this.appointmentDate, timeZone);
+  const doctorId = this.doctorId?._id || this.doctorId;
+
+  // Highest token already issued that day, for days booked before counters existed
+  const getStartingToken = async () => {
+    const { startOfDay, endOfDay } = getDayRange(this.appointmentDate, timeZone);
+
+    const lastAppointment = await this.constructor
+      .findOne({
+        doctorId,
+        appointmentDate: { $gte: startOfDay, $lt: endOfDay }
+      })
+      .sort({ tokenNumber: -1 })
+      .select('tokenNumber');
+
+    return lastAppointment?.tokenNumber || 0;
+  };
+
+  this.tokenNumber = await TokenCounter.nextToken(doctorId, day, getStartingToken);
+  this.tokenDay = day;
+  return this.tokenNumber;
+};
+
+/**
+ * Give confirmed and in-progress appointments saved before slot keys existed their
+ * slot key, so the unique slot index covers them. When two of them already share a
+ * slot, the later booking is left without a key and reported.
+ * @returns {Promise<{ updated: number, conflicts: Array<Object> }>}
+ */
+appointmentSchema.statics.backfillSlotKeys = async function() {
+  const timeZones = new Map();
+  const result = { updated: 0, conflicts: [] };
+
+  const cursor = this.find({
+    status: { $in: SLOT_HOLDING_STATUSES },
+    slotKey: { $not: { $type: 'string' } }
+  })
+    .select('doctorId hospitalId appointmentDate appointmentTime')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const appointment of cursor) {
+    const hospitalId = appointment.hospitalId.toString();
+    if (!timeZones.has(hospitalId)) {
+      timeZones.set(hospitalId, await getHospitalTimeZone(appointment.hospitalId));
+    }
+    const slotKey = `${getDayKey(appointment.appointmentDate, timeZones.get(hospitalId))} ${appointment.appointmentTime}`;
+
     try {
-      // Find the highest token number for the same doctor on the same date
-      const startOfDay = new Date(this.appointmentDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      
-      const endOfDay = new Date(this.appointmentDate);
-      endOfDay.setHours(23, 59, 59, 999);
-      
-      const lastAppointment = await this.constructor
-        .findOne({
-          doctorId: this.doctorId,
-          appointmentDate: {
-            $gte: startOfDay,
-            $lt: endOfDay
-          }
-        })
-        .sort({ tokenNumber: -1 });
-      
-      this.tokenNumber = lastAppointment ? lastAppointment.tokenNumber + 1 : 1;
-      console.log(`Generated token number ${this.tokenNumber} for doctor ${this.doctorId} on ${this.appointmentDate}`);
+      await this.updateOne({ _id: appointment._id }, { $set: { slotKey } });
+      result.updated++;
     } catch (error) {
-      console.error('Error generating token number:', error);
-      // If there's an error, assign a default token number
-      this.tokenNumber = 1;
+      if (error.code !== 11000) throw error;
+      result.conflicts.push({ appointmentId: appointment._id, doctorId: appointment.doctorId, slotKey });
     }
   }
-  next();
-});
+
+  return result;
+};
+
+// Method to reserve a token for an appointment already saved in its slot and store it
+appointmentSchema.methods.issueToken = async function() {
+  await this.assignToken();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { tokenNumber: this.tokenNumber, tokenDay: this.tokenDay } }
+  );
+  return this.tokenNumber;
+};
+
+// Method to move the appointment to a new date/time with a fresh token for that day,
+// recording the previous values in rescheduleHistory
+appointmentSchema.methods.moveTo = async function(newDate, newTime, details = {}) {
+  const previous = {
+    appointmentDate: this.appointmentDate,
+    appointmentTime: this.appointmentTime,
+    tokenNumber: this.tokenNumber,
+    tokenDay: this.tokenDay,
+    reminders: this.reminders?.toObject ? this.reminders.toObject() : this.reminders
+  };
+
+  this.rescheduleHistory.push({
+    appointmentDate: previous.appointmentDate,
+    appointmentTime: previous.appointmentTime,
+    tokenNumber: previous.tokenNumber,
+    rescheduledBy: details.rescheduledBy,
+    rescheduledByRole: details.rescheduledByRole,
+    reason: details.reason
+  });
+  this.appointmentDate = newDate;
+  this.appointmentTime = newTime;
+  // The patient is reminded again for the new slot
+  this.reminders = {};
+  // The old day's token is given up; the new day's is issued once the slot is secured
+  this.tokenNumber = undefined;
+  this.tokenDay = undefined;
+
+  try {
+    await this.save();
+  } catch (error) {
+    // Leave the document as it was so the caller can retry another slot
+    this.rescheduleHistory.pop();
+    Object.assign(this, previous);
+    throw error;
+  }
+
+  await this.issueToken();
+  return this;
+};
 
 // Method to update status and timing
 appointmentSchema.methods.updateStatus = function(newStatus, additionalData = {}) {
@@ -237,45 +490,244 @@ appointmentSchema.methods.updateStatus = function(newStatus, additionalData = {}
   return this.save();
 };
 
-// Method to calculate estimated wait time
+// Method to calculate estimated wait time from the doctor's recent consultation durations
 appointmentSchema.methods.calculateWaitTime = async function() {
-  const queuePosition = await this.constructor.countDocuments({
+  const { startOfDay, endOfDay } = getDayRange(this.appointmentDate, await this.getTimeZone());
+  const patientsAhead = await this.constructor.find({
     doctorId: this.doctorId,
-    appointmentDate: {
-      $gte: new Date(this.appointmentDate).setHours(0, 0, 0, 0),
-      $lt: new Date(this.appointmentDate).setHours(23, 59, 59, 999)
-    },
+    appointmentDate: { $gte: startOfDay, $lt: endOfDay },
     tokenNumber: { $lt: this.tokenNumber },
     status: { $in: ['confirmed', 'in_progress'] }
-  });
+  }).select('patientDetails.urgency');
   
-  // Assume 15 minutes per consultation on average
-  this.estimatedWaitTime = queuePosition * 15;
+  const stats = await this.constructor.getConsultationStats(this.doctorId);
+  this.estimatedWaitTime = patientsAhead.reduce(
+    (total, apt) => total + stats.expectedMinutes(apt.patientDetails?.urgency),
+    0
+  );
   return this.save();
 };
 
-// Static method to get queue status for a doctor
-appointmentSchema.statics.getQueueStatus = function(doctorId, date) {
-  const startOfDay = new Date(date).setHours(0, 0, 0, 0);
-  const endOfDay = new Date(date).setHours(23, 59, 59, 999);
-  
-  return this.find({
+// Method to record the patient's arrival at the hospital
+appointmentSchema.methods.checkIn = function() {
+  this.checkedInAt = new Date();
+  return this.save();
+};
+
+// Static method to get the triage policy of a hospital
+appointmentSchema.statics.getQueuePolicy = async function(hospitalId) {
+  const hospital = await mongoose.model('Hospital').findById(hospitalId).select('queuePolicy').lean();
+  return { ...DEFAULT_QUEUE_POLICY, ...(hospital?.queuePolicy || {}) };
+};
+
+// Static method to order appointments by a triage policy.
+// Patients being seen come first, then checked-in patients, then those who have not
+// arrived; waiting patients within a group follow the policy:
+//   token    - strict token order
+//   urgency  - higher urgency first, then token order
+//   weighted - urgency level x urgencyWeightMinutes plus minutes waited, highest first
+appointmentSchema.statics.sortQueue = function(appointments, policy = DEFAULT_QUEUE_POLICY, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const urgencyRank = (apt) => URGENCY_RANK[apt.patientDetails?.urgency] || URGENCY_RANK.medium;
+  const weightedScore = (apt) => urgencyRank(apt) * policy.urgencyWeightMinutes + getWaitingMinutes(apt, now, timeZone);
+
+  return [...appointments].sort((a, b) => {
+    const groupDifference = getQueueGroup(a) - getQueueGroup(b);
+    if (groupDifference !== 0) return groupDifference;
+
+    if (a.status === 'confirmed' && b.status === 'confirmed') {
+      if (policy.mode === 'urgency' && urgencyRank(a) !== urgencyRank(b)) {
+        return urgencyRank(b) - urgencyRank(a);
+      }
+      if (policy.mode === 'weighted') {
+        const scoreDifference = weightedScore(b) - weightedScore(a);
+        if (Math.abs(scoreDifference) >= 0.01) return scoreDifference;
+      }
+    }
+
+    return a.tokenNumber - b.tokenNumber;
+  });
+};
+
+// Static method to get a doctor's queue ordered by the hospital's triage policy
+appointmentSchema.statics.getOrderedQueue = async function(doctorId, date) {
+  const timeZone = await getDoctorTimeZone(doctorId);
+  const { startOfDay, endOfDay } = getDayRange(date, timeZone);
+
+  const appointments = await this.find({
     doctorId: doctorId,
     appointmentDate: { $gte: startOfDay, $lt: endOfDay },
     status: { $in: ['confirmed', 'in_progress', 'completed'] }
   }).sort({ tokenNumber: 1 });
+
+  const policy = appointments.length > 0
+    ? await this.getQueuePolicy(appointments[0].hospitalId)
+    : DEFAULT_QUEUE_POLICY;
+
+  return { queue: this.sortQueue(appointments, policy, new Date(), timeZone), policy };
+};
+
+// Static method to get queue status for a doctor
+appointmentSchema.statics.getQueueStatus = async function(doctorId, date) {
+  const { queue } = await this.getOrderedQueue(doctorId, date);
+  return queue;
+};
+
+// Static method to log every waiting patient who now has a later token ahead of them.
+// Each pair is recorded once so a bumped patient can see who went ahead and why.
+appointmentSchema.statics.logQueueReorders = async function(waiting, policy) {
+  const operations = [];
+
+  waiting.forEach((apt, index) => {
+    waiting.slice(0, index)
+      .filter(ahead => ahead.tokenNumber > apt.tokenNumber)
+      .forEach(ahead => {
+        const urgency = ahead.patientDetails?.urgency || 'medium';
+        let reason = policy.mode;
+        let message;
+
+        if (ahead.checkedInAt && !apt.checkedInAt) {
+          reason = 'checked_in';
+          message = `Token #${ahead.tokenNumber} checked in before you arrived`;
+        } else if (policy.mode === 'urgency') {
+          message = `Token #${ahead.tokenNumber} has ${urgency} urgency and is seen first`;
+        } else {
+          message = `Token #${ahead.tokenNumber} was prioritised for ${urgency} urgency and time waited`;
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { appointmentId: apt._id, aheadAppointmentId: ahead._id },
+            update: {
+              $setOnInsert: {
+                hospitalId: apt.hospitalId,
+                doctorId: apt.doctorId,
+                tokenNumber: apt.tokenNumber,
+                aheadTokenNumber: ahead.tokenNumber,
+                aheadUrgency: urgency,
+                policy: policy.mode,
+                reason,
+                message
+              }
+            },
+            upsert: true
+          }
+        });
+      });
+  });
+
+  if (operations.length > 0) {
+    await QueueReorderLog.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+};
+
+// Static method to get a doctor's rolling average consultation duration.
+// Uses the last CONSULTATION_SAMPLE_SIZE completed consultations overall and per
+// urgency; an urgency needs MIN_URGENCY_SAMPLES before its own average is used.
+appointmentSchema.statics.getConsultationStats = async function(doctorId) {
+  const recent = await this.find({
+    doctorId,
+    status: 'completed',
+    consultationStartedAt: { $exists: true },
+    consultationEndedAt: { $exists: true }
+  })
+    .select('consultationStartedAt consultationEndedAt patientDetails.urgency')
+    .sort({ consultationEndedAt: -1 })
+    .limit(CONSULTATION_SAMPLE_SIZE * 4)
+    .lean();
+
+  const samples = recent
+    .map(apt => ({
+      urgency: apt.patientDetails?.urgency || 'medium',
+      minutes: (apt.consultationEndedAt - apt.consultationStartedAt) / 60000
+    }))
+    // Ignore consultations that were clicked through or left open by mistake
+    .filter(sample => sample.minutes >= 1 && sample.minutes <= MAX_CONSULTATION_MINUTES);
+
+  const average = (list) => {
+    const window = list.slice(0, CONSULTATION_SAMPLE_SIZE);
+    return window.reduce((sum, sample) => sum + sample.minutes, 0) / window.length;
+  };
+
+  const overall = samples.length > 0 ? average(samples) : DEFAULT_CONSULTATION_MINUTES;
+  const byUrgency = {};
+  ['low', 'medium', 'high', 'emergency'].forEach(urgency => {
+    const urgencySamples = samples.filter(sample => sample.urgency === urgency);
+    if (urgencySamples.length >= MIN_URGENCY_SAMPLES) {
+      byUrgency[urgency] = average(urgencySamples);
+    }
+  });
+
+  return {
+    sampleSize: Math.min(samples.length, CONSULTATION_SAMPLE_SIZE),
+    averageMinutes: Math.round(overall),
+    byUrgency: Object.fromEntries(
+      Object.entries(byUrgency).map(([urgency, minutes]) => [urgency, Math.round(minutes)])
+    ),
+    expectedMinutes: (urgency) => byUrgency[urgency] ?? overall
+  };
+};
+
+// Static method to recompute estimatedWaitTime for everyone still waiting to see a doctor.
+// Walks the queue in getQueueStatus order, adding the time left on the current
+// consultation and the expected duration of each patient ahead.
+appointmentSchema.statics.recalculateWaitTimes = async function(doctorId, date) {
+  const [{ queue, policy }, stats] = await Promise.all([
+    this.getOrderedQueue(doctorId, date),
+    this.getConsultationStats(doctorId)
+  ]);
+
+  const now = Date.now();
+  const inProgress = queue.filter(apt => apt.status === 'in_progress');
+  let elapsed = 0;
+  inProgress.forEach(apt => {
+    const expected = stats.expectedMinutes(apt.patientDetails?.urgency);
+    const spent = apt.consultationStartedAt ? (now - apt.consultationStartedAt) / 60000 : 0;
+    elapsed += Math.max(expected - spent, 0);
+  });
+
+  const waiting = queue.filter(apt => apt.status === 'confirmed');
+  const estimates = waiting.map((apt, index) => {
+    const estimate = {
+      appointmentId: apt._id,
+      patientId: apt.patientId,
+      tokenNumber: apt.tokenNumber,
+      position: index + 1,
+      peopleAhead: inProgress.length + index,
+      estimatedWaitTime: Math.round(elapsed)
+    };
+    elapsed += stats.expectedMinutes(apt.patientDetails?.urgency);
+    return estimate;
+  });
+
+  await this.logQueueReorders(waiting, policy);
+
+  if (estimates.length > 0) {
+    await this.bulkWrite(estimates.map(estimate => ({
+      updateOne: {
+        filter: { _id: estimate.appointmentId },
+        update: { $set: { estimatedWaitTime: estimate.estimatedWaitTime } }
+      }
+    })));
+  }
+
+  return {
+    stats,
+    estimates,
+    currentToken: inProgress.length > 0 ? inProgress[0].tokenNumber : null
+  };
 };
 
 // Static method to get hospital queue summary
-appointmentSchema.statics.getHospitalQueueSummary = function(hospitalId, date) {
-  const startOfDay = new Date(date).setHours(0, 0, 0, 0);
-  const endOfDay = new Date(date).setHours(23, 59, 59, 999);
-  
+appointmentSchema.statics.getHospitalQueueSummary = async function(hospitalId, date) {
+  const timeZone = await getHospitalTimeZone(hospitalId);
+  const { startOfDay, endOfDay } = getDayRange(date, timeZone);
+
   return this.aggregate([
     {
       $match: {
         hospitalId: new mongoose.Types.ObjectId(hospitalId),
-        appointmentDate: { $gte: new Date(startOfDay), $lt: new Date(endOfDay) }
+        appointmentDate: { $gte: startOfDay, $lt: endOfDay }
       }
     },
     {
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone, getDayRange } = require('../utils/timezone');
 
 const hospitalSchema = new mongoose.Schema({
   // Basic Information
@@ -119,6 +120,69 @@ const hospitalSchema = new mongoose.Schema({
     }
   },
   
+  // IANA timezone used for appointment days, tokens and missed-appointment checks
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  
+  // Triage policy used to order each doctor's waiting queue
+  queuePolicy: {
+    mode: {
+      type: String,
+      enum: ['token', 'urgency', 'weighted'],
+      default: 'token'
+    },
+    // Weighted mode: minutes of waiting that one urgency level is worth
+    urgencyWeightMinutes: {
+      type: Number,
+      default: 15,
+      min: [0, 'Urgency weight cannot be negative'],
+      max: [240, 'Urgency weight cannot exceed 240 minutes']
+    }
+  },
+  
+  // How the scheduler treats patients who do not arrive, and what happens to repeat no-shows
+  noShowPolicy: {
+    // Minutes after the slot time before an appointment with no check-in is marked
+    graceMinutes: {
+      type: Number,
+      default: 10,
+      min: [0, 'Grace period cannot be negative'],
+      max: [240, 'Grace period cannot exceed 240 minutes']
+    },
+    // missed: recorded without counting against the patient; no_show: counted as a no-show
+    markAs: {
+      type: String,
+      enum: ['missed', 'no_show'],
+      default: 'missed'
+    },
+    // No-shows after which the restriction applies (0 turns restrictions off)
+    threshold: {
+      type: Number,
+      default: 0,
+      min: [0, 'No-show threshold cannot be negative']
+    },
+    restriction: {
+      type: String,
+      enum: ['none', 'require_prepayment', 'block_online_booking'],
+      default: 'none'
+    }
+  },
+  
+  // Sign-in requirements for the hospital's doctors and administrators
+  security: {
+    // Staff must use an authenticator app code in addition to their password
+    requireTwoFactor: {
+      type: Boolean,
+      default: false
+    }
+  },
+  
   // Capacity Information
   totalBeds: {
     type: Number,
@@ -209,12 +273,13 @@ hospitalSchema.virtual('currentQueueCount', {
   localField: '_id',
   foreignField: 'hospitalId',
   count: true,
-  match: { 
-    status: { $in: ['confirmed', 'in_progress'] },
-    appointmentDate: {
-      $gte: new Date().setHours(0, 0, 0, 0),
-      $lt: new Date().setHours(23, 59, 59, 999)
-    }
+  // Evaluated per hospital so "today" follows the hospital's timezone
+  match: (hospital) => {
+    const { startOfDay, endOfDay } = getDayRange(new Date(), hospital.timezone);
+    return {
+      status: { $in: ['confirmed', 'in_progress'] },
+      appointmentDate: { $gte: startOfDay, $lte: endOfDay }
+    };
   }
 });
 
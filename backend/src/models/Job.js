@@ -0,0 +1,84 @@
+/**
+ * Job Model
+ * A scheduled or manually triggered background job, kept as its own run history.
+ * Workers claim a job by taking a time-limited lock lease, so only one server instance runs it.
+ */
+
+const mongoose = require('mongoose');
+
+// Finished jobs are kept this long as history
+const JOB_HISTORY_DAYS = 30;
+
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // Earliest time a worker may start the job; pushed back after a failed attempt
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+
+  // Lock lease held by the worker running the job. A running job whose lease has
+  // expired belongs to a worker that died and may be claimed again.
+  lockedBy: String,
+  lockExpiresAt: Date,
+
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+
+  // Who queued the job: 'schedule' for recurring runs, 'event' for work queued by the app
+  // (such as notifications), 'manual' for runs requested through the API
+  trigger: {
+    type: String,
+    enum: ['schedule', 'event', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // One job per name and schedule interval, however many instances try to queue it
+  uniqueKey: String,
+
+  // The job name, for jobs whose runs must not overlap; only one running job may hold it
+  runLock: String
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index(
+  { runLock: 1 },
+  { unique: true, partialFilterExpression: { status: 'running', runLock: { $exists: true } } }
+);
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
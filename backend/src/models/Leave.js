@@ -0,0 +1,84 @@
+/**
+ * Leave Model
+ * Doctor leave periods and hospital-wide holidays that block bookings
+ */
+
+const mongoose = require('mongoose');
+const { getDayRange } = require('../utils/timezone');
+
+const leaveSchema = new mongoose.Schema({
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Hospital ID is required']
+  },
+  // Empty for a hospital-wide holiday
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['leave', 'holiday'],
+    required: [true, 'Leave type is required']
+  },
+
+  // Inclusive date range (startDate at 00:00, endDate at 23:59:59.999)
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+leaveSchema.index({ doctorId: 1, startDate: 1, endDate: 1 });
+leaveSchema.index({ hospitalId: 1, type: 1, startDate: 1 });
+
+// Validate date range
+leaveSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+  next();
+});
+
+// Static method to find the leave or holiday blocking a doctor on a date (in the hospital's timezone)
+leaveSchema.statics.findBlockingLeave = function(doctor, date, timeZone) {
+  const { startOfDay, endOfDay } = getDayRange(date, timeZone);
+
+  return this.findOne({
+    isActive: true,
+    startDate: { $lte: endOfDay },
+    endDate: { $gte: startOfDay },
+    $or: [
+      { type: 'leave', doctorId: doctor._id },
+      { type: 'holiday', hospitalId: doctor.hospitalId?._id || doctor.hospitalId }
+    ]
+  });
+};
+
+module.exports = mongoose.model('Leave', leaveSchema);
@@ -0,0 +1,60 @@
+/**
+ * Notification Model
+ * In-app notifications kept for the notification center, so users who were
+ * offline when a real-time event was sent still see it
+ */
+
+const mongoose = require('mongoose');
+
+// Notifications older than this are removed
+const NOTIFICATION_RETENTION_DAYS = 90;
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Socket event or notification template that produced it, e.g. "new-appointment"
+  type: {
+    type: String,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required']
+  },
+  message: String,
+
+  // IDs the client can use to open the related record
+  data: {
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    referralId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Referral'
+    },
+    callId: String
+  },
+
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Create the same notification for several users
+notificationSchema.statics.createForUsers = function(userIds, notification) {
+  const recipients = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  if (recipients.length === 0) return Promise.resolve([]);
+
+  return this.insertMany(recipients.map(userId => ({ ...notification, userId })));
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,55 @@
+/**
+ * Queue Reorder Log Model
+ * Records each time a patient with a later token is placed ahead of another patient
+ */
+
+const mongoose = require('mongoose');
+
+const queueReorderLogSchema = new mongoose.Schema({
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Hospital ID is required']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor ID is required']
+  },
+
+  // Patient who was moved back
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment ID is required']
+  },
+  tokenNumber: Number,
+
+  // Patient who went ahead
+  aheadAppointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Ahead appointment ID is required']
+  },
+  aheadTokenNumber: Number,
+  aheadUrgency: String,
+
+  policy: {
+    type: String,
+    enum: ['token', 'urgency', 'weighted']
+  },
+  reason: {
+    type: String,
+    enum: ['checked_in', 'urgency', 'weighted'],
+    required: [true, 'Reason is required']
+  },
+  message: String
+}, {
+  timestamps: true
+});
+
+// One entry per pair of appointments
+queueReorderLogSchema.index({ appointmentId: 1, aheadAppointmentId: 1 }, { unique: true });
+queueReorderLogSchema.index({ doctorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('QueueReorderLog', queueReorderLogSchema);
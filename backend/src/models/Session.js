@@ -0,0 +1,61 @@
+/**
+ * Session Model
+ * One signed-in device. Holds the hash of its current refresh token, which is
+ * replaced on every refresh; access tokens carry the session ID so a revoked
+ * session stops working straight away.
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token it replaced, to recognise a rotated token being reused
+  previousTokenHash: String,
+  rotatedAt: Date,
+
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_changed', 'token_reuse', 'two_factor_required']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Find a session that can still be used
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,48 @@
+/**
+ * Staff Role Model
+ * A hospital's own staff role, such as receptionist or billing clerk, made up of
+ * named permissions. Staff users get their permissions from their role.
+ */
+
+const mongoose = require('mongoose');
+
+const staffRoleSchema = new mongoose.Schema({
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Hospital ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Permission names from the staff permissions, e.g. "appointments:checkin"
+  permissions: [{
+    type: String
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  // Retired roles grant nothing
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Role names are unique within a hospital
+staffRoleSchema.index({ hospitalId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('StaffRole', staffRoleSchema);
@@ -0,0 +1,78 @@
+/**
+ * Token Counter Model
+ * Per-doctor, per-day sequence used to hand out appointment token numbers atomically
+ */
+
+const mongoose = require('mongoose');
+const { getDayKey } = require('../utils/timezone');
+
+const tokenCounterSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor ID is required']
+  },
+  // Calendar day in YYYY-MM-DD format
+  day: {
+    type: String,
+    required: [true, 'Day is required']
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per doctor per day
+tokenCounterSchema.index({ doctorId: 1, day: 1 }, { unique: true });
+
+/**
+ * Format a date as the YYYY-MM-DD key used for token counters
+ * @param {Date|string} date - Any date/time on the day
+ * @param {string} [timeZone] - Hospital timezone the day is counted in
+ * @returns {string} Day key
+ */
+tokenCounterSchema.statics.getDayKey = function(date, timeZone) {
+  return getDayKey(date, timeZone);
+};
+
+/**
+ * Atomically reserve the next token number for a doctor on a day.
+ * A counter created for a day that already has appointments (booked before
+ * counters existed) starts after the highest existing token.
+ * @param {ObjectId} doctorId - Doctor ID
+ * @param {string} day - Day key from getDayKey
+ * @param {Function} [getStartingToken] - Async function returning the highest token already used
+ * @returns {Promise<number>} Reserved token number
+ */
+tokenCounterSchema.statics.nextToken = async function(doctorId, day, getStartingToken) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const counter = await this.findOneAndUpdate(
+      { doctorId, day },
+      { $inc: { seq: 1 } },
+      { new: true }
+    );
+
+    if (counter) {
+      return counter.seq;
+    }
+
+    const startingToken = getStartingToken ? await getStartingToken() : 0;
+
+    try {
+      const created = await this.create({ doctorId, day, seq: startingToken + 1 });
+      return created.seq;
+    } catch (error) {
+      // Another request created the counter first - increment theirs instead
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Could not reserve a token number for doctor ${doctorId} on ${day}`);
+};
+
+module.exports = mongoose.model('TokenCounter', tokenCounterSchema);
@@ -45,19 +45,26 @@ const userSchema = new mongoose.Schema({
   // Role-based Information
   role: {
     type: String,
-    enum: ['super_admin', 'hospital_admin', 'doctor', 'patient'],
+    enum: ['super_admin', 'hospital_admin', 'doctor', 'patient', 'staff'],
     required: [true, 'User role is required']
   },
   
-  // Hospital Association (for hospital_admin and doctor)
+  // Hospital Association (for hospital_admin, doctor and staff)
   hospitalId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Hospital',
     required: function() {
-      // Only required for doctors, hospital_admin can register without it initially
-      return this.role === 'doctor';
+      // Required for doctors and staff, hospital_admin can register without it initially
+      return this.role === 'doctor' || this.role === 'staff';
     }
   },
+
+  // The hospital-defined role a staff user's permissions come from
+  staffRoleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffRole',
+    required: function() { return this.role === 'staff'; }
+  },
   
   // Doctor-specific Information
   doctorInfo: {
@@ -99,6 +106,41 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Hospital admin review of a self-registered doctor. Kept outside doctorInfo so
+  // profile updates cannot change it. Doctors without a status predate the review
+  // and count as verified.
+  doctorVerification: {
+    status: {
+      type: String,
+      enum: ['pending_verification', 'verified', 'rejected']
+    },
+    // Medical registration / license number, checked by the reviewing admin
+    licenseNumber: {
+      type: String,
+      trim: true
+    },
+    // Council or board that issued the license
+    issuingAuthority: {
+      type: String,
+      trim: true
+    },
+    // Qualification documents seen and anything else the reviewer noted
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Verification notes cannot exceed 1000 characters']
+    },
+    rejectionReason: {
+      type: String,
+      trim: true
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  
   // Patient-specific Information
   patientInfo: {
     dateOfBirth: {
@@ -120,6 +162,28 @@ const userSchema = new mongoose.Schema({
       name: String,
       phone: String,
       relation: String
+    },
+    // Appointments marked no_show, kept in step by the Appointment model
+    noShowCount: {
+      type: Number,
+      min: 0
+    },
+    lastNoShowAt: Date
+  },
+  
+  // Channels the user wants notifications on
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    inApp: {
+      type: Boolean,
+      default: true
     }
   },
   
@@ -133,6 +197,48 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   
+  // TOTP two-factor authentication (doctors and admins)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret shared with the authenticator app
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during enrollment, kept until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step a code was accepted for, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
+  // Failed sign-in tracking for progressive delays and temporary lockout
+  loginAttempts: {
+    // Consecutive failures since the last successful sign-in or lockout
+    failed: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    // No sign-in attempt is checked before this time
+    retryAfter: Date,
+    lockedUntil: Date
+  },
+  
   // Timestamps
   lastLogin: {
     type: Date
@@ -158,6 +264,7 @@ userSchema.virtual('fullName').get(function() {
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ hospitalId: 1 });
+userSchema.index({ hospitalId: 1, 'doctorVerification.status': 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -183,16 +290,46 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
+// Doctor statuses that keep a doctor out of listings and booking
+const UNVERIFIED_DOCTOR_STATUSES = ['pending_verification', 'rejected'];
+
+// Static method to build a query for active doctors that patients may see and book
+userSchema.statics.verifiedDoctorQuery = function(filter = {}) {
+  return {
+    ...filter,
+    role: 'doctor',
+    isActive: true,
+    'doctorVerification.status': { $nin: UNVERIFIED_DOCTOR_STATUSES }
+  };
+};
+
 // Static method to find doctors by hospital
 userSchema.statics.findDoctorsByHospital = function(hospitalId) {
-  return this.find({ 
-    role: 'doctor', 
-    hospitalId: hospitalId,
-    isActive: true 
-  }).select('-password');
+  return this.find(this.verifiedDoctorQuery({ hospitalId })).select('-password');
+};
+
+// Static method to add or remove a no-show from a patient's count
+userSchema.statics.adjustNoShowCount = function(patientId, change) {
+  if (change > 0) {
+    return this.updateOne(
+      { _id: patientId },
+      { $inc: { 'patientInfo.noShowCount': change }, $set: { 'patientInfo.lastNoShowAt': new Date() } }
+    );
+  }
+  // Never count below zero
+  return this.updateOne(
+    { _id: patientId, 'patientInfo.noShowCount': { $gt: 0 } },
+    { $inc: { 'patientInfo.noShowCount': change } }
+  );
 };
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Waitlist Entry Model
+ * Patients waiting for a slot with a fully booked doctor, and the slot offers they receive
+ */
+
+const mongoose = require('mongoose');
+const { getDayRange } = require('../utils/timezone');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient ID is required']
+  },
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Hospital ID is required']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor ID is required']
+  },
+
+  // Day the patient wants to be seen (start of day)
+  appointmentDate: {
+    type: Date,
+    required: [true, 'Appointment date is required']
+  },
+
+  // Copied onto the appointment when an offer is confirmed
+  patientDetails: {
+    symptoms: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Symptoms description cannot exceed 500 characters']
+    },
+    urgency: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'emergency'],
+      default: 'medium'
+    },
+    notes: {
+      type: String,
+      maxlength: [300, 'Notes cannot exceed 300 characters']
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+
+  // Freed slot currently held for this patient
+  offer: {
+    appointmentTime: String,
+    sourceAppointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  offerCount: {
+    type: Number,
+    default: 0
+  },
+
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  closedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+waitlistEntrySchema.index({ doctorId: 1, appointmentDate: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patientId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// Virtual for whether the held slot can still be confirmed
+waitlistEntrySchema.virtual('isOfferActive').get(function() {
+  return this.status === 'offered' && Boolean(this.offer?.expiresAt) && this.offer.expiresAt > new Date();
+});
+
+// Static method to find slots held for waitlisted patients with a doctor on a date (in the hospital's timezone)
+waitlistEntrySchema.statics.findActiveHolds = function(doctorId, date, timeZone) {
+  const { startOfDay, endOfDay } = getDayRange(date, timeZone);
+
+  return this.find({
+    doctorId,
+    appointmentDate: { $gte: startOfDay, $lte: endOfDay },
+    status: 'offered',
+    'offer.expiresAt': { $gt: new Date() }
+  }).select('patientId offer');
+};
+
+// Static method to get a waiting patient's place in line (1-based)
+waitlistEntrySchema.statics.getPosition = async function(entry) {
+  const ahead = await this.countDocuments({
+    doctorId: entry.doctorId._id || entry.doctorId,
+    appointmentDate: entry.appointmentDate,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+  return ahead + 1;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
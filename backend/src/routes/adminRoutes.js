@@ -7,13 +7,14 @@ const express = require('express');
 const router = express.Router();
 const Hospital = require('../models/Hospital');
 const User = require('../models/User');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { clearFailedLogins } = require('../utils/loginThrottle');
 
-// All routes require super admin access
-router.use(authenticateToken, authorize('super_admin'));
+// All routes require a platform permission, which only super admins hold
+router.use(authenticateToken);
 
 // Get pending hospital approvals
-router.get('/hospitals/pending', async (req, res) => {
+router.get('/hospitals/pending', requirePermission('platform:hospitals'), async (req, res) => {
   try {
     const hospitals = await Hospital.find({ approvalStatus: 'pending' })
       .populate('adminId', 'firstName lastName email phone')
@@ -33,7 +34,7 @@ router.get('/hospitals/pending', async (req, res) => {
 });
 
 // Get all hospitals (including pending and rejected)
-router.get('/hospitals', async (req, res) => {
+router.get('/hospitals', requirePermission('platform:hospitals'), async (req, res) => {
   try {
     const hospitals = await Hospital.find({})
       .populate('adminId', 'firstName lastName email phone')
@@ -53,7 +54,7 @@ router.get('/hospitals', async (req, res) => {
 });
 
 // Approve/reject hospital
-router.put('/hospitals/:hospitalId/approval', async (req, res) => {
+router.put('/hospitals/:hospitalId/approval', requirePermission('platform:hospitals'), async (req, res) => {
   try {
     const { hospitalId } = req.params;
     const { status, rejectionReason } = req.body;
@@ -91,8 +92,53 @@ router.put('/hospitals/:hospitalId/approval', async (req, res) => {
   }
 });
 
+// Get accounts locked after failed sign-ins
+router.get('/users/locked', requirePermission('platform:users'), async (req, res) => {
+  try {
+    const accounts = await User.find({ 'loginAttempts.lockedUntil': { $gt: new Date() } })
+      .select('firstName lastName email role loginAttempts')
+      .sort({ 'loginAttempts.lockedUntil': -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { accounts }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get locked accounts',
+      error: error.message
+    });
+  }
+});
+
+// Unlock an account
+router.put('/users/:userId/unlock', requirePermission('platform:users'), async (req, res) => {
+  try {
+    const user = await clearFailedLogins(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      error: error.message
+    });
+  }
+});
+
 // Get platform statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('platform:stats'), async (req, res) => {
   try {
     const stats = {
       totalHospitals: await Hospital.countDocuments({ approvalStatus: 'approved' }),
@@ -12,13 +12,19 @@ const {
   getDoctorAppointments,
   updateAppointmentStatus,
   cancelAppointment,
+  rescheduleAppointment,
+  checkInAppointment,
+  recordPayment,
+  bookFollowUp,
+  cancelSeries,
   getAppointmentById
 } = require('../controllers/appointmentController');
 
 const { 
   authenticateToken, 
-  authorize, 
-  authorizeDoctor 
+  requirePermission,
+  authorizeDoctor,
+  requireVerified 
 } = require('../middleware/auth');
 
 const { 
@@ -31,25 +37,26 @@ router.use(authenticateToken);
 
 // Patient routes
 router.post('/', 
-  authorize('patient'), 
+  requirePermission('appointments:book'), 
   appointmentValidation.book, 
   bookAppointment
 );
 
 router.get('/patient', 
-  authorize('patient'), 
+  requirePermission('appointments:book'), 
   getPatientAppointments
 );
 
 // Doctor routes
 router.get('/doctor', 
-  authorize('doctor'), 
+  requirePermission('appointments:consult'), 
   getDoctorAppointments
 );
 
 router.put('/:appointmentId/status',
   paramValidation.mongoId('appointmentId'),
-  authorize('doctor', 'hospital_admin'),
+  requirePermission('appointments:update_status'),
+  requireVerified,
   updateAppointmentStatus
 );
 
@@ -61,7 +68,47 @@ router.get('/:appointmentId',
 
 router.put('/:appointmentId/cancel',
   paramValidation.mongoId('appointmentId'),
+  requirePermission('appointments:cancel'),
+  requireVerified,
   cancelAppointment
 );
 
+router.put('/:appointmentId/reschedule',
+  paramValidation.mongoId('appointmentId'),
+  requirePermission('appointments:book'),
+  appointmentValidation.reschedule,
+  rescheduleAppointment
+);
+
+router.put('/:appointmentId/check-in',
+  paramValidation.mongoId('appointmentId'),
+  requirePermission('appointments:checkin'),
+  requireVerified,
+  checkInAppointment
+);
+
+router.put('/:appointmentId/payment',
+  paramValidation.mongoId('appointmentId'),
+  requirePermission('billing:payment', 'billing:refund'),
+  requireVerified,
+  appointmentValidation.payment,
+  recordPayment
+);
+
+router.post('/:appointmentId/follow-ups',
+  paramValidation.mongoId('appointmentId'),
+  requirePermission('appointments:consult'),
+  requireVerified,
+  appointmentValidation.followUp,
+  bookFollowUp
+);
+
+// Follow-up series routes
+router.put('/series/:seriesId/cancel',
+  paramValidation.mongoId('seriesId'),
+  requirePermission('appointments:cancel'),
+  requireVerified,
+  cancelSeries
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,31 +1,37 @@
 /**
  * Appointment Scheduler Routes
- * Routes for testing and managing appointment scheduler
+ * Routes for the scheduler's job history and for running scheduler jobs on demand
  */
 
 const express = require('express');
 const router = express.Router();
-const { checkMissedAppointmentsNow } = require('../utils/appointmentScheduler');
-const { authenticateToken, authorize } = require('../middleware/auth');
-
-// Manual check for missed appointments (for testing)
-router.post('/check-missed', authenticateToken, authorize('doctor', 'hospital_admin', 'super_admin'), async (req, res) => {
-  try {
-    const result = await checkMissedAppointmentsNow();
-    
-    res.status(200).json({
-      success: true,
-      message: 'Missed appointments check completed',
-      data: result
-    });
-  } catch (error) {
-    console.error('Manual missed appointments check error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to check missed appointments',
-      error: error.message
-    });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+
+const {
+  getJobs,
+  getJobDefinitionList,
+  runJobNow,
+  checkMissed
+} = require('../controllers/schedulerController');
+
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { schedulerValidation, queryValidation } = require('../utils/validators');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Manual check for missed appointments
+router.post('/check-missed', requirePermission('appointments:check_missed'), checkMissed);
+
+// Job history and manual runs are platform-wide
+router.get('/jobs/definitions', requirePermission('platform:jobs'), getJobDefinitionList);
+
+router.get('/jobs',
+  requirePermission('platform:jobs'),
+  queryValidation.pagination,
+  schedulerValidation.listJobs,
+  getJobs
+);
+
+router.post('/jobs/:name/run', requirePermission('platform:jobs'), runJobNow);
+
+module.exports = router;
@@ -12,15 +12,37 @@ const {
   getProfile,
   updateProfile,
   changePassword,
-  logout
+  logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
 
-const { authenticateToken } = require('../middleware/auth');
-const { userValidation } = require('../utils/validators');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { userValidation, paramValidation } = require('../utils/validators');
 
 // Public routes
 router.post('/register', userValidation.register, register);
 router.post('/login', userValidation.login, login);
+router.post('/refresh', userValidation.refresh, refreshToken);
+router.post('/verify-email', userValidation.verifyEmail, verifyEmail);
+router.post('/forgot-password', userValidation.forgotPassword, forgotPassword);
+router.post('/reset-password', userValidation.resetPassword, resetPassword);
+router.post('/2fa/login', userValidation.twoFactorLogin, verifyTwoFactorLogin);
+
+// Enrollment works when signed in, or with the setup token from a login
+// at a hospital that requires two-factor authentication
+router.post('/2fa/setup', optionalAuth, setupTwoFactor);
+router.post('/2fa/enable', optionalAuth, userValidation.twoFactorCode, enableTwoFactor);
 
 // Protected routes
 router.use(authenticateToken); // Apply authentication to all routes below
@@ -29,5 +51,10 @@ router.get('/profile', getProfile);
 router.put('/profile', updateProfile);
 router.put('/change-password', changePassword);
 router.post('/logout', logout);
+router.post('/resend-verification', resendVerification);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:sessionId', paramValidation.mongoId('sessionId'), revokeSession);
+router.post('/2fa/disable', userValidation.disableTwoFactor, disableTwoFactor);
+router.post('/2fa/recovery-codes', userValidation.twoFactorCode, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
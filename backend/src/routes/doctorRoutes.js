@@ -7,20 +7,72 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
-const { authenticateToken, authorize, authorizeHospital } = require('../middleware/auth');
+const { authenticateToken, requirePermission, authorizeHospital, requireVerified } = require('../middleware/auth');
 const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
+const { getDoctorSlotsForDate, SLOT_DURATION_MINUTES } = require('../utils/slotAvailability');
+const { clearFailedLogins } = require('../utils/loginThrottle');
+const { notifyUser } = require('../utils/notifications');
+const { doctorValidation } = require('../utils/validators');
+const { managesHospital } = require('../utils/permissions');
 
 // Get doctors by hospital
 router.get('/hospital/:hospitalId', async (req, res) => {
   try {
     const { hospitalId } = req.params;
     
+    const doctors = await User.find(User.verifiedDoctorQuery({ hospitalId }))
+      .select('firstName lastName email phone doctorInfo profileImage createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: { doctors }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get doctors',
+      error: error.message
+    });
+  }
+});
+
+// Get the hospital's doctors whose accounts are locked after failed sign-ins
+router.get('/hospital/:hospitalId/locked', authenticateToken, requirePermission('doctors:manage'), authorizeHospital, async (req, res) => {
+  try {
     const doctors = await User.find({
-      hospitalId,
+      hospitalId: req.params.hospitalId,
       role: 'doctor',
-      isActive: true
-    }).select('firstName lastName email phone doctorInfo profileImage createdAt');
+      'loginAttempts.lockedUntil': { $gt: new Date() }
+    })
+      .select('firstName lastName email role loginAttempts')
+      .sort({ 'loginAttempts.lockedUntil': -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { accounts: doctors }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get locked accounts',
+      error: error.message
+    });
+  }
+});
+
+// Get the hospital's self-registered doctors waiting for license verification
+router.get('/hospital/:hospitalId/pending', authenticateToken, requirePermission('doctors:verify'), authorizeHospital, async (req, res) => {
+  try {
+    const doctors = await User.find({
+      hospitalId: req.params.hospitalId,
+      role: 'doctor',
+      isActive: true,
+      'doctorVerification.status': { $in: ['pending_verification', 'rejected'] }
+    })
+      .select('firstName lastName email phone doctorInfo doctorVerification createdAt')
+      .populate('doctorVerification.reviewedBy', 'firstName lastName')
+      .sort({ createdAt: 1 });
 
     res.status(200).json({
       success: true,
@@ -29,14 +81,14 @@ router.get('/hospital/:hospitalId', async (req, res) => {
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to get doctors',
+      message: 'Failed to get doctors awaiting verification',
       error: error.message
     });
   }
 });
 
-// Add new doctor (Hospital Admin only)
-router.post('/add', authenticateToken, authorize('hospital_admin', 'super_admin'), async (req, res) => {
+// Add new doctor (Hospital Admin or staff who manage doctors)
+router.post('/add', authenticateToken, requirePermission('doctors:manage'), requireVerified, async (req, res) => {
   try {
     const {
       firstName,
@@ -78,6 +130,12 @@ router.post('/add', authenticateToken, authorize('hospital_admin', 'super_admin'
       hospitalId,
       isActive: true,
       isVerified: true,
+      // Added by the hospital itself, so no license review is needed
+      doctorVerification: {
+        status: 'verified',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      },
       doctorInfo: {
         specialization: doctorInfo?.specialization || 'General Medicine',
         qualification: doctorInfo?.qualification || 'MBBS',
@@ -140,7 +198,7 @@ router.post('/add', authenticateToken, authorize('hospital_admin', 'super_admin'
 });
 
 // Update doctor information
-router.put('/:doctorId', authenticateToken, authorize('hospital_admin', 'super_admin', 'doctor'), async (req, res) => {
+router.put('/:doctorId', authenticateToken, requirePermission('doctors:manage', 'schedule:manage_own'), requireVerified, async (req, res) => {
   try {
     const { doctorId } = req.params;
     const updates = req.body;
@@ -154,15 +212,15 @@ router.put('/:doctorId', authenticateToken, authorize('hospital_admin', 'super_a
       });
     }
 
-    // Authorization check
-    if (req.user.role === 'doctor' && req.user._id.toString() !== doctorId) {
+    // Authorization check: without doctors:manage only your own profile
+    if (!req.permissions.includes('doctors:manage') && req.user._id.toString() !== doctorId) {
       return res.status(403).json({
         success: false,
         message: 'You can only update your own profile'
       });
     }
 
-    if (req.user.role === 'hospital_admin') {
+    if (managesHospital(req.user)) {
       const hospitalId = req.user.hospitalId._id || req.user.hospitalId;
       if (doctor.hospitalId.toString() !== hospitalId.toString()) {
         return res.status(403).json({
@@ -176,6 +234,7 @@ router.put('/:doctorId', authenticateToken, authorize('hospital_admin', 'super_a
     delete updates.password;
     delete updates.role;
     delete updates.hospitalId;
+    delete updates.doctorVerification;
 
     // Update doctor
     const updatedDoctor = await User.findByIdAndUpdate(
@@ -201,7 +260,7 @@ router.put('/:doctorId', authenticateToken, authorize('hospital_admin', 'super_a
 });
 
 // Delete/Deactivate doctor
-router.delete('/:doctorId', authenticateToken, authorize('hospital_admin', 'super_admin'), async (req, res) => {
+router.delete('/:doctorId', authenticateToken, requirePermission('doctors:manage'), requireVerified, async (req, res) => {
   try {
     const { doctorId } = req.params;
 
@@ -214,8 +273,8 @@ router.delete('/:doctorId', authenticateToken, authorize('hospital_admin', 'supe
       });
     }
 
-    // Authorization check for hospital admin
-    if (req.user.role === 'hospital_admin') {
+    // Authorization check for hospital admin and staff
+    if (managesHospital(req.user)) {
       const hospitalId = req.user.hospitalId._id || req.user.hospitalId;
       if (doctor.hospitalId.toString() !== hospitalId.toString()) {
         return res.status(403).json({
@@ -243,8 +302,124 @@ router.delete('/:doctorId', authenticateToken, authorize('hospital_admin', 'supe
   }
 });
 
+// Unlock a doctor's account after failed sign-ins
+router.put('/:doctorId/unlock', authenticateToken, requirePermission('doctors:manage'), async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const doctor = await User.findById(doctorId);
+    if (!doctor || doctor.role !== 'doctor') {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    // Authorization check for hospital admin and staff
+    if (managesHospital(req.user)) {
+      const hospitalId = req.user.hospitalId._id || req.user.hospitalId;
+      if (doctor.hospitalId.toString() !== hospitalId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage doctors in your hospital'
+        });
+      }
+    }
+
+    await clearFailedLogins(doctorId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    console.error('Unlock doctor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      error: error.message
+    });
+  }
+});
+
+// Approve or reject a self-registered doctor's license
+router.put('/:doctorId/verification', authenticateToken, requirePermission('doctors:verify'), requireVerified, doctorValidation.verify, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId } = req.params;
+    const { status, licenseNumber, issuingAuthority, notes, rejectionReason } = req.body;
+
+    const doctor = await User.findById(doctorId).populate('hospitalId', 'name');
+    if (!doctor || doctor.role !== 'doctor') {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    // Authorization check for hospital admin and staff
+    if (managesHospital(req.user)) {
+      const hospitalId = req.user.hospitalId._id || req.user.hospitalId;
+      if (doctor.hospitalId?._id.toString() !== hospitalId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage doctors in your hospital'
+        });
+      }
+    }
+
+    // A rejected doctor can be reviewed again once they have sorted out their license
+    if (!['pending_verification', 'rejected'].includes(doctor.doctorVerification?.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This doctor is not awaiting verification'
+      });
+    }
+
+    doctor.doctorVerification = {
+      status,
+      licenseNumber: licenseNumber || doctor.doctorVerification.licenseNumber,
+      issuingAuthority,
+      notes,
+      rejectionReason: status === 'rejected' ? rejectionReason : undefined,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+    await doctor.save();
+
+    await notifyUser(doctor._id, 'doctor_verification', {
+      status,
+      hospitalName: doctor.hospitalId?.name,
+      reason: rejectionReason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: status === 'verified' ? 'Doctor verified' : 'Doctor verification rejected',
+      data: { doctorVerification: doctor.doctorVerification }
+    });
+
+  } catch (error) {
+    console.error('Doctor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update doctor verification',
+      error: error.message
+    });
+  }
+});
+
 // Update doctor availability
-router.put('/availability', authenticateToken, authorize('doctor'), async (req, res) => {
+router.put('/availability', authenticateToken, requirePermission('schedule:manage_own'), requireVerified, async (req, res) => {
   try {
     const { isAvailable, availableSlots } = req.body;
     
@@ -271,6 +446,53 @@ router.put('/availability', authenticateToken, authorize('doctor'), async (req,
   }
 });
 
+// Get bookable slots for a doctor on a date
+router.get('/:doctorId/slots', async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+    const { date } = req.query;
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date query parameter is required'
+      });
+    }
+
+    const doctor = await User.findOne(User.verifiedDoctorQuery({ _id: doctorId }))
+      .select('hospitalId doctorInfo');
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const { day, isAvailable, leave, windows, slots } = await getDoctorSlotsForDate(doctor, date);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date,
+        day,
+        isAvailable,
+        leave,
+        slotDuration: SLOT_DURATION_MINUTES,
+        windows,
+        slots
+      }
+    });
+  } catch (error) {
+    console.error('Get doctor slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get doctor slots',
+      error: error.message
+    });
+  }
+});
+
 // Get doctor profile
 router.get('/:doctorId', async (req, res) => {
   try {
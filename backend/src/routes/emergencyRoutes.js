@@ -5,7 +5,7 @@
 
 const express = require('express');
 const { body } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireVerified } = require('../middleware/auth');
 const {
   requestEmergencyCall,
   acceptEmergencyCall,
@@ -23,6 +23,7 @@ const router = express.Router();
 // Patient routes
 router.post('/request', 
   authenticateToken,
+  requirePermission('emergency:request'),
   [
     body('urgencyLevel')
       .isIn(['low', 'medium', 'high', 'critical'])
@@ -38,23 +39,15 @@ router.post('/request',
   requestEmergencyCall
 );
 
-router.get('/patient/history', authenticateToken, getPatientEmergencyCalls);
+router.get('/patient/history', authenticateToken, requirePermission('emergency:request'), getPatientEmergencyCalls);
 
 // Doctor routes
-router.post('/accept/:callId', authenticateToken, acceptEmergencyCall);
-router.get('/doctor/history', authenticateToken, getDoctorEmergencyCalls);
+router.post('/accept/:callId', authenticateToken, requirePermission('emergency:respond'), requireVerified, acceptEmergencyCall);
+router.get('/doctor/history', authenticateToken, requirePermission('emergency:respond'), getDoctorEmergencyCalls);
 router.post('/doctor/availability', 
   authenticateToken,
-  // Check if user is a doctor
-  (req, res, next) => {
-    if (req.user.role !== 'doctor') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only doctors can access this endpoint'
-      });
-    }
-    next();
-  },
+  requirePermission('emergency:respond'),
+  requireVerified,
   [
     body('available')
       .exists()
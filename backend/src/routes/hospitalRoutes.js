@@ -17,8 +17,9 @@ const {
 
 const { 
   authenticateToken, 
-  authorize, 
+  requirePermission, 
   authorizeHospital,
+  requireVerified,
   optionalAuth 
 } = require('../middleware/auth');
 
@@ -36,23 +37,25 @@ router.get('/:hospitalId', paramValidation.mongoId('hospitalId'), getHospitalByI
 // Protected routes
 router.use(authenticateToken);
 
-// Hospital admin only routes
+// Hospital management routes
 router.post('/', 
-  authorize('hospital_admin'), 
+  requirePermission('hospital:register'), 
+  requireVerified,
   hospitalValidation.register, 
   registerHospital
 );
 
 router.put('/:hospitalId', 
   paramValidation.mongoId('hospitalId'),
-  authorize('hospital_admin', 'super_admin'),
+  requirePermission('hospital:manage'),
   authorizeHospital,
+  requireVerified,
   updateHospital
 );
 
 router.get('/:hospitalId/dashboard',
   paramValidation.mongoId('hospitalId'),
-  authorize('hospital_admin', 'super_admin'),
+  requirePermission('appointments:view'),
   authorizeHospital,
   getHospitalDashboard
 );
@@ -0,0 +1,50 @@
+/**
+ * Leave Routes
+ * Routes for doctor leave calendars and hospital holidays
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getLeaves,
+  createLeave,
+  deleteLeave,
+  getAffectedAppointments,
+  resolveAffectedAppointments
+} = require('../controllers/leaveController');
+
+const { authenticateToken, requirePermission, requireVerified } = require('../middleware/auth');
+const { leaveValidation, paramValidation } = require('../utils/validators');
+
+// All routes require authentication
+router.use(authenticateToken);
+router.use(requirePermission('leave:manage'));
+
+router.get('/', getLeaves);
+
+router.post('/',
+  requireVerified,
+  leaveValidation.create,
+  createLeave
+);
+
+router.delete('/:leaveId',
+  paramValidation.mongoId('leaveId'),
+  requireVerified,
+  deleteLeave
+);
+
+router.get('/:leaveId/affected-appointments',
+  paramValidation.mongoId('leaveId'),
+  getAffectedAppointments
+);
+
+router.post('/:leaveId/affected-appointments/resolve',
+  paramValidation.mongoId('leaveId'),
+  requireVerified,
+  leaveValidation.resolve,
+  resolveAffectedAppointments
+);
+
+module.exports = router;
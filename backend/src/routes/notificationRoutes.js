@@ -0,0 +1,30 @@
+/**
+ * Notification Routes
+ * Routes for the logged-in user's notification center
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+const { authenticateToken } = require('../middleware/auth');
+const { paramValidation, queryValidation } = require('../utils/validators');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.get('/', queryValidation.pagination, getNotifications);
+
+router.put('/read-all', markAllNotificationsRead);
+
+router.put('/:notificationId/read',
+  paramValidation.mongoId('notificationId'),
+  markNotificationRead
+);
+
+module.exports = router;
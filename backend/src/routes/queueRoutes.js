@@ -6,19 +6,47 @@
 const express = require('express');
 const router = express.Router();
 const Appointment = require('../models/Appointment');
+const Hospital = require('../models/Hospital');
+const QueueReorderLog = require('../models/QueueReorderLog');
+const { validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { canViewAppointment } = require('../utils/permissions');
+const { paramValidation } = require('../utils/validators');
+const { getAppointmentQueuePosition, getHospitalBoard } = require('../utils/queueUpdates');
+const { getDayKey, getHospitalTimeZone, getDoctorTimeZone } = require('../utils/timezone');
 
 // Get current queue for a doctor
-router.get('/doctor/:doctorId', async (req, res) => {
+router.get('/doctor/:doctorId', paramValidation.mongoId('doctorId'), async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { doctorId } = req.params;
-    const { date = new Date().toISOString().split('T')[0] } = req.query;
+    // Default to today in the hospital's timezone
+    const date = req.query.date || getDayKey(new Date(), await getDoctorTimeZone(doctorId));
 
-    const queue = await Appointment.getQueueStatus(doctorId, date);
+    const [{ queue, policy }, stats] = await Promise.all([
+      Appointment.getOrderedQueue(doctorId, date),
+      Appointment.getConsultationStats(doctorId)
+    ]);
 
     res.status(200).json({
       success: true,
-      data: { queue }
+      data: {
+        queue,
+        queuePolicy: policy,
+        consultationStats: {
+          averageMinutes: stats.averageMinutes,
+          byUrgency: stats.byUrgency,
+          sampleSize: stats.sampleSize
+        }
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -29,11 +57,78 @@ router.get('/doctor/:doctorId', async (req, res) => {
   }
 });
 
+// Get live queue position for a patient's appointment
+router.get('/appointment/:appointmentId', authenticateToken, paramValidation.mongoId('appointmentId'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { appointmentId } = req.params;
+
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('doctorId', 'firstName lastName doctorInfo.specialization');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    // Same rules as joining the appointment's socket room
+    if (!(await canViewAppointment(req.user, appointment))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view the queue position of this appointment'
+      });
+    }
+
+    const [position, reorders] = await Promise.all([
+      getAppointmentQueuePosition(appointment),
+      // Why patients with later tokens were placed ahead of this one
+      QueueReorderLog.find({ appointmentId })
+        .select('aheadTokenNumber reason message createdAt')
+        .sort({ createdAt: -1 })
+        .limit(10)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        position,
+        reorders,
+        doctor: appointment.doctorId
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get queue position',
+      error: error.message
+    });
+  }
+});
+
 // Get hospital queue summary
-router.get('/hospital/:hospitalId', async (req, res) => {
+router.get('/hospital/:hospitalId', paramValidation.mongoId('hospitalId'), async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { hospitalId } = req.params;
-    const { date = new Date().toISOString().split('T')[0] } = req.query;
+    const date = req.query.date || getDayKey(new Date(), await getHospitalTimeZone(hospitalId));
 
     const summary = await Appointment.getHospitalQueueSummary(hospitalId, date);
 
@@ -50,4 +145,48 @@ router.get('/hospital/:hospitalId', async (req, res) => {
   }
 });
 
+// Public waiting-room display board for a hospital (no patient details)
+router.get('/hospital/:hospitalId/board', paramValidation.mongoId('hospitalId'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { hospitalId } = req.params;
+
+    const hospital = await Hospital.findById(hospitalId).select('name timezone');
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    const date = req.query.date || getDayKey(new Date(), hospital.timezone);
+
+    const doctors = await getHospitalBoard(hospitalId, date);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hospital: { _id: hospital._id, name: hospital.name, timezone: hospital.timezone },
+        date,
+        doctors,
+        updatedAt: new Date()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get display board',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -5,14 +5,14 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission, authorizeHospital } = require('../middleware/auth');
 const { ratingValidation } = require('../utils/validators');
 const ratingController = require('../controllers/ratingController');
 
 // Submit rating for completed appointment
 router.post('/', 
   authenticateToken, 
-  authorize('patient'), 
+  requirePermission('ratings:submit'), 
   ratingValidation.submit, 
   ratingController.submitRating
 );
@@ -20,28 +20,44 @@ router.post('/',
 // Get hospital ratings and reviews
 router.get('/hospital/:hospitalId', ratingController.getHospitalRatings);
 
+// Get hospital reviews for moderation, including hidden ones
+router.get('/hospital/:hospitalId/moderation',
+  authenticateToken,
+  requirePermission('ratings:moderate'),
+  authorizeHospital,
+  ratingController.getReviewsForModeration
+);
+
 // Get doctor ratings and reviews
 router.get('/doctor/:doctorId', ratingController.getDoctorRatings);
 
 // Get patient's submitted ratings
 router.get('/patient/my-ratings', 
   authenticateToken, 
-  authorize('patient'), 
+  requirePermission('ratings:submit'), 
   ratingController.getPatientRatings
 );
 
 // Get appointments eligible for rating
 router.get('/patient/eligible-appointments', 
   authenticateToken, 
-  authorize('patient'), 
+  requirePermission('ratings:submit'), 
   ratingController.getEligibleAppointments
 );
 
 // Update rating (within 7 days)
 router.put('/:ratingId', 
   authenticateToken, 
-  authorize('patient'), 
+  requirePermission('ratings:submit'), 
   ratingController.updateRating
 );
 
+// Hide or restore a review
+router.put('/:ratingId/moderation',
+  authenticateToken,
+  requirePermission('ratings:moderate'),
+  ratingValidation.moderate,
+  ratingController.moderateRating
+);
+
 module.exports = router;
\ No newline at end of file
@@ -17,7 +17,7 @@ const {
   getReferralStats
 } = require('../controllers/referralController');
 
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireVerified } = require('../middleware/auth');
 
 // Validation middleware
 const referralValidation = [
@@ -98,10 +98,10 @@ const responseValidation = [
 
 // All routes require authentication and doctor role
 router.use(authenticateToken);
-router.use(authorize('doctor'));
+router.use(requirePermission('referrals:manage'));
 
 // Create new referral
-router.post('/', referralValidation, createReferral);
+router.post('/', requireVerified, referralValidation, createReferral);
 
 // Get sent referrals
 router.get('/sent', getSentReferrals);
@@ -119,6 +119,6 @@ router.get('/doctors', getAvailableDoctors);
 router.get('/:referralId', getReferralById);
 
 // Respond to referral (accept/decline)
-router.put('/:referralId/respond', responseValidation, respondToReferral);
+router.put('/:referralId/respond', requireVerified, responseValidation, respondToReferral);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Staff Routes
+ * Routes for a hospital's custom staff roles and staff accounts
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getStaffPermissions,
+  getStaffRoles,
+  createStaffRole,
+  updateStaffRole,
+  deleteStaffRole,
+  getStaffMembers,
+  createStaffMember,
+  updateStaffMember
+} = require('../controllers/staffController');
+
+const { authenticateToken, requirePermission, authorizeHospital, requireVerified } = require('../middleware/auth');
+const { staffValidation, paramValidation } = require('../utils/validators');
+
+// All routes require authentication
+router.use(authenticateToken);
+router.use(requirePermission('staff:manage'));
+
+router.get('/permissions', getStaffPermissions);
+
+// Staff roles
+router.get('/hospital/:hospitalId/roles',
+  paramValidation.mongoId('hospitalId'),
+  authorizeHospital,
+  getStaffRoles
+);
+
+router.post('/hospital/:hospitalId/roles',
+  paramValidation.mongoId('hospitalId'),
+  authorizeHospital,
+  requireVerified,
+  staffValidation.role,
+  createStaffRole
+);
+
+router.put('/roles/:roleId',
+  paramValidation.mongoId('roleId'),
+  requireVerified,
+  staffValidation.role,
+  updateStaffRole
+);
+
+router.delete('/roles/:roleId',
+  paramValidation.mongoId('roleId'),
+  requireVerified,
+  deleteStaffRole
+);
+
+// Staff accounts
+router.get('/hospital/:hospitalId/members',
+  paramValidation.mongoId('hospitalId'),
+  authorizeHospital,
+  getStaffMembers
+);
+
+router.post('/hospital/:hospitalId/members',
+  paramValidation.mongoId('hospitalId'),
+  authorizeHospital,
+  requireVerified,
+  staffValidation.createMember,
+  createStaffMember
+);
+
+router.put('/members/:userId',
+  paramValidation.mongoId('userId'),
+  requireVerified,
+  staffValidation.updateMember,
+  updateStaffMember
+);
+
+module.exports = router;
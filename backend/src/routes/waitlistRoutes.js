@@ -0,0 +1,60 @@
+/**
+ * Waitlist Routes
+ * Routes for doctor waitlists and freed slot offers
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  getWaitlist,
+  leaveWaitlist,
+  confirmOffer,
+  declineOffer
+} = require('../controllers/waitlistController');
+
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { waitlistValidation, paramValidation } = require('../utils/validators');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Patient routes
+router.post('/',
+  requirePermission('waitlist:join'),
+  waitlistValidation.join,
+  joinWaitlist
+);
+
+router.get('/my',
+  requirePermission('waitlist:join'),
+  getMyWaitlist
+);
+
+router.delete('/:entryId',
+  paramValidation.mongoId('entryId'),
+  requirePermission('waitlist:join'),
+  leaveWaitlist
+);
+
+router.post('/:entryId/confirm',
+  paramValidation.mongoId('entryId'),
+  requirePermission('waitlist:join'),
+  confirmOffer
+);
+
+router.post('/:entryId/decline',
+  paramValidation.mongoId('entryId'),
+  requirePermission('waitlist:join'),
+  declineOffer
+);
+
+// Doctor and hospital admin routes
+router.get('/',
+  requirePermission('waitlist:view'),
+  getWaitlist
+);
+
+module.exports = router;
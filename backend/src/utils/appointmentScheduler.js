@@ -1,11 +1,25 @@
 /**
  * Appointment Scheduler Utility
- * Handles automatic appointment status updates based on time
+ * Handles automatic appointment status updates based on time.
+ * Each task runs as a job on the shared job queue, so only one server instance runs it at a time.
  */
 
 const Appointment = require('../models/Appointment');
+const Hospital = require('../models/Hospital');
+const { offerFreedSlot, expireWaitlistOffers } = require('./waitlist');
+const { DEFAULT_TIMEZONE, getDayKey, zonedTimeToUtc } = require('./timezone');
+const { DEFAULT_NO_SHOW_POLICY, getNoShowPolicy } = require('./noShowPolicy');
+const { defineJob, triggerJob, startJobWorker, stopJobWorker } = require('./jobQueue');
+const { notifyAppointmentPatient, saveNotification } = require('./notifications');
 const moment = require('moment');
 
+// Reminders sent before each appointment, largest lead time first.
+// A reminder is only sent while its lead time is the closest one still ahead.
+const REMINDERS = [
+  { field: 'dayBeforeSentAt', template: 'reminder_24h', leadMinutes: 24 * 60 },
+  { field: 'hourBeforeSentAt', template: 'reminder_1h', leadMinutes: 60 }
+];
+
 /**
  * Convert appointment time string to minutes since midnight
  * @param {string} timeString - Time in format "HH:MM AM/PM" or "HH:MM"
@@ -37,81 +51,105 @@ function timeStringToMinutes(timeString) {
 }
 
 /**
- * Check if an appointment time has passed by more than 10 minutes
+ * Get the instant an appointment's slot starts
  * @param {Date} appointmentDate - The appointment date
  * @param {string} appointmentTime - The appointment time string
- * @returns {boolean} True if appointment is missed (past by 10+ minutes)
+ * @param {string} timeZone - Hospital timezone the appointment time is in
+ * @returns {Date} Slot start
  */
-function isAppointmentMissed(appointmentDate, appointmentTime) {
-  const now = new Date();
-  const appointmentDateTime = new Date(appointmentDate);
-  
-  // If appointment is not today, check if it's in the past
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  appointmentDateTime.setHours(0, 0, 0, 0);
-  
-  if (appointmentDateTime < today) {
-    return true; // Past date
-  } else if (appointmentDateTime > today) {
-    return false; // Future date
-  }
-  
-  // Same day - check time
+function getSlotStart(appointmentDate, appointmentTime, timeZone) {
   const appointmentMinutes = timeStringToMinutes(appointmentTime);
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
+  return zonedTimeToUtc(
+    getDayKey(appointmentDate, timeZone),
+    `${Math.floor(appointmentMinutes / 60)}:${appointmentMinutes % 60}`,
+    timeZone
+  );
+}
+
+/**
+ * Check if an appointment time has passed by more than the grace period
+ * @param {Date} appointmentDate - The appointment date
+ * @param {string} appointmentTime - The appointment time string
+ * @param {string} [timeZone] - Hospital timezone the appointment time is in
+ * @param {number} [graceMinutes] - Minutes allowed after the appointment time
+ * @returns {boolean} True if appointment is missed (past by more than the grace period)
+ */
+function isAppointmentMissed(
+  appointmentDate,
+  appointmentTime,
+  timeZone = DEFAULT_TIMEZONE,
+  graceMinutes = DEFAULT_NO_SHOW_POLICY.graceMinutes
+) {
+  const slotStart = getSlotStart(appointmentDate, appointmentTime, timeZone);
   
-  // Check if current time is more than 10 minutes past appointment time
-  return currentMinutes > (appointmentMinutes + 10);
+  // Check if current time is past the appointment time plus the grace period
+  return Date.now() > slotStart.getTime() + graceMinutes * 60 * 1000;
 }
 
 /**
  * Update missed appointments
- * Finds confirmed appointments that are past their time + 10 minutes and marks them as missed
+ * Finds confirmed appointments that are past their time plus the hospital's grace period
+ * and marks them missed or no_show as the hospital's no-show policy says
  */
 async function updateMissedAppointments() {
   try {
     console.log('🕐 Checking for missed appointments...');
     
-    // Get today's date range
-    const today = new Date();
-    const startOfDay = new Date(today);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(today);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    // Find all confirmed appointments for today and past dates
+    // Find all confirmed appointments whose day has started in their hospital's timezone.
+    // Patients who have checked in are waiting at the hospital and are never marked missed.
     const appointments = await Appointment.find({
       status: 'confirmed',
-      appointmentDate: { $lte: endOfDay }
+      checkedInAt: null,
+      appointmentDate: { $lte: new Date() }
     }).populate('patientId', 'firstName lastName')
-      .populate('doctorId', 'firstName lastName');
+      .populate('doctorId', 'firstName lastName')
+      .populate('hospitalId', 'timezone noShowPolicy');
     
     let missedCount = 0;
     const missedAppointments = [];
     
     for (const appointment of appointments) {
-      if (isAppointmentMissed(appointment.appointmentDate, appointment.appointmentTime)) {
-        // Update status to missed
-        appointment.status = 'missed';
+      const timeZone = appointment.hospitalId?.timezone || DEFAULT_TIMEZONE;
+      const policy = await getNoShowPolicy(appointment.hospitalId);
+      if (isAppointmentMissed(appointment.appointmentDate, appointment.appointmentTime, timeZone, policy.graceMinutes)) {
+        // Mark as the hospital's policy says; no_show also counts against the patient
+        appointment.status = policy.markAs;
         appointment.cancelledAt = new Date();
         appointment.cancelledBy = 'system';
-        appointment.cancellationReason = 'Appointment time passed (auto-marked as missed)';
+        appointment.cancellationReason = `Appointment time passed (auto-marked as ${policy.markAs.replace('_', '-')})`;
+
+        // Only if it is still confirmed and not checked in, so an overlapping run or a
+        // check-in since the query never marks it (or counts the no-show) twice
+        appointment.$where = { status: 'confirmed', checkedInAt: null };
+        try {
+          await appointment.save();
+        } catch (error) {
+          if (error.name === 'DocumentNotFoundError') continue;
+          throw error;
+        }
         
-        await appointment.save();
+        // The missed patient's place in the queue goes to the waitlist
+        await offerFreedSlot(global.io, {
+          doctorId: appointment.doctorId._id,
+          appointmentDate: appointment.appointmentDate,
+          appointmentTime: appointment.appointmentTime,
+          sourceAppointmentId: appointment._id,
+          excludePatientIds: [appointment.patientId?._id]
+        });
         
         missedCount++;
         missedAppointments.push({
           id: appointment._id,
           doctorId: appointment.doctorId._id,
-          hospitalId: appointment.hospitalId,
+          hospitalId: appointment.hospitalId?._id || appointment.hospitalId,
           patient: `${appointment.patientId?.firstName} ${appointment.patientId?.lastName}`,
           doctor: `${appointment.doctorId?.firstName} ${appointment.doctorId?.lastName}`,
-          date: appointment.appointmentDate.toDateString(),
-          time: appointment.appointmentTime
+          date: getDayKey(appointment.appointmentDate, timeZone),
+          time: appointment.appointmentTime,
+          status: policy.markAs
         });
         
-        console.log(`📅 Marked appointment as missed: ${appointment.patientId?.firstName} ${appointment.patientId?.lastName} - ${appointment.appointmentTime}`);
+        console.log(`📅 Marked appointment as ${policy.markAs}: ${appointment.patientId?.firstName} ${appointment.patientId?.lastName} - ${appointment.appointmentTime}`);
       }
     }
     
@@ -124,20 +162,29 @@ async function updateMissedAppointments() {
           // Emit to doctor room
           global.io.to(`doctor-${apt.doctorId}`).emit('appointment-missed', {
             appointmentId: apt.id,
-            message: 'Appointment marked as missed',
+            message: apt.status === 'no_show' ? 'Appointment marked as no-show' : 'Appointment marked as missed',
             appointment: apt
           });
           
           // Emit to hospital room
           global.io.to(`hospital-${apt.hospitalId}`).emit('appointment-missed', {
             appointmentId: apt.id,
-            message: 'Appointment marked as missed',
+            message: apt.status === 'no_show' ? 'Appointment marked as no-show' : 'Appointment marked as missed',
             appointment: apt
           });
           
           console.log(`📡 Emitted missed appointment event for appointment ${apt.id}`);
         });
       }
+
+      for (const apt of missedAppointments) {
+        await saveNotification({ userIds: [apt.doctorId], hospitalId: apt.hospitalId }, {
+          type: 'appointment-missed',
+          title: apt.status === 'no_show' ? 'Patient no-show' : 'Appointment missed',
+          message: `${apt.patient} did not arrive for the ${apt.time} appointment on ${apt.date}`,
+          data: { appointmentId: apt.id }
+        });
+      }
     } else {
       console.log('✅ No missed appointments found');
     }
@@ -150,42 +197,152 @@ async function updateMissedAppointments() {
   }
 }
 
+/**
+ * Send the 24-hour and 1-hour reminders for upcoming appointments
+ * @returns {Promise<Object>} { remindedCount }
+ */
+async function sendAppointmentReminders() {
+  const now = new Date();
+  const longestLeadMinutes = REMINDERS[0].leadMinutes;
+
+  // Appointment dates are the start of their day, so look back a day to cover every timezone
+  const appointments = await Appointment.find({
+    status: 'confirmed',
+    appointmentDate: {
+      $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000),
+      $lte: new Date(now.getTime() + longestLeadMinutes * 60 * 1000)
+    },
+    $or: REMINDERS.map(reminder => ({ [`reminders.${reminder.field}`]: null }))
+  }).populate('hospitalId', 'timezone');
+
+  let remindedCount = 0;
+
+  for (const appointment of appointments) {
+    const timeZone = appointment.hospitalId?.timezone || DEFAULT_TIMEZONE;
+    const slotStart = getSlotStart(appointment.appointmentDate, appointment.appointmentTime, timeZone);
+    const minutesUntil = (slotStart.getTime() - now.getTime()) / 60000;
+    if (minutesUntil <= 0) continue;
+
+    // The closest reminder whose lead time has been reached
+    const due = REMINDERS.filter(reminder => minutesUntil <= reminder.leadMinutes).pop();
+    if (!due || appointment.reminders?.[due.field]) continue;
+
+    // Claim the reminder so a retried run never sends it twice; earlier reminders
+    // that were missed (e.g. the booking was made within 24 hours) are skipped
+    const claimed = await Appointment.updateOne(
+      { _id: appointment._id, status: 'confirmed', [`reminders.${due.field}`]: null },
+      {
+        $set: REMINDERS
+          .filter(reminder => reminder.leadMinutes >= due.leadMinutes && !appointment.reminders?.[reminder.field])
+          .reduce((fields, reminder) => ({ ...fields, [`reminders.${reminder.field}`]: now }), {})
+      }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await notifyAppointmentPatient(due.template, appointment);
+    remindedCount++;
+  }
+
+  if (remindedCount > 0) {
+    console.log(`🔔 Queued ${remindedCount} appointment reminder(s)`);
+  }
+
+  return { remindedCount };
+}
+
+/**
+ * Recompute every hospital's appointment totals from the appointments themselves
+ * @returns {Promise<Object>} { hospitalsUpdated }
+ */
+async function recomputeHospitalStats() {
+  const totals = await Appointment.aggregate([
+    {
+      $group: {
+        _id: '$hospitalId',
+        totalAppointments: { $sum: 1 },
+        completedAppointments: {
+          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const totalsByHospital = new Map(totals.map(total => [total._id.toString(), total]));
+  const hospitals = await Hospital.find().select('_id').lean();
+
+  // Hospitals without appointments are reset to zero
+  const operations = hospitals.map(hospital => {
+    const total = totalsByHospital.get(hospital._id.toString());
+    return {
+      updateOne: {
+        filter: { _id: hospital._id },
+        update: {
+          $set: {
+            'stats.totalAppointments': total?.totalAppointments || 0,
+            'stats.completedAppointments': total?.completedAppointments || 0
+          }
+        }
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await Hospital.bulkWrite(operations);
+  }
+
+  return { hospitalsUpdated: operations.length };
+}
+
+// Scheduler tasks, each run as a recurring job
+defineJob('missed-appointments', updateMissedAppointments, {
+  description: 'Mark confirmed appointments past their grace period as missed or no-show',
+  intervalMinutes: 5
+});
+
+defineJob('waitlist-expiry', () => expireWaitlistOffers(global.io), {
+  description: 'Expire unconfirmed waitlist offers and close entries for past days',
+  intervalMinutes: 5
+});
+
+defineJob('appointment-reminders', sendAppointmentReminders, {
+  description: 'Send patients their 24-hour and 1-hour appointment reminders',
+  intervalMinutes: 5
+});
+
+defineJob('hospital-stats', recomputeHospitalStats, {
+  description: 'Recompute hospital appointment totals',
+  intervalMinutes: 60
+});
+
 /**
  * Start the appointment scheduler
- * Runs every 5 minutes to check for missed appointments
+ * Starts this instance's job worker, which runs the scheduler jobs as they fall due
  */
 function startAppointmentScheduler() {
   console.log('🚀 Starting appointment scheduler...');
-  
-  // Run immediately on startup
-  updateMissedAppointments().catch(console.error);
-  
-  // Then run every 5 minutes
-  const interval = setInterval(() => {
-    updateMissedAppointments().catch(console.error);
-  }, 5 * 60 * 1000); // 5 minutes
-  
-  console.log('⏰ Appointment scheduler started - checking every 5 minutes');
-  
-  return interval;
+  startJobWorker();
 }
 
 /**
  * Stop the appointment scheduler
  */
-function stopAppointmentScheduler(interval) {
-  if (interval) {
-    clearInterval(interval);
-    console.log('⏹️ Appointment scheduler stopped');
-  }
+function stopAppointmentScheduler() {
+  stopJobWorker();
+  console.log('⏹️ Appointment scheduler stopped');
 }
 
 /**
- * Manual check for missed appointments (for testing)
+ * Manual check for missed appointments
+ * @param {Object} [options] - { triggeredBy }
+ * @returns {Promise<Object>} Result of the run
  */
-async function checkMissedAppointmentsNow() {
+async function checkMissedAppointmentsNow({ triggeredBy } = {}) {
   console.log('🔍 Manual check for missed appointments...');
-  return await updateMissedAppointments();
+  const job = await triggerJob('missed-appointments', { triggeredBy });
+  if (job.status !== 'completed') {
+    throw new Error(job.lastError || 'Missed appointments check was picked up by another worker; see the job history');
+  }
+  return job.result;
 }
 
 module.exports = {
@@ -193,6 +350,8 @@ module.exports = {
   stopAppointmentScheduler,
   updateMissedAppointments,
   checkMissedAppointmentsNow,
+  sendAppointmentReminders,
+  recomputeHospitalStats,
   isAppointmentMissed,
   timeStringToMinutes
 };
\ No newline at end of file
@@ -0,0 +1,324 @@
+/**
+ * Job Queue Utility
+ * MongoDB-backed background jobs shared by every server instance.
+ * Recurring jobs are queued once per interval, and a worker must hold a job's lock lease
+ * to run it, so each run happens on exactly one instance. Runs of the same job never
+ * overlap unless the job allows it. Failed runs are retried with backoff.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+// How long a claimed job stays locked without its worker renewing the lease
+const LEASE_MS = 2 * 60 * 1000;
+
+// How often the worker looks for due jobs
+const POLL_MS = (parseInt(process.env.JOB_POLL_SECONDS, 10) || 15) * 1000;
+
+// First retry delay; doubles with each failed attempt
+const RETRY_BASE_MS = 30 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const definitions = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register a job handler
+ * @param {string} name - Job name
+ * @param {Function} handler - async (payload, job) => result; the result is saved in the job history
+ * @param {Object} [options]
+ * @param {string} [options.description] - Shown when listing job definitions
+ * @param {number} [options.intervalMinutes] - Queue the job automatically at this interval
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked failed
+ * @param {boolean} [options.concurrent] - Let runs overlap, for jobs whose runs are independent
+ */
+function defineJob(name, handler, { description = '', intervalMinutes = null, maxAttempts = 3, concurrent = false } = {}) {
+  definitions.set(name, { name, handler, description, intervalMinutes, maxAttempts, concurrent });
+}
+
+// Run lock a job's runs share; the Job model's unique index lets one running job hold it
+const getRunLock = (definition) => {
+  return definition.concurrent ? undefined : definition.name;
+};
+
+// Duplicate key error from the run lock index: another run of the job is in progress
+const isRunLockConflict = (error) => {
+  return error.code === 11000 && Boolean(error.keyPattern?.runLock);
+};
+
+/**
+ * List registered jobs
+ * @returns {Array<Object>} { name, description, intervalMinutes, maxAttempts }
+ */
+function getJobDefinitions() {
+  return Array.from(definitions.values()).map(({ handler, ...definition }) => definition);
+}
+
+/**
+ * Queue a job to run as soon as a worker is free
+ * @param {string} name - Registered job name
+ * @param {Object} [payload] - Passed to the handler
+ * @param {Object} [options] - { runAt, trigger, triggeredBy }
+ * @returns {Promise<Object>} Job document
+ */
+async function enqueueJob(name, payload = {}, { runAt = new Date(), trigger = 'manual', triggeredBy } = {}) {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  return Job.create({
+    name,
+    payload,
+    runAt,
+    trigger,
+    triggeredBy,
+    maxAttempts: definition.maxAttempts,
+    runLock: getRunLock(definition)
+  });
+}
+
+/**
+ * Queue the current interval's run of every recurring job.
+ * Every instance calls this; the unique key means each interval is only queued once.
+ */
+async function scheduleRecurringJobs() {
+  const now = Date.now();
+
+  for (const definition of definitions.values()) {
+    if (!definition.intervalMinutes) continue;
+
+    const intervalMs = definition.intervalMinutes * 60 * 1000;
+    const intervalStart = new Date(Math.floor(now / intervalMs) * intervalMs);
+
+    try {
+      await Job.updateOne(
+        { uniqueKey: `${definition.name}:${intervalStart.toISOString()}` },
+        {
+          $setOnInsert: {
+            name: definition.name,
+            runAt: intervalStart,
+            trigger: 'schedule',
+            maxAttempts: definition.maxAttempts,
+            runLock: getRunLock(definition)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another instance queued the same interval at the same moment
+      if (error.code !== 11000) throw error;
+    }
+  }
+}
+
+/**
+ * Atomically take the lock lease on a job
+ * @param {Object} filter - Which jobs may be claimed
+ * @returns {Promise<Object|null>} The claimed job, or null if none was available
+ */
+async function claimJob(filter) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        lockExpiresAt: new Date(now.getTime() + LEASE_MS),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Claim the next due job, including jobs whose worker lost its lease
+ * @returns {Promise<Object|null>}
+ */
+async function claimNextJob() {
+  const now = new Date();
+  const names = Array.from(definitions.keys());
+
+  // Runs whose worker lost its lease still hold their job's run lock, so take them over first
+  const abandoned = await claimJob({ name: { $in: names }, status: 'running', lockExpiresAt: { $lte: now } });
+  if (abandoned) return abandoned;
+
+  // While another run of a job holds its run lock, claiming a pending run of it fails;
+  // leave that job for a later poll and try the next due one
+  const locked = [];
+  while (true) {
+    try {
+      return await claimJob({
+        name: { $in: names.filter(name => !locked.includes(name)) },
+        status: 'pending',
+        runAt: { $lte: now }
+      });
+    } catch (error) {
+      if (!isRunLockConflict(error)) throw error;
+      locked.push(error.keyValue.runLock);
+    }
+  }
+}
+
+/**
+ * Run a claimed job, renewing its lease until the handler finishes,
+ * then record the result or schedule a retry
+ * @param {Object} job - Job document claimed by this worker
+ * @returns {Promise<Object>} Job document after the run
+ */
+async function runJob(job) {
+  const definition = definitions.get(job.name);
+  const startedAt = Date.now();
+
+  // Keep the lease while the handler is still working
+  const renewal = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { lockExpiresAt: new Date(Date.now() + LEASE_MS) } }
+    ).catch(error => console.error(`❌ Failed to renew lease on job ${job.name}:`, error.message));
+  }, LEASE_MS / 3);
+
+  let update;
+  try {
+    // A job whose worker died on its last attempt is not run again
+    if (job.attempts > job.maxAttempts) {
+      throw new Error('Worker stopped before the job finished');
+    }
+
+    const result = await definition.handler(job.payload || {}, job);
+    update = {
+      $set: {
+        status: 'completed',
+        result,
+        finishedAt: new Date(),
+        durationMs: Date.now() - startedAt
+      },
+      $unset: { lockedBy: 1, lockExpiresAt: 1 }
+    };
+    console.log(`✅ Job ${job.name} completed`);
+  } catch (error) {
+    const willRetry = job.attempts < job.maxAttempts;
+    update = willRetry
+      ? {
+          $set: {
+            status: 'pending',
+            lastError: error.message,
+            runAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1))
+          },
+          $unset: { lockedBy: 1, lockExpiresAt: 1 }
+        }
+      : {
+          $set: {
+            status: 'failed',
+            lastError: error.message,
+            finishedAt: new Date(),
+            durationMs: Date.now() - startedAt
+          },
+          $unset: { lockedBy: 1, lockExpiresAt: 1 }
+        };
+    console.error(`❌ Job ${job.name} failed (attempt ${job.attempts}/${job.maxAttempts})${willRetry ? ', will retry' : ''}:`, error.message);
+  } finally {
+    clearInterval(renewal);
+  }
+
+  // Only record the outcome if no other worker took the job over
+  const finished = await Job.findOneAndUpdate(
+    { _id: job._id, lockedBy: WORKER_ID },
+    update,
+    { new: true }
+  );
+  return finished || job;
+}
+
+/**
+ * Queue a job and run it right away on this instance, e.g. for a manual trigger from the API
+ * @param {string} name - Registered job name
+ * @param {Object} [options] - { payload, triggeredBy }
+ * @returns {Promise<Object>} Job document after the run
+ */
+async function triggerJob(name, { payload = {}, triggeredBy } = {}) {
+  const queued = await enqueueJob(name, payload, { trigger: 'manual', triggeredBy });
+
+  let job;
+  try {
+    job = await claimJob({ _id: queued._id, status: 'pending' });
+  } catch (error) {
+    if (!isRunLockConflict(error)) throw error;
+
+    // Drop the run rather than leave it queued behind the one in progress
+    await Job.deleteOne({ _id: queued._id });
+    const conflict = new Error(`Job ${name} is already running`);
+    conflict.statusCode = 409;
+    throw conflict;
+  }
+
+  // A polling worker picked it up first; it will be in the history once done
+  if (!job) return queued;
+
+  return runJob(job);
+}
+
+/**
+ * Queue due recurring jobs and run everything that is due
+ */
+async function pollJobs() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    await scheduleRecurringJobs();
+
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = pollTimer ? await claimNextJob() : null;
+    }
+  } catch (error) {
+    console.error('❌ Job worker error:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling for jobs on this instance.
+ * Set JOB_WORKER=false to run an instance that serves the API only.
+ */
+function startJobWorker() {
+  if (process.env.JOB_WORKER === 'false') {
+    console.log('⏸️ Job worker disabled on this instance (JOB_WORKER=false)');
+    return;
+  }
+  if (pollTimer) return;
+
+  pollTimer = setInterval(pollJobs, POLL_MS);
+  pollJobs();
+  console.log(`⚙️ Job worker ${WORKER_ID} started - polling every ${POLL_MS / 1000} seconds`);
+}
+
+/**
+ * Stop polling for jobs. A job that is running finishes first.
+ */
+function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('⏹️ Job worker stopped');
+  }
+}
+
+module.exports = {
+  WORKER_ID,
+  defineJob,
+  getJobDefinitions,
+  enqueueJob,
+  triggerJob,
+  startJobWorker,
+  stopJobWorker
+};
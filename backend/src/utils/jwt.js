@@ -3,38 +3,74 @@
  * Token generation and validation utilities
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-// Generate JWT token
-const generateToken = (userId, role) => {
+// Generate a short-lived access token for a session
+const generateToken = (userId, role, sessionId) => {
   return jwt.sign(
     { 
       userId, 
       role,
+      sid: sessionId,
       timestamp: Date.now()
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: process.env.JWT_EXPIRE || '15m'
     }
   );
 };
 
-// Generate refresh token (longer expiry)
-const generateRefreshToken = (userId) => {
+// Generate an opaque refresh token; only its hash is stored
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Hash a refresh token for storage and lookup
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Lifetime of single-purpose tokens sent by email or handed out between login steps
+const ACTION_TOKEN_EXPIRY = {
+  'verify-email': '24h',
+  'reset-password': '1h',
+  'two-factor': '5m',
+  'two-factor-setup': '15m'
+};
+
+// Fingerprint of a value the token is tied to, e.g. the current password hash,
+// so the token stops working once that value changes
+const fingerprint = (value) => {
+  return crypto.createHash('sha256').update(String(value || '')).digest('hex').slice(0, 16);
+};
+
+// Generate a signed, expiring token for a single action
+const generateActionToken = (userId, purpose, bindTo) => {
   return jwt.sign(
-    { 
+    {
       userId,
-      type: 'refresh',
-      timestamp: Date.now()
+      purpose,
+      fp: fingerprint(bindTo)
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: '30d'
+      expiresIn: ACTION_TOKEN_EXPIRY[purpose]
     }
   );
 };
 
+// Verify an action token; throws if it is invalid, expired, for another
+// purpose, or the value it was tied to has changed
+const verifyActionToken = (token, purpose, currentValue) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== purpose || decoded.fp !== fingerprint(currentValue)) {
+    throw new jwt.JsonWebTokenError('Token is not valid for this action');
+  }
+  return decoded;
+};
+
 // Verify token
 const verifyToken = (token) => {
   try {
@@ -52,6 +88,9 @@ const decodeToken = (token) => {
 module.exports = {
   generateToken,
   generateRefreshToken,
+  hashToken,
+  generateActionToken,
+  verifyActionToken,
   verifyToken,
   decodeToken
 };
\ No newline at end of file
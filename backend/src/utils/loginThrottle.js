@@ -0,0 +1,132 @@
+/**
+ * Login Throttle Utilities
+ * Per-account protection against password guessing. After a few failed sign-ins
+ * each further attempt must wait longer, and too many failures lock the account
+ * for a while. A successful sign-in, a password reset or an admin clears the count.
+ */
+
+const User = require('../models/User');
+
+// Failures allowed before attempts are delayed
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+
+// Failures that lock the account
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+
+// Longest delay between attempts before the lockout
+const MAX_DELAY_SECONDS = 60;
+
+// Seconds to wait after a given number of consecutive failures: 2, 4, 8 ... up to a minute
+const getDelaySeconds = (failed) => {
+  if (failed < FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failed - FREE_ATTEMPTS + 1), MAX_DELAY_SECONDS);
+};
+
+const lockedResponse = (lockedUntil) => ({
+  statusCode: 423,
+  code: 'ACCOUNT_LOCKED',
+  message: `Account locked after too many failed sign-in attempts. Try again in ${Math.ceil((lockedUntil - Date.now()) / 60000)} minutes, reset your password, or ask an administrator to unlock it.`,
+  data: { lockedUntil }
+});
+
+const throttledResponse = (retryAfter) => {
+  const seconds = Math.ceil((retryAfter - Date.now()) / 1000);
+  return {
+    statusCode: 429,
+    code: 'LOGIN_THROTTLED',
+    message: `Too many failed sign-in attempts. Please wait ${seconds} seconds before trying again.`,
+    data: { retryAfter: seconds }
+  };
+};
+
+/**
+ * Whether the account may attempt to sign in now
+ * @param {Object} user - User document
+ * @returns {Object|null} { statusCode, code, message, data } when blocked, otherwise null
+ */
+function getLoginBlock(user) {
+  const { lockedUntil, retryAfter } = user.loginAttempts || {};
+  const now = Date.now();
+
+  if (lockedUntil && lockedUntil > now) {
+    return lockedResponse(lockedUntil);
+  }
+
+  if (retryAfter && retryAfter > now) {
+    return throttledResponse(retryAfter);
+  }
+
+  return null;
+}
+
+/**
+ * Count a failed password or two-factor code
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { locked, lockedUntil } - locked is true when this failure locked the account
+ */
+async function recordFailedLogin(user) {
+  const now = new Date();
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { 'loginAttempts.failed': 1 },
+      $set: { 'loginAttempts.lastFailedAt': now }
+    },
+    { new: true }
+  ).select('loginAttempts');
+
+  const failed = updated?.loginAttempts?.failed || 0;
+
+  if (failed >= MAX_ATTEMPTS) {
+    // Start counting again once the lock expires
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'loginAttempts.failed': 0,
+        'loginAttempts.lockedUntil': lockedUntil
+      },
+      $unset: { 'loginAttempts.retryAfter': 1 }
+    });
+    return { locked: true, lockedUntil };
+  }
+
+  const delaySeconds = getDelaySeconds(failed);
+  if (delaySeconds > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { 'loginAttempts.retryAfter': new Date(now.getTime() + delaySeconds * 1000) }
+    );
+  }
+
+  return { locked: false };
+}
+
+/**
+ * Forget failed sign-ins and lift any lock
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} The updated user, or null if there is none
+ */
+async function clearFailedLogins(userId) {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      $set: { 'loginAttempts.failed': 0 },
+      $unset: {
+        'loginAttempts.lastFailedAt': 1,
+        'loginAttempts.retryAfter': 1,
+        'loginAttempts.lockedUntil': 1
+      }
+    },
+    { new: true }
+  );
+}
+
+module.exports = {
+  LOCKOUT_MINUTES,
+  getLoginBlock,
+  lockedResponse,
+  recordFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,64 @@
+/**
+ * No-Show Policy Utility
+ * Reads a hospital's no-show policy and applies its booking restriction to repeat no-shows
+ */
+
+const mongoose = require('mongoose');
+
+// Used for hospitals that have not configured a policy
+const DEFAULT_NO_SHOW_POLICY = {
+  graceMinutes: 10,
+  markAs: 'missed',
+  threshold: 0,
+  restriction: 'none'
+};
+
+/**
+ * Get a hospital's no-show policy, filled in with defaults
+ * @param {Object|string} hospital - Hospital document (with noShowPolicy) or ID
+ * @returns {Promise<Object>} { graceMinutes, markAs, threshold, restriction }
+ */
+async function getNoShowPolicy(hospital) {
+  let policy = hospital?.noShowPolicy;
+
+  if (!policy && hospital) {
+    const found = await mongoose.model('Hospital')
+      .findById(hospital._id || hospital)
+      .select('noShowPolicy')
+      .lean();
+    policy = found?.noShowPolicy;
+  }
+
+  const plain = policy?.toObject ? policy.toObject() : policy;
+  return { ...DEFAULT_NO_SHOW_POLICY, ...(plain || {}) };
+}
+
+/**
+ * Get the restriction a hospital places on a patient because of past no-shows
+ * @param {Object} patient - Patient user document
+ * @param {Object|string} hospital - Hospital document or ID
+ * @returns {Promise<Object|null>} { restriction, noShowCount, threshold, message }, or null when unrestricted
+ */
+async function getBookingRestriction(patient, hospital) {
+  const policy = await getNoShowPolicy(hospital);
+  const noShowCount = patient?.patientInfo?.noShowCount || 0;
+
+  if (policy.restriction === 'none' || policy.threshold <= 0 || noShowCount < policy.threshold) {
+    return null;
+  }
+
+  return {
+    restriction: policy.restriction,
+    noShowCount,
+    threshold: policy.threshold,
+    message: policy.restriction === 'block_online_booking'
+      ? `Online booking is unavailable after ${noShowCount} missed appointments. Please contact the hospital to book.`
+      : `Because of ${noShowCount} missed appointments, this hospital requires the consultation fee to be paid before check-in.`
+  };
+}
+
+module.exports = {
+  DEFAULT_NO_SHOW_POLICY,
+  getNoShowPolicy,
+  getBookingRestriction
+};
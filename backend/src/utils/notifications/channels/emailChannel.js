@@ -0,0 +1,50 @@
+/**
+ * Email Notification Channel
+ * Sends notifications by SMTP
+ */
+
+const nodemailer = require('nodemailer');
+const { useLocalTransport, deliverLocally } = require('./localTransport');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+module.exports = {
+  name: 'email',
+  preference: 'email',
+
+  isConfigured: () => useLocalTransport() || Boolean(process.env.SMTP_HOST),
+
+  canReach: (user) => Boolean(user.email),
+
+  async send(user, content) {
+    const message = {
+      subject: content.subject,
+      text: `Hello ${user.firstName},\n\n${content.message}\n\n— OneHospital`
+    };
+
+    if (useLocalTransport()) {
+      return deliverLocally('email', user.email, message);
+    }
+
+    await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || 'OneHospital <no-reply@onehospital.app>',
+      to: user.email,
+      ...message
+    });
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * In-App Notification Channel
+ * Saves notifications to the user's notification center and pushes them
+ * to their open dashboard over Socket.IO
+ */
+
+const Notification = require('../../../models/Notification');
+
+// Personal rooms the dashboards join, by role
+const PERSONAL_ROOMS = {
+  patient: 'patient',
+  doctor: 'doctor'
+};
+
+module.exports = {
+  name: 'inApp',
+  preference: 'inApp',
+
+  isConfigured: () => true,
+
+  canReach: () => true,
+
+  async send(user, content, notification) {
+    const saved = await Notification.create({
+      userId: user._id,
+      type: notification.template,
+      title: content.title,
+      message: content.message,
+      data: {
+        appointmentId: notification.data?.appointmentId,
+        referralId: notification.data?.referralId
+      }
+    });
+
+    if (global.io && PERSONAL_ROOMS[user.role]) {
+      global.io.to(`${PERSONAL_ROOMS[user.role]}-${user._id}`).emit('notification', {
+        _id: saved._id,
+        type: notification.template,
+        title: content.title,
+        message: content.message,
+        data: notification.data
+      });
+    }
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Local Notification Transport
+ * Stands in for the email and SMS providers in development and tests:
+ * messages are printed to the console and appended to a log file instead of being sent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_FILE = process.env.NOTIFICATION_LOG_FILE || path.join(__dirname, '../../../../logs/notifications.log');
+
+/**
+ * Whether email and SMS go to the local transport instead of real providers.
+ * Defaults to local outside production; set NOTIFICATION_TRANSPORT=live to send for real.
+ * @returns {boolean}
+ */
+function useLocalTransport() {
+  const transport = process.env.NOTIFICATION_TRANSPORT;
+  if (transport) return transport === 'local';
+  return process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Record a message instead of sending it
+ * @param {string} channel - Channel name, e.g. "email"
+ * @param {string} to - Recipient address or number
+ * @param {Object} content - Message content
+ */
+async function deliverLocally(channel, to, content) {
+  const entry = { at: new Date().toISOString(), channel, to, ...content };
+  console.log(`📨 [${channel} → ${to}] ${content.subject || content.text}`);
+
+  await fs.promises.mkdir(path.dirname(LOG_FILE), { recursive: true });
+  await fs.promises.appendFile(LOG_FILE, `${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+  useLocalTransport,
+  deliverLocally
+};
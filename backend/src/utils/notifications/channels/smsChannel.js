@@ -0,0 +1,75 @@
+/**
+ * SMS Notification Channel
+ * Sends notifications through the provider adapter named by SMS_PROVIDER
+ */
+
+const { useLocalTransport, deliverLocally } = require('./localTransport');
+
+// Stored phone numbers are 10 digits without a country code
+const toE164 = (phone) => `${process.env.SMS_COUNTRY_CODE || '+91'}${phone}`;
+
+// Provider adapters: each sends one text message or throws
+const providers = {
+  twilio: {
+    isConfigured: () => Boolean(
+      process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM
+    ),
+    async send(to, text) {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const credentials = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: text })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Twilio responded with ${response.status}`);
+      }
+    }
+  },
+
+  // Any gateway that accepts a JSON POST of { to, message }
+  webhook: {
+    isConfigured: () => Boolean(process.env.SMS_WEBHOOK_URL),
+    async send(to, text) {
+      const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` })
+        },
+        body: JSON.stringify({ to, message: text })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+    }
+  }
+};
+
+const getProvider = () => providers[process.env.SMS_PROVIDER];
+
+module.exports = {
+  name: 'sms',
+  preference: 'sms',
+
+  isConfigured: () => useLocalTransport() || Boolean(getProvider()?.isConfigured()),
+
+  canReach: (user) => Boolean(user.phone),
+
+  async send(user, content) {
+    const to = toE164(user.phone);
+
+    if (useLocalTransport()) {
+      return deliverLocally('sms', to, { text: content.sms });
+    }
+
+    await getProvider().send(to, content.sms);
+  }
+};
@@ -0,0 +1,199 @@
+/**
+ * Notifications
+ * Sends templated notifications over every channel a user has enabled.
+ * Notifications are queued as jobs, so delivery happens on the scheduler's worker and a
+ * failed channel is retried without resending channels that already succeeded.
+ */
+
+const moment = require('moment');
+const Job = require('../../models/Job');
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const Appointment = require('../../models/Appointment');
+const { defineJob, enqueueJob } = require('../jobQueue');
+const { DEFAULT_TIMEZONE, getDayKey } = require('../timezone');
+const { NOTIFICATION_TEMPLATES, renderTemplate } = require('./templates');
+const emailChannel = require('./channels/emailChannel');
+const smsChannel = require('./channels/smsChannel');
+const inAppChannel = require('./channels/inAppChannel');
+
+// Each channel provides { name, preference, isConfigured(), canReach(user), send(user, content, notification) }
+const channels = [emailChannel, smsChannel, inAppChannel];
+
+/**
+ * Add a delivery channel
+ * @param {Object} channel - Channel implementing the interface above
+ */
+function registerChannel(channel) {
+  channels.push(channel);
+}
+
+/**
+ * Deliver a queued notification to each of the user's channels
+ * @param {Object} notification - { userId, template, data, delivered }
+ * @param {Object} job - The job being run
+ * @returns {Promise<Object>} { delivered, skipped }
+ */
+async function deliverNotification(notification, job) {
+  const user = await User.findById(notification.userId)
+    .select('firstName lastName email phone role isActive notificationPreferences');
+  if (!user || !user.isActive) {
+    return { delivered: [], skipped: ['all'] };
+  }
+
+  const content = renderTemplate(notification.template, notification.data || {});
+  const delivered = [...(notification.delivered || [])];
+  const skipped = [];
+  const failures = [];
+
+  for (const channel of channels) {
+    if (delivered.includes(channel.name)) continue;
+
+    if (!user.notificationPreferences?.[channel.preference] || !channel.isConfigured() || !channel.canReach(user)) {
+      skipped.push(channel.name);
+      continue;
+    }
+
+    try {
+      await channel.send(user, content, notification);
+      delivered.push(channel.name);
+
+      // Remember the channel so a retry does not send it twice
+      await Job.updateOne({ _id: job._id }, { $addToSet: { 'payload.delivered': channel.name } });
+    } catch (error) {
+      failures.push(`${channel.name}: ${error.message}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(failures.join('; '));
+  }
+
+  return { delivered, skipped };
+}
+
+// Each run delivers a different notification, so runs may overlap across the cluster
+defineJob('send-notification', deliverNotification, {
+  description: 'Deliver a notification by email, SMS and in-app',
+  concurrent: true
+});
+
+/**
+ * Queue a notification for a user. Never throws, so a notification
+ * problem cannot fail the request that caused it.
+ * @param {Object|string} userId - Recipient
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ */
+async function notifyUser(userId, template, data) {
+  try {
+    if (!NOTIFICATION_TEMPLATES.includes(template)) {
+      throw new Error(`Unknown notification template: ${template}`);
+    }
+    await enqueueJob('send-notification', { userId: userId?._id || userId, template, data }, { trigger: 'event' });
+  } catch (error) {
+    console.error(`❌ Failed to queue ${template} notification:`, error.message);
+  }
+}
+
+/**
+ * Format an appointment date the way notifications show it
+ * @param {Date} date - Appointment date
+ * @param {string} timeZone - Hospital timezone
+ * @returns {string} e.g. "Mon, 26 Jan 2026"
+ */
+function formatAppointmentDate(date, timeZone = DEFAULT_TIMEZONE) {
+  return moment(getDayKey(date, timeZone)).format('ddd, D MMM YYYY');
+}
+
+/**
+ * Build template data for an appointment
+ * @param {Object|string} appointment - Appointment document or ID
+ * @returns {Promise<Object|null>} { appointmentId, doctorName, hospitalName, date, time, tokenNumber }
+ */
+async function getAppointmentNotificationData(appointment) {
+  const found = await Appointment.findById(appointment._id || appointment)
+    .populate('doctorId', 'firstName lastName')
+    .populate('hospitalId', 'name timezone');
+  if (!found) return null;
+
+  const timeZone = found.hospitalId?.timezone || DEFAULT_TIMEZONE;
+  return {
+    appointmentId: found._id,
+    patientId: found.patientId,
+    doctorName: `${found.doctorId?.firstName} ${found.doctorId?.lastName}`,
+    hospitalName: found.hospitalId?.name,
+    date: formatAppointmentDate(found.appointmentDate, timeZone),
+    time: found.appointmentTime,
+    tokenNumber: found.tokenNumber
+  };
+}
+
+/**
+ * Queue an appointment notification for its patient
+ * @param {string} template - Template name
+ * @param {Object|string} appointment - Appointment document or ID
+ * @param {Object} [extra] - Additional template data, e.g. { reason }
+ */
+async function notifyAppointmentPatient(template, appointment, extra = {}) {
+  try {
+    const data = await getAppointmentNotificationData(appointment);
+    if (!data) return;
+    await notifyUser(data.patientId, template, { ...data, ...extra });
+  } catch (error) {
+    console.error(`❌ Failed to queue ${template} notification:`, error.message);
+  }
+}
+
+/**
+ * Keep a real-time event in the notification center of the users it was sent to.
+ * Events sent to a hospital room are kept for the hospital's admins, and the user
+ * whose action caused the event is left out. Never throws.
+ * @param {Object} recipients - { userIds, hospitalId, exclude }
+ * @param {Object} notification - { type, title, message, data: { appointmentId, referralId, callId } }
+ */
+async function saveNotification({ userIds = [], hospitalId, exclude } = {}, notification) {
+  try {
+    const adminIds = hospitalId
+      ? await User.find({ role: 'hospital_admin', hospitalId: hospitalId._id || hospitalId, isActive: true }).distinct('_id')
+      : [];
+    const excludedId = (exclude?._id || exclude)?.toString();
+    const recipients = [...userIds.map(id => id?._id || id), ...adminIds]
+      .filter(id => id && id.toString() !== excludedId);
+    await Notification.createForUsers(recipients, notification);
+  } catch (error) {
+    console.error(`❌ Failed to save ${notification.type} notification:`, error.message);
+  }
+}
+
+/**
+ * Send an account email (verification, password reset) straight away.
+ * These go by email whatever the user's preferences, and are not queued so the
+ * link's token is never stored in the jobs collection. Never throws.
+ * @param {Object} user - User document with email and firstName
+ * @param {string} template - Template name
+ * @param {Object} data - Template data, e.g. { link }
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendAccountEmail(user, template, data) {
+  try {
+    if (!emailChannel.isConfigured()) {
+      throw new Error('Email is not configured');
+    }
+    await emailChannel.send(user, renderTemplate(template, data), { template, data });
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send ${template} email to ${user.email}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TEMPLATES,
+  registerChannel,
+  notifyUser,
+  notifyAppointmentPatient,
+  formatAppointmentDate,
+  saveNotification,
+  sendAccountEmail
+};
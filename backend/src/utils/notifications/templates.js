@@ -0,0 +1,130 @@
+/**
+ * Notification Templates
+ * Each template turns notification data into the message for every channel:
+ * an email subject and body, a short SMS, and an in-app title and message.
+ */
+
+const visitLine = (data) =>
+  `Dr. ${data.doctorName} at ${data.hospitalName} on ${data.date} at ${data.time}`;
+
+const tokenLine = (data) => (data.tokenNumber ? ` Your token number is ${data.tokenNumber}.` : '');
+
+const templates = {
+  booking_confirmation: (data) => ({
+    subject: `Appointment confirmed with Dr. ${data.doctorName}`,
+    title: 'Appointment confirmed',
+    message: `Your appointment with ${visitLine(data)} is confirmed.${tokenLine(data)}`,
+    sms: `OneHospital: Appointment confirmed with ${visitLine(data)}.${tokenLine(data)}`
+  }),
+
+  reminder_24h: (data) => ({
+    subject: `Reminder: appointment tomorrow with Dr. ${data.doctorName}`,
+    title: 'Appointment tomorrow',
+    message: `This is a reminder of your appointment with ${visitLine(data)}.${tokenLine(data)} Please arrive 10 minutes early and check in at reception.`,
+    sms: `OneHospital reminder: ${visitLine(data)}.${tokenLine(data)}`
+  }),
+
+  reminder_1h: (data) => ({
+    subject: `Your appointment with Dr. ${data.doctorName} starts in 1 hour`,
+    title: 'Appointment in 1 hour',
+    message: `Your appointment with ${visitLine(data)} starts in about an hour.${tokenLine(data)}`,
+    sms: `OneHospital: Your appointment with Dr. ${data.doctorName} is at ${data.time} today.${tokenLine(data)}`
+  }),
+
+  appointment_cancelled: (data) => ({
+    subject: `Appointment with Dr. ${data.doctorName} cancelled`,
+    title: 'Appointment cancelled',
+    message: `Your appointment with ${visitLine(data)} has been cancelled.${data.reason ? ` Reason: ${data.reason}.` : ''}`,
+    sms: `OneHospital: Your appointment with ${visitLine(data)} was cancelled.`
+  }),
+
+  appointment_rescheduled: (data) => ({
+    subject: `Appointment with Dr. ${data.doctorName} moved to ${data.date}`,
+    title: 'Appointment rescheduled',
+    message: `Your appointment on ${data.previousDate} at ${data.previousTime} has been moved to ${visitLine(data)}.${data.reason ? ` Reason: ${data.reason}.` : ''}${tokenLine(data)}`,
+    sms: `OneHospital: Your appointment has moved to ${visitLine(data)}.${tokenLine(data)}`
+  }),
+
+  waitlist_offer: (data) => ({
+    subject: `A slot with Dr. ${data.doctorName} is free`,
+    title: 'Waitlist slot available',
+    message: `A slot with ${visitLine(data)} has opened up and is held for you until ${data.expiresAt}. Confirm it from your dashboard before then to book it.`,
+    sms: `OneHospital: A slot with ${visitLine(data)} is held for you until ${data.expiresAt}. Confirm it in the app to book it.`
+  }),
+
+  waitlist_offer_expired: (data) => ({
+    subject: `Your hold on the ${data.time} slot with Dr. ${data.doctorName} has expired`,
+    title: 'Waitlist hold expired',
+    message: `The slot with ${visitLine(data)} was not confirmed in time and has been offered to the next patient.`,
+    sms: `OneHospital: Your hold on the ${data.time} slot with Dr. ${data.doctorName} has expired.`
+  }),
+
+  referral_update: (data) => {
+    const outcome = {
+      pending: `Dr. ${data.referringDoctorName} has referred you to Dr. ${data.referredToDoctorName} at ${data.referredToHospitalName}.`,
+      accepted: `Dr. ${data.referredToDoctorName} at ${data.referredToHospitalName} has accepted your referral. The hospital will contact you to book an appointment.`,
+      declined: `Dr. ${data.referredToDoctorName} was unable to accept your referral. Dr. ${data.referringDoctorName} will discuss other options with you.`
+    }[data.status] || `Your referral to Dr. ${data.referredToDoctorName} is now ${data.status}.`;
+
+    return {
+      subject: data.status === 'pending' ? 'You have been referred to a specialist' : `Referral ${data.status}`,
+      title: data.status === 'pending' ? 'New referral' : `Referral ${data.status}`,
+      message: outcome,
+      sms: `OneHospital: ${outcome}`
+    };
+  },
+
+  doctor_verification: (data) => {
+    const outcome = data.status === 'verified'
+      ? `Your doctor account at ${data.hospitalName} has been verified. Patients can now find you and book appointments.`
+      : `Your doctor account at ${data.hospitalName} could not be verified.${data.reason ? ` Reason: ${data.reason}.` : ''} Please contact the hospital administrator.`;
+
+    return {
+      subject: data.status === 'verified' ? 'Your doctor account is verified' : 'Your doctor account was not verified',
+      title: data.status === 'verified' ? 'Account verified' : 'Verification rejected',
+      message: outcome,
+      sms: `OneHospital: ${outcome}`
+    };
+  },
+
+  // Account emails, sent by email only with sendAccountEmail
+  email_verification: (data) => ({
+    subject: 'Verify your OneHospital email address',
+    title: 'Verify your email',
+    message: `Please confirm your email address by opening this link:\n\n${data.link}\n\nThe link expires in 24 hours. If you did not create a OneHospital account, you can ignore this email.`,
+    sms: 'OneHospital: Please verify your email address using the link we emailed you.'
+  }),
+
+  password_reset: (data) => ({
+    subject: 'Reset your OneHospital password',
+    title: 'Reset your password',
+    message: `We received a request to reset your password. Open this link to choose a new one:\n\n${data.link}\n\nThe link expires in 1 hour and works once. If you did not ask to reset your password, you can ignore this email.`,
+    sms: 'OneHospital: Use the link we emailed you to reset your password.'
+  }),
+
+  account_locked: (data) => ({
+    subject: 'Your OneHospital account has been locked',
+    title: 'Account locked',
+    message: `Your account was locked for ${data.minutes} minutes after too many failed sign-in attempts. If this was not you, someone may be trying to guess your password.\n\nResetting your password unlocks the account straight away:\n\n${data.link}`,
+    sms: 'OneHospital: Your account was locked after too many failed sign-in attempts. See your email for details.'
+  })
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{ subject: string, title: string, message: string, sms: string }}
+ */
+function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  NOTIFICATION_TEMPLATES: Object.keys(templates),
+  renderTemplate
+};
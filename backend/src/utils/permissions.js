@@ -0,0 +1,165 @@
+/**
+ * Permission Utilities
+ * Access is granted by named permissions rather than by role. The four built-in
+ * roles have fixed permission sets, and each hospital can define its own staff
+ * roles (receptionist, billing, auditor ...) from the staff permissions below.
+ */
+
+const StaffRole = require('../models/StaffRole');
+
+// Every permission, with the description shown when building a staff role
+const PERMISSIONS = {
+  'appointments:book': 'Book, view and reschedule your own appointments',
+  'appointments:consult': 'View your own appointment schedule and book follow-ups',
+  'appointments:view': "View the hospital's appointments and dashboard",
+  'appointments:update_status': 'Move appointments through the consultation workflow',
+  'appointments:checkin': 'Check patients in at reception',
+  'appointments:cancel': 'Cancel appointments',
+  'appointments:check_missed': 'Run the missed-appointment check for all hospitals',
+  'billing:payment': 'Record consultation payments',
+  'billing:refund': 'Mark consultation fees as refunded',
+  'waitlist:join': 'Join and manage your own waitlist entries',
+  'waitlist:view': "View the hospital's waitlists",
+  'ratings:submit': 'Rate completed appointments',
+  'ratings:moderate': "Hide or restore reviews of the hospital and its doctors",
+  'referrals:manage': 'Send and respond to referrals',
+  'emergency:request': 'Request an emergency video consultation',
+  'emergency:respond': 'Take emergency video consultations',
+  'schedule:manage_own': 'Edit your own doctor profile and consultation hours',
+  'leave:manage': 'Record leave and holidays and resolve the appointments they affect',
+  'doctors:manage': 'Add, edit, remove and unlock doctors',
+  'doctors:verify': "Review self-registered doctors' medical licenses",
+  'hospital:register': 'Register a hospital',
+  'hospital:manage': "Edit the hospital's details and security settings",
+  'staff:manage': 'Create staff roles and staff accounts',
+  'platform:hospitals': 'Approve hospitals on the platform',
+  'platform:users': 'Unlock any account on the platform',
+  'platform:jobs': 'View and run scheduled jobs',
+  'platform:stats': 'View platform statistics'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Permissions a hospital may give its custom staff roles. Registering or editing
+// the hospital and managing staff stay with the hospital admin, and platform-wide
+// permissions stay with super admins.
+const STAFF_PERMISSIONS = [
+  'appointments:view',
+  'appointments:update_status',
+  'appointments:checkin',
+  'appointments:cancel',
+  'billing:payment',
+  'billing:refund',
+  'waitlist:view',
+  'ratings:moderate',
+  'leave:manage',
+  'doctors:manage',
+  'doctors:verify'
+];
+
+const ROLE_PERMISSIONS = {
+  super_admin: ALL_PERMISSIONS,
+  hospital_admin: [
+    ...STAFF_PERMISSIONS,
+    'appointments:check_missed',
+    'hospital:register',
+    'hospital:manage',
+    'staff:manage'
+  ],
+  doctor: [
+    'appointments:consult',
+    'appointments:cancel',
+    'appointments:update_status',
+    'appointments:check_missed',
+    'waitlist:view',
+    'referrals:manage',
+    'emergency:respond',
+    'schedule:manage_own',
+    'leave:manage'
+  ],
+  patient: [
+    'appointments:book',
+    'appointments:cancel',
+    'appointments:checkin',
+    'waitlist:join',
+    'ratings:submit',
+    'emergency:request'
+  ],
+  // Comes from the user's staff role
+  staff: []
+};
+
+/**
+ * Whether the user acts on behalf of their hospital, so their access to
+ * hospital records is limited to that hospital. This only scopes access;
+ * what the user may do comes from their permissions.
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+function managesHospital(user) {
+  return user.role === 'hospital_admin' || user.role === 'staff';
+}
+
+/**
+ * Work out a user's permissions
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>} Permission names
+ */
+async function getUserPermissions(user) {
+  if (user.role !== 'staff') {
+    return ROLE_PERMISSIONS[user.role] || [];
+  }
+
+  const staffRoleId = user.staffRoleId?._id || user.staffRoleId;
+  const hospitalId = user.hospitalId?._id || user.hospitalId;
+  if (!staffRoleId || !hospitalId) return [];
+
+  // A role from another hospital or a retired role grants nothing
+  const staffRole = await StaffRole.findOne({ _id: staffRoleId, hospitalId, isActive: true })
+    .select('permissions');
+
+  return (staffRole?.permissions || []).filter(permission => STAFF_PERMISSIONS.includes(permission));
+}
+
+/**
+ * Whether a hospital admin or staff member may see their hospital's
+ * appointments, queues and live updates
+ * @param {Object} user - User document
+ * @param {string[]} [permissions] - The user's permissions, if already worked out
+ * @returns {Promise<boolean>}
+ */
+async function canViewHospitalRecords(user, permissions) {
+  if (!managesHospital(user)) return false;
+
+  const granted = permissions || await getUserPermissions(user);
+  return granted.includes('appointments:view');
+}
+
+/**
+ * Whether a user may follow an appointment: its patient and doctor, its
+ * hospital's admins and staff who can view appointments, and super admins
+ * @param {Object} user - User document
+ * @param {Object} appointment - Appointment with patientId, doctorId and hospitalId
+ * @param {string[]} [permissions] - The user's permissions, if already worked out
+ * @returns {Promise<boolean>}
+ */
+async function canViewAppointment(user, appointment, permissions) {
+  if (user.role === 'super_admin') return true;
+
+  const isSame = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+  if (isSame(appointment.patientId, user._id) || isSame(appointment.doctorId, user._id)) {
+    return true;
+  }
+
+  return isSame(appointment.hospitalId, user.hospitalId) && canViewHospitalRecords(user, permissions);
+}
+
+module.exports = {
+  PERMISSIONS,
+  STAFF_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  managesHospital,
+  getUserPermissions,
+  canViewHospitalRecords,
+  canViewAppointment
+};
@@ -0,0 +1,180 @@
+/**
+ * Queue Updates Utility
+ * Recomputes wait time estimates when a doctor's queue moves and pushes them over Socket.IO
+ */
+
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+
+// Number of upcoming tokens shown per doctor on the waiting-room board
+const BOARD_UPCOMING_TOKENS = 5;
+
+/**
+ * Build the live queue position payload sent to an appointment's room
+ * @param {Object} appointment - Appointment document or estimate
+ * @param {Object} details - { status, currentToken, peopleAhead, estimatedWaitTime }
+ * @returns {Object} Queue position payload
+ */
+function buildQueuePosition(appointment, details) {
+  return {
+    appointmentId: appointment.appointmentId || appointment._id,
+    tokenNumber: appointment.tokenNumber,
+    status: details.status,
+    currentToken: details.currentToken,
+    peopleAhead: details.peopleAhead,
+    estimatedWaitTime: details.estimatedWaitTime,
+    updatedAt: new Date()
+  };
+}
+
+/**
+ * Get the live queue position for a single appointment
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<Object>} Queue position payload
+ */
+async function getAppointmentQueuePosition(appointment) {
+  const doctorId = appointment.doctorId._id || appointment.doctorId;
+  const queue = await Appointment.getQueueStatus(doctorId, appointment.appointmentDate);
+
+  const inProgress = queue.filter(apt => apt.status === 'in_progress');
+  const waiting = queue.filter(apt => apt.status === 'confirmed');
+  const index = waiting.findIndex(apt => apt._id.toString() === appointment._id.toString());
+
+  return buildQueuePosition(appointment, {
+    status: appointment.status,
+    currentToken: inProgress.length > 0 ? inProgress[0].tokenNumber : null,
+    peopleAhead: index >= 0 ? inProgress.length + index : 0,
+    estimatedWaitTime: index >= 0 ? appointment.estimatedWaitTime : 0
+  });
+}
+
+/**
+ * Build the public waiting-room board for a hospital.
+ * Only tokens and doctor names are included, never patient details.
+ * @param {string} hospitalId - Hospital ID
+ * @param {Date|string} date - Queue date
+ * @returns {Promise<Array>} One entry per active doctor
+ */
+async function getHospitalBoard(hospitalId, date) {
+  const doctors = await User.find(User.verifiedDoctorQuery({ hospitalId }))
+    .select('firstName lastName doctorInfo.specialization doctorInfo.isAvailable')
+    .sort({ firstName: 1 });
+
+  return Promise.all(doctors.map(async (doctor) => {
+    const [queue, stats] = await Promise.all([
+      Appointment.getQueueStatus(doctor._id, date),
+      Appointment.getConsultationStats(doctor._id)
+    ]);
+
+    const inProgress = queue.filter(apt => apt.status === 'in_progress');
+    const waiting = queue.filter(apt => apt.status === 'confirmed');
+    const totalWait = waiting.reduce((sum, apt) => sum + (apt.estimatedWaitTime || 0), 0);
+
+    return {
+      doctorId: doctor._id,
+      doctorName: `Dr. ${doctor.firstName} ${doctor.lastName}`,
+      specialization: doctor.doctorInfo?.specialization,
+      isAvailable: doctor.doctorInfo?.isAvailable !== false,
+      nowServing: inProgress.map(apt => apt.tokenNumber),
+      upNext: waiting.slice(0, BOARD_UPCOMING_TOKENS).map(apt => ({
+        tokenNumber: apt.tokenNumber,
+        checkedIn: Boolean(apt.checkedInAt)
+      })),
+      waitingCount: waiting.length,
+      averageWaitMinutes: waiting.length > 0 ? Math.round(totalWait / waiting.length) : 0,
+      averageConsultationMinutes: stats.averageMinutes
+    };
+  }));
+}
+
+/**
+ * Tell the hospital's public waiting-room board to refresh.
+ * The board room is open to anonymous sockets, so only the doctor is named.
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {string} hospitalId - Hospital of the board
+ * @param {string} doctorId - Doctor whose queue changed
+ */
+function publishBoardUpdate(io, hospitalId, doctorId) {
+  if (!io) return;
+  io.to(`board-${hospitalId}`).emit('board-updated', { doctorId });
+}
+
+/**
+ * Recalculate wait times for a doctor's queue and emit queue-updated events.
+ * The hospital and doctor rooms get the usual notification; every waiting patient
+ * gets their own position and estimate in their patient room and a queue-position
+ * event in their appointment room.
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {Object} params
+ * @param {string} params.doctorId - Doctor whose queue changed
+ * @param {string} params.hospitalId - Hospital of the doctor
+ * @param {Date} params.date - Queue date
+ * @param {string} [params.appointmentId] - Appointment that triggered the change
+ * @param {Object} [params.appointment] - Triggering appointment, published to its own room when it leaves the queue
+ * @returns {Promise<Array>} Updated estimates for waiting patients
+ */
+async function publishQueueUpdate(io, { doctorId, hospitalId, date, appointmentId, appointment }) {
+  try {
+    const { stats, estimates, currentToken } = await Appointment.recalculateWaitTimes(doctorId, date);
+
+    if (!io) {
+      console.warn('Socket.IO not available for queue update events');
+      return estimates;
+    }
+
+    const summary = {
+      message: 'Queue updated',
+      appointmentId,
+      doctorId,
+      currentToken,
+      waitingCount: estimates.length,
+      averageConsultationMinutes: stats.averageMinutes
+    };
+
+    io.to(`hospital-${hospitalId}`).emit('queue-updated', summary);
+    io.to(`doctor-${doctorId}`).emit('queue-updated', summary);
+    publishBoardUpdate(io, hospitalId, doctorId);
+
+    estimates.forEach(estimate => {
+      io.to(`patient-${estimate.patientId}`).emit('queue-updated', {
+        message: 'Your queue position has changed',
+        doctorId,
+        appointmentId: estimate.appointmentId,
+        tokenNumber: estimate.tokenNumber,
+        position: estimate.position,
+        estimatedWaitTime: estimate.estimatedWaitTime
+      });
+
+      io.to(`appointment-${estimate.appointmentId}`).emit('queue-position', buildQueuePosition(estimate, {
+        status: 'confirmed',
+        currentToken,
+        peopleAhead: estimate.peopleAhead,
+        estimatedWaitTime: estimate.estimatedWaitTime
+      }));
+    });
+
+    // The appointment that was called in, completed or cancelled is no longer waiting
+    if (appointment && appointment.status !== 'confirmed') {
+      io.to(`appointment-${appointment._id}`).emit('queue-position', buildQueuePosition(appointment, {
+        status: appointment.status,
+        currentToken,
+        peopleAhead: 0,
+        estimatedWaitTime: 0
+      }));
+    }
+
+    console.log(`📡 Emitted queue update for doctor ${doctorId} to ${estimates.length} waiting patient(s)`);
+    return estimates;
+  } catch (error) {
+    // A failed estimate refresh should never fail the status change that triggered it
+    console.error('❌ Error publishing queue update:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getAppointmentQueuePosition,
+  getHospitalBoard,
+  publishBoardUpdate,
+  publishQueueUpdate
+};
@@ -0,0 +1,130 @@
+/**
+ * Session Utilities
+ * Starts, refreshes and revokes sign-in sessions. Each session has a
+ * short-lived access token and a refresh token that is replaced on every use.
+ */
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, generateRefreshToken, hashToken } = require('./jwt');
+
+// Days a session stays signed in without being refreshed
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// A replaced refresh token sent again within this window is treated as two tabs
+// refreshing at once; any later reuse means the token leaked and ends the session
+const REUSE_GRACE_MS = 30 * 1000;
+
+const getExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ipAddress: req.ip
+});
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the device details
+ * @returns {Promise<Object>} { session, token, refreshToken }
+ */
+async function startSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...getClientInfo(req),
+    expiresAt: getExpiry()
+  });
+
+  return {
+    session,
+    token: generateToken(user._id, user.role, session._id),
+    refreshToken
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request, for the device details
+ * @returns {Promise<Object>} { session, token, refreshToken }
+ * @throws {Error} With statusCode 401 when the token cannot be used
+ */
+async function refreshSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  // Swap the token in one update so the same token can only be used once
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: getExpiry(),
+        ...getClientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const replaced = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (replaced && now - replaced.rotatedAt > REUSE_GRACE_MS) {
+      await revokeSessions({ _id: replaced._id }, 'token_reuse');
+      console.warn(`⚠️ Refresh token reused for session ${replaced._id}; session revoked`);
+    }
+    throw unauthorized(replaced ? 'Refresh token already used' : 'Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await revokeSessions({ _id: session._id }, 'revoked');
+    throw unauthorized('Account is deactivated');
+  }
+
+  return {
+    session,
+    token: generateToken(user._id, user.role, session._id),
+    refreshToken: nextToken
+  };
+}
+
+/**
+ * Revoke matching active sessions and disconnect their sockets
+ * @param {Object} query - Session filter, e.g. { userId }
+ * @param {string} reason - Session revokedReason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeSessions(query, reason) {
+  const sessions = await Session.find({ ...query, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  if (global.io) {
+    global.io.in(ids.map(id => `session-${id}`)).disconnectSockets(true);
+  }
+
+  return ids.length;
+}
+
+module.exports = {
+  startSession,
+  refreshSession,
+  revokeSessions
+};
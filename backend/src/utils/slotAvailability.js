@@ -0,0 +1,234 @@
+/**
+ * Slot Availability Utility
+ * Builds bookable consultation slots from a doctor's weekly availableSlots
+ */
+
+const Appointment = require('../models/Appointment');
+const Hospital = require('../models/Hospital');
+const Leave = require('../models/Leave');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { timeStringToMinutes } = require('./appointmentScheduler');
+const { getDayRange, getWeekday, getMinutesOfDay, getDoctorTimeZone } = require('./timezone');
+
+// Every consultation slot is 20 minutes long
+const SLOT_DURATION_MINUTES = 20;
+
+// Appointment statuses that occupy a slot
+const ACTIVE_STATUSES = ['confirmed', 'in_progress'];
+
+/**
+ * Convert minutes since midnight to an "HH:MM" string
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} Time in HH:MM format
+ */
+function minutesToTimeString(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60).toString().padStart(2, '0');
+  const minutes = (totalMinutes % 60).toString().padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Get the weekly availability windows that apply on a date.
+ * Doctors without configured slots fall back to the hospital's operating hours.
+ * @param {Object} doctor - Doctor user document
+ * @param {Date} date - Appointment date
+ * @param {string} timeZone - Hospital timezone the date is read in
+ * @returns {Promise<Array>} Windows as { startTime, endTime, maxPatients }
+ */
+async function getWindowsForDate(doctor, date, timeZone) {
+  const dayOfWeek = getWeekday(date, timeZone);
+  const configuredSlots = doctor.doctorInfo?.availableSlots || [];
+
+  if (configuredSlots.length > 0) {
+    return configuredSlots
+      .filter(slot => slot.day === dayOfWeek && slot.startTime && slot.endTime)
+      .map(slot => ({
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        maxPatients: slot.maxPatients || 20
+      }));
+  }
+
+  const hospital = await Hospital.findById(doctor.hospitalId).select('operatingHours');
+  const isWeekend = dayOfWeek === 'Saturday' || dayOfWeek === 'Sunday';
+  const hours = hospital?.operatingHours?.[isWeekend ? 'weekends' : 'weekdays'];
+
+  if (!hours || !hours.open || !hours.close) {
+    return [];
+  }
+
+  return [{ startTime: hours.open, endTime: hours.close, maxPatients: 20 }];
+}
+
+/**
+ * Build the list of 20-minute slots for a doctor on a date
+ * @param {Object} doctor - Doctor user document
+ * @param {Date|string} date - Appointment date
+ * @param {Object} [options]
+ * @param {string} [options.excludeAppointmentId] - Appointment to ignore when counting bookings
+ * @returns {Promise<Object>} { day, isAvailable, leave, windows, slots }
+ */
+async function getDoctorSlotsForDate(doctor, date, options = {}) {
+  const timeZone = await getDoctorTimeZone(doctor);
+  const day = getWeekday(date, timeZone);
+
+  if (doctor.doctorInfo?.isAvailable === false) {
+    return { day, isAvailable: false, leave: null, windows: [], slots: [] };
+  }
+
+  const leave = await Leave.findBlockingLeave(doctor, date, timeZone);
+  if (leave) {
+    return {
+      day,
+      isAvailable: false,
+      leave: {
+        type: leave.type,
+        reason: leave.reason,
+        startDate: leave.startDate,
+        endDate: leave.endDate
+      },
+      windows: [],
+      slots: []
+    };
+  }
+
+  const windows = await getWindowsForDate(doctor, date, timeZone);
+  const { startOfDay, endOfDay } = getDayRange(date, timeZone);
+
+  const query = {
+    doctorId: doctor._id,
+    appointmentDate: { $gte: startOfDay, $lt: endOfDay },
+    status: { $in: ACTIVE_STATUSES }
+  };
+  if (options.excludeAppointmentId) {
+    query._id = { $ne: options.excludeAppointmentId };
+  }
+
+  const [appointments, holds] = await Promise.all([
+    Appointment.find(query).select('appointmentTime'),
+    WaitlistEntry.findActiveHolds(doctor._id, date, timeZone)
+  ]);
+
+  // Slots held for a waitlisted patient count as booked until the offer expires
+  const heldMinutes = holds.map(hold => timeStringToMinutes(hold.offer.appointmentTime));
+  const bookedMinutes = [
+    ...appointments.map(apt => timeStringToMinutes(apt.appointmentTime)),
+    ...heldMinutes
+  ];
+
+  // Slots that already started today (in the hospital's timezone) can no longer be booked
+  const now = new Date();
+  const { startOfDay: today } = getDayRange(now, timeZone);
+  const isToday = startOfDay.getTime() === today.getTime();
+  const currentMinutes = getMinutesOfDay(now, timeZone);
+
+  const slots = [];
+  const windowSummaries = windows.map(window => {
+    const start = timeStringToMinutes(window.startTime);
+    const end = timeStringToMinutes(window.endTime);
+    const booked = bookedMinutes.filter(minutes => minutes >= start && minutes < end).length;
+    const isFull = booked >= window.maxPatients;
+
+    for (let minutes = start; minutes + SLOT_DURATION_MINUTES <= end; minutes += SLOT_DURATION_MINUTES) {
+      if (isToday && minutes <= currentMinutes) continue;
+
+      let status = 'free';
+      if (bookedMinutes.includes(minutes)) {
+        status = 'taken';
+      } else if (isFull) {
+        status = 'full';
+      }
+
+      slots.push({
+        time: minutesToTimeString(minutes),
+        status,
+        held: heldMinutes.includes(minutes),
+        windowStart: window.startTime,
+        windowEnd: window.endTime
+      });
+    }
+
+    return { ...window, booked, remaining: Math.max(window.maxPatients - booked, 0) };
+  });
+
+  return { day, isAvailable: true, leave: null, windows: windowSummaries, slots };
+}
+
+/**
+ * Check whether a time can be booked with a doctor on a date.
+ * Only checks the doctor's schedule and capacity; same-time conflicts are
+ * reported by the booking controller.
+ * @param {Object} doctor - Doctor user document
+ * @param {Date|string} date - Appointment date
+ * @param {string} time - Requested time in HH:MM format
+ * @param {Object} [options] - Passed through to getDoctorSlotsForDate
+ * @returns {Promise<Object>} { available, reason, message, suggestedTimes }
+ */
+async function checkSlotAvailability(doctor, date, time, options = {}) {
+  const { day, isAvailable, leave, slots } = await getDoctorSlotsForDate(doctor, date, options);
+  const suggestedTimes = slots
+    .filter(slot => slot.status === 'free')
+    .slice(0, 3)
+    .map(slot => slot.time);
+
+  if (leave) {
+    return {
+      available: false,
+      reason: leave.type === 'holiday' ? 'hospital_holiday' : 'doctor_on_leave',
+      message: leave.type === 'holiday'
+        ? `The hospital is closed on this date${leave.reason ? ` (${leave.reason})` : ''}. Please choose another date.`
+        : 'Doctor is on leave on this date. Please choose another date.',
+      suggestedTimes: []
+    };
+  }
+
+  if (!isAvailable) {
+    return {
+      available: false,
+      reason: 'doctor_unavailable',
+      message: 'Doctor is not accepting appointments at the moment',
+      suggestedTimes: []
+    };
+  }
+
+  const requestedMinutes = timeStringToMinutes(time);
+  const slot = slots.find(s => timeStringToMinutes(s.time) === requestedMinutes);
+
+  if (!slot) {
+    return {
+      available: false,
+      reason: 'outside_hours',
+      message: `Doctor is not available at ${time} on ${day}. Please choose one of the available slots.`,
+      suggestedTimes
+    };
+  }
+
+  if (slot.held) {
+    return {
+      available: false,
+      reason: 'held',
+      message: `The ${slot.time} slot is being held for a patient on the waitlist. Please choose another time.`,
+      suggestedTimes
+    };
+  }
+
+  if (slot.status === 'full') {
+    return {
+      available: false,
+      reason: 'full',
+      message: `All ${slot.windowStart} - ${slot.windowEnd} slots are fully booked. Please choose another time.`,
+      suggestedTimes
+    };
+  }
+
+  return { available: true, slot, suggestedTimes };
+}
+
+module.exports = {
+  SLOT_DURATION_MINUTES,
+  ACTIVE_STATUSES,
+  minutesToTimeString,
+  getWindowsForDate,
+  getDoctorSlotsForDate,
+  checkSlotAvailability
+};
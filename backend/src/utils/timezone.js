@@ -0,0 +1,225 @@
+/**
+ * Timezone Utility
+ * Calendar-day and wall-clock calculations in a hospital's IANA timezone.
+ * Appointment dates are stored as the instant their day starts in the hospital's zone,
+ * so day ranges must never be computed in the server's own timezone.
+ */
+
+const mongoose = require('mongoose');
+
+// Zone used for hospitals that have not set one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// A plain calendar date as sent by date inputs, e.g. "2025-01-26"
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl formatters are expensive to build, so keep one per zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timeZone - e.g. "Asia/Kolkata"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date|string|number} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Get a timezone's offset from UTC at an instant, in minutes (IST is +330)
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in minutes
+ */
+function getTimeZoneOffset(date, timeZone = DEFAULT_TIMEZONE) {
+  const instant = new Date(date);
+  instant.setMilliseconds(0);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - instant.getTime()) / 60000);
+}
+
+/**
+ * Get the calendar day (YYYY-MM-DD) of a date in a timezone.
+ * A plain "YYYY-MM-DD" string is already a calendar day and is returned unchanged.
+ * @param {Date|string} date - Instant or calendar day
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Day key
+ */
+function getDayKey(date, timeZone = DEFAULT_TIMEZONE) {
+  if (typeof date === 'string' && DAY_KEY_PATTERN.test(date)) {
+    return date;
+  }
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Convert a wall-clock time on a calendar day in a timezone to an instant
+ * @param {string} dayKey - Calendar day (YYYY-MM-DD)
+ * @param {string} [time] - Wall-clock time (HH:MM)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(dayKey, time = '00:00', timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // The offset can differ either side of a DST change, so correct once with the offset at the result
+  const firstGuess = wallClockAsUtc - getTimeZoneOffset(new Date(wallClockAsUtc), timeZone) * 60000;
+  const correctedOffset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+  return new Date(wallClockAsUtc - correctedOffset * 60000);
+}
+
+/**
+ * Add calendar days to a day key
+ * @param {string} dayKey - Calendar day (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Day key
+ */
+function addDays(dayKey, days) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day + days));
+  return `${result.getUTCFullYear()}-${pad(result.getUTCMonth() + 1)}-${pad(result.getUTCDate())}`;
+}
+
+/**
+ * Add calendar months to a day key, keeping to the last day of shorter months
+ * @param {string} dayKey - Calendar day (YYYY-MM-DD)
+ * @param {number} months - Months to add
+ * @returns {string} Day key
+ */
+function addMonths(dayKey, months) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const lastDayOfTarget = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  const result = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDayOfTarget)));
+  return `${result.getUTCFullYear()}-${pad(result.getUTCMonth() + 1)}-${pad(result.getUTCDate())}`;
+}
+
+/**
+ * Get the first and last instant of a calendar day in a timezone
+ * @param {Date|string} date - Instant or calendar day
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ startOfDay: Date, endOfDay: Date, dayKey: string }}
+ */
+function getDayRange(date, timeZone = DEFAULT_TIMEZONE) {
+  const dayKey = getDayKey(date, timeZone);
+  const startOfDay = zonedTimeToUtc(dayKey, '00:00', timeZone);
+  const endOfDay = new Date(zonedTimeToUtc(addDays(dayKey, 1), '00:00', timeZone).getTime() - 1);
+  return { startOfDay, endOfDay, dayKey };
+}
+
+/**
+ * Get the weekday name of a date in a timezone
+ * @param {Date|string} date - Instant or calendar day
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. "Monday"
+ */
+function getWeekday(date, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = getDayKey(date, timeZone).split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * Get minutes since midnight of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Minutes since midnight
+ */
+function getMinutesOfDay(date, timeZone = DEFAULT_TIMEZONE) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * Get a hospital's timezone
+ * @param {Object|string} hospital - Hospital document (with timezone) or ID
+ * @returns {Promise<string>} IANA timezone
+ */
+async function getHospitalTimeZone(hospital) {
+  if (!hospital) return DEFAULT_TIMEZONE;
+  if (hospital.timezone) return hospital.timezone;
+
+  const found = await mongoose.model('Hospital')
+    .findById(hospital._id || hospital)
+    .select('timezone')
+    .lean();
+  return found?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the timezone of the hospital a doctor works at
+ * @param {Object|string} doctor - Doctor document (with hospitalId) or ID
+ * @returns {Promise<string>} IANA timezone
+ */
+async function getDoctorTimeZone(doctor) {
+  if (!doctor) return DEFAULT_TIMEZONE;
+  let hospitalId = doctor.hospitalId;
+
+  if (!hospitalId) {
+    const found = await mongoose.model('User')
+      .findById(doctor._id || doctor)
+      .select('hospitalId')
+      .lean();
+    hospitalId = found?.hospitalId;
+  }
+
+  return getHospitalTimeZone(hospitalId);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  getDayKey,
+  zonedTimeToUtc,
+  addDays,
+  addMonths,
+  getDayRange,
+  getWeekday,
+  getMinutesOfDay,
+  getHospitalTimeZone,
+  getDoctorTimeZone
+};
@@ -0,0 +1,134 @@
+/**
+ * TOTP Utility Functions
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps assume these values; changing them breaks enrolled devices
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Steps either side of the current one that are still accepted, to allow for clock drift
+const DRIFT_STEPS = 1;
+
+// Encode bytes as unpadded base32 (RFC 4648), the format authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode base32, ignoring case, spaces and padding
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random 160-bit secret, base32 encoded
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// HMAC-based one-time password (RFC 4226) for a counter value
+const hotp = (key, counter, digits = DIGITS, algorithm = 'sha1') => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// Time step a moment falls in
+const getStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+};
+
+// Code for a base32 secret at a moment in time
+const generateTotp = (secret, time = Date.now()) => {
+  return hotp(base32Decode(secret), getStep(time));
+};
+
+// Check a code against a base32 secret. Returns the time step it matched,
+// or null, so callers can refuse a step that has already been used.
+const verifyTotp = (secret, code, time = Date.now()) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getStep(time);
+
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from the enrollment QR code
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  getStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri
+};
@@ -0,0 +1,254 @@
+/**
+ * Two-Factor Authentication Utilities
+ * Enrollment, code checks and recovery codes for TOTP two-factor sign-in,
+ * and the per-hospital rule that staff must use it.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Hospital = require('../models/Hospital');
+const { revokeSessions } = require('./sessions');
+const { hashToken } = require('./jwt');
+const { generateSecret, verifyTotp, buildOtpAuthUri } = require('./totp');
+
+// Roles that can turn on two-factor authentication
+const TWO_FACTOR_ROLES = ['doctor', 'hospital_admin', 'staff', 'super_admin'];
+
+// Roles a hospital's two-factor requirement applies to
+const HOSPITAL_STAFF_ROLES = ['doctor', 'hospital_admin', 'staff'];
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'One Hospital';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Recovery codes are compared case-insensitively and without the dash
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+// One-time codes shown to the user once, e.g. "3f9a2-c81d0"
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+const hashRecoveryCodes = (codes) => {
+  return codes.map(code => hashToken(normalizeRecoveryCode(code)));
+};
+
+/**
+ * Whether the user's hospital requires two-factor authentication for them
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(user) {
+  if (!user.hospitalId || !HOSPITAL_STAFF_ROLES.includes(user.role)) {
+    return false;
+  }
+
+  const hospitalId = user.hospitalId._id || user.hospitalId;
+  const hospital = await Hospital.findById(hospitalId).select('security');
+  return Boolean(hospital?.security?.requireTwoFactor);
+}
+
+/**
+ * Start enrollment with a new secret. Nothing changes for sign-in until
+ * the secret is confirmed with enableTwoFactor.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+async function beginEnrollment(user) {
+  if (!TWO_FACTOR_ROLES.includes(user.role)) {
+    throw badRequest('Two-factor authentication is not available for this account');
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw badRequest('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {Object} user - User document
+ * @param {string} code - Current six-digit code
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ * @throws {Error} With statusCode 400 when there is no enrollment or the code is wrong
+ */
+async function enableTwoFactor(user, code) {
+  const account = await User.findById(user._id).select('+twoFactor.pendingSecret');
+
+  if (account.twoFactor?.enabled) {
+    throw badRequest('Two-factor authentication is already enabled');
+  }
+
+  const secret = account.twoFactor?.pendingSecret;
+  if (!secret) {
+    throw badRequest('Start two-factor setup first');
+  }
+
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw badRequest('Invalid verification code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': secret,
+      'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes),
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.enabledAt': new Date()
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 }
+  });
+
+  return recoveryCodes;
+}
+
+/**
+ * Check an authenticator code and mark its time step as used
+ * @param {Object} user - User document
+ * @param {string} code - Six-digit code
+ * @returns {Promise<boolean>} False for a wrong or already used code
+ */
+async function verifyTwoFactorCode(user, code) {
+  const account = await User.findById(user._id).select('+twoFactor.secret');
+  if (!account?.twoFactor?.enabled || !account.twoFactor.secret) {
+    return false;
+  }
+
+  const step = verifyTotp(account.twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  // Claim the step atomically so the same code cannot be used twice
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': { $exists: false } }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Use up one recovery code
+ * @param {Object} user - User document
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} False for an unknown or already used code
+ */
+async function useRecoveryCode(user, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hashToken(normalized) },
+    { $pull: { 'twoFactor.recoveryCodes': hashToken(normalized) } }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Check a second factor: an authenticator code or, failing that, a recovery code
+ * @param {Object} user - User document
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    return verifyTwoFactorCode(user, code);
+  }
+  return useRecoveryCode(user, recoveryCode);
+}
+
+/**
+ * Replace the user's recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>} New recovery codes, shown to the user once
+ */
+async function regenerateRecoveryCodes(user) {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { 'twoFactor.recoveryCodes': hashRecoveryCodes(recoveryCodes) }
+  );
+  return recoveryCodes;
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret
+ * @param {Object} user - User document
+ */
+async function disableTwoFactor(user) {
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.enabledAt': 1
+    }
+  });
+}
+
+/**
+ * Sign out the hospital's staff who have not set up two-factor authentication,
+ * so they enroll the next time they sign in
+ * @param {string} hospitalId - Hospital ID
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function enforceHospitalTwoFactor(hospitalId) {
+  const staff = await User.find({
+    hospitalId,
+    role: { $in: HOSPITAL_STAFF_ROLES },
+    'twoFactor.enabled': { $ne: true }
+  }).select('_id');
+
+  if (staff.length === 0) {
+    return 0;
+  }
+
+  return revokeSessions(
+    { userId: { $in: staff.map(member => member._id) } },
+    'two_factor_required'
+  );
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  isTwoFactorRequired,
+  beginEnrollment,
+  enableTwoFactor,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  enforceHospitalTwoFactor
+};
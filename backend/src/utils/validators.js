@@ -4,6 +4,36 @@
  */
 
 const { body, param, query } = require('express-validator');
+const { isValidTimeZone } = require('./timezone');
+const { STAFF_PERMISSIONS } = require('./permissions');
+
+// Earliest date a request may name. A hospital's timezone can still be on the previous
+// day, so a day of slack is allowed here and controllers check the exact day in that zone.
+const getEarliestBookableDay = () => {
+  const earliest = new Date();
+  earliest.setDate(earliest.getDate() - 1);
+  earliest.setHours(0, 0, 0, 0);
+  return earliest;
+};
+
+// An appointment may be booked or moved to a day from today up to 30 days ahead
+const checkBookableDate = (value) => {
+  const appointmentDate = new Date(value);
+  const today = getEarliestBookableDay();
+  
+  if (appointmentDate < today) {
+    throw new Error('Appointment date cannot be in the past');
+  }
+  
+  const maxDate = new Date();
+  maxDate.setDate(maxDate.getDate() + 30);
+  
+  if (appointmentDate > maxDate) {
+    throw new Error('Appointment date cannot be more than 30 days in future');
+  }
+  
+  return true;
+};
 
 // User validation rules
 const userValidation = {
@@ -35,7 +65,13 @@ const userValidation = {
     
     body('role')
       .isIn(['hospital_admin', 'doctor', 'patient'])
-      .withMessage('Invalid role specified')
+      .withMessage('Invalid role specified'),
+
+    body('doctorVerification.licenseNumber')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('License number cannot exceed 50 characters')
   ],
 
   login: [
@@ -46,6 +82,81 @@ const userValidation = {
     body('password')
       .notEmpty()
       .withMessage('Password is required')
+  ],
+
+  refresh: [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+
+  verifyEmail: [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ],
+
+  forgotPassword: [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email')
+  ],
+
+  resetPassword: [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Reset token is required'),
+
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  ],
+
+  twoFactorLogin: [
+    body('twoFactorToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Sign-in token is required'),
+
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .matches(/^\d{6}$/)
+      .withMessage('Enter the 6-digit code from your authenticator app'),
+
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Recovery code cannot be empty')
+  ],
+
+  twoFactorCode: [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('Enter the 6-digit code from your authenticator app')
+  ],
+
+  disableTwoFactor: [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .matches(/^\d{6}$/)
+      .withMessage('Enter the 6-digit code from your authenticator app'),
+
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Recovery code cannot be empty')
   ]
 };
 
@@ -100,7 +211,114 @@ const hospitalValidation = {
     
     body('totalBeds')
       .isInt({ min: 1 })
-      .withMessage('Total beds must be at least 1')
+      .withMessage('Total beds must be at least 1'),
+
+    body('timezone')
+      .optional()
+      .custom(isValidTimeZone)
+      .withMessage('Timezone must be a valid IANA timezone, e.g. Asia/Kolkata')
+  ]
+};
+
+// Doctor verification validation rules
+const doctorValidation = {
+  verify: [
+    body('status')
+      .isIn(['verified', 'rejected'])
+      .withMessage('Status must be verified or rejected'),
+
+    body('licenseNumber')
+      .if(body('status').equals('verified'))
+      .trim()
+      .notEmpty()
+      .withMessage('License or registration number is required to verify a doctor')
+      .isLength({ max: 50 })
+      .withMessage('License number cannot exceed 50 characters'),
+
+    body('issuingAuthority')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Issuing authority cannot exceed 100 characters'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters'),
+
+    body('rejectionReason')
+      .if(body('status').equals('rejected'))
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Please give a reason for the rejection (5 to 500 characters)')
+  ]
+};
+
+// Staff role and staff account validation rules
+const staffValidation = {
+  role: [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Role name must be between 2 and 50 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+
+    body('permissions')
+      .isArray({ min: 1 })
+      .withMessage('Choose at least one permission'),
+
+    body('permissions.*')
+      .isIn(STAFF_PERMISSIONS)
+      .withMessage('Staff roles cannot have this permission')
+  ],
+
+  createMember: [
+    body('firstName')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('First name must be between 2 and 50 characters'),
+
+    body('lastName')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Last name must be between 2 and 50 characters'),
+
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+
+    body('phone')
+      .matches(/^\d{10}$/)
+      .withMessage('Phone number must be 10 digits'),
+
+    body('staffRoleId')
+      .isMongoId()
+      .withMessage('Please choose a staff role')
+  ],
+
+  updateMember: [
+    body('staffRoleId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid staff role'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
   ]
 };
 
@@ -115,44 +333,189 @@ const appointmentValidation = {
       .isMongoId()
       .withMessage('Invalid doctor ID'),
     
+    body('appointmentDate')
+      .isISO8601()
+      .withMessage('Invalid appointment date format')
+      .custom(checkBookableDate),
+    
+    body('appointmentTime')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Invalid time format (use HH:MM)'),
+    
+    body('patientDetails.symptoms')
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('Symptoms description must be between 10 and 500 characters'),
+    
+    body('patientDetails.urgency')
+      .isIn(['low', 'medium', 'high', 'emergency'])
+      .withMessage('Invalid urgency level')
+  ],
+
+  reschedule: [
+    body('appointmentDate')
+      .isISO8601()
+      .withMessage('Invalid appointment date format')
+      .custom(checkBookableDate),
+    
+    body('appointmentTime')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Invalid time format (use HH:MM)'),
+    
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters')
+  ],
+
+  followUp: [
     body('appointmentDate')
       .isISO8601()
       .withMessage('Invalid appointment date format')
       .custom((value) => {
         const appointmentDate = new Date(value);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
+        const today = getEarliestBookableDay();
+
         if (appointmentDate < today) {
-          throw new Error('Appointment date cannot be in the past');
+          throw new Error('Follow-up date cannot be in the past');
         }
-        
-        // Check if appointment is not more than 30 days in future
+
+        // Follow-ups may be booked further ahead than patient bookings
         const maxDate = new Date();
-        maxDate.setDate(maxDate.getDate() + 30);
-        
+        maxDate.setDate(maxDate.getDate() + 180);
+
         if (appointmentDate > maxDate) {
-          throw new Error('Appointment date cannot be more than 30 days in future');
+          throw new Error('Follow-up date cannot be more than 180 days in future');
         }
-        
+
         return true;
       }),
-    
+
     body('appointmentTime')
       .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
       .withMessage('Invalid time format (use HH:MM)'),
-    
+
+    body('frequency')
+      .optional()
+      .isIn(['once', 'weekly', 'fortnightly', 'monthly'])
+      .withMessage('Frequency must be once, weekly, fortnightly or monthly'),
+
+    body('occurrences')
+      .if(body('frequency').isIn(['weekly', 'fortnightly', 'monthly']))
+      .isInt({ min: 2, max: 12 })
+      .withMessage('A series must have between 2 and 12 occurrences'),
+
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+
+  payment: [
+    body('paymentStatus')
+      .isIn(['pending', 'paid', 'refunded'])
+      .withMessage('Payment status must be pending, paid or refunded'),
+
+    body('paymentMethod')
+      .optional()
+      .isIn(['cash', 'card', 'upi', 'online'])
+      .withMessage('Payment method must be cash, card, upi or online')
+  ]
+};
+
+// Waitlist validation rules
+const waitlistValidation = {
+  join: [
+    body('hospitalId')
+      .isMongoId()
+      .withMessage('Invalid hospital ID'),
+
+    body('doctorId')
+      .isMongoId()
+      .withMessage('Invalid doctor ID'),
+
+    body('appointmentDate')
+      .isISO8601()
+      .withMessage('Invalid appointment date format')
+      .custom((value) => {
+        const appointmentDate = new Date(value);
+        const today = getEarliestBookableDay();
+
+        if (appointmentDate < today) {
+          throw new Error('Appointment date cannot be in the past');
+        }
+
+        const maxDate = new Date();
+        maxDate.setDate(maxDate.getDate() + 30);
+
+        if (appointmentDate > maxDate) {
+          throw new Error('Appointment date cannot be more than 30 days in future');
+        }
+
+        return true;
+      }),
+
     body('patientDetails.symptoms')
       .trim()
       .isLength({ min: 10, max: 500 })
       .withMessage('Symptoms description must be between 10 and 500 characters'),
-    
+
     body('patientDetails.urgency')
       .isIn(['low', 'medium', 'high', 'emergency'])
       .withMessage('Invalid urgency level')
   ]
 };
 
+// Leave and holiday validation rules
+const leaveValidation = {
+  create: [
+    body('startDate')
+      .isISO8601()
+      .withMessage('Invalid start date format'),
+
+    body('endDate')
+      .isISO8601()
+      .withMessage('Invalid end date format')
+      .custom((value, { req }) => {
+        if (new Date(value) < new Date(req.body.startDate)) {
+          throw new Error('End date cannot be before start date');
+        }
+        return true;
+      }),
+
+    body('doctorId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid doctor ID'),
+
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters')
+  ],
+
+  resolve: [
+    body('action')
+      .isIn(['cancel', 'reschedule'])
+      .withMessage('Action must be cancel or reschedule'),
+
+    body('appointmentIds')
+      .optional()
+      .isArray()
+      .withMessage('appointmentIds must be an array'),
+
+    body('newDate')
+      .if(body('action').equals('reschedule'))
+      .isISO8601()
+      .withMessage('A valid new date is required to reschedule')
+      .bail()
+      .custom(checkBookableDate)
+  ]
+};
+
 // Rating validation rules
 const ratingValidation = {
   submit: [
@@ -177,6 +540,34 @@ const ratingValidation = {
       .optional()
       .isLength({ max: 500 })
       .withMessage('Doctor feedback cannot exceed 500 characters')
+  ],
+
+  moderate: [
+    body('isFlagged')
+      .isBoolean()
+      .withMessage('isFlagged must be true or false'),
+
+    body('flagReason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters')
+  ]
+};
+
+// Scheduler job validations
+const schedulerValidation = {
+  listJobs: [
+    query('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Job name must be between 1 and 100 characters'),
+
+    query('status')
+      .optional()
+      .isIn(['pending', 'running', 'completed', 'failed'])
+      .withMessage('Status must be pending, running, completed or failed')
   ]
 };
 
@@ -215,8 +606,13 @@ const queryValidation = {
 module.exports = {
   userValidation,
   hospitalValidation,
+  doctorValidation,
+  staffValidation,
   appointmentValidation,
+  waitlistValidation,
+  leaveValidation,
   ratingValidation,
+  schedulerValidation,
   paramValidation,
   queryValidation
 };
\ No newline at end of file
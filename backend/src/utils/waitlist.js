@@ -0,0 +1,216 @@
+/**
+ * Waitlist Utility
+ * Offers freed appointment slots to waitlisted patients and expires unanswered offers
+ */
+
+const Appointment = require('../models/Appointment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  DEFAULT_TIMEZONE,
+  getDayKey,
+  getDayRange,
+  getZonedParts,
+  zonedTimeToUtc,
+  getDoctorTimeZone
+} = require('./timezone');
+const { notifyUser, formatAppointmentDate } = require('./notifications');
+
+// How long a freed slot is held for the patient it is offered to
+const WAITLIST_OFFER_HOLD_MINUTES = 15;
+
+/**
+ * Whether a slot has already started in the hospital's timezone
+ * @param {Date} appointmentDate - Day of the slot
+ * @param {string} appointmentTime - Slot time (HH:MM)
+ * @param {string} timeZone - Hospital timezone
+ * @returns {boolean}
+ */
+function hasSlotStarted(appointmentDate, appointmentTime, timeZone) {
+  return zonedTimeToUtc(getDayKey(appointmentDate, timeZone), appointmentTime, timeZone) <= new Date();
+}
+
+/**
+ * Build template data for a waitlist offer notification
+ * @param {Object} entry - Waitlist entry with its offer, doctorId and hospitalId populated
+ * @param {string} timeZone - Hospital timezone
+ * @returns {Object} { doctorName, hospitalName, date, time, expiresAt }
+ */
+function getOfferNotificationData(entry, timeZone) {
+  const { hour, minute } = getZonedParts(entry.offer.expiresAt, timeZone);
+  return {
+    doctorName: `${entry.doctorId.firstName} ${entry.doctorId.lastName}`,
+    hospitalName: entry.hospitalId.name,
+    date: formatAppointmentDate(entry.appointmentDate, timeZone),
+    time: entry.offer.appointmentTime,
+    expiresAt: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+  };
+}
+
+/**
+ * Offer a freed slot to the next patient waiting for the doctor on that day.
+ * Patients are offered slots in the order they joined the waitlist.
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {Object} params
+ * @param {string} params.doctorId - Doctor whose slot was freed
+ * @param {Date} params.appointmentDate - Day of the freed slot
+ * @param {string} params.appointmentTime - Freed slot time (HH:MM)
+ * @param {string} [params.sourceAppointmentId] - Appointment that freed the slot
+ * @param {Array<string>} [params.excludePatientIds] - Patients who should not receive this offer
+ * @returns {Promise<Object|null>} The entry that received the offer, if any
+ */
+async function offerFreedSlot(io, { doctorId, appointmentDate, appointmentTime, sourceAppointmentId, excludePatientIds = [] }) {
+  try {
+    const timeZone = await getDoctorTimeZone(doctorId);
+    const { startOfDay, endOfDay } = getDayRange(appointmentDate, timeZone);
+
+    // A slot that has started (a missed appointment, a late cancellation) can no longer be booked
+    if (hasSlotStarted(appointmentDate, appointmentTime, timeZone)) {
+      return null;
+    }
+
+    // Nothing to offer if the slot was rebooked or is already held
+    const [booked, held] = await Promise.all([
+      Appointment.exists({
+        doctorId,
+        appointmentDate: { $gte: startOfDay, $lt: endOfDay },
+        appointmentTime,
+        status: { $in: ['confirmed', 'in_progress'] }
+      }),
+      WaitlistEntry.exists({
+        doctorId,
+        appointmentDate: { $gte: startOfDay, $lte: endOfDay },
+        status: 'offered',
+        'offer.appointmentTime': appointmentTime,
+        'offer.expiresAt': { $gt: new Date() }
+      })
+    ]);
+
+    if (booked || held) {
+      return null;
+    }
+
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + WAITLIST_OFFER_HOLD_MINUTES * 60 * 1000);
+
+    // Claim the next waiting entry atomically so concurrent frees never offer to the same patient twice
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        doctorId,
+        appointmentDate: { $gte: startOfDay, $lte: endOfDay },
+        status: 'waiting',
+        patientId: { $nin: excludePatientIds.filter(Boolean) }
+      },
+      {
+        $set: {
+          status: 'offered',
+          offer: { appointmentTime, sourceAppointmentId, offeredAt, expiresAt }
+        },
+        $inc: { offerCount: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    ).populate('doctorId', 'firstName lastName')
+      .populate('hospitalId', 'name');
+
+    if (!entry) {
+      return null;
+    }
+
+    if (io) {
+      io.to(`patient-${entry.patientId}`).emit('waitlist-offer', {
+        entry,
+        message: `A ${appointmentTime} slot with Dr. ${entry.doctorId.firstName} ${entry.doctorId.lastName} is available. Confirm within ${WAITLIST_OFFER_HOLD_MINUTES} minutes to book it.`
+      });
+    } else {
+      console.warn('Socket.IO not available for waitlist offer events');
+    }
+
+    // Also by the patient's notification channels, in case they are not online during the hold
+    await notifyUser(entry.patientId, 'waitlist_offer', getOfferNotificationData(entry, timeZone));
+
+    console.log(`🎟️ Offered ${appointmentTime} slot with doctor ${doctorId} to waitlist entry ${entry._id}`);
+    return entry;
+  } catch (error) {
+    // A failed offer should never fail the cancellation that freed the slot
+    console.error('❌ Error offering freed slot to waitlist:', error);
+    return null;
+  }
+}
+
+/**
+ * Give up an entry's offer and pass the slot on to the next waiting patient
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @param {Object} entry - Waitlist entry whose offer ended
+ * @returns {Promise<Object|null>} The entry that received the slot next, if any
+ */
+function passOfferOn(io, entry) {
+  return offerFreedSlot(io, {
+    doctorId: entry.doctorId._id || entry.doctorId,
+    appointmentDate: entry.appointmentDate,
+    appointmentTime: entry.offer.appointmentTime,
+    sourceAppointmentId: entry.offer.sourceAppointmentId,
+    excludePatientIds: [entry.patientId._id || entry.patientId]
+  });
+}
+
+/**
+ * Expire offers that were not confirmed in time, pass their slots on,
+ * and close entries for days that have already passed
+ * @param {Object} io - Socket.IO server (may be undefined)
+ * @returns {Promise<Object>} { expiredOffers, closedEntries }
+ */
+async function expireWaitlistOffers(io) {
+  const now = new Date();
+  const overdue = await WaitlistEntry.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: now }
+  });
+
+  let expiredOffers = 0;
+  for (const entry of overdue) {
+    // Skip entries confirmed or declined since the query ran
+    const expired = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'expired', closedAt: now } },
+      { new: true }
+    ).populate('doctorId', 'firstName lastName')
+      .populate('hospitalId', 'name timezone');
+    if (!expired) continue;
+
+    expiredOffers++;
+    if (io) {
+      io.to(`patient-${expired.patientId}`).emit('waitlist-offer-expired', {
+        entryId: expired._id,
+        message: `Your hold on the ${expired.offer.appointmentTime} slot has expired`
+      });
+    }
+    await notifyUser(
+      expired.patientId,
+      'waitlist_offer_expired',
+      getOfferNotificationData(expired, expired.hospitalId?.timezone || DEFAULT_TIMEZONE)
+    );
+
+    await passOfferOn(io, expired);
+  }
+
+  // Entries store the start of their day in the hospital's timezone, so a day has
+  // passed everywhere once that start is more than 24 hours ago
+  const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const { modifiedCount } = await WaitlistEntry.updateMany(
+    { status: 'waiting', appointmentDate: { $lte: oneDayAgo } },
+    { $set: { status: 'expired', closedAt: now } }
+  );
+
+  if (expiredOffers > 0 || modifiedCount > 0) {
+    console.log(`⌛ Expired ${expiredOffers} waitlist offer(s) and closed ${modifiedCount} past waitlist entr${modifiedCount === 1 ? 'y' : 'ies'}`);
+  }
+
+  return { expiredOffers, closedEntries: modifiedCount };
+}
+
+module.exports = {
+  WAITLIST_OFFER_HOLD_MINUTES,
+  hasSlotStarted,
+  offerFreedSlot,
+  passOfferOn,
+  expireWaitlistOffers
+};
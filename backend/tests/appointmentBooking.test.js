@@ -0,0 +1,88 @@
+/**
+ * Concurrent appointment booking: the unique slot index lets one patient win a
+ * contested slot, and tokens are only issued to bookings that secured a slot
+ */
+
+const request = require('supertest');
+const { createServer } = require('../server');
+const Appointment = require('../src/models/Appointment');
+const { addDays, getDayKey } = require('../src/utils/timezone');
+const { describeWithDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { createHospital, createDoctor, createPatient, signIn } = require('./helpers/fixtures');
+
+describeWithDb('concurrent appointment booking', () => {
+  let app;
+
+  beforeAll(async () => {
+    await connectTestDb('appointment-booking-test');
+    ({ app } = createServer());
+  });
+
+  afterAll(disconnectTestDb);
+
+  const signInPatients = (count) => {
+    return Promise.all(Array.from({ length: count }, async () => signIn(await createPatient())));
+  };
+
+  const book = (token, hospital, doctor, appointmentTime) => {
+    return request(app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        hospitalId: hospital._id.toString(),
+        doctorId: doctor._id.toString(),
+        appointmentDate: addDays(getDayKey(new Date(), hospital.timezone), 1),
+        appointmentTime,
+        patientDetails: { symptoms: 'Persistent cough for a week', urgency: 'medium' }
+      });
+  };
+
+  it('lets exactly one of several patients book the same slot', async () => {
+    const { hospital } = await createHospital();
+    const doctor = await createDoctor(hospital);
+    const tokens = await signInPatients(5);
+
+    const responses = await Promise.all(tokens.map(token => book(token, hospital, doctor, '10:00')));
+
+    const statuses = responses.map(response => response.status).sort((a, b) => a - b);
+    expect(statuses).toEqual([201, 400, 400, 400, 400]);
+
+    const appointments = await Appointment.find({ doctorId: doctor._id });
+    expect(appointments).toHaveLength(1);
+    expect(appointments[0].tokenNumber).toBe(1);
+  });
+
+  // Parallel bookings are issued tokens in the order their inserts land, which the
+  // requests cannot observe, so this only checks there are no repeats or gaps
+  it('gives parallel bookings of different slots unique tokens with no gaps', async () => {
+    const { hospital } = await createHospital();
+    const doctor = await createDoctor(hospital);
+    const times = ['09:00', '09:20', '09:40', '10:00', '10:20', '10:40'];
+    const tokens = await signInPatients(times.length);
+
+    const responses = await Promise.all(tokens.map((token, i) => book(token, hospital, doctor, times[i])));
+
+    responses.forEach(response => expect(response.status).toBe(201));
+
+    const appointments = await Appointment.find({ doctorId: doctor._id });
+    const tokenNumbers = new Set(appointments.map(appointment => appointment.tokenNumber));
+    expect(tokenNumbers).toEqual(new Set([1, 2, 3, 4, 5, 6]));
+  });
+
+  it('issues tokens in booking order', async () => {
+    const { hospital } = await createHospital();
+    const doctor = await createDoctor(hospital);
+    // Later bookings take earlier slots, so the tokens cannot simply follow the slot times
+    const times = ['11:00', '10:40', '10:20', '10:00'];
+    const tokens = await signInPatients(times.length);
+
+    for (const [i, token] of tokens.entries()) {
+      const response = await book(token, hospital, doctor, times[i]);
+      expect(response.status).toBe(201);
+      expect(response.body.data.appointment.tokenNumber).toBe(i + 1);
+    }
+
+    const appointments = await Appointment.find({ doctorId: doctor._id }).sort({ createdAt: 1 });
+    expect(appointments.map(appointment => appointment.tokenNumber)).toEqual([1, 2, 3, 4]);
+  });
+});
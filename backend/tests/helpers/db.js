@@ -0,0 +1,48 @@
+/**
+ * Test Database Helpers
+ * Each database suite gets its own database on the server from the global setup
+ */
+
+const mongoose = require('mongoose');
+
+// Database suites are skipped when the global setup found no MongoDB server (never under CI)
+const describeWithDb = process.env.TEST_MONGODB_URI ? describe : describe.skip;
+
+/**
+ * Connect mongoose to a fresh database, with every model's indexes built
+ * so unique indexes are in place before tests race for them
+ * @param {string} dbName - Database name, one per suite
+ */
+const connectTestDb = async (dbName) => {
+  await mongoose.connect(process.env.TEST_MONGODB_URI, { dbName, autoIndex: false });
+  await mongoose.connection.dropDatabase();
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).createIndexes()));
+};
+
+// Drop the suite's database and disconnect
+const disconnectTestDb = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns (or resolves to) true when done
+ * @param {number} [timeoutMs]
+ */
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+module.exports = {
+  describeWithDb,
+  connectTestDb,
+  disconnectTestDb,
+  waitFor
+};
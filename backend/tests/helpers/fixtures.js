@@ -0,0 +1,105 @@
+/**
+ * Test Fixtures
+ * An approved hospital with a bookable doctor, patients and signed-in sessions
+ */
+
+const Hospital = require('../../src/models/Hospital');
+const User = require('../../src/models/User');
+const { startSession } = require('../../src/utils/sessions');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Emails, phone numbers and registration numbers must be unique
+let sequence = 0;
+const next = () => {
+  sequence += 1;
+  return sequence;
+};
+const phoneFor = (n) => `9${n.toString().padStart(9, '0')}`;
+
+const baseUser = (role, n) => ({
+  firstName: 'Test',
+  lastName: `${role} ${n}`,
+  email: `${role}.${n}@example.com`,
+  password: 'password123',
+  phone: phoneFor(n),
+  role,
+  isVerified: true
+});
+
+/**
+ * Create an approved hospital with its admin
+ * @param {Object} [overrides] - Hospital fields
+ * @returns {Promise<{ hospital: Object, admin: Object }>}
+ */
+const createHospital = async (overrides = {}) => {
+  const n = next();
+  const admin = await User.create(baseUser('hospital_admin', n));
+  const hospital = await Hospital.create({
+    name: `Test Hospital ${n}`,
+    registrationNumber: `TEST-${n}`,
+    email: `hospital.${n}@example.com`,
+    phone: phoneFor(n),
+    address: { street: '1 Test Road', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+    type: 'private',
+    category: 'general',
+    totalBeds: 10,
+    adminId: admin._id,
+    approvalStatus: 'approved',
+    ...overrides
+  });
+
+  admin.hospitalId = hospital._id;
+  await admin.save();
+  return { hospital, admin };
+};
+
+/**
+ * Create a verified doctor who sees patients 09:00-17:00 every day
+ * @param {Object} hospital - Hospital document
+ * @returns {Promise<Object>} Doctor user
+ */
+const createDoctor = async (hospital) => {
+  const n = next();
+  return User.create({
+    ...baseUser('doctor', n),
+    hospitalId: hospital._id,
+    doctorInfo: {
+      specialization: 'General Medicine',
+      qualification: 'MBBS',
+      experience: 5,
+      consultationFee: 500,
+      availableSlots: WEEKDAYS.map(day => ({ day, startTime: '09:00', endTime: '17:00', maxPatients: 30 }))
+    },
+    doctorVerification: { status: 'verified' }
+  });
+};
+
+/**
+ * Create a patient
+ * @returns {Promise<Object>} Patient user
+ */
+const createPatient = async () => {
+  const n = next();
+  return User.create({
+    ...baseUser('patient', n),
+    patientInfo: { dateOfBirth: new Date('1990-01-01'), gender: 'other' }
+  });
+};
+
+/**
+ * Start a session for a user
+ * @param {Object} user - User document
+ * @returns {Promise<string>} Access token
+ */
+const signIn = async (user) => {
+  const { token } = await startSession(user, { get: () => 'jest', ip: '127.0.0.1' });
+  return token;
+};
+
+module.exports = {
+  createHospital,
+  createDoctor,
+  createPatient,
+  signIn
+};
@@ -0,0 +1,48 @@
+/**
+ * Job queue run locks: two runs of the same job never overlap, unless the
+ * job is defined as concurrent
+ */
+
+const { defineJob, triggerJob } = require('../src/utils/jobQueue');
+const { describeWithDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+
+// A handler that keeps running until the test lets it finish
+const gatedHandler = () => {
+  let release;
+  const gate = new Promise(resolve => {
+    release = resolve;
+  });
+  return { handler: () => gate.then(() => ({ done: true })), release };
+};
+
+describeWithDb('job run locks', () => {
+  beforeAll(() => connectTestDb('job-queue-test'));
+  afterAll(disconnectTestDb);
+
+  it('refuses a second run while the first holds the lock', async () => {
+    const { handler, release } = gatedHandler();
+    defineJob('test-exclusive', handler);
+
+    // The refused run lets the other one finish
+    const runs = [triggerJob('test-exclusive'), triggerJob('test-exclusive')].map(run => run.catch((error) => {
+      release();
+      throw error;
+    }));
+    const results = await Promise.allSettled(runs);
+
+    const outcomes = results.map(result => (result.status === 'fulfilled' ? result.value.status : result.reason.statusCode));
+    expect(outcomes).toHaveLength(2);
+    expect(outcomes).toEqual(expect.arrayContaining([409, 'completed']));
+  });
+
+  it('runs a concurrent job twice at once', async () => {
+    const { handler, release } = gatedHandler();
+    defineJob('test-concurrent', handler, { concurrent: true });
+
+    const runs = Promise.all([triggerJob('test-concurrent'), triggerJob('test-concurrent')]);
+    setTimeout(release, 200);
+
+    const jobs = await runs;
+    expect(jobs.map(job => job.status)).toEqual(['completed', 'completed']);
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Test Environment
+ * Variables every test file needs before it loads the app
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// Keep emails and SMS from the local transport out of the repo's logs folder
+process.env.NOTIFICATION_LOG_FILE = path.join(os.tmpdir(), 'onehospital-test-notifications.log');
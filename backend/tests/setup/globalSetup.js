@@ -0,0 +1,25 @@
+/**
+ * Jest Global Setup
+ * Starts a single-node MongoDB replica set for the database suites (the mongo
+ * socket adapter tails a change stream, which needs a replica set).
+ * Set TEST_MONGODB_URI to use a running replica set instead. When neither is
+ * available the database suites are skipped locally, and the run fails under CI
+ * so the suites cannot pass without running.
+ */
+
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+module.exports = async () => {
+  if (process.env.TEST_MONGODB_URI) return;
+
+  try {
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    globalThis.__MONGO_REPL_SET__ = replSet;
+    process.env.TEST_MONGODB_URI = replSet.getUri();
+  } catch (error) {
+    if (process.env.CI) {
+      throw new Error(`MongoDB is required for the database tests under CI: ${error.message}`);
+    }
+    console.warn(`\nMongoDB is not available, database tests will be skipped: ${error.message}`);
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Jest Global Teardown
+ * Stops the replica set started by the global setup
+ */
+
+module.exports = async () => {
+  if (globalThis.__MONGO_REPL_SET__) {
+    await globalThis.__MONGO_REPL_SET__.stop();
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * Socket.IO adapter across server instances: a queue update from a booking on
+ * one instance reaches a client connected to another through the mongo adapter
+ */
+
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const { createServer } = require('../server');
+const { configureSocketAdapter } = require('../src/config/socketAdapter');
+const { addDays, getDayKey } = require('../src/utils/timezone');
+const { describeWithDb, connectTestDb, disconnectTestDb, waitFor } = require('./helpers/db');
+const { createHospital, createDoctor, createPatient, signIn } = require('./helpers/fixtures');
+
+describeWithDb('mongo socket adapter', () => {
+  const instances = [];
+  let client;
+
+  beforeAll(async () => {
+    await connectTestDb('socket-adapter-test');
+
+    for (let i = 0; i < 2; i++) {
+      const instance = createServer();
+      await configureSocketAdapter(instance.io, 'mongo');
+      await new Promise(resolve => instance.server.listen(0, resolve));
+      instances.push(instance);
+    }
+  });
+
+  afterAll(async () => {
+    client?.close();
+    // Closing Socket.IO also closes its HTTP server and the adapter's change stream
+    await Promise.all(instances.map(({ io }) => new Promise(resolve => io.close(resolve))));
+    await disconnectTestDb();
+  });
+
+  it('delivers queue-updated to a client on the other instance', async () => {
+    const [bookingInstance, clientInstance] = instances;
+    const { hospital } = await createHospital();
+    const doctor = await createDoctor(hospital);
+    const patient = await createPatient();
+    const hospitalRoom = `hospital-${hospital._id}`;
+
+    // The doctor follows the hospital room on the second instance
+    client = connectClient(`http://localhost:${clientInstance.server.address().port}`, {
+      auth: { token: await signIn(doctor) },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    await new Promise((resolve, reject) => {
+      client.on('connect', resolve);
+      client.on('connect_error', reject);
+    });
+    client.emit('join-hospital', hospital._id.toString());
+    await Promise.race([
+      waitFor(() => Boolean(clientInstance.io.of('/').adapter.rooms.get(hospitalRoom)?.size)),
+      new Promise((resolve, reject) => client.once('join-error', (error) => reject(new Error(error.message))))
+    ]);
+
+    const queueUpdated = new Promise(resolve => client.once('queue-updated', resolve));
+
+    // The patient books through the first instance
+    const response = await request(bookingInstance.app)
+      .post('/api/appointments')
+      .set('Authorization', `Bearer ${await signIn(patient)}`)
+      .send({
+        hospitalId: hospital._id.toString(),
+        doctorId: doctor._id.toString(),
+        appointmentDate: addDays(getDayKey(new Date(), hospital.timezone), 1),
+        appointmentTime: '10:00',
+        patientDetails: { symptoms: 'Persistent cough for a week', urgency: 'medium' }
+      });
+
+    expect(response.status).toBe(201);
+    const event = await queueUpdated;
+    expect(event.appointmentId).toBe(response.body.data.appointment._id);
+  });
+});
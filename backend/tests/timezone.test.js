@@ -0,0 +1,72 @@
+/**
+ * Calendar days in a hospital's timezone, independent of the server's timezone
+ */
+
+const { getDayKey, getDayRange } = require('../src/utils/timezone');
+
+const HOURS = 60 * 60 * 1000;
+const dayLength = ({ startOfDay, endOfDay }) => endOfDay.getTime() + 1 - startOfDay.getTime();
+
+describe('IST booking just after midnight', () => {
+  // 00:30 on 26 Jan in India is still 25 Jan in UTC
+  const bookedAt = new Date('2025-01-25T19:00:00.000Z');
+
+  it('falls on the local day', () => {
+    expect(getDayKey(bookedAt, 'Asia/Kolkata')).toBe('2025-01-26');
+  });
+
+  it('ranges over the local day', () => {
+    const range = getDayRange(bookedAt, 'Asia/Kolkata');
+
+    expect(range.dayKey).toBe('2025-01-26');
+    expect(range.startOfDay.toISOString()).toBe('2025-01-25T18:30:00.000Z');
+    expect(range.endOfDay.toISOString()).toBe('2025-01-26T18:29:59.999Z');
+    expect(range.startOfDay <= bookedAt && bookedAt <= range.endOfDay).toBe(true);
+  });
+
+  it('gives the same range for the plain calendar day', () => {
+    expect(getDayRange('2025-01-26', 'Asia/Kolkata')).toEqual(getDayRange(bookedAt, 'Asia/Kolkata'));
+  });
+});
+
+describe('America/New_York DST transitions', () => {
+  const timeZone = 'America/New_York';
+
+  it('gives the spring-forward day 23 hours', () => {
+    const range = getDayRange('2025-03-09', timeZone);
+
+    expect(range.startOfDay.toISOString()).toBe('2025-03-09T05:00:00.000Z');
+    expect(range.endOfDay.toISOString()).toBe('2025-03-10T03:59:59.999Z');
+    expect(dayLength(range)).toBe(23 * HOURS);
+  });
+
+  it('gives the fall-back day 25 hours', () => {
+    const range = getDayRange('2025-11-02', timeZone);
+
+    expect(range.startOfDay.toISOString()).toBe('2025-11-02T04:00:00.000Z');
+    expect(range.endOfDay.toISOString()).toBe('2025-11-03T04:59:59.999Z');
+    expect(dayLength(range)).toBe(25 * HOURS);
+  });
+
+  it('keeps instants either side of the clock change on the same day', () => {
+    // 01:59 EST, just before clocks jump to 03:00 EDT
+    expect(getDayKey(new Date('2025-03-09T06:59:00.000Z'), timeZone)).toBe('2025-03-09');
+    // 03:00 EDT, just after
+    expect(getDayKey(new Date('2025-03-09T07:00:00.000Z'), timeZone)).toBe('2025-03-09');
+    // The repeated 01:30, once in EDT and once in EST
+    expect(getDayKey(new Date('2025-11-02T05:30:00.000Z'), timeZone)).toBe('2025-11-02');
+    expect(getDayKey(new Date('2025-11-02T06:30:00.000Z'), timeZone)).toBe('2025-11-02');
+    // 23:30 EST, when it is already the next day in UTC
+    expect(getDayKey(new Date('2025-11-03T04:30:00.000Z'), timeZone)).toBe('2025-11-02');
+  });
+
+  it('puts the day after each transition right after it', () => {
+    const afterSpring = getDayRange('2025-03-10', timeZone);
+    const afterFall = getDayRange('2025-11-03', timeZone);
+
+    expect(afterSpring.startOfDay.getTime()).toBe(getDayRange('2025-03-09', timeZone).endOfDay.getTime() + 1);
+    expect(afterFall.startOfDay.getTime()).toBe(getDayRange('2025-11-02', timeZone).endOfDay.getTime() + 1);
+    expect(dayLength(afterSpring)).toBe(24 * HOURS);
+    expect(dayLength(afterFall)).toBe(24 * HOURS);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * TOTP codes (RFC 6238) and the clock-drift window
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  hotp,
+  getStep,
+  generateTotp,
+  verifyTotp
+} = require('../src/utils/totp');
+
+// RFC 6238 Appendix B: eight-digit codes with a 30-second step
+const RFC_SECRETS = {
+  sha1: '12345678901234567890',
+  sha256: '12345678901234567890123456789012',
+  sha512: '1234567890123456789012345678901234567890123456789012345678901234'
+};
+
+const RFC_VECTORS = [
+  { time: 59, sha1: '94287082', sha256: '46119246', sha512: '90693936' },
+  { time: 1111111109, sha1: '07081804', sha256: '68084774', sha512: '25091201' },
+  { time: 1111111111, sha1: '14050471', sha256: '67062674', sha512: '99943326' },
+  { time: 1234567890, sha1: '89005924', sha256: '91819424', sha512: '93441116' },
+  { time: 2000000000, sha1: '69279037', sha256: '90698825', sha512: '38618901' },
+  { time: 20000000000, sha1: '65353130', sha256: '77737706', sha512: '47863826' }
+];
+
+// Middle of a time step, in milliseconds
+const midStep = (step) => (step * 30 + 15) * 1000;
+
+describe('RFC 6238 test vectors', () => {
+  RFC_VECTORS.forEach(({ time, ...codes }) => {
+    Object.entries(RFC_SECRETS).forEach(([algorithm, secret]) => {
+      it(`${algorithm} at ${time}s`, () => {
+        expect(hotp(Buffer.from(secret), getStep(time * 1000), 8, algorithm)).toBe(codes[algorithm]);
+      });
+    });
+  });
+
+  it('gives authenticator apps the last six digits for a base32 secret', () => {
+    const secret = base32Encode(Buffer.from(RFC_SECRETS.sha1));
+
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    RFC_VECTORS.forEach(({ time, sha1 }) => {
+      expect(generateTotp(secret, time * 1000)).toBe(sha1.slice(-6));
+    });
+  });
+});
+
+describe('base32 secrets', () => {
+  it('decodes what it encodes, ignoring case, spaces and padding', () => {
+    const bytes = Buffer.from('a secret of any length');
+    const encoded = base32Encode(bytes);
+
+    expect(base32Decode(encoded)).toEqual(bytes);
+    expect(base32Decode(`${encoded.toLowerCase().match(/.{1,4}/g).join(' ')}===`)).toEqual(bytes);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZDGNB1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('verifyTotp', () => {
+  const secret = base32Encode(Buffer.from(RFC_SECRETS.sha1));
+  const step = 41152263;
+  const code = generateTotp(secret, midStep(step));
+
+  it('accepts the current code and returns its step', () => {
+    expect(verifyTotp(secret, code, midStep(step))).toBe(step);
+  });
+
+  it('accepts a code one step either side of the clock', () => {
+    expect(verifyTotp(secret, code, midStep(step + 1))).toBe(step);
+    expect(verifyTotp(secret, code, midStep(step - 1))).toBe(step);
+  });
+
+  it('rejects a code two steps either side of the clock', () => {
+    expect(verifyTotp(secret, code, midStep(step + 2))).toBeNull();
+    expect(verifyTotp(secret, code, midStep(step - 2))).toBeNull();
+  });
+
+  it('ignores spaces in the code', () => {
+    expect(verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`, midStep(step))).toBe(step);
+  });
+
+  it('rejects malformed and wrong codes', () => {
+    const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+    expect(verifyTotp(secret, wrong, midStep(step))).toBeNull();
+    expect(verifyTotp(secret, code.slice(0, 5), midStep(step))).toBeNull();
+    expect(verifyTotp(secret, `${code}0`, midStep(step))).toBeNull();
+    expect(verifyTotp(secret, 'abcdef', midStep(step))).toBeNull();
+    expect(verifyTotp(secret, undefined, midStep(step))).toBeNull();
+  });
+});
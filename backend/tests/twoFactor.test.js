@@ -0,0 +1,59 @@
+/**
+ * Two-factor sign-in: recovery codes and authenticator codes work only once
+ */
+
+const User = require('../src/models/User');
+const { beginEnrollment, enableTwoFactor, verifySecondFactor } = require('../src/utils/twoFactor');
+const { generateTotp } = require('../src/utils/totp');
+const { describeWithDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { createHospital, createDoctor } = require('./helpers/fixtures');
+
+describeWithDb('two-factor second factors', () => {
+  let doctor;
+  let secret;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    await connectTestDb('two-factor-test');
+
+    const { hospital } = await createHospital();
+    doctor = await createDoctor(hospital);
+    ({ secret } = await beginEnrollment(doctor));
+    recoveryCodes = await enableTwoFactor(doctor, generateTotp(secret));
+  });
+
+  afterAll(disconnectTestDb);
+
+  const remainingRecoveryCodes = async () => {
+    const account = await User.findById(doctor._id).select('+twoFactor.recoveryCodes');
+    return account.twoFactor.recoveryCodes.length;
+  };
+
+  it('accepts a recovery code once', async () => {
+    expect(await verifySecondFactor(doctor, { recoveryCode: recoveryCodes[0] })).toBe(true);
+    expect(await verifySecondFactor(doctor, { recoveryCode: recoveryCodes[0] })).toBe(false);
+    expect(await remainingRecoveryCodes()).toBe(recoveryCodes.length - 1);
+  });
+
+  it('accepts a recovery code typed in capitals without the dash, once', async () => {
+    const typed = recoveryCodes[1].replace('-', '').toUpperCase();
+
+    expect(await verifySecondFactor(doctor, { recoveryCode: typed })).toBe(true);
+    expect(await verifySecondFactor(doctor, { recoveryCode: recoveryCodes[1] })).toBe(false);
+    expect(await remainingRecoveryCodes()).toBe(recoveryCodes.length - 2);
+  });
+
+  it('rejects recovery codes it never issued', async () => {
+    expect(await verifySecondFactor(doctor, { recoveryCode: '00000-00000' })).toBe(false);
+    expect(await verifySecondFactor(doctor, { recoveryCode: '' })).toBe(false);
+    expect(await remainingRecoveryCodes()).toBe(recoveryCodes.length - 2);
+  });
+
+  it('accepts an authenticator code once', async () => {
+    // Enrollment used the current step, so take the next one (inside the drift window)
+    const code = generateTotp(secret, Date.now() + 30 * 1000);
+
+    expect(await verifySecondFactor(doctor, { code })).toBe(true);
+    expect(await verifySecondFactor(doctor, { code })).toBe(false);
+  });
+});
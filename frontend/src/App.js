@@ -15,14 +15,19 @@ import { SocketProvider } from './context/SocketContext';
 // Components
 import Navbar from './components/layout/Navbar';
 import ProtectedRoute from './components/auth/ProtectedRoute';
+import VerifyEmailBanner from './components/auth/VerifyEmailBanner';
 
 // Pages
 import Home from './pages/Home';
 import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
+import VerifyEmail from './pages/auth/VerifyEmail';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
 import HospitalSearch from './pages/hospitals/HospitalSearch';
 import HospitalDetails from './pages/hospitals/HospitalDetails';
 import BookAppointment from './pages/appointments/BookAppointment';
+import CheckIn from './pages/appointments/CheckIn';
 import PatientDashboard from './pages/dashboard/PatientDashboard';
 import DoctorDashboard from './pages/dashboard/DoctorDashboard';
 import HospitalDashboard from './pages/dashboard/HospitalDashboard';
@@ -30,6 +35,7 @@ import AdminDashboard from './pages/dashboard/AdminDashboard';
 import Profile from './pages/Profile';
 import EmergencyConsultation from './pages/emergency/EmergencyConsultation';
 import RateAppointment from './pages/rating/RateAppointment';
+import WaitingRoomBoard from './pages/display/WaitingRoomBoard';
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -51,13 +57,18 @@ function App() {
               <Navbar />
               
               <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                <VerifyEmailBanner />
                 <Routes>
                   {/* Public Routes */}
                   <Route path="/" element={<Home />} />
                   <Route path="/login" element={<Login />} />
                   <Route path="/register" element={<Register />} />
+                  <Route path="/verify-email" element={<VerifyEmail />} />
+                  <Route path="/forgot-password" element={<ForgotPassword />} />
+                  <Route path="/reset-password" element={<ResetPassword />} />
                   <Route path="/hospitals" element={<HospitalSearch />} />
                   <Route path="/hospitals/:hospitalId" element={<HospitalDetails />} />
+                  <Route path="/display/:hospitalId" element={<WaitingRoomBoard />} />
                   
                   {/* Protected Routes */}
                   <Route path="/profile" element={
@@ -79,6 +90,12 @@ function App() {
                     </ProtectedRoute>
                   } />
                   
+                  <Route path="/check-in/:appointmentId" element={
+                    <ProtectedRoute allowedRoles={['patient', 'hospital_admin', 'staff']}>
+                      <CheckIn />
+                    </ProtectedRoute>
+                  } />
+                  
                   <Route path="/rate-appointment/:appointmentId" element={
                     <ProtectedRoute allowedRoles={['patient']}>
                       <RateAppointment />
@@ -99,9 +116,9 @@ function App() {
                     </ProtectedRoute>
                   } />
                   
-                  {/* Hospital Admin Routes */}
+                  {/* Hospital Admin and Staff Routes */}
                   <Route path="/dashboard/hospital" element={
-                    <ProtectedRoute allowedRoles={['hospital_admin']}>
+                    <ProtectedRoute allowedRoles={['hospital_admin', 'staff']}>
                       <HospitalDashboard />
                     </ProtectedRoute>
                   } />
@@ -0,0 +1,210 @@
+/**
+ * Scheduled Jobs Panel Component
+ * Shows the scheduler's jobs and run history and lets a super admin run a job now
+ */
+
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { PlayIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { format, parseISO } from 'date-fns';
+import { adminService } from '../../services/adminService';
+
+const STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-800',
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const formatTime = (value) => (value ? format(parseISO(value), 'MMM d, HH:mm:ss') : '—');
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-block px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[status] || STATUS_STYLES.pending}`}>
+    {status}
+  </span>
+);
+
+const ScheduledJobsPanel = () => {
+  const [filters, setFilters] = useState({ name: '', status: '' });
+  const [runningJob, setRunningJob] = useState(null);
+
+  const { data: definitionsData, refetch: refetchDefinitions } = useQuery(
+    ['scheduler-job-definitions'],
+    () => adminService.getJobDefinitions()
+  );
+
+  const { data: jobsData, isLoading, refetch: refetchJobs } = useQuery(
+    ['scheduler-jobs', filters],
+    () => adminService.getJobs({
+      limit: 50,
+      name: filters.name || undefined,
+      status: filters.status || undefined
+    }),
+    { refetchInterval: 30000 }
+  );
+
+  const definitions = definitionsData?.data?.definitions || [];
+  const jobs = jobsData?.data?.jobs || [];
+
+  const refresh = () => {
+    refetchDefinitions();
+    refetchJobs();
+  };
+
+  const handleRun = async (name) => {
+    try {
+      setRunningJob(name);
+      const response = await adminService.runJob(name);
+      if (response.success) {
+        toast.success(response.message);
+      } else {
+        toast.error(response.data?.job?.lastError || response.message);
+      }
+      refresh();
+    } catch (error) {
+      console.error('Error running job:', error);
+    } finally {
+      setRunningJob(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold text-gray-900">Scheduled Jobs</h2>
+        <button onClick={refresh} className="btn-secondary flex items-center">
+          <ArrowPathIcon className="h-4 w-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Job Definitions */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {definitions.map((definition) => (
+          <div key={definition.name} className="card">
+            <div className="flex justify-between items-start">
+              <div>
+                <h3 className="font-semibold text-gray-900">{definition.name}</h3>
+                <p className="text-sm text-gray-600">{definition.description}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {definition.intervalMinutes ? `Every ${definition.intervalMinutes} min` : 'Queued by the app'}
+                  {' '}· up to {definition.maxAttempts} attempts
+                </p>
+              </div>
+              {definition.intervalMinutes && (
+                <button
+                  onClick={() => handleRun(definition.name)}
+                  disabled={runningJob === definition.name}
+                  className="btn-primary flex items-center px-3 py-1.5 text-sm"
+                >
+                  {runningJob === definition.name ? (
+                    <div className="loading-spinner mr-2"></div>
+                  ) : (
+                    <PlayIcon className="h-4 w-4 mr-1" />
+                  )}
+                  Run now
+                </button>
+              )}
+            </div>
+            <div className="mt-3 text-sm text-gray-600 flex items-center gap-2">
+              <span>Last run:</span>
+              {definition.lastRun ? (
+                <>
+                  <StatusBadge status={definition.lastRun.status} />
+                  <span>{formatTime(definition.lastRun.finishedAt || definition.lastRun.startedAt)}</span>
+                </>
+              ) : (
+                <span>never</span>
+              )}
+            </div>
+            {definition.lastRun?.lastError && (
+              <p className="mt-1 text-xs text-red-600">{definition.lastRun.lastError}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Job History */}
+      <div className="card">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Run History</h3>
+          <div className="flex gap-2">
+            <select
+              value={filters.name}
+              onChange={(e) => setFilters({ ...filters, name: e.target.value })}
+              className="input-field text-sm"
+            >
+              <option value="">All jobs</option>
+              {definitions.map((definition) => (
+                <option key={definition.name} value={definition.name}>{definition.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="input-field text-sm"
+            >
+              <option value="">All statuses</option>
+              {Object.keys(STATUS_STYLES).map((status) => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="loading-spinner mr-2"></div>
+            <span>Loading jobs...</span>
+          </div>
+        ) : jobs.length === 0 ? (
+          <p className="text-sm text-gray-600 text-center py-8">No job runs yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">Job</th>
+                  <th className="py-2 pr-4 font-medium">Status</th>
+                  <th className="py-2 pr-4 font-medium">Trigger</th>
+                  <th className="py-2 pr-4 font-medium">Attempts</th>
+                  <th className="py-2 pr-4 font-medium">Started</th>
+                  <th className="py-2 pr-4 font-medium">Duration</th>
+                  <th className="py-2 font-medium">Worker / Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map((job) => (
+                  <tr key={job._id} className="border-b border-gray-100 align-top">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{job.name}</td>
+                    <td className="py-2 pr-4"><StatusBadge status={job.status} /></td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {job.trigger === 'manual' && job.triggeredBy
+                        ? `${job.triggeredBy.firstName} ${job.triggeredBy.lastName}`
+                        : job.trigger}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">{job.attempts}/{job.maxAttempts}</td>
+                    <td className="py-2 pr-4 text-gray-600">{formatTime(job.startedAt)}</td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {job.durationMs != null ? `${job.durationMs} ms` : '—'}
+                    </td>
+                    <td className="py-2 text-gray-600">
+                      {job.lastError ? (
+                        <span className="text-red-600">{job.lastError}</span>
+                      ) : (
+                        job.lockedBy || '—'
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledJobsPanel;
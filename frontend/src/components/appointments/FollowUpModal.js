@@ -0,0 +1,229 @@
+/**
+ * Follow-Up Modal Component
+ * Lets a doctor book a follow-up, or a recurring follow-up series, from a consultation
+ */
+
+import React, { useState, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { CalendarIcon, ClockIcon, XCircleIcon, ArrowPathRoundedSquareIcon } from '@heroicons/react/24/outline';
+import { format, parseISO } from 'date-fns';
+import { appointmentService } from '../../services/appointmentService';
+import SlotPicker from './SlotPicker';
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+const FREQUENCIES = [
+  { value: 'once', label: 'One follow-up' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'fortnightly', label: 'Every 2 weeks' },
+  { value: 'monthly', label: 'Monthly' }
+];
+
+// Suggested first date: the noted follow-up date, otherwise a week from today
+const getDefaultDate = (appointment) => {
+  const noted = appointment.doctorNotes?.followUpDate && new Date(appointment.doctorNotes.followUpDate);
+  if (noted && noted > new Date()) return toDateInput(noted);
+  const nextWeek = new Date();
+  nextWeek.setDate(nextWeek.getDate() + 7);
+  return toDateInput(nextWeek);
+};
+
+const FollowUpModal = ({ appointment, onClose, onBooked }) => {
+  const [formData, setFormData] = useState({
+    appointmentDate: getDefaultDate(appointment),
+    appointmentTime: appointment.appointmentTime,
+    frequency: 'once',
+    occurrences: 6,
+    notes: ''
+  });
+  const [conflicts, setConflicts] = useState([]);
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const [saving, setSaving] = useState(false);
+
+  const maxDate = new Date();
+  maxDate.setDate(maxDate.getDate() + 180);
+  const isSeries = formData.frequency !== 'once';
+
+  const handleSlotChange = useCallback((time) => {
+    setFormData(prev => ({ ...prev, appointmentTime: time }));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.appointmentTime) {
+      toast.error('Please select a time slot');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setConflicts([]);
+      const response = await appointmentService.bookFollowUp(appointment._id, {
+        appointmentDate: formData.appointmentDate,
+        appointmentTime: formData.appointmentTime,
+        frequency: formData.frequency,
+        occurrences: isSeries ? Number(formData.occurrences) : undefined,
+        notes: formData.notes || undefined
+      });
+      toast.success(response.data.message);
+      onBooked(response.data.data);
+    } catch (error) {
+      console.error('Failed to book follow-up:', error);
+      setConflicts(error.response?.data?.data?.conflicts || []);
+      setSlotRefreshKey(key => key + 1);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Backdrop */}
+        <div
+          className="fixed inset-0 transition-opacity bg-slate-900/60 backdrop-blur-sm"
+          onClick={onClose}
+        />
+
+        {/* Modal Content */}
+        <div className="inline-block align-bottom bg-white rounded-2xl text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg w-full border border-slate-100">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6">
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-xl font-bold text-slate-900">Book Follow-Up</h3>
+              <button
+                onClick={onClose}
+                className="text-slate-400 hover:text-slate-600 transition-colors"
+              >
+                <XCircleIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="bg-primary-50 rounded-xl p-4 mb-6 border border-primary-100 text-sm">
+              <p className="font-bold text-slate-900">
+                {appointment.patientId?.firstName} {appointment.patientId?.lastName}
+              </p>
+              <p className="text-primary-700">
+                Seen {format(parseISO(appointment.appointmentDate), 'MMM dd, yyyy')} at {appointment.appointmentTime}
+                {appointment.doctorNotes?.diagnosis && ` · ${appointment.doctorNotes.diagnosis}`}
+              </p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Repeat</label>
+                  <select
+                    value={formData.frequency}
+                    onChange={(e) => setFormData({ ...formData, frequency: e.target.value })}
+                    className="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+                  >
+                    {FREQUENCIES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {isSeries && (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Occurrences</label>
+                    <input
+                      type="number"
+                      required
+                      min={2}
+                      max={12}
+                      value={formData.occurrences}
+                      onChange={(e) => setFormData({ ...formData, occurrences: e.target.value })}
+                      className="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  {isSeries ? 'First Date' : 'Date'}
+                </label>
+                <div className="relative">
+                  <CalendarIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
+                  <input
+                    type="date"
+                    required
+                    min={toDateInput(new Date())}
+                    max={toDateInput(maxDate)}
+                    value={formData.appointmentDate}
+                    onChange={(e) => setFormData({ ...formData, appointmentDate: e.target.value, appointmentTime: '' })}
+                    className="w-full pl-10 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-slate-700 mb-1">
+                  <ClockIcon className="h-4 w-4 text-slate-400" />
+                  Time Slot
+                </label>
+                <SlotPicker
+                  doctorId={appointment.doctorId?._id || appointment.doctorId}
+                  date={formData.appointmentDate}
+                  value={formData.appointmentTime}
+                  onChange={handleSlotChange}
+                  refreshKey={slotRefreshKey}
+                />
+                {isSeries && (
+                  <p className="text-xs text-slate-500 mt-2">
+                    Every occurrence is booked at this time. If any date is unavailable, nothing is booked.
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Reason for follow-up (optional)</label>
+                <input
+                  type="text"
+                  maxLength={500}
+                  placeholder="e.g. Physiotherapy session"
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  className="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+                />
+              </div>
+
+              {conflicts.length > 0 && (
+                <div className="p-4 bg-red-50 border border-red-100 rounded-xl text-sm">
+                  <p className="font-semibold text-red-800 mb-2">Unavailable dates</p>
+                  <ul className="space-y-1 text-red-700">
+                    {conflicts.map(conflict => (
+                      <li key={conflict.occurrence}>
+                        #{conflict.occurrence} · {format(parseISO(conflict.appointmentDate), 'EEE, MMM d')}: {conflict.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={saving}
+                className="w-full py-3.5 bg-gradient-to-r from-primary-600 to-primary-500 text-white rounded-xl font-bold shadow-lg shadow-primary-500/30 transition-all disabled:opacity-70 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              >
+                {saving ? (
+                  <>
+                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                    <span>Booking...</span>
+                  </>
+                ) : (
+                  <>
+                    <ArrowPathRoundedSquareIcon className="w-5 h-5" />
+                    <span>{isSeries ? `Book ${formData.occurrences} Follow-Ups` : 'Book Follow-Up'}</span>
+                  </>
+                )}
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FollowUpModal;
@@ -0,0 +1,155 @@
+/**
+ * Reschedule Modal Component
+ * Lets a patient move a confirmed appointment to another free slot
+ */
+
+import React, { useState, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { CalendarIcon, ClockIcon, XCircleIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { format, parseISO } from 'date-fns';
+import { appointmentService } from '../../services/appointmentService';
+import SlotPicker from './SlotPicker';
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+const RescheduleModal = ({ appointment, onClose, onRescheduled }) => {
+  const [formData, setFormData] = useState({ appointmentDate: '', appointmentTime: '', reason: '' });
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const [saving, setSaving] = useState(false);
+
+  const maxDate = new Date();
+  maxDate.setDate(maxDate.getDate() + 30);
+
+  const handleSlotChange = useCallback((time) => {
+    setFormData(prev => ({ ...prev, appointmentTime: time }));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.appointmentTime) {
+      toast.error('Please select a time slot');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await appointmentService.rescheduleAppointment(appointment._id, {
+        appointmentDate: formData.appointmentDate,
+        appointmentTime: formData.appointmentTime,
+        reason: formData.reason || undefined
+      });
+      const updated = response.data.data.appointment;
+      toast.success(`Rescheduled - your new token is #${updated.tokenNumber}`);
+      onRescheduled(updated);
+    } catch (error) {
+      console.error('Failed to reschedule appointment:', error);
+      // The slot may have just been taken; reload the grid
+      setSlotRefreshKey(key => key + 1);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Backdrop */}
+        <div
+          className="fixed inset-0 transition-opacity bg-slate-900/60 backdrop-blur-sm"
+          onClick={onClose}
+        />
+
+        {/* Modal Content */}
+        <div className="inline-block align-bottom bg-white rounded-2xl text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg w-full border border-slate-100">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6">
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-xl font-bold text-slate-900">Reschedule Appointment</h3>
+              <button
+                onClick={onClose}
+                className="text-slate-400 hover:text-slate-600 transition-colors"
+              >
+                <XCircleIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="bg-primary-50 rounded-xl p-4 mb-6 border border-primary-100 text-sm">
+              <p className="font-bold text-slate-900">
+                Dr. {appointment.doctorId.firstName} {appointment.doctorId.lastName}
+              </p>
+              <p className="text-primary-700">
+                Currently {format(parseISO(appointment.appointmentDate), 'MMM dd, yyyy')} at {appointment.appointmentTime} · Token #{appointment.tokenNumber}
+              </p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">New Date</label>
+                <div className="relative">
+                  <CalendarIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
+                  <input
+                    type="date"
+                    required
+                    min={toDateInput(new Date())}
+                    max={toDateInput(maxDate)}
+                    value={formData.appointmentDate}
+                    onChange={(e) => setFormData({ ...formData, appointmentDate: e.target.value, appointmentTime: '' })}
+                    className="w-full pl-10 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-slate-700 mb-1">
+                  <ClockIcon className="h-4 w-4 text-slate-400" />
+                  New Time Slot
+                </label>
+                <SlotPicker
+                  doctorId={appointment.doctorId._id}
+                  date={formData.appointmentDate}
+                  value={formData.appointmentTime}
+                  onChange={handleSlotChange}
+                  refreshKey={slotRefreshKey}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Reason (optional)</label>
+                <input
+                  type="text"
+                  maxLength={200}
+                  value={formData.reason}
+                  onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+                  className="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+                />
+              </div>
+
+              <p className="text-xs text-slate-500">
+                You will get a new token number for the new date.
+              </p>
+
+              <button
+                type="submit"
+                disabled={saving}
+                className="w-full py-3.5 bg-gradient-to-r from-primary-600 to-primary-500 text-white rounded-xl font-bold shadow-lg shadow-primary-500/30 transition-all disabled:opacity-70 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              >
+                {saving ? (
+                  <>
+                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                    <span>Rescheduling...</span>
+                  </>
+                ) : (
+                  <>
+                    <ArrowPathIcon className="w-5 h-5" />
+                    <span>Confirm New Time</span>
+                  </>
+                )}
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleModal;
@@ -0,0 +1,152 @@
+/**
+ * Slot Picker Component
+ * Shows a doctor's bookable 20-minute slots for a date
+ */
+
+import React, { useState, useEffect } from 'react';
+import { appointmentService } from '../../services/appointmentService';
+
+const formatTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+  const ampm = hours >= 12 ? 'PM' : 'AM';
+  return `${hour12}:${minutes.toString().padStart(2, '0')} ${ampm}`;
+};
+
+const SlotPicker = ({ doctorId, date, value, onChange, onFullyBookedChange, refreshKey = 0 }) => {
+  const [slotData, setSlotData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!doctorId || !date) {
+      setSlotData(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchSlots = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await appointmentService.getDoctorSlots(doctorId, date);
+        if (!cancelled && response.data?.success) {
+          setSlotData(response.data.data);
+        }
+      } catch (err) {
+        console.error('Error fetching doctor slots:', err);
+        if (!cancelled) {
+          setError('Failed to load available slots');
+          setSlotData(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchSlots();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [doctorId, date, refreshKey]);
+
+  // Let the parent offer the waitlist when every slot on a working day is taken
+  useEffect(() => {
+    if (!onFullyBookedChange) return;
+    onFullyBookedChange(Boolean(
+      slotData?.isAvailable &&
+      slotData.slots.length > 0 &&
+      slotData.slots.every(slot => slot.status !== 'free')
+    ));
+  }, [slotData, onFullyBookedChange]);
+
+  // Clear the selection when it is no longer bookable
+  useEffect(() => {
+    if (!value || !slotData) return;
+    const selected = slotData.slots.find(slot => slot.time === value);
+    if (!selected || selected.status !== 'free') {
+      onChange('');
+    }
+  }, [slotData, value, onChange]);
+
+  if (!date) {
+    return <p className="text-sm text-slate-500">Select a date to see available slots.</p>;
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-slate-500">
+        <div className="w-4 h-4 border-2 border-primary-500 border-t-transparent rounded-full animate-spin" />
+        <span>Loading available slots...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (!slotData) return null;
+
+  if (slotData.leave) {
+    return (
+      <p className="text-sm text-amber-700">
+        {slotData.leave.type === 'holiday'
+          ? `The hospital is closed on this date${slotData.leave.reason ? ` (${slotData.leave.reason})` : ''}.`
+          : 'The doctor is on leave on this date.'}
+        {' '}Please pick another date.
+      </p>
+    );
+  }
+
+  if (!slotData.isAvailable) {
+    return <p className="text-sm text-amber-700">The doctor is not accepting appointments at the moment.</p>;
+  }
+
+  if (slotData.slots.length === 0) {
+    return <p className="text-sm text-slate-500">No consultation hours on {slotData.day}. Please pick another date.</p>;
+  }
+
+  const freeCount = slotData.slots.filter(slot => slot.status === 'free').length;
+
+  return (
+    <div>
+      <div className="grid grid-cols-4 gap-2 max-h-48 overflow-y-auto pr-1">
+        {slotData.slots.map((slot) => {
+          const isSelected = value === slot.time;
+          const isFree = slot.status === 'free';
+
+          return (
+            <button
+              key={slot.time}
+              type="button"
+              disabled={!isFree}
+              onClick={() => onChange(slot.time)}
+              title={isFree ? 'Available' : slot.held ? 'Held for the waitlist' : slot.status === 'taken' ? 'Already booked' : 'Fully booked'}
+              className={`py-2 px-1 rounded-lg text-xs font-bold transition-all border ${
+                isSelected
+                  ? 'bg-primary-600 text-white border-primary-600'
+                  : isFree
+                    ? 'bg-white text-slate-700 border-slate-200 hover:bg-primary-50 hover:border-primary-200'
+                    : slot.status === 'taken'
+                      ? 'bg-slate-100 text-slate-400 border-slate-100 line-through cursor-not-allowed'
+                      : 'bg-amber-50 text-amber-400 border-amber-100 cursor-not-allowed'
+              }`}
+            >
+              {formatTime(slot.time)}
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex items-center gap-4 mt-2 text-xs text-slate-500">
+        <span>{freeCount} of {slotData.slots.length} slots free</span>
+        <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-slate-300" /> Taken</span>
+        <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-amber-300" /> Full</span>
+      </div>
+    </div>
+  );
+};
+
+export default SlotPicker;
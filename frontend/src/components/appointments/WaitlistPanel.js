@@ -0,0 +1,145 @@
+/**
+ * Waitlist Panel Component
+ * Shows a patient's waitlist entries and lets them confirm or decline held slot offers
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { QueueListIcon, ClockIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { format, parseISO } from 'date-fns';
+import { waitlistService } from '../../services/waitlistService';
+import { useSocket } from '../../context/SocketContext';
+
+// Minutes and seconds left on an offer hold
+const formatRemaining = (expiresAt, now) => {
+  const seconds = Math.max(Math.floor((new Date(expiresAt) - now) / 1000), 0);
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+const WaitlistPanel = () => {
+  const { socket } = useSocket();
+  const queryClient = useQueryClient();
+  const [busyEntry, setBusyEntry] = useState(null);
+  const [now, setNow] = useState(new Date());
+
+  const { data, refetch } = useQuery(
+    ['patient-waitlist'],
+    () => waitlistService.getMyWaitlist(),
+    { refetchOnWindowFocus: true }
+  );
+
+  const entries = data?.data?.data?.entries || [];
+  const hasOffer = entries.some(entry => entry.status === 'offered');
+
+  // Tick the countdown only while an offer is open
+  useEffect(() => {
+    if (!hasOffer) return;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [hasOffer]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const onOffer = (payload) => {
+      toast.success(payload.message, { id: `waitlist-${payload.entry?._id}`, duration: 8000 });
+      refetch();
+    };
+    const onExpired = (payload) => {
+      toast.error(payload.message, { id: `waitlist-${payload.entryId}` });
+      refetch();
+    };
+    socket.on('waitlist-offer', onOffer);
+    socket.on('waitlist-offer-expired', onExpired);
+    return () => {
+      socket.off('waitlist-offer', onOffer);
+      socket.off('waitlist-offer-expired', onExpired);
+    };
+  }, [socket, refetch]);
+
+  const runAction = async (entryId, action) => {
+    try {
+      setBusyEntry(entryId);
+      const response = await action(entryId);
+      if (response.data?.success) {
+        toast.success(response.data.message);
+        refetch();
+        queryClient.invalidateQueries(['patient-appointments']);
+      }
+    } catch (error) {
+      console.error('Waitlist action failed:', error);
+      refetch();
+    } finally {
+      setBusyEntry(null);
+    }
+  };
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="card">
+      <div className="flex items-center gap-2 mb-4">
+        <QueueListIcon className="w-5 h-5 text-primary-600" />
+        <h2 className="text-lg font-bold text-slate-900">Waitlist</h2>
+      </div>
+
+      <div className="space-y-3">
+        {entries.map(entry => (
+          <div
+            key={entry._id}
+            className={`flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 rounded-xl border ${
+              entry.status === 'offered' ? 'bg-emerald-50 border-emerald-200' : 'bg-slate-50 border-slate-100'
+            }`}
+          >
+            <div>
+              <p className="font-semibold text-slate-900">
+                Dr. {entry.doctorId?.firstName} {entry.doctorId?.lastName}
+                <span className="text-slate-500 font-normal"> · {entry.hospitalId?.name}</span>
+              </p>
+              <p className="text-sm text-slate-600">
+                {format(parseISO(entry.appointmentDate), 'EEE, MMM d')}
+                {entry.status === 'offered'
+                  ? ` · ${entry.offer.appointmentTime} slot held for you`
+                  : ` · #${entry.position} in line`}
+              </p>
+            </div>
+
+            {entry.status === 'offered' ? (
+              <div className="flex items-center gap-2">
+                <span className="flex items-center gap-1 text-sm font-semibold text-emerald-700 tabular-nums">
+                  <ClockIcon className="w-4 h-4" />
+                  {formatRemaining(entry.offer.expiresAt, now)}
+                </span>
+                <button
+                  onClick={() => runAction(entry._id, waitlistService.confirmOffer)}
+                  disabled={busyEntry === entry._id}
+                  className="px-4 py-2 bg-emerald-600 text-white text-sm font-bold rounded-lg hover:bg-emerald-700 disabled:opacity-50"
+                >
+                  Book slot
+                </button>
+                <button
+                  onClick={() => runAction(entry._id, waitlistService.declineOffer)}
+                  disabled={busyEntry === entry._id}
+                  className="px-4 py-2 bg-white text-slate-600 text-sm font-semibold rounded-lg border border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+                >
+                  Decline
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => runAction(entry._id, waitlistService.leaveWaitlist)}
+                disabled={busyEntry === entry._id}
+                className="flex items-center gap-1 px-3 py-2 text-sm font-semibold text-slate-500 hover:text-red-600 rounded-lg disabled:opacity-50"
+              >
+                <XMarkIcon className="w-4 h-4" />
+                Leave waitlist
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistPanel;
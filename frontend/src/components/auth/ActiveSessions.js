@@ -0,0 +1,93 @@
+/**
+ * Active Sessions Component
+ * Lists the devices signed in to the account and signs them out one by one
+ */
+
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { authService } from '../../services/authService';
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+// Short "Browser on OS" label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token))?.[1];
+
+  if (!browser && !system) return 'Unknown device';
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+const isMobile = (userAgent = '') => /Mobile|Android|iPhone|iPad/.test(userAgent);
+
+const ActiveSessions = () => {
+  const [revoking, setRevoking] = useState(null);
+
+  const { data, isLoading, refetch } = useQuery(
+    ['auth-sessions'],
+    () => authService.getSessions()
+  );
+
+  const sessions = data?.data?.data?.sessions || [];
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setRevoking(sessionId);
+      await authService.revokeSession(sessionId);
+      toast.success('Device signed out');
+      refetch();
+    } catch (error) {
+      console.error('Failed to sign out session:', error);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading sessions...</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {sessions.map(session => {
+        const DeviceIcon = isMobile(session.userAgent) ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+        return (
+          <li key={session._id} className="flex items-center justify-between py-3">
+            <div className="flex items-center gap-3">
+              <DeviceIcon className="w-6 h-6 text-gray-400" />
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ipAddress && `${session.ipAddress} • `}
+                  Last active {formatDistanceToNow(parseISO(session.lastUsedAt), { addSuffix: true })}
+                </p>
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => handleRevoke(session._id)}
+                disabled={revoking !== null}
+                className="text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+              >
+                {revoking === session._id ? 'Signing out...' : 'Sign out'}
+              </button>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default ActiveSessions;
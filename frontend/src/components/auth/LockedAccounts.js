@@ -0,0 +1,78 @@
+/**
+ * Locked Accounts Component
+ * Lists accounts locked after failed sign-ins and lets an admin unlock them
+ */
+
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+
+const ROLE_LABELS = {
+  patient: 'Patient',
+  doctor: 'Doctor',
+  hospital_admin: 'Hospital Admin',
+  staff: 'Hospital Staff',
+  super_admin: 'Super Admin'
+};
+
+// fetchAccounts resolves to the locked users; unlockAccount takes a user ID
+const LockedAccounts = ({ queryKey, fetchAccounts, unlockAccount, emptyMessage = 'No locked accounts.' }) => {
+  const [unlocking, setUnlocking] = useState(null);
+
+  const { data: accounts = [], isLoading, refetch } = useQuery(queryKey, fetchAccounts, {
+    refetchInterval: 60000
+  });
+
+  const handleUnlock = async (account) => {
+    try {
+      setUnlocking(account._id);
+      await unlockAccount(account._id);
+      toast.success(`${account.firstName} ${account.lastName} can sign in again`);
+      refetch();
+    } catch (error) {
+      console.error('Failed to unlock account:', error);
+    } finally {
+      setUnlocking(null);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading locked accounts...</p>;
+  }
+
+  if (accounts.length === 0) {
+    return <p className="text-sm text-gray-500">{emptyMessage}</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {accounts.map(account => (
+        <li key={account._id} className="flex items-center justify-between py-3">
+          <div className="flex items-center gap-3">
+            <LockClosedIcon className="w-5 h-5 text-red-500" />
+            <div>
+              <p className="text-sm font-medium text-gray-900">
+                {account.firstName} {account.lastName}
+                <span className="ml-2 text-xs font-normal text-gray-500">{ROLE_LABELS[account.role]}</span>
+              </p>
+              <p className="text-xs text-gray-500">
+                {account.email} • Unlocks {formatDistanceToNow(parseISO(account.loginAttempts.lockedUntil), { addSuffix: true })}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => handleUnlock(account)}
+            disabled={unlocking !== null}
+            className="text-sm font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+          >
+            {unlocking === account._id ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default LockedAccounts;
@@ -0,0 +1,61 @@
+/**
+ * Recovery Codes Component
+ * Shows newly generated two-factor recovery codes, which the server never returns again
+ */
+
+import React from 'react';
+import toast from 'react-hot-toast';
+import { ClipboardDocumentIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      console.error('Copy recovery codes error:', error);
+      toast.error('Could not copy. Please write the codes down.');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`One Hospital recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'one-hospital-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose
+        your authenticator app. They will not be shown again.
+      </p>
+
+      <ul className="mt-4 grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm text-gray-900">
+        {codes.map(code => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+
+      <div className="mt-4 flex flex-wrap gap-3">
+        <button type="button" onClick={handleCopy} className="btn-secondary flex items-center gap-2">
+          <ClipboardDocumentIcon className="w-4 h-4" />
+          Copy
+        </button>
+        <button type="button" onClick={handleDownload} className="btn-secondary flex items-center gap-2">
+          <ArrowDownTrayIcon className="w-4 h-4" />
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary">
+          I have saved my codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,176 @@
+/**
+ * Two-Factor Settings Component
+ * Turns authenticator app sign-in on and off and replaces recovery codes
+ */
+
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { format, parseISO } from 'date-fns';
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/authService';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+const TwoFactorSettings = () => {
+  const { user, refreshUser } = useAuth();
+  const [mode, setMode] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const enabled = Boolean(user.twoFactor?.enabled);
+  const requiredByHospital = Boolean(user.hospitalId?.security?.requireTwoFactor);
+
+  const closeForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleSetupComplete = async () => {
+    toast.success('Two-factor authentication enabled');
+    setMode(null);
+    await refreshUser();
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await authService.disableTwoFactor({ password, code });
+      toast.success('Two-factor authentication disabled');
+      closeForm();
+      await refreshUser();
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const response = await authService.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      closeForm();
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+  }
+
+  if (mode === 'setup') {
+    return <TwoFactorSetup onComplete={handleSetupComplete} onCancel={closeForm} />;
+  }
+
+  const codeInput = (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">
+        Authenticator Code
+      </label>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+        required
+        pattern="\d{6}"
+        className="input-field mt-1 tracking-widest"
+        placeholder="123456"
+      />
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-900">
+            Authenticator app
+            <span className={`ml-2 inline-block px-2 py-0.5 rounded-full text-xs font-medium ${enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+              {enabled ? 'On' : 'Off'}
+            </span>
+          </p>
+          <p className="text-sm text-gray-500">
+            {enabled
+              ? `Signing in asks for a code from your app${user.twoFactor.enabledAt ? ` (since ${format(parseISO(user.twoFactor.enabledAt), 'MMM d, yyyy')})` : ''}.`
+              : 'Ask for a code from your phone in addition to your password when signing in.'}
+          </p>
+          {requiredByHospital && (
+            <p className="mt-1 text-xs text-amber-700">Required by your hospital for all staff.</p>
+          )}
+        </div>
+
+        {mode === null && (
+          <div className="flex gap-3 flex-shrink-0">
+            {enabled ? (
+              <>
+                <button onClick={() => setMode('regenerate')} className="text-sm font-medium text-primary-600 hover:text-primary-700">
+                  New recovery codes
+                </button>
+                {!requiredByHospital && (
+                  <button onClick={() => setMode('disable')} className="text-sm font-medium text-red-600 hover:text-red-700">
+                    Turn off
+                  </button>
+                )}
+              </>
+            ) : (
+              <button onClick={() => setMode('setup')} className="btn-primary">
+                Set up
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {mode === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="mt-4 space-y-4 max-w-sm">
+          <p className="text-sm text-gray-600">Your current recovery codes will stop working.</p>
+          {codeInput}
+          <div className="flex gap-3">
+            <button type="button" onClick={closeForm} className="btn-secondary">Cancel</button>
+            <button type="submit" disabled={submitting || code.length !== 6} className="btn-primary disabled:opacity-50">
+              {submitting ? 'Generating...' : 'Generate'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="mt-4 space-y-4 max-w-sm">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Password
+            </label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              className="input-field mt-1"
+            />
+          </div>
+          {codeInput}
+          <div className="flex gap-3">
+            <button type="button" onClick={closeForm} className="btn-secondary">Cancel</button>
+            <button type="submit" disabled={submitting || code.length !== 6} className="btn-danger disabled:opacity-50">
+              {submitting ? 'Turning off...' : 'Turn off'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
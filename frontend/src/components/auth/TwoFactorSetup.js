@@ -0,0 +1,102 @@
+/**
+ * Two-Factor Setup Component
+ * Enrolls an authenticator app with a QR code, confirms it with a first code
+ * and shows the recovery codes
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { authService } from '../../services/authService';
+import RecoveryCodes from './RecoveryCodes';
+
+// twoFactorToken is only passed during a login that requires enrollment
+const TwoFactorSetup = ({ twoFactorToken, onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const requested = useRef(false);
+
+  // Each setup call replaces the pending secret, so request it only once
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    authService.setupTwoFactor(twoFactorToken)
+      .then(response => setEnrollment(response.data.data))
+      .catch(error => console.error('Two-factor setup error:', error));
+  }, [twoFactorToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const response = await authService.enableTwoFactor(code, twoFactorToken);
+      setResult(response.data.data);
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return <RecoveryCodes codes={result.recoveryCodes} onDone={() => onComplete(result)} />;
+  }
+
+  if (!enrollment) {
+    return <p className="text-sm text-gray-500">Preparing setup...</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app such as Google Authenticator,
+        Microsoft Authenticator or 1Password, then enter the 6-digit code it shows.
+      </p>
+
+      <div className="flex flex-col items-center gap-3 p-4 bg-white border border-gray-200 rounded-lg">
+        <QRCodeSVG value={enrollment.otpauthUrl} size={176} />
+        <p className="text-xs text-gray-500 text-center">
+          Can't scan? Enter this key instead:
+          <span className="block mt-1 font-mono text-sm text-gray-900 break-all">{enrollment.secret}</span>
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">
+          Verification Code
+        </label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+          required
+          pattern="\d{6}"
+          className="input-field mt-1 tracking-widest"
+          placeholder="123456"
+        />
+      </div>
+
+      <div className="flex justify-end gap-3">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={submitting || code.length !== 6}
+          className="btn-primary disabled:opacity-50"
+        >
+          {submitting ? 'Verifying...' : 'Enable'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
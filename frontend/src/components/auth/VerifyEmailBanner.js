@@ -0,0 +1,55 @@
+/**
+ * Verify Email Banner Component
+ * Reminds doctors and hospital admins to verify their email, which the
+ * server requires before they can manage appointments or their hospital
+ */
+
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/authService';
+
+// Roles the server blocks until their email is verified
+const VERIFIED_ROLES = ['doctor', 'hospital_admin', 'staff'];
+
+const VerifyEmailBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!isAuthenticated || !user || user.isVerified || !VERIFIED_ROLES.includes(user.role)) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await authService.resendVerification();
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Resend verification error:', error);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-xl bg-amber-50 border border-amber-200">
+      <div className="flex items-start gap-3">
+        <ExclamationTriangleIcon className="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-amber-800">
+          Please verify your email address. Until you do, you can't update appointments, leaves, referrals or hospital details.
+        </p>
+      </div>
+      <button
+        onClick={handleResend}
+        disabled={sending}
+        className="text-sm font-semibold text-amber-800 hover:text-amber-900 whitespace-nowrap disabled:opacity-50"
+      >
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -15,6 +15,7 @@ import {
   ChartBarIcon,
   ArrowRightOnRectangleIcon
 } from '@heroicons/react/24/outline';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
@@ -54,6 +55,7 @@ const Navbar = () => {
       case 'doctor':
         return '/dashboard/doctor';
       case 'hospital_admin':
+      case 'staff':
         return '/dashboard/hospital';
       case 'super_admin':
         return '/dashboard/admin';
@@ -70,6 +72,8 @@ const Navbar = () => {
         return 'Doctor';
       case 'hospital_admin':
         return 'Hospital Admin';
+      case 'staff':
+        return user.staffRoleId?.name || 'Hospital Staff';
       case 'super_admin':
         return 'Super Admin';
       default:
@@ -119,70 +123,75 @@ const Navbar = () => {
             />
 
             {isAuthenticated ? (
-              <div className="relative ml-4">
-                <button
-                  onClick={() => setShowUserMenu(!showUserMenu)}
-                  className="flex items-center space-x-3 pl-4 border-l border-slate-200 focus:outline-none group"
-                >
-                  <div className="text-right hidden lg:block">
-                    <p className="text-sm font-semibold text-slate-900 group-hover:text-primary-600 transition-colors">
-                      {user.firstName} {user.lastName}
-                    </p>
-                    <p className="text-xs text-slate-500 font-medium">
-                      {getRoleDisplayName(user.role)}
-                    </p>
-                  </div>
-                  <div className="w-10 h-10 rounded-full bg-primary-50 border-2 border-primary-100 flex items-center justify-center text-primary-600 group-hover:bg-primary-100 transition-colors">
-                    <UserCircleIcon className="w-6 h-6" />
-                  </div>
-                </button>
+              <>
+                <div className="ml-2">
+                  <NotificationBell />
+                </div>
+                <div className="relative ml-2">
+                  <button
+                    onClick={() => setShowUserMenu(!showUserMenu)}
+                    className="flex items-center space-x-3 pl-4 border-l border-slate-200 focus:outline-none group"
+                  >
+                    <div className="text-right hidden lg:block">
+                      <p className="text-sm font-semibold text-slate-900 group-hover:text-primary-600 transition-colors">
+                        {user.firstName} {user.lastName}
+                      </p>
+                      <p className="text-xs text-slate-500 font-medium">
+                        {getRoleDisplayName(user.role)}
+                      </p>
+                    </div>
+                    <div className="w-10 h-10 rounded-full bg-primary-50 border-2 border-primary-100 flex items-center justify-center text-primary-600 group-hover:bg-primary-100 transition-colors">
+                      <UserCircleIcon className="w-6 h-6" />
+                    </div>
+                  </button>
 
-                {/* Dropdown Menu */}
-                {showUserMenu && (
-                  <>
-                    <div 
-                      className="fixed inset-0 z-10" 
-                      onClick={() => setShowUserMenu(false)}
-                    ></div>
-                    <div className="absolute right-0 mt-3 w-56 bg-white rounded-xl shadow-xl border border-slate-100 py-2 z-20 animate-slide-up origin-top-right">
-                      <div className="px-4 py-3 border-b border-slate-50 lg:hidden">
-                        <p className="text-sm font-semibold text-slate-900">
-                          {user.firstName} {user.lastName}
-                        </p>
-                        <p className="text-xs text-slate-500">
-                          {getRoleDisplayName(user.role)}
-                        </p>
+                  {/* Dropdown Menu */}
+                  {showUserMenu && (
+                    <>
+                      <div 
+                        className="fixed inset-0 z-10" 
+                        onClick={() => setShowUserMenu(false)}
+                      ></div>
+                      <div className="absolute right-0 mt-3 w-56 bg-white rounded-xl shadow-xl border border-slate-100 py-2 z-20 animate-slide-up origin-top-right">
+                        <div className="px-4 py-3 border-b border-slate-50 lg:hidden">
+                          <p className="text-sm font-semibold text-slate-900">
+                            {user.firstName} {user.lastName}
+                          </p>
+                          <p className="text-xs text-slate-500">
+                            {getRoleDisplayName(user.role)}
+                          </p>
+                        </div>
+                        
+                        <Link
+                          to={getDashboardLink()}
+                          className="flex items-center px-4 py-2.5 text-sm text-slate-700 hover:bg-slate-50 hover:text-primary-600 transition-colors"
+                        >
+                          <ChartBarIcon className="w-4 h-4 mr-3" />
+                          Dashboard
+                        </Link>
+                        
+                        <Link
+                          to="/profile"
+                          className="flex items-center px-4 py-2.5 text-sm text-slate-700 hover:bg-slate-50 hover:text-primary-600 transition-colors"
+                        >
+                          <UserCircleIcon className="w-4 h-4 mr-3" />
+                          Profile
+                        </Link>
+                        
+                        <div className="border-t border-slate-50 my-1"></div>
+                        
+                        <button
+                          onClick={handleLogout}
+                          className="flex w-full items-center px-4 py-2.5 text-sm text-danger-600 hover:bg-danger-50 transition-colors"
+                        >
+                          <ArrowRightOnRectangleIcon className="w-4 h-4 mr-3" />
+                          Sign out
+                        </button>
                       </div>
-                      
-                      <Link
-                        to={getDashboardLink()}
-                        className="flex items-center px-4 py-2.5 text-sm text-slate-700 hover:bg-slate-50 hover:text-primary-600 transition-colors"
-                      >
-                        <ChartBarIcon className="w-4 h-4 mr-3" />
-                        Dashboard
-                      </Link>
-                      
-                      <Link
-                        to="/profile"
-                        className="flex items-center px-4 py-2.5 text-sm text-slate-700 hover:bg-slate-50 hover:text-primary-600 transition-colors"
-                      >
-                        <UserCircleIcon className="w-4 h-4 mr-3" />
-                        Profile
-                      </Link>
-                      
-                      <div className="border-t border-slate-50 my-1"></div>
-                      
-                      <button
-                        onClick={handleLogout}
-                        className="flex w-full items-center px-4 py-2.5 text-sm text-danger-600 hover:bg-danger-50 transition-colors"
-                      >
-                        <ArrowRightOnRectangleIcon className="w-4 h-4 mr-3" />
-                        Sign out
-                      </button>
-                    </div>
                   </>
                 )}
               </div>
+              </>
             ) : (
               <div className="flex items-center space-x-3 ml-4 pl-4 border-l border-slate-200">
                 <Link
@@ -203,6 +212,7 @@ const Navbar = () => {
 
           {/* Mobile menu button */}
           <div className="flex items-center md:hidden">
+            {isAuthenticated && <NotificationBell />}
             <button
               onClick={() => setIsOpen(!isOpen)}
               className="inline-flex items-center justify-center p-2 rounded-lg text-slate-500 hover:text-primary-600 hover:bg-slate-100 focus:outline-none transition-colors"
@@ -0,0 +1,146 @@
+/**
+ * Notification Bell Component
+ * Unread count and dropdown of the user's saved notifications
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useQuery } from 'react-query';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { notificationService } from '../../services/notificationService';
+import { useSocket } from '../../context/SocketContext';
+
+// Real-time events that are also saved as notifications
+const NOTIFICATION_EVENTS = [
+  'notification',
+  'new-appointment',
+  'appointment-updated',
+  'appointment-cancelled',
+  'appointment-missed',
+  'emergency-call-available',
+  'new-referral',
+  'referral-response'
+];
+
+// Events are sent before the notification is saved, so wait briefly before refetching
+const REFETCH_DELAY_MS = 1500;
+
+const NotificationBell = () => {
+  const { socket } = useSocket();
+  const [open, setOpen] = useState(false);
+
+  const { data, refetch } = useQuery(
+    ['notifications'],
+    () => notificationService.getNotifications({ limit: 10 }),
+    { refetchInterval: 60000, refetchOnWindowFocus: true }
+  );
+
+  const notifications = data?.data?.data?.notifications || [];
+  const unreadCount = data?.data?.data?.unreadCount || 0;
+
+  useEffect(() => {
+    if (!socket) return;
+    let timer = null;
+    const onEvent = () => {
+      clearTimeout(timer);
+      timer = setTimeout(refetch, REFETCH_DELAY_MS);
+    };
+    NOTIFICATION_EVENTS.forEach(event => socket.on(event, onEvent));
+    return () => {
+      clearTimeout(timer);
+      NOTIFICATION_EVENTS.forEach(event => socket.off(event, onEvent));
+    };
+  }, [socket, refetch]);
+
+  const handleOpen = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      await notificationService.markRead(notification._id);
+      refetch();
+    } catch (error) {
+      console.error('Failed to mark notification read:', error);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markAllRead();
+      refetch();
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-full text-slate-500 hover:text-primary-600 hover:bg-slate-100 focus:outline-none transition-colors"
+      >
+        <span className="sr-only">Notifications</span>
+        <BellIcon className="w-6 h-6" />
+        {unreadCount > 0 && (
+          <span className="absolute top-0.5 right-0.5 min-w-[1.125rem] h-[1.125rem] px-1 rounded-full bg-danger-600 text-white text-[10px] font-bold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <>
+          <div
+            className="fixed inset-0 z-10"
+            onClick={() => setOpen(false)}
+          ></div>
+          <div className="absolute right-0 mt-3 w-80 bg-white rounded-xl shadow-xl border border-slate-100 z-20 animate-slide-up origin-top-right">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-slate-100">
+              <p className="text-sm font-semibold text-slate-900">Notifications</p>
+              {unreadCount > 0 && (
+                <button
+                  onClick={handleMarkAllRead}
+                  className="text-xs font-medium text-primary-600 hover:text-primary-700"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            {notifications.length === 0 ? (
+              <p className="px-4 py-8 text-sm text-center text-slate-500">You have no notifications</p>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-slate-50">
+                {notifications.map(notification => (
+                  <li key={notification._id}>
+                    <button
+                      onClick={() => handleOpen(notification)}
+                      className={`w-full text-left px-4 py-3 hover:bg-slate-50 transition-colors ${
+                        notification.readAt ? '' : 'bg-primary-50/60'
+                      }`}
+                    >
+                      <div className="flex items-start gap-2">
+                        {!notification.readAt && (
+                          <span className="mt-1.5 w-2 h-2 rounded-full bg-primary-600 flex-shrink-0" />
+                        )}
+                        <div className={notification.readAt ? 'pl-4' : ''}>
+                          <p className="text-sm font-semibold text-slate-900">{notification.title}</p>
+                          {notification.message && (
+                            <p className="text-sm text-slate-600">{notification.message}</p>
+                          )}
+                          <p className="text-xs text-slate-400 mt-1">
+                            {formatDistanceToNow(parseISO(notification.createdAt), { addSuffix: true })}
+                          </p>
+                        </div>
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,296 @@
+/**
+ * Leave Calendar Component
+ * Manage doctor leave or hospital holidays and the appointments they affect
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { CalendarDaysIcon, TrashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { leaveService } from '../../services/leaveService';
+import { hospitalService } from '../../services/hospitalService';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const LeaveCalendar = ({ mode = 'doctor', hospitalId }) => {
+  const [leaves, setLeaves] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState({ startDate: '', endDate: '', reason: '', doctorId: '' });
+  const [selectedLeave, setSelectedLeave] = useState(null);
+  const [affected, setAffected] = useState([]);
+  const [rescheduleDate, setRescheduleDate] = useState('');
+  const [resolving, setResolving] = useState(false);
+
+  const loadLeaves = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await leaveService.getLeaves({ from: today() });
+      setLeaves(response.data.data.leaves || []);
+    } catch (error) {
+      console.error('Failed to load leaves:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLeaves();
+  }, [loadLeaves]);
+
+  useEffect(() => {
+    if (mode !== 'hospital' || !hospitalId) return;
+    hospitalService.getDoctorsByHospital(hospitalId)
+      .then(response => setDoctors(response.data.data.doctors || []))
+      .catch(error => console.error('Failed to load doctors:', error));
+  }, [mode, hospitalId]);
+
+  const showAffected = async (leave, appointments) => {
+    setSelectedLeave(leave);
+    if (appointments) {
+      setAffected(appointments);
+      return;
+    }
+    try {
+      const response = await leaveService.getAffectedAppointments(leave._id);
+      setAffected(response.data.data.appointments || []);
+    } catch (error) {
+      console.error('Failed to load affected appointments:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const payload = {
+        startDate: formData.startDate,
+        endDate: formData.endDate || formData.startDate,
+        reason: formData.reason
+      };
+      if (mode === 'hospital' && formData.doctorId) {
+        payload.doctorId = formData.doctorId;
+      }
+
+      const response = await leaveService.createLeave(payload);
+      const { leave, affectedAppointments } = response.data.data;
+      toast.success(response.data.message);
+      setFormData({ startDate: '', endDate: '', reason: '', doctorId: '' });
+      await loadLeaves();
+
+      if (affectedAppointments.length > 0) {
+        toast(`${affectedAppointments.length} confirmed appointment(s) fall on these dates`, { icon: '⚠️' });
+        showAffected(leave, affectedAppointments);
+      }
+    } catch (error) {
+      console.error('Failed to add leave:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (leaveId) => {
+    if (!window.confirm('Remove this entry? Patients will be able to book these dates again.')) return;
+    try {
+      await leaveService.deleteLeave(leaveId);
+      toast.success('Removed successfully');
+      if (selectedLeave?._id === leaveId) setSelectedLeave(null);
+      loadLeaves();
+    } catch (error) {
+      console.error('Failed to remove leave:', error);
+    }
+  };
+
+  const handleResolve = async (action) => {
+    if (action === 'reschedule' && !rescheduleDate) {
+      toast.error('Pick a date to move the appointments to');
+      return;
+    }
+    try {
+      setResolving(true);
+      const response = await leaveService.resolveAffectedAppointments(selectedLeave._id, {
+        action,
+        newDate: action === 'reschedule' ? rescheduleDate : undefined
+      });
+      const { failed } = response.data.data;
+      toast.success(response.data.message);
+      if (failed.length > 0) {
+        toast.error(`${failed.length} appointment(s) could not be moved - no free slots left`);
+      }
+      showAffected(selectedLeave);
+    } catch (error) {
+      console.error('Failed to update appointments:', error);
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl border border-slate-100 p-5 grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+        {mode === 'hospital' && (
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">Applies to</label>
+            <select
+              value={formData.doctorId}
+              onChange={(e) => setFormData({ ...formData, doctorId: e.target.value })}
+              className="w-full p-2 border border-slate-200 rounded-lg text-sm"
+            >
+              <option value="">Whole hospital (holiday)</option>
+              {doctors.map(doctor => (
+                <option key={doctor._id} value={doctor._id}>
+                  Dr. {doctor.firstName} {doctor.lastName}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">From</label>
+          <input
+            type="date"
+            required
+            min={today()}
+            value={formData.startDate}
+            onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+            className="w-full p-2 border border-slate-200 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">To</label>
+          <input
+            type="date"
+            min={formData.startDate || today()}
+            value={formData.endDate}
+            onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+            className="w-full p-2 border border-slate-200 rounded-lg text-sm"
+          />
+        </div>
+        <div className={mode === 'hospital' ? '' : 'md:col-span-2'}>
+          <label className="block text-xs font-medium text-slate-600 mb-1">Reason</label>
+          <input
+            type="text"
+            maxLength={200}
+            placeholder={mode === 'hospital' ? 'e.g. Diwali' : 'e.g. Conference'}
+            value={formData.reason}
+            onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+            className="w-full p-2 border border-slate-200 rounded-lg text-sm"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="py-2 px-4 bg-primary-600 text-white rounded-lg text-sm font-semibold hover:bg-primary-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : mode === 'hospital' ? 'Add' : 'Add Leave'}
+        </button>
+      </form>
+
+      <div className="bg-white rounded-xl border border-slate-100 divide-y divide-slate-100">
+        {loading ? (
+          <p className="p-5 text-sm text-slate-500">Loading...</p>
+        ) : leaves.length === 0 ? (
+          <p className="p-5 text-sm text-slate-500">No upcoming leave or holidays.</p>
+        ) : leaves.map(leave => (
+          <div key={leave._id} className="p-4 flex items-center justify-between gap-4">
+            <div className="flex items-center gap-3">
+              <CalendarDaysIcon className="w-5 h-5 text-slate-400" />
+              <div>
+                <p className="text-sm font-semibold text-slate-900">
+                  {formatDate(leave.startDate)}
+                  {formatDate(leave.startDate) !== formatDate(leave.endDate) && ` – ${formatDate(leave.endDate)}`}
+                </p>
+                <p className="text-xs text-slate-500">
+                  <span className={`inline-block px-2 py-0.5 rounded-full mr-2 ${
+                    leave.type === 'holiday' ? 'bg-purple-50 text-purple-700' : 'bg-amber-50 text-amber-700'
+                  }`}>
+                    {leave.type === 'holiday' ? 'Hospital holiday' : 'Leave'}
+                  </span>
+                  {leave.doctorId && mode === 'hospital' && `Dr. ${leave.doctorId.firstName} ${leave.doctorId.lastName} · `}
+                  {leave.reason}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => showAffected(leave)}
+                className="text-xs font-semibold text-primary-600 hover:underline"
+              >
+                Affected appointments
+              </button>
+              {(mode === 'hospital' || leave.type === 'leave') && (
+                <button
+                  onClick={() => handleDelete(leave._id)}
+                  className="p-1.5 text-slate-400 hover:text-red-600 rounded"
+                  title="Remove"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {selectedLeave && (
+        <div className="bg-amber-50 rounded-xl border border-amber-100 p-5">
+          <div className="flex items-center gap-2 mb-3">
+            <ExclamationTriangleIcon className="w-5 h-5 text-amber-600" />
+            <h3 className="text-sm font-bold text-slate-900">
+              Confirmed appointments on {formatDate(selectedLeave.startDate)}
+              {formatDate(selectedLeave.startDate) !== formatDate(selectedLeave.endDate) && ` – ${formatDate(selectedLeave.endDate)}`}
+            </h3>
+          </div>
+
+          {affected.length === 0 ? (
+            <p className="text-sm text-slate-600">No confirmed appointments are affected.</p>
+          ) : (
+            <>
+              <ul className="text-sm text-slate-700 space-y-1 mb-4">
+                {affected.map(apt => (
+                  <li key={apt._id}>
+                    {formatDate(apt.appointmentDate)} {apt.appointmentTime} · Token #{apt.tokenNumber} ·{' '}
+                    {apt.patientId?.firstName} {apt.patientId?.lastName}
+                    {mode === 'hospital' && ` with Dr. ${apt.doctorId?.firstName} ${apt.doctorId?.lastName}`}
+                  </li>
+                ))}
+              </ul>
+              <div className="flex flex-wrap items-center gap-3">
+                <button
+                  onClick={() => handleResolve('cancel')}
+                  disabled={resolving}
+                  className="py-2 px-3 bg-red-600 text-white rounded-lg text-xs font-semibold hover:bg-red-700 disabled:opacity-50"
+                >
+                  Cancel all
+                </button>
+                <span className="text-xs text-slate-500">or move to</span>
+                <input
+                  type="date"
+                  min={today()}
+                  value={rescheduleDate}
+                  onChange={(e) => setRescheduleDate(e.target.value)}
+                  className="p-1.5 border border-slate-200 rounded-lg text-xs"
+                />
+                <button
+                  onClick={() => handleResolve('reschedule')}
+                  disabled={resolving}
+                  className="py-2 px-3 bg-primary-600 text-white rounded-lg text-xs font-semibold hover:bg-primary-700 disabled:opacity-50"
+                >
+                  Reschedule all
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeaveCalendar;
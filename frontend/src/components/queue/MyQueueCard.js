@@ -0,0 +1,145 @@
+/**
+ * My Queue Card Component
+ * Live view of a patient's place in the doctor's queue for today's appointment
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { QueueListIcon, UserGroupIcon, ClockIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { appointmentService } from '../../services/appointmentService';
+import { useSocket } from '../../context/SocketContext';
+
+const formatEta = (minutes) => {
+  if (minutes <= 0) return 'Any moment';
+  if (minutes < 60) return `~${minutes} min`;
+  return `~${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const MyQueueCard = ({ appointment }) => {
+  const { socket, joinAppointmentRoom, leaveAppointmentRoom } = useSocket();
+  const [position, setPosition] = useState(null);
+  const [reorders, setReorders] = useState([]);
+  const peopleAheadRef = useRef(null);
+
+  useEffect(() => {
+    peopleAheadRef.current = position ? position.peopleAhead : null;
+  }, [position]);
+
+  const loadPosition = useCallback(async () => {
+    try {
+      const response = await appointmentService.getQueuePosition(appointment._id);
+      setPosition(response.data.data.position);
+      setReorders(response.data.data.reorders || []);
+    } catch (error) {
+      console.error('Failed to load queue position:', error);
+    }
+  }, [appointment._id]);
+
+  // Initial position; later changes arrive over the appointment room
+  useEffect(() => {
+    loadPosition();
+  }, [loadPosition]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const join = () => joinAppointmentRoom(appointment._id);
+    const onQueuePosition = (data) => {
+      if (data.appointmentId === appointment._id) {
+        // Someone was placed ahead; fetch the reason
+        if (peopleAheadRef.current !== null && data.peopleAhead > peopleAheadRef.current) {
+          loadPosition();
+        }
+        setPosition(data);
+      }
+    };
+
+    join();
+    // Rooms are lost on reconnect
+    socket.on('connect', join);
+    socket.on('queue-position', onQueuePosition);
+
+    return () => {
+      socket.off('connect', join);
+      socket.off('queue-position', onQueuePosition);
+      leaveAppointmentRoom(appointment._id);
+    };
+  }, [socket, appointment._id, joinAppointmentRoom, leaveAppointmentRoom, loadPosition]);
+
+  const status = position?.status || appointment.status;
+
+  return (
+    <div className="bg-gradient-to-br from-primary-600 to-primary-500 rounded-2xl shadow-lg p-6 text-white">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <QueueListIcon className="w-5 h-5" />
+          <h2 className="text-lg font-bold">My Queue</h2>
+          <span className="flex items-center gap-1 text-[10px] font-bold uppercase bg-white/20 px-2 py-0.5 rounded-full">
+            <span className="w-1.5 h-1.5 rounded-full bg-green-300 animate-pulse" />
+            Live
+          </span>
+        </div>
+        <p className="text-sm text-primary-100">
+          Dr. {appointment.doctorId?.firstName} {appointment.doctorId?.lastName} · {appointment.appointmentTime}
+        </p>
+      </div>
+
+      {status === 'in_progress' ? (
+        <div className="flex items-center gap-3 bg-white/15 rounded-xl p-4">
+          <CheckCircleIcon className="w-8 h-8" />
+          <div>
+            <p className="text-lg font-bold">It's your turn</p>
+            <p className="text-sm text-primary-100">Please proceed to the doctor's room.</p>
+          </div>
+        </div>
+      ) : status === 'completed' ? (
+        <p className="bg-white/15 rounded-xl p-4 font-semibold">Your consultation is complete.</p>
+      ) : status !== 'confirmed' ? (
+        <p className="bg-white/15 rounded-xl p-4 font-semibold">This appointment is {status.replace('_', ' ')}.</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <QueueStat label="Now serving" value={position?.currentToken ? `#${position.currentToken}` : '—'} />
+          <QueueStat label="Your token" value={`#${appointment.tokenNumber}`} highlight />
+          <QueueStat
+            label="People ahead"
+            value={position ? position.peopleAhead : '…'}
+            icon={<UserGroupIcon className="w-4 h-4" />}
+          />
+          <QueueStat
+            label="Estimated wait"
+            value={position ? formatEta(position.estimatedWaitTime) : '…'}
+            icon={<ClockIcon className="w-4 h-4" />}
+          />
+        </div>
+      )}
+
+      {status === 'confirmed' && reorders.length > 0 && (
+        <div className="mt-4 bg-white/10 rounded-xl p-3">
+          <p className="text-xs font-semibold text-primary-100 mb-1">Why others went ahead of you</p>
+          <ul className="text-sm space-y-0.5">
+            {reorders.map(reorder => (
+              <li key={reorder._id}>{reorder.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {status === 'confirmed' && !appointment.checkedInAt && (
+        <p className="text-xs text-primary-100 mt-3">
+          Check in when you arrive so you keep your place in the queue.
+        </p>
+      )}
+    </div>
+  );
+};
+
+const QueueStat = ({ label, value, icon, highlight }) => (
+  <div className={`rounded-xl p-3 ${highlight ? 'bg-white text-primary-700' : 'bg-white/15'}`}>
+    <p className={`text-xs font-medium flex items-center gap-1 ${highlight ? 'text-primary-500' : 'text-primary-100'}`}>
+      {icon}
+      {label}
+    </p>
+    <p className="text-2xl font-bold mt-1">{value}</p>
+  </div>
+);
+
+export default MyQueueCard;
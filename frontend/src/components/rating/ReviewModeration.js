@@ -0,0 +1,196 @@
+/**
+ * Review Moderation Component
+ * Lists a hospital's written reviews so moderators can hide abusive ones from
+ * the public and from the rating averages, or restore them
+ */
+
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { format, parseISO } from 'date-fns';
+import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { ratingService } from '../../services/ratingService';
+
+const FILTERS = [
+  { id: 'all', name: 'All reviews' },
+  { id: 'visible', name: 'Visible' },
+  { id: 'hidden', name: 'Hidden' }
+];
+
+const ReviewModeration = ({ hospitalId }) => {
+  const [filter, setFilter] = useState('all');
+  const [page, setPage] = useState(1);
+  const [hiding, setHiding] = useState(null);
+  const [flagReason, setFlagReason] = useState('');
+  const [updating, setUpdating] = useState(null);
+
+  const params = { page, limit: 20 };
+  if (filter !== 'all') {
+    params.flagged = filter === 'hidden';
+  }
+
+  const { data, isLoading, refetch } = useQuery(
+    ['review-moderation', hospitalId, filter, page],
+    () => ratingService.getReviewsForModeration(hospitalId, params).then(response => response.data.data),
+    { enabled: Boolean(hospitalId), keepPreviousData: true }
+  );
+  const reviews = data?.reviews || [];
+  const pagination = data?.pagination;
+
+  const handleModerate = async (review, isFlagged) => {
+    try {
+      setUpdating(review._id);
+      await ratingService.moderateRating(review._id, isFlagged ? { isFlagged, flagReason: flagReason.trim() || undefined } : { isFlagged });
+      toast.success(isFlagged ? 'Review hidden' : 'Review restored');
+      setHiding(null);
+      setFlagReason('');
+      refetch();
+    } catch (error) {
+      console.error('Failed to moderate review:', error);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Review Moderation</h3>
+          <p className="text-sm text-gray-500">Hidden reviews no longer appear publicly or count towards ratings.</p>
+        </div>
+        <div className="flex gap-2">
+          {FILTERS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => {
+                setFilter(option.id);
+                setPage(1);
+              }}
+              className={`px-3 py-1 rounded-full text-sm ${
+                filter === option.id ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading reviews...</p>
+      ) : reviews.length === 0 ? (
+        <p className="text-sm text-gray-500">No reviews to show.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {reviews.map(review => (
+            <li key={review._id} className={`py-4 ${review.isFlagged ? 'opacity-70' : ''}`}>
+              <div className="flex items-start justify-between gap-4">
+                <div className="space-y-1">
+                  <p className="text-sm font-medium text-gray-900">
+                    {review.patientId?.firstName} {review.patientId?.lastName}
+                    <span className="ml-2 text-xs font-normal text-gray-500">
+                      {format(parseISO(review.createdAt), 'MMM dd, yyyy')}
+                    </span>
+                    {review.isFlagged && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700">Hidden</span>
+                    )}
+                  </p>
+                  {review.feedback?.hospitalFeedback && (
+                    <p className="text-sm text-gray-700">
+                      <span className="text-gray-500">Hospital ({review.hospitalRating}★): </span>
+                      {review.feedback.hospitalFeedback}
+                    </p>
+                  )}
+                  {review.feedback?.doctorFeedback && (
+                    <p className="text-sm text-gray-700">
+                      <span className="text-gray-500">
+                        Dr. {review.doctorId?.firstName} {review.doctorId?.lastName} ({review.doctorRating}★):{' '}
+                      </span>
+                      {review.feedback.doctorFeedback}
+                    </p>
+                  )}
+                  {review.isFlagged && (
+                    <p className="text-xs text-gray-500">
+                      Hidden by {review.moderatedBy?.firstName} {review.moderatedBy?.lastName}
+                      {review.moderatedAt && ` on ${format(parseISO(review.moderatedAt), 'MMM dd, yyyy')}`}
+                      {review.flagReason && ` — ${review.flagReason}`}
+                    </p>
+                  )}
+                </div>
+
+                {review.isFlagged ? (
+                  <button
+                    onClick={() => handleModerate(review, false)}
+                    disabled={updating !== null}
+                    className="flex items-center gap-1 text-sm font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50 shrink-0"
+                  >
+                    <EyeIcon className="w-4 h-4" />
+                    {updating === review._id ? 'Restoring...' : 'Restore'}
+                  </button>
+                ) : hiding !== review._id && (
+                  <button
+                    onClick={() => {
+                      setHiding(review._id);
+                      setFlagReason('');
+                    }}
+                    disabled={updating !== null}
+                    className="flex items-center gap-1 text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50 shrink-0"
+                  >
+                    <EyeSlashIcon className="w-4 h-4" />
+                    Hide
+                  </button>
+                )}
+              </div>
+
+              {hiding === review._id && (
+                <div className="mt-3 flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={flagReason}
+                    onChange={(e) => setFlagReason(e.target.value)}
+                    className="input-field flex-1"
+                    placeholder="Reason (optional)"
+                    maxLength={200}
+                  />
+                  <button onClick={() => setHiding(null)} className="btn-secondary">
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => handleModerate(review, true)}
+                    disabled={updating !== null}
+                    className="btn-danger disabled:opacity-50"
+                  >
+                    {updating === review._id ? 'Hiding...' : 'Hide Review'}
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pagination?.pages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="text-primary-600 disabled:text-gray-400"
+          >
+            Previous
+          </button>
+          <span className="text-gray-500">Page {pagination.current} of {pagination.pages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="text-primary-600 disabled:text-gray-400"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewModeration;
@@ -0,0 +1,372 @@
+/**
+ * Staff Management Component
+ * Lets a hospital admin build staff roles from named permissions and create
+ * the staff accounts that hold them
+ */
+
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon, UserCircleIcon } from '@heroicons/react/24/outline';
+import { staffService } from '../../services/staffService';
+
+const EMPTY_ROLE = { name: '', description: '', permissions: [] };
+const EMPTY_MEMBER = { firstName: '', lastName: '', email: '', phone: '', password: '', staffRoleId: '' };
+
+const StaffManagement = ({ hospitalId }) => {
+  const [roleForm, setRoleForm] = useState(null);
+  const [memberForm, setMemberForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [updating, setUpdating] = useState(null);
+
+  const { data: permissions = [] } = useQuery(
+    'staff-permissions',
+    () => staffService.getPermissions().then(response => response.data.data.permissions),
+    { staleTime: Infinity }
+  );
+
+  const { data: roles = [], isLoading: rolesLoading, refetch: refetchRoles } = useQuery(
+    ['staff-roles', hospitalId],
+    () => staffService.getRoles(hospitalId).then(response => response.data.data.roles),
+    { enabled: Boolean(hospitalId) }
+  );
+
+  const { data: members = [], isLoading: membersLoading, refetch: refetchMembers } = useQuery(
+    ['staff-members', hospitalId],
+    () => staffService.getMembers(hospitalId).then(response => response.data.data.members),
+    { enabled: Boolean(hospitalId) }
+  );
+
+  const describePermission = (name) => {
+    return permissions.find(permission => permission.name === name)?.description || name;
+  };
+
+  const togglePermission = (name) => {
+    setRoleForm(form => ({
+      ...form,
+      permissions: form.permissions.includes(name)
+        ? form.permissions.filter(permission => permission !== name)
+        : [...form.permissions, name]
+    }));
+  };
+
+  const handleSaveRole = async (e) => {
+    e.preventDefault();
+    if (roleForm.permissions.length === 0) {
+      toast.error('Choose at least one permission');
+      return;
+    }
+
+    const { _id, name, description, permissions: rolePermissions } = roleForm;
+    try {
+      setSaving(true);
+      if (_id) {
+        await staffService.updateRole(_id, { name, description, permissions: rolePermissions });
+        toast.success(`${name} updated`);
+      } else {
+        await staffService.createRole(hospitalId, { name, description, permissions: rolePermissions });
+        toast.success(`${name} role created`);
+      }
+      setRoleForm(null);
+      refetchRoles();
+      refetchMembers();
+    } catch (error) {
+      console.error('Failed to save staff role:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!window.confirm(`Remove the ${role.name} role?`)) return;
+
+    try {
+      setUpdating(role._id);
+      await staffService.deleteRole(role._id);
+      toast.success(`${role.name} removed`);
+      refetchRoles();
+    } catch (error) {
+      console.error('Failed to remove staff role:', error);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const handleSaveMember = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await staffService.createMember(hospitalId, memberForm);
+      toast.success(`${memberForm.firstName} ${memberForm.lastName} added`);
+      setMemberForm(null);
+      refetchRoles();
+      refetchMembers();
+    } catch (error) {
+      console.error('Failed to add staff member:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdateMember = async (member, changes, message) => {
+    try {
+      setUpdating(member._id);
+      await staffService.updateMember(member._id, changes);
+      toast.success(message);
+      refetchRoles();
+      refetchMembers();
+    } catch (error) {
+      console.error('Failed to update staff member:', error);
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Roles */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Staff Roles</h3>
+            <p className="text-sm text-gray-500">Each role is a set of permissions, such as checking patients in or recording payments.</p>
+          </div>
+          {!roleForm && (
+            <button onClick={() => setRoleForm(EMPTY_ROLE)} className="btn-primary flex items-center gap-2">
+              <PlusIcon className="w-4 h-4" />
+              New Role
+            </button>
+          )}
+        </div>
+
+        {roleForm && (
+          <form onSubmit={handleSaveRole} className="border border-gray-200 rounded-lg p-4 mb-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Role name</label>
+                <input
+                  type="text"
+                  value={roleForm.name}
+                  onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                  className="input-field"
+                  placeholder="e.g. Receptionist"
+                  maxLength={50}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  type="text"
+                  value={roleForm.description}
+                  onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                  className="input-field"
+                  maxLength={200}
+                />
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Permissions</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {permissions.map(permission => (
+                  <label key={permission.name} className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={roleForm.permissions.includes(permission.name)}
+                      onChange={() => togglePermission(permission.name)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="text-gray-900">{permission.description}</span>
+                      <span className="block text-xs text-gray-400">{permission.name}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setRoleForm(null)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : roleForm._id ? 'Save Role' : 'Create Role'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {rolesLoading ? (
+          <p className="text-sm text-gray-500">Loading staff roles...</p>
+        ) : roles.length === 0 ? (
+          <p className="text-sm text-gray-500">No staff roles yet. Create one before adding staff.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {roles.map(role => (
+              <li key={role._id} className="py-3 flex items-start justify-between gap-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {role.name}
+                    <span className="ml-2 text-xs font-normal text-gray-500">
+                      {role.memberCount} member{role.memberCount === 1 ? '' : 's'}
+                    </span>
+                  </p>
+                  {role.description && <p className="text-xs text-gray-500">{role.description}</p>}
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {role.permissions.map(name => (
+                      <span key={name} title={name} className="px-2 py-0.5 rounded-full text-xs bg-blue-50 text-blue-700">
+                        {describePermission(name)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3 shrink-0">
+                  <button
+                    onClick={() => setRoleForm({
+                      _id: role._id,
+                      name: role.name,
+                      description: role.description || '',
+                      permissions: role.permissions
+                    })}
+                    className="text-gray-500 hover:text-gray-700"
+                    title="Edit role"
+                  >
+                    <PencilIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteRole(role)}
+                    disabled={updating !== null}
+                    className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                    title="Remove role"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Members */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Staff Accounts</h3>
+            <p className="text-sm text-gray-500">Staff sign in with these accounts and see only what their role allows.</p>
+          </div>
+          {!memberForm && roles.length > 0 && (
+            <button
+              onClick={() => setMemberForm({ ...EMPTY_MEMBER, staffRoleId: roles[0]._id })}
+              className="btn-primary flex items-center gap-2"
+            >
+              <PlusIcon className="w-4 h-4" />
+              Add Staff
+            </button>
+          )}
+        </div>
+
+        {memberForm && (
+          <form onSubmit={handleSaveMember} className="border border-gray-200 rounded-lg p-4 mb-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {[
+                { field: 'firstName', label: 'First name', type: 'text' },
+                { field: 'lastName', label: 'Last name', type: 'text' },
+                { field: 'email', label: 'Email', type: 'email' },
+                { field: 'phone', label: 'Phone', type: 'tel' },
+                { field: 'password', label: 'Temporary password', type: 'password' }
+              ].map(({ field, label, type }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type={type}
+                    value={memberForm[field]}
+                    onChange={(e) => setMemberForm({ ...memberForm, [field]: e.target.value })}
+                    className="input-field"
+                    required
+                  />
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+                <select
+                  value={memberForm.staffRoleId}
+                  onChange={(e) => setMemberForm({ ...memberForm, staffRoleId: e.target.value })}
+                  className="input-field"
+                >
+                  {roles.map(role => (
+                    <option key={role._id} value={role._id}>{role.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setMemberForm(null)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Adding...' : 'Add Staff'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {membersLoading ? (
+          <p className="text-sm text-gray-500">Loading staff...</p>
+        ) : members.length === 0 ? (
+          <p className="text-sm text-gray-500">No staff accounts yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {members.map(member => (
+              <li key={member._id} className={`py-3 flex items-center justify-between gap-4 ${member.isActive ? '' : 'opacity-60'}`}>
+                <div className="flex items-center gap-3">
+                  <UserCircleIcon className="w-8 h-8 text-gray-400" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {member.firstName} {member.lastName}
+                      {!member.isActive && <span className="ml-2 text-xs font-normal text-red-600">Deactivated</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">{member.email} • {member.phone}</p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-3">
+                  <select
+                    value={member.staffRoleId?._id || ''}
+                    onChange={(e) => {
+                      const role = roles.find(r => r._id === e.target.value);
+                      handleUpdateMember(member, { staffRoleId: role._id }, `${member.firstName} is now ${role.name}`);
+                    }}
+                    disabled={updating !== null || !member.isActive}
+                    className="input-field text-sm py-1"
+                  >
+                    {!roles.some(role => role._id === member.staffRoleId?._id) && (
+                      <option value="" disabled>{member.staffRoleId?.name || 'No role'}</option>
+                    )}
+                    {roles.map(role => (
+                      <option key={role._id} value={role._id}>{role.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleUpdateMember(
+                      member,
+                      { isActive: !member.isActive },
+                      member.isActive ? `${member.firstName} has been deactivated` : `${member.firstName} has been reactivated`
+                    )}
+                    disabled={updating !== null}
+                    className={`text-sm font-medium disabled:opacity-50 ${member.isActive ? 'text-red-600 hover:text-red-700' : 'text-primary-600 hover:text-primary-700'}`}
+                  >
+                    {updating === member._id ? 'Saving...' : member.isActive ? 'Deactivate' : 'Reactivate'}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StaffManagement;
@@ -3,12 +3,16 @@
  * Manages user authentication state and operations
  */
 
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import { authService } from '../services/authService';
+import { saveTokens, clearTokens } from '../services/api';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
 
+// Server codes for accounts that cannot sign in right now
+const LOGIN_BLOCK_CODES = ['ACCOUNT_LOCKED', 'LOGIN_THROTTLED'];
+
 // Auth reducer
 const authReducer = (state, action) => {
   switch (action.type) {
@@ -23,6 +27,8 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         error: null 
       };
+    case 'LOGIN_NEXT_STEP':
+      return { ...state, loading: false };
     case 'LOGIN_FAILURE':
       return { 
         ...state, 
@@ -72,7 +78,7 @@ export const AuthProvider = ({ children }) => {
             payload: { user: response.data.data.user, token }
           });
         } catch (error) {
-          localStorage.removeItem('token');
+          clearTokens();
           dispatch({ type: 'LOGOUT' });
         }
       } else {
@@ -83,26 +89,60 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
-  // Login function
+  // Store the session from a completed login
+  const completeLogin = (data) => {
+    saveTokens(data);
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: { user: data.user, token: data.token }
+    });
+
+    toast.success('Login successful!');
+    return { success: true, user: data.user };
+  };
+
+  // Report a failed login step. Lockouts and sign-in delays carry a code
+  // and details that the login page shows instead of a toast.
+  const loginFailed = (error, message) => {
+    const { code, data } = error.response?.data || {};
+    if (!LOGIN_BLOCK_CODES.includes(code)) {
+      toast.error(message);
+    }
+    return { success: false, error: message, code, ...data };
+  };
+
+  // Login function. Accounts with two-factor authentication get back
+  // { twoFactor: 'verify' | 'setup', twoFactorToken } for the next step.
   const login = async (credentials) => {
     dispatch({ type: 'LOGIN_START' });
     try {
       const response = await authService.login(credentials);
-      const { user, token } = response.data.data;
-      
-      localStorage.setItem('token', token);
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: { user, token }
-      });
-      
-      toast.success('Login successful!');
-      return { success: true, user };
+      const { twoFactorRequired, twoFactorSetupRequired, twoFactorToken } = response.data.data;
+
+      if (twoFactorRequired || twoFactorSetupRequired) {
+        dispatch({ type: 'LOGIN_NEXT_STEP' });
+        return {
+          success: false,
+          twoFactor: twoFactorRequired ? 'verify' : 'setup',
+          twoFactorToken
+        };
+      }
+
+      return completeLogin(response.data.data);
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       dispatch({ type: 'LOGIN_FAILURE', payload: message });
-      toast.error(message);
-      return { success: false, error: message };
+      return loginFailed(error, message);
+    }
+  };
+
+  // Second login step with an authenticator code ({ code }) or a recovery code ({ recoveryCode })
+  const verifyTwoFactor = async (twoFactorToken, factor) => {
+    try {
+      const response = await authService.verifyTwoFactorLogin(twoFactorToken, factor);
+      return completeLogin(response.data.data);
+    } catch (error) {
+      return loginFailed(error, error.response?.data?.message || 'Verification failed');
     }
   };
 
@@ -113,7 +153,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authService.register(userData);
       const { user, token } = response.data.data;
       
-      localStorage.setItem('token', token);
+      saveTokens(response.data.data);
       dispatch({
         type: 'LOGIN_SUCCESS',
         payload: { user, token }
@@ -136,7 +176,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('token');
+      clearTokens();
       dispatch({ type: 'LOGOUT' });
       toast.success('Logged out successfully');
     }
@@ -156,18 +196,39 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the user from the server, e.g. after verifying their email.
+  // Memoised so pages can call it from effects.
+  const refreshUser = useCallback(async () => {
+    try {
+      const response = await authService.getProfile();
+      dispatch({ type: 'UPDATE_USER', payload: response.data.data.user });
+    } catch (error) {
+      console.error('Refresh user error:', error);
+    }
+  }, []);
+
   // Clear error
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
 
+  // Whether the signed-in user holds a permission, e.g. 'appointments:checkin'.
+  // The server checks every request; this only decides what to show.
+  const hasPermission = (permission) => {
+    return Boolean(state.user?.permissions?.includes(permission));
+  };
+
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
+    completeLogin,
     register,
     logout,
     updateProfile,
-    clearError
+    refreshUser,
+    clearError,
+    hasPermission
   };
 
   return (
@@ -3,10 +3,11 @@
  * Manages WebSocket connections for real-time updates
  */
 
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
 import io from 'socket.io-client';
 import { useAuth } from './AuthContext';
 import toast from 'react-hot-toast';
+import { refreshAccessToken } from '../services/api';
 
 const SocketContext = createContext();
 
@@ -21,19 +22,18 @@ export const SocketProvider = ({ children }) => {
       const socketUrl = process.env.REACT_APP_SERVER_URL || 
                        (process.env.NODE_ENV === 'production' ? window.location.origin : 'http://localhost:5000');
       
+      // The server verifies the JWT on every (re)connect and checks each room join
       const newSocket = io(socketUrl, {
-        auth: {
-          userId: user._id,
-          role: user.role
-        }
+        auth: (cb) => cb({ token: localStorage.getItem('token') })
       });
 
       newSocket.on('connect', () => {
         console.log('Socket connected:', newSocket.id);
         setConnected(true);
         
-        // Join appropriate rooms based on user role
-        if (user.role === 'doctor' || user.role === 'hospital_admin') {
+        // Join appropriate rooms based on user role; hospital admins and staff
+        // need to be able to view appointments to follow the hospital room
+        if (user.role === 'doctor' || user.permissions?.includes('appointments:view')) {
           if (user.hospitalId) {
             const hospitalId = typeof user.hospitalId === 'object' ? user.hospitalId._id : user.hospitalId;
             console.log('Doctor/Admin joining hospital room:', `hospital-${hospitalId}`);
@@ -46,6 +46,10 @@ export const SocketProvider = ({ children }) => {
           console.log('Doctor joining doctor room:', `doctor-${doctorId}`);
           newSocket.emit('join-doctor', doctorId);
         }
+
+        if (user.role === 'patient') {
+          newSocket.emit('join-patient', user._id);
+        }
       });
 
       newSocket.on('disconnect', () => {
@@ -53,6 +57,24 @@ export const SocketProvider = ({ children }) => {
         setConnected(false);
       });
 
+      newSocket.on('connect_error', async (error) => {
+        console.error('Socket connection error:', error.message);
+
+        // Refused by the server, so it won't retry on its own; refresh the access token and reconnect
+        if (error.message === 'Token expired') {
+          try {
+            await refreshAccessToken();
+            newSocket.connect();
+          } catch (refreshError) {
+            console.error('Socket token refresh failed:', refreshError);
+          }
+        }
+      });
+
+      newSocket.on('join-error', (data) => {
+        console.warn(`Socket room join refused (${data.room} ${data.id}):`, data.message);
+      });
+
       // Listen for real-time updates
       newSocket.on('new-appointment', (data) => {
         toast.success(data.message);
@@ -109,6 +131,21 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  // Join appointment room for live queue position updates.
+  // Emits are buffered until the socket connects.
+  const joinAppointmentRoom = useCallback((appointmentId) => {
+    if (socket) {
+      socket.emit('join-appointment', appointmentId);
+    }
+  }, [socket]);
+
+  // Leave appointment room
+  const leaveAppointmentRoom = useCallback((appointmentId) => {
+    if (socket) {
+      socket.emit('leave-appointment', appointmentId);
+    }
+  }, [socket]);
+
   // Emit custom events
   const emit = (event, data) => {
     if (socket && connected) {
@@ -135,6 +172,8 @@ export const SocketProvider = ({ children }) => {
     connected,
     joinHospitalRoom,
     joinDoctorRoom,
+    joinAppointmentRoom,
+    leaveAppointmentRoom,
     emit,
     on,
     off
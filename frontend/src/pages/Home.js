@@ -61,6 +61,7 @@ const Home = () => {
       case 'doctor':
         return '/dashboard/doctor';
       case 'hospital_admin':
+      case 'staff':
         return '/dashboard/hospital';
       case 'super_admin':
         return '/dashboard/admin';
@@ -6,11 +6,27 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useForm } from 'react-hook-form';
-import { UserCircleIcon, PencilIcon } from '@heroicons/react/24/outline';
+import { UserCircleIcon, PencilIcon, BellIcon, ShieldCheckIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import ActiveSessions from '../components/auth/ActiveSessions';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings';
+
+const NOTIFICATION_CHANNELS = [
+  { key: 'email', label: 'Email', description: 'Booking confirmations, reminders and updates by email' },
+  { key: 'sms', label: 'SMS', description: 'Short text messages to your phone number' },
+  { key: 'inApp', label: 'In-app', description: 'Alerts on your dashboard while you are signed in' }
+];
+
+// Defaults match the server's for accounts that have never saved preferences
+const DEFAULT_NOTIFICATION_PREFERENCES = { email: true, sms: false, inApp: true };
+
+// Roles that can sign in with an authenticator app
+const TWO_FACTOR_ROLES = ['doctor', 'hospital_admin', 'staff', 'super_admin'];
 
 const Profile = () => {
   const { user, updateProfile } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
+  const [savingChannel, setSavingChannel] = useState(null);
+  const notificationPreferences = { ...DEFAULT_NOTIFICATION_PREFERENCES, ...user?.notificationPreferences };
   
   const {
     register,
@@ -60,11 +76,23 @@ const Profile = () => {
     }
   };
 
+  const handleToggleChannel = async (channel) => {
+    setSavingChannel(channel);
+    await updateProfile({
+      notificationPreferences: {
+        ...notificationPreferences,
+        [channel]: !notificationPreferences[channel]
+      }
+    });
+    setSavingChannel(null);
+  };
+
   const getRoleDisplayName = (role) => {
     switch (role) {
       case 'patient': return 'Patient';
       case 'doctor': return 'Doctor';
       case 'hospital_admin': return 'Hospital Admin';
+      case 'staff': return user.staffRoleId?.name || 'Hospital Staff';
       case 'super_admin': return 'Super Admin';
       default: return 'User';
     }
@@ -326,6 +354,51 @@ const Profile = () => {
               </div>
             )}
           </form>
+
+          {/* Notification Preferences */}
+          <div className="mt-10">
+            <h3 className="flex items-center gap-2 text-lg font-medium text-gray-900 border-b pb-2 mb-4">
+              <BellIcon className="w-5 h-5 text-primary-600" />
+              Notification Preferences
+            </h3>
+            <div className="space-y-3">
+              {NOTIFICATION_CHANNELS.map(channel => (
+                <label key={channel.key} className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={notificationPreferences[channel.key]}
+                    disabled={savingChannel !== null}
+                    onChange={() => handleToggleChannel(channel.key)}
+                    className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                  />
+                  <span>
+                    <span className="block text-sm font-medium text-gray-900">{channel.label}</span>
+                    <span className="block text-sm text-gray-500">{channel.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Two-Factor Authentication */}
+          {TWO_FACTOR_ROLES.includes(user.role) && (
+            <div className="mt-10">
+              <h3 className="flex items-center gap-2 text-lg font-medium text-gray-900 border-b pb-2 mb-4">
+                <LockClosedIcon className="w-5 h-5 text-primary-600" />
+                Two-Factor Authentication
+              </h3>
+              <TwoFactorSettings />
+            </div>
+          )}
+
+          {/* Active Sessions */}
+          <div className="mt-10">
+            <h3 className="flex items-center gap-2 text-lg font-medium text-gray-900 border-b pb-2 mb-4">
+              <ShieldCheckIcon className="w-5 h-5 text-primary-600" />
+              Active Sessions
+            </h3>
+            <ActiveSessions />
+          </div>
         </div>
       </div>
     </div>
@@ -3,40 +3,244 @@
  * Appointment booking form
  */
 
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { CalendarIcon, ClockIcon, CheckCircleIcon, QueueListIcon } from '@heroicons/react/24/outline';
+import { hospitalService } from '../../services/hospitalService';
+import { appointmentService } from '../../services/appointmentService';
+import { waitlistService } from '../../services/waitlistService';
+import SlotPicker from '../../components/appointments/SlotPicker';
 
 const BookAppointment = () => {
   const { hospitalId, doctorId } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const [doctor, setDoctor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const [fullyBooked, setFullyBooked] = useState(false);
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false);
+  const [bookingData, setBookingData] = useState({
+    appointmentDate: '',
+    appointmentTime: '',
+    symptoms: '',
+    urgency: 'medium'
+  });
+
+  useEffect(() => {
+    const fetchDoctor = async () => {
+      try {
+        setLoading(true);
+        const response = await hospitalService.getDoctorProfile(doctorId);
+        if (response.data?.success) {
+          setDoctor(response.data.data.doctor);
+        }
+      } catch (err) {
+        console.error('Error fetching doctor:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (doctorId) {
+      fetchDoctor();
+    }
+  }, [doctorId]);
+
+  const handleSlotChange = useCallback((time) => {
+    setBookingData(prev => ({ ...prev, appointmentTime: time }));
+  }, []);
+
+  const handleJoinWaitlist = async () => {
+    if (bookingData.symptoms.trim().length < 10) {
+      toast.error('Please describe your symptoms (at least 10 characters) before joining the waitlist');
+      return;
+    }
+
+    try {
+      setJoiningWaitlist(true);
+      const response = await waitlistService.joinWaitlist({
+        hospitalId,
+        doctorId,
+        appointmentDate: bookingData.appointmentDate,
+        patientDetails: {
+          symptoms: bookingData.symptoms,
+          urgency: bookingData.urgency
+        }
+      });
+
+      if (response.data?.success) {
+        toast.success(`You're #${response.data.data.position} on the waitlist. We'll notify you when a slot frees up.`);
+        queryClient.invalidateQueries(['patient-waitlist']);
+        navigate('/dashboard/patient');
+      }
+    } catch (err) {
+      console.error('Error joining waitlist:', err);
+    } finally {
+      setJoiningWaitlist(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!bookingData.appointmentDate || !bookingData.appointmentTime) {
+      toast.error('Please select a date and an available time slot');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await appointmentService.bookAppointment({
+        hospitalId,
+        doctorId,
+        appointmentDate: bookingData.appointmentDate,
+        appointmentTime: bookingData.appointmentTime,
+        patientDetails: {
+          symptoms: bookingData.symptoms,
+          urgency: bookingData.urgency
+        }
+      });
+
+      if (response.data?.success) {
+        if (response.data.data.appointment?.prepaymentRequired) {
+          toast(response.data.message, { icon: '💳', duration: 8000 });
+        } else {
+          toast.success('Appointment booked successfully! 🎉');
+        }
+        queryClient.invalidateQueries(['patient-appointments']);
+        navigate('/dashboard/patient');
+      }
+    } catch (err) {
+      console.error('Error booking appointment:', err);
+      setSlotRefreshKey(key => key + 1);
+      if (err.response?.data?.data?.canJoinWaitlist) {
+        setFullyBooked(true);
+      }
+      toast.error(err.response?.data?.message || 'Failed to book appointment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="w-8 h-8 border-2 border-primary-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  if (!doctor) {
+    return (
+      <div className="max-w-4xl mx-auto bg-white rounded-lg shadow-md p-8 text-center">
+        <p className="text-gray-600">Doctor not found.</p>
+      </div>
+    );
+  }
 
   return (
     <div className="max-w-4xl mx-auto">
       <div className="bg-white rounded-lg shadow-md p-8">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">
           Book Appointment
         </h1>
         <p className="text-gray-600 mb-6">
-          Complete appointment booking form with doctor and time selection.
+          Dr. {doctor.firstName} {doctor.lastName}
+          {doctor.doctorInfo?.specialization && ` · ${doctor.doctorInfo.specialization}`}
+          {doctor.hospitalId?.name && ` · ${doctor.hospitalId.name}`}
         </p>
-        
-        <div className="text-sm text-gray-500">
-          <p>Hospital ID: {hospitalId}</p>
-          <p>Doctor ID: {doctorId}</p>
-        </div>
-
-        <div className="text-sm text-gray-500 mt-6">
-          Features coming soon:
-          <ul className="mt-2 space-y-1">
-            <li>• Doctor and hospital information</li>
-            <li>• Available time slots</li>
-            <li>• Patient details form</li>
-            <li>• Symptoms and urgency selection</li>
-            <li>• Appointment confirmation</li>
-          </ul>
-        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Date</label>
+            <div className="relative max-w-xs">
+              <CalendarIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
+              <input
+                type="date"
+                required
+                min={new Date().toISOString().split('T')[0]}
+                value={bookingData.appointmentDate}
+                onChange={(e) => setBookingData({ ...bookingData, appointmentDate: e.target.value, appointmentTime: '' })}
+                className="w-full pl-10 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="flex items-center gap-1 text-sm font-medium text-slate-700 mb-1">
+              <ClockIcon className="h-4 w-4 text-slate-400" />
+              Time Slot
+            </label>
+            <SlotPicker
+              doctorId={doctorId}
+              date={bookingData.appointmentDate}
+              value={bookingData.appointmentTime}
+              onChange={handleSlotChange}
+              onFullyBookedChange={setFullyBooked}
+              refreshKey={slotRefreshKey}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Urgency Level</label>
+            <select
+              value={bookingData.urgency}
+              onChange={(e) => setBookingData({ ...bookingData, urgency: e.target.value })}
+              className="w-full max-w-xs p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+            >
+              <option value="low">Low</option>
+              <option value="medium">Medium</option>
+              <option value="high">High</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Symptoms</label>
+            <textarea
+              required
+              rows="3"
+              minLength={10}
+              placeholder="Briefly describe your symptoms..."
+              value={bookingData.symptoms}
+              onChange={(e) => setBookingData({ ...bookingData, symptoms: e.target.value })}
+              className="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting || !bookingData.appointmentTime}
+            className="w-full py-3.5 bg-primary-600 text-white rounded-xl font-bold hover:bg-primary-700 transition-all disabled:opacity-70 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <CheckCircleIcon className="w-5 h-5" />
+            <span>{submitting ? 'Processing...' : 'Confirm Appointment'}</span>
+          </button>
+
+          {fullyBooked && (
+            <div className="p-4 bg-amber-50 border border-amber-100 rounded-xl">
+              <p className="text-sm text-amber-800 mb-3">
+                No slots are free on this date. Join the waitlist and we'll hold the next freed slot for you.
+              </p>
+              <button
+                type="button"
+                onClick={handleJoinWaitlist}
+                disabled={joiningWaitlist}
+                className="w-full py-3 bg-white text-amber-700 border border-amber-200 rounded-xl font-bold hover:bg-amber-100 transition-all disabled:opacity-70 flex items-center justify-center gap-2"
+              >
+                <QueueListIcon className="w-5 h-5" />
+                <span>{joiningWaitlist ? 'Joining...' : 'Join Waitlist'}</span>
+              </button>
+            </div>
+          )}
+        </form>
       </div>
     </div>
   );
 };
 
-export default BookAppointment;
\ No newline at end of file
+export default BookAppointment;
@@ -0,0 +1,123 @@
+/**
+ * Check-In Page Component
+ * Opened from the QR code on a booking to record the patient's arrival
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { CheckCircleIcon, ClockIcon, MapPinIcon } from '@heroicons/react/24/outline';
+import { appointmentService } from '../../services/appointmentService';
+import { useAuth } from '../../context/AuthContext';
+
+const CheckIn = () => {
+  const { appointmentId } = useParams();
+  const { user } = useAuth();
+  const [appointment, setAppointment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchAppointment = async () => {
+      try {
+        setLoading(true);
+        const response = await appointmentService.getAppointmentById(appointmentId);
+        if (response.data?.success) {
+          setAppointment(response.data.data.appointment);
+        }
+      } catch (err) {
+        console.error('Error fetching appointment:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAppointment();
+  }, [appointmentId]);
+
+  const handleCheckIn = async () => {
+    try {
+      setSubmitting(true);
+      const response = await appointmentService.checkInAppointment(appointmentId);
+      if (response.data?.success) {
+        toast.success('Checked in successfully');
+        setAppointment(prev => ({ ...prev, checkedInAt: response.data.data.appointment.checkedInAt }));
+      }
+    } catch (err) {
+      console.error('Check-in failed:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  if (!appointment) {
+    return (
+      <div className="max-w-md mx-auto py-16 text-center">
+        <h2 className="text-xl font-bold text-slate-900 mb-2">Appointment not found</h2>
+        <p className="text-slate-500">This check-in code is no longer valid.</p>
+      </div>
+    );
+  }
+
+  const dashboardPath = user?.role === 'patient' ? '/dashboard/patient' : '/dashboard/hospital';
+
+  return (
+    <div className="max-w-md mx-auto py-12 px-4">
+      <div className="bg-white rounded-2xl shadow-soft border border-slate-100 p-6 text-center">
+        <div className="w-16 h-16 bg-primary-50 rounded-2xl flex items-center justify-center mx-auto mb-4 text-primary-700 text-2xl font-bold">
+          #{appointment.tokenNumber}
+        </div>
+        <h1 className="text-xl font-bold text-slate-900">
+          {appointment.patientId?.firstName} {appointment.patientId?.lastName}
+        </h1>
+        <p className="text-slate-500 mb-6">
+          Dr. {appointment.doctorId?.firstName} {appointment.doctorId?.lastName}
+        </p>
+
+        <div className="bg-slate-50 rounded-xl border border-slate-100 p-4 mb-6 space-y-2 text-sm text-slate-600 text-left">
+          <p className="flex items-center gap-2">
+            <ClockIcon className="w-4 h-4 text-slate-400" />
+            {new Date(appointment.appointmentDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })} at {appointment.appointmentTime}
+          </p>
+          <p className="flex items-center gap-2">
+            <MapPinIcon className="w-4 h-4 text-slate-400" />
+            {appointment.hospitalId?.name}
+          </p>
+        </div>
+
+        {appointment.checkedInAt ? (
+          <div className="flex items-center justify-center gap-2 text-emerald-700 font-semibold mb-4">
+            <CheckCircleIcon className="w-6 h-6" />
+            Checked in at {new Date(appointment.checkedInAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+          </div>
+        ) : appointment.status === 'confirmed' ? (
+          <button
+            onClick={handleCheckIn}
+            disabled={submitting}
+            className="w-full py-3.5 bg-gradient-to-r from-primary-600 to-primary-500 text-white rounded-xl font-bold shadow-lg shadow-primary-500/30 disabled:opacity-70 mb-4"
+          >
+            {submitting ? 'Checking in...' : 'Confirm Arrival'}
+          </button>
+        ) : (
+          <p className="text-amber-700 font-medium mb-4">
+            This appointment is {appointment.status.replace('_', ' ')} and cannot be checked in.
+          </p>
+        )}
+
+        <Link to={dashboardPath} className="text-sm font-semibold text-primary-600 hover:underline">
+          Back to dashboard
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default CheckIn;
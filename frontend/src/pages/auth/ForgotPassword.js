@@ -0,0 +1,102 @@
+/**
+ * Forgot Password Page Component
+ * Requests a password reset link by email
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { EnvelopeIcon, ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { authService } from '../../services/authService';
+
+const ForgotPassword = () => {
+  const [sentTo, setSentTo] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting }
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    try {
+      await authService.forgotPassword(data.email);
+      setSentTo(data.email);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 py-12 px-4 sm:px-6 lg:px-8 relative overflow-hidden">
+      {/* Background Decor */}
+      <div className="absolute top-0 left-0 w-full h-full overflow-hidden pointer-events-none">
+        <div className="absolute -top-1/2 -left-1/4 w-full h-full bg-gradient-to-br from-primary-50/50 to-transparent rounded-full blur-3xl" />
+        <div className="absolute -bottom-1/2 -right-1/4 w-full h-full bg-gradient-to-tl from-teal-50/50 to-transparent rounded-full blur-3xl" />
+      </div>
+
+      <div className="max-w-md w-full space-y-8 relative z-10">
+        <div className="bg-white rounded-3xl shadow-xl shadow-slate-200/50 p-8 md:p-10 border border-slate-100">
+          <div className="text-center mb-10">
+            <div className="inline-flex items-center justify-center w-14 h-14 rounded-2xl bg-primary-50 text-primary-600 mb-6">
+              <EnvelopeIcon className="w-7 h-7" />
+            </div>
+            <h2 className="text-3xl font-bold text-slate-900 tracking-tight">
+              Forgot Password
+            </h2>
+            <p className="mt-2 text-slate-500">
+              {sentTo
+                ? `If an account exists for ${sentTo}, we've sent a link to reset your password. The link expires in 1 hour.`
+                : "Enter your email and we'll send you a link to reset your password"}
+            </p>
+          </div>
+
+          {!sentTo && (
+            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div>
+                <label htmlFor="email" className="block text-sm font-semibold text-slate-700 mb-1.5">
+                  Email Address
+                </label>
+                <input
+                  {...register('email', {
+                    required: 'Email is required',
+                    pattern: {
+                      value: /^\S+@\S+$/i,
+                      message: 'Please enter a valid email address'
+                    }
+                  })}
+                  type="email"
+                  className={`w-full px-4 py-3 rounded-xl border ${errors.email ? 'border-red-300 focus:ring-red-200' : 'border-slate-200 focus:ring-primary-100 focus:border-primary-500'} bg-slate-50 focus:bg-white focus:ring-4 transition-all outline-none text-slate-900 placeholder-slate-400`}
+                  placeholder="Enter your email"
+                />
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-500 flex items-center">
+                    <span className="mr-1">⚠</span> {errors.email.message}
+                  </p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full flex justify-center py-3.5 px-4 border border-transparent text-sm font-bold rounded-xl text-white bg-gradient-to-r from-primary-600 to-primary-500 hover:from-primary-700 hover:to-primary-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-primary-500/30 transition-all duration-300"
+              >
+                {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          )}
+
+          <Link
+            to="/login"
+            className="mt-6 flex items-center justify-center text-sm font-medium text-primary-600 hover:text-primary-700"
+          >
+            <ArrowLeftIcon className="w-4 h-4 mr-1" />
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
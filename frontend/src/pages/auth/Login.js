@@ -7,11 +7,19 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../context/AuthContext';
-import { EyeIcon, EyeSlashIcon, ArrowRightIcon } from '@heroicons/react/24/outline';
+import { EyeIcon, EyeSlashIcon, ArrowRightIcon, ArrowLeftIcon } from '@heroicons/react/24/outline';
+import TwoFactorSetup from '../../components/auth/TwoFactorSetup';
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
-  const { login, isAuthenticated, loading, user } = useAuth();
+  // Second step for accounts with two-factor authentication: { type: 'verify' | 'setup', token }
+  const [twoFactorStep, setTwoFactorStep] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  // Lockout or sign-in delay reported by the server: { code, error, lockedUntil, retryAfter }
+  const [loginBlock, setLoginBlock] = useState(null);
+  const { login, verifyTwoFactor, completeLogin, isAuthenticated, loading, user } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -29,6 +37,13 @@ const Login = () => {
     }
   }, [isAuthenticated, user, navigate, location]);
 
+  // A sign-in delay lifts by itself after retryAfter seconds
+  useEffect(() => {
+    if (loginBlock?.code !== 'LOGIN_THROTTLED') return undefined;
+    const timer = setTimeout(() => setLoginBlock(null), loginBlock.retryAfter * 1000);
+    return () => clearTimeout(timer);
+  }, [loginBlock]);
+
   const getDashboardRoute = (role) => {
     switch (role) {
       case 'patient':
@@ -36,6 +51,7 @@ const Login = () => {
       case 'doctor':
         return '/dashboard/doctor';
       case 'hospital_admin':
+      case 'staff':
         return '/dashboard/hospital';
       case 'super_admin':
         return '/dashboard/admin';
@@ -46,6 +62,11 @@ const Login = () => {
 
   const onSubmit = async (data) => {
     const result = await login(data);
+    setLoginBlock(result.code ? result : null);
+    if (result.twoFactor) {
+      setTwoFactorStep({ type: result.twoFactor, token: result.twoFactorToken });
+      return;
+    }
     if (result.success) {
       // Use the user data from login result for immediate routing
       const userRole = result.user?.role || user?.role || 'patient';
@@ -54,6 +75,28 @@ const Login = () => {
     }
   };
 
+  // Signing in completes the login; the redirect above then runs
+  const onVerifyTwoFactor = async (e) => {
+    e.preventDefault();
+    setVerifying(true);
+    const factor = useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode };
+    const result = await verifyTwoFactor(twoFactorStep.token, factor);
+    setLoginBlock(result.code ? result : null);
+    if (!result.success) {
+      setTwoFactorCode('');
+      setVerifying(false);
+    }
+  };
+
+  const isThrottled = loginBlock?.code === 'LOGIN_THROTTLED';
+
+  const backToSignIn = () => {
+    setTwoFactorStep(null);
+    setLoginBlock(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-slate-50">
@@ -83,119 +126,199 @@ const Login = () => {
               <span className="text-2xl font-bold text-slate-900">One Hospital</span>
             </Link>
             <h2 className="text-3xl font-bold text-slate-900 tracking-tight">
-              Welcome Back
+              {twoFactorStep ? 'Two-Factor Authentication' : 'Welcome Back'}
             </h2>
             <p className="mt-2 text-slate-500">
-              Sign in to access your dashboard
+              {!twoFactorStep && 'Sign in to access your dashboard'}
+              {twoFactorStep?.type === 'verify' && (useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app')}
+              {twoFactorStep?.type === 'setup' && 'Your hospital requires an authenticator app for staff. Set it up to continue.'}
             </p>
           </div>
 
-          <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
-            <div className="space-y-5">
-              {/* Email Field */}
+          {loginBlock && (
+            <div className="mb-6 p-4 rounded-xl border border-red-200 bg-red-50 text-sm text-red-700">
+              <p className="font-semibold">
+                {loginBlock.code === 'ACCOUNT_LOCKED' ? 'Account locked' : 'Please wait'}
+              </p>
+              <p className="mt-1">{loginBlock.error}</p>
+              {loginBlock.code === 'ACCOUNT_LOCKED' && (
+                <Link to="/forgot-password" className="mt-2 inline-block font-medium text-red-800 underline">
+                  Reset your password to unlock it now
+                </Link>
+              )}
+            </div>
+          )}
+
+          {twoFactorStep?.type === 'verify' && (
+            <form className="space-y-6" onSubmit={onVerifyTwoFactor}>
               <div>
-                <label htmlFor="email" className="block text-sm font-semibold text-slate-700 mb-1.5">
-                  Email Address
+                <label htmlFor="twoFactorCode" className="block text-sm font-semibold text-slate-700 mb-1.5">
+                  {useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
                 </label>
-                <div className="relative">
-                  <input
-                    {...register('email', {
-                      required: 'Email is required',
-                      pattern: {
-                        value: /^\S+@\S+$/i,
-                        message: 'Please enter a valid email address'
-                      }
-                    })}
-                    type="email"
-                    className={`w-full px-4 py-3 rounded-xl border ${errors.email ? 'border-red-300 focus:ring-red-200' : 'border-slate-200 focus:ring-primary-100 focus:border-primary-500'} bg-slate-50 focus:bg-white focus:ring-4 transition-all outline-none text-slate-900 placeholder-slate-400`}
-                    placeholder="Enter your email"
-                  />
-                </div>
-                {errors.email && (
-                  <p className="mt-1 text-sm text-red-500 flex items-center">
-                    <span className="mr-1">⚠</span> {errors.email.message}
-                  </p>
-                )}
+                <input
+                  id="twoFactorCode"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(useRecoveryCode
+                    ? e.target.value
+                    : e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-primary-100 focus:border-primary-500 bg-slate-50 focus:bg-white focus:ring-4 transition-all outline-none text-slate-900 placeholder-slate-400 tracking-widest"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                />
               </div>
 
-              {/* Password Field */}
-              <div>
-                <div className="flex items-center justify-between mb-1.5">
-                  <label htmlFor="password" className="block text-sm font-semibold text-slate-700">
-                    Password
-                  </label>
-                  <Link to="/forgot-password" className="text-sm font-medium text-primary-600 hover:text-primary-700">
-                    Forgot password?
-                  </Link>
-                </div>
-                <div className="relative">
-                  <input
-                    {...register('password', {
-                      required: 'Password is required',
-                      minLength: {
-                        value: 6,
-                        message: 'Password must be at least 6 characters'
-                      }
-                    })}
-                    type={showPassword ? 'text' : 'password'}
-                    className={`w-full px-4 py-3 rounded-xl border ${errors.password ? 'border-red-300 focus:ring-red-200' : 'border-slate-200 focus:ring-primary-100 focus:border-primary-500'} bg-slate-50 focus:bg-white focus:ring-4 transition-all outline-none text-slate-900 placeholder-slate-400 pr-12`}
-                    placeholder="Enter your password"
-                  />
-                  <button
-                    type="button"
-                    className="absolute inset-y-0 right-0 pr-4 flex items-center text-slate-400 hover:text-slate-600 transition-colors"
-                    onClick={() => setShowPassword(!showPassword)}
-                  >
-                    {showPassword ? (
-                      <EyeSlashIcon className="h-5 w-5" />
-                    ) : (
-                      <EyeIcon className="h-5 w-5" />
-                    )}
-                  </button>
-                </div>
-                {errors.password && (
-                  <p className="mt-1 text-sm text-red-500 flex items-center">
-                    <span className="mr-1">⚠</span> {errors.password.message}
-                  </p>
-                )}
-              </div>
-            </div>
+              <button
+                type="submit"
+                disabled={verifying || isThrottled || (useRecoveryCode ? !twoFactorCode.trim() : twoFactorCode.length !== 6)}
+                className="w-full flex justify-center py-3.5 px-4 border border-transparent text-sm font-bold rounded-xl text-white bg-gradient-to-r from-primary-600 to-primary-500 hover:from-primary-700 hover:to-primary-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-primary-500/30 transition-all duration-300"
+              >
+                {verifying ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setTwoFactorCode('');
+                }}
+                className="w-full text-center text-sm font-medium text-primary-600 hover:text-primary-700"
+              >
+                {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your phone? Use a recovery code'}
+              </button>
+            </form>
+          )}
 
-            {/* Submit Button */}
+          {twoFactorStep?.type === 'setup' && (
+            <TwoFactorSetup
+              twoFactorToken={twoFactorStep.token}
+              onComplete={completeLogin}
+            />
+          )}
+
+          {twoFactorStep && (
             <button
-              type="submit"
-              disabled={isSubmitting}
-              className="group relative w-full flex justify-center py-3.5 px-4 border border-transparent text-sm font-bold rounded-xl text-white bg-gradient-to-r from-primary-600 to-primary-500 hover:from-primary-700 hover:to-primary-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-primary-500/30 hover:shadow-primary-500/50 hover:-translate-y-0.5 transition-all duration-300"
+              type="button"
+              onClick={backToSignIn}
+              className="mt-6 w-full flex items-center justify-center text-sm font-medium text-slate-500 hover:text-slate-700"
             >
-              {isSubmitting ? (
-                <div className="flex items-center">
-                  <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin mr-2"></div>
-                  Signing in...
-                </div>
-              ) : (
-                <span className="flex items-center">
-                  Sign in
-                  <ArrowRightIcon className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform" />
-                </span>
-              )}
+              <ArrowLeftIcon className="w-4 h-4 mr-1" />
+              Back to sign in
             </button>
+          )}
+
+          {!twoFactorStep && (
+            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div className="space-y-5">
+                {/* Email Field */}
+                <div>
+                  <label htmlFor="email" className="block text-sm font-semibold text-slate-700 mb-1.5">
+                    Email Address
+                  </label>
+                  <div className="relative">
+                    <input
+                      {...register('email', {
+                        required: 'Email is required',
+                        pattern: {
+                          value: /^\S+@\S+$/i,
+                          message: 'Please enter a valid email address'
+                        }
+                      })}
+                      type="email"
+                      className={`w-full px-4 py-3 rounded-xl border ${errors.email ? 'border-red-300 focus:ring-red-200' : 'border-slate-200 focus:ring-primary-100 focus:border-primary-500'} bg-slate-50 focus:bg-white focus:ring-4 transition-all outline-none text-slate-900 placeholder-slate-400`}
+                      placeholder="Enter your email"
+                    />
+                  </div>
+                  {errors.email && (
+                    <p className="mt-1 text-sm text-red-500 flex items-center">
+                      <span className="mr-1">⚠</span> {errors.email.message}
+                    </p>
+                  )}
+                </div>
 
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-slate-200"></div>
+                {/* Password Field */}
+                <div>
+                  <div className="flex items-center justify-between mb-1.5">
+                    <label htmlFor="password" className="block text-sm font-semibold text-slate-700">
+                      Password
+                    </label>
+                    <Link to="/forgot-password" className="text-sm font-medium text-primary-600 hover:text-primary-700">
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <div className="relative">
+                    <input
+                      {...register('password', {
+                        required: 'Password is required',
+                        minLength: {
+                          value: 6,
+                          message: 'Password must be at least 6 characters'
+                        }
+                      })}
+                      type={showPassword ? 'text' : 'password'}
+                      className={`w-full px-4 py-3 rounded-xl border ${errors.password ? 'border-red-300 focus:ring-red-200' : 'border-slate-200 focus:ring-primary-100 focus:border-primary-500'} bg-slate-50 focus:bg-white focus:ring-4 transition-all outline-none text-slate-900 placeholder-slate-400 pr-12`}
+                      placeholder="Enter your password"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-4 flex items-center text-slate-400 hover:text-slate-600 transition-colors"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeSlashIcon className="h-5 w-5" />
+                      ) : (
+                        <EyeIcon className="h-5 w-5" />
+                      )}
+                    </button>
+                  </div>
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-red-500 flex items-center">
+                      <span className="mr-1">⚠</span> {errors.password.message}
+                    </p>
+                  )}
+                </div>
               </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-2 bg-white text-slate-500">Don't have an account?</span>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isSubmitting || isThrottled}
+                className="group relative w-full flex justify-center py-3.5 px-4 border border-transparent text-sm font-bold rounded-xl text-white bg-gradient-to-r from-primary-600 to-primary-500 hover:from-primary-700 hover:to-primary-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-primary-500/30 hover:shadow-primary-500/50 hover:-translate-y-0.5 transition-all duration-300"
+              >
+                {isSubmitting ? (
+                  <div className="flex items-center">
+                    <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin mr-2"></div>
+                    Signing in...
+                  </div>
+                ) : (
+                  <span className="flex items-center">
+                    Sign in
+                    <ArrowRightIcon className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform" />
+                  </span>
+                )}
+              </button>
+
+              <div className="relative">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-slate-200"></div>
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-white text-slate-500">Don't have an account?</span>
+                </div>
               </div>
-            </div>
 
-            <Link
-              to="/register"
-              className="w-full flex justify-center py-3.5 px-4 border border-slate-200 rounded-xl text-sm font-bold text-slate-700 bg-white hover:bg-slate-50 hover:border-slate-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-200 transition-all duration-300"
-            >
-              Create New Account
-            </Link>
-          </form>
+              <Link
+                to="/register"
+                className="w-full flex justify-center py-3.5 px-4 border border-slate-200 rounded-xl text-sm font-bold text-slate-700 bg-white hover:bg-slate-50 hover:border-slate-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-200 transition-all duration-300"
+              >
+                Create New Account
+              </Link>
+            </form>
+          )}
         </div>
       </div>
     </div>
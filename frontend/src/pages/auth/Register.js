@@ -551,6 +551,29 @@ const Register = () => {
                   </p>
                 )}
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Medical License / Registration Number
+                </label>
+                <input
+                  {...register('doctorVerification.licenseNumber', {
+                    required: 'License number is required',
+                    maxLength: { value: 50, message: 'License number cannot exceed 50 characters' }
+                  })}
+                  type="text"
+                  className="input-field mt-1"
+                  placeholder="e.g., MCI-123456"
+                />
+                {errors.doctorVerification?.licenseNumber && (
+                  <p className="mt-1 text-sm text-red-600">
+                    {errors.doctorVerification.licenseNumber.message}
+                  </p>
+                )}
+                <p className="mt-1 text-xs text-gray-500">
+                  Your hospital checks this before patients can book you.
+                </p>
+              </div>
             </div>
           )}
 
@@ -0,0 +1,143 @@
+/**
+ * Reset Password Page Component
+ * Sets a new password from the emailed reset link
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { KeyIcon, EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { authService } from '../../services/authService';
+
+const ResetPassword = () => {
+  const [showPassword, setShowPassword] = useState(false);
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors, isSubmitting }
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    try {
+      const response = await authService.resetPassword(token, data.password);
+      toast.success(response.data.message);
+      navigate('/login', { replace: true });
+    } catch (error) {
+      console.error('Reset password error:', error);
+    }
+  };
+
+  const inputClass = (hasError) =>
+    `w-full px-4 py-3 rounded-xl border ${hasError ? 'border-red-300 focus:ring-red-200' : 'border-slate-200 focus:ring-primary-100 focus:border-primary-500'} bg-slate-50 focus:bg-white focus:ring-4 transition-all outline-none text-slate-900 placeholder-slate-400`;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 py-12 px-4 sm:px-6 lg:px-8 relative overflow-hidden">
+      {/* Background Decor */}
+      <div className="absolute top-0 left-0 w-full h-full overflow-hidden pointer-events-none">
+        <div className="absolute -top-1/2 -left-1/4 w-full h-full bg-gradient-to-br from-primary-50/50 to-transparent rounded-full blur-3xl" />
+        <div className="absolute -bottom-1/2 -right-1/4 w-full h-full bg-gradient-to-tl from-teal-50/50 to-transparent rounded-full blur-3xl" />
+      </div>
+
+      <div className="max-w-md w-full space-y-8 relative z-10">
+        <div className="bg-white rounded-3xl shadow-xl shadow-slate-200/50 p-8 md:p-10 border border-slate-100">
+          <div className="text-center mb-10">
+            <div className="inline-flex items-center justify-center w-14 h-14 rounded-2xl bg-primary-50 text-primary-600 mb-6">
+              <KeyIcon className="w-7 h-7" />
+            </div>
+            <h2 className="text-3xl font-bold text-slate-900 tracking-tight">
+              Choose a New Password
+            </h2>
+            <p className="mt-2 text-slate-500">
+              {token
+                ? 'You will be signed out on all devices'
+                : 'This reset link is incomplete. Please open the link from your email again.'}
+            </p>
+          </div>
+
+          {token && (
+            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div>
+                <label htmlFor="password" className="block text-sm font-semibold text-slate-700 mb-1.5">
+                  New Password
+                </label>
+                <div className="relative">
+                  <input
+                    {...register('password', {
+                      required: 'Password is required',
+                      minLength: {
+                        value: 6,
+                        message: 'Password must be at least 6 characters'
+                      },
+                      pattern: {
+                        value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+                        message: 'Password must contain an uppercase letter, a lowercase letter and a number'
+                      }
+                    })}
+                    type={showPassword ? 'text' : 'password'}
+                    className={`${inputClass(errors.password)} pr-12`}
+                    placeholder="Enter a new password"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-4 flex items-center text-slate-400 hover:text-slate-600 transition-colors"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? <EyeSlashIcon className="h-5 w-5" /> : <EyeIcon className="h-5 w-5" />}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-500 flex items-center">
+                    <span className="mr-1">⚠</span> {errors.password.message}
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-semibold text-slate-700 mb-1.5">
+                  Confirm Password
+                </label>
+                <input
+                  {...register('confirmPassword', {
+                    required: 'Please confirm your password',
+                    validate: value => value === watch('password') || 'Passwords do not match'
+                  })}
+                  type={showPassword ? 'text' : 'password'}
+                  className={inputClass(errors.confirmPassword)}
+                  placeholder="Enter the password again"
+                />
+                {errors.confirmPassword && (
+                  <p className="mt-1 text-sm text-red-500 flex items-center">
+                    <span className="mr-1">⚠</span> {errors.confirmPassword.message}
+                  </p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full flex justify-center py-3.5 px-4 border border-transparent text-sm font-bold rounded-xl text-white bg-gradient-to-r from-primary-600 to-primary-500 hover:from-primary-700 hover:to-primary-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-primary-500/30 transition-all duration-300"
+              >
+                {isSubmitting ? 'Saving...' : 'Reset Password'}
+              </button>
+            </form>
+          )}
+
+          <p className="mt-6 text-center text-sm text-slate-500">
+            Link expired?{' '}
+            <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-700">
+              Request a new one
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
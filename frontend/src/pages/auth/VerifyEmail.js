@@ -0,0 +1,80 @@
+/**
+ * Verify Email Page Component
+ * Confirms the user's email address from the emailed link
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/authService';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (!token) {
+      setStatus('failed');
+      return;
+    }
+
+    authService.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((error) => {
+        console.error('Verify email error:', error);
+        setStatus('failed');
+      });
+  }, [token]);
+
+  // Pick up the verified flag if the user is signed in on this device
+  useEffect(() => {
+    if (status === 'verified' && isAuthenticated) {
+      refreshUser();
+    }
+  }, [status, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white rounded-3xl shadow-xl shadow-slate-200/50 p-8 md:p-10 border border-slate-100 text-center">
+        {status === 'verifying' && (
+          <>
+            <div className="w-12 h-12 mx-auto border-4 border-primary-100 border-t-primary-600 rounded-full animate-spin"></div>
+            <p className="mt-4 font-medium text-slate-500">Verifying your email...</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <CheckCircleIcon className="w-14 h-14 mx-auto text-green-500" />
+            <h2 className="mt-4 text-2xl font-bold text-slate-900">Email Verified</h2>
+            <p className="mt-2 text-slate-500">Your email address has been confirmed.</p>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <XCircleIcon className="w-14 h-14 mx-auto text-red-500" />
+            <h2 className="mt-4 text-2xl font-bold text-slate-900">Verification Failed</h2>
+            <p className="mt-2 text-slate-500">
+              This link is invalid or has expired. Sign in and request a new verification email.
+            </p>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={isAuthenticated ? '/profile' : '/login'}
+            className="mt-8 inline-flex justify-center py-3 px-6 rounded-xl text-sm font-bold text-white bg-primary-600 hover:bg-primary-700 transition-colors"
+          >
+            {isAuthenticated ? 'Go to your profile' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
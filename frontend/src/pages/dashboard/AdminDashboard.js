@@ -5,6 +5,8 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { adminService } from '../../services/adminService';
+import ScheduledJobsPanel from '../../components/admin/ScheduledJobsPanel';
+import LockedAccounts from '../../components/auth/LockedAccounts';
 import {
   BuildingOfficeIcon,
   UserGroupIcon,
@@ -167,6 +169,26 @@ const AdminDashboard = () => {
               </span>
             )}
           </button>
+          <button
+            onClick={() => setActiveTab('jobs')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'jobs'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Scheduled Jobs
+          </button>
+          <button
+            onClick={() => setActiveTab('locked')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'locked'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Locked Accounts
+          </button>
         </nav>
       </div>
 
@@ -409,6 +431,24 @@ const AdminDashboard = () => {
         </div>
       )}
 
+      {/* Scheduled Jobs Tab */}
+      {activeTab === 'jobs' && <ScheduledJobsPanel />}
+
+      {/* Locked Accounts Tab */}
+      {activeTab === 'locked' && (
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Locked Accounts</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Accounts are locked after repeated failed sign-ins and unlock by themselves when the lock expires.
+          </p>
+          <LockedAccounts
+            queryKey={['locked-accounts']}
+            fetchAccounts={() => adminService.getLockedAccounts().then(response => response.data.accounts)}
+            unlockAccount={adminService.unlockAccount}
+          />
+        </div>
+      )}
+
       {/* Rejection Modal */}
       {showRejectionModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
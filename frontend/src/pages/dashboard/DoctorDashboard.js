@@ -10,6 +10,8 @@ import { useQuery, useQueryClient } from 'react-query';
 import emergencyService from '../../services/emergencyService';
 import { appointmentService } from '../../services/appointmentService';
 import ReferralForm from '../../components/referral/ReferralForm';
+import FollowUpModal from '../../components/appointments/FollowUpModal';
+import LeaveCalendar from '../../components/leave/LeaveCalendar';
 import toast from 'react-hot-toast';
 import {
   ExclamationTriangleIcon,
@@ -43,6 +45,7 @@ const DoctorDashboard = () => {
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [showReferralForm, setShowReferralForm] = useState(false);
   const [referralAppointment, setReferralAppointment] = useState(null);
+  const [followUpAppointment, setFollowUpAppointment] = useState(null);
 
   // Fetch today's appointments with optimized caching strategy
   const { data: appointmentsData, isLoading: appointmentsLoading, refetch: refetchAppointments } = useQuery(
@@ -113,6 +116,7 @@ const DoctorDashboard = () => {
   
   // Use React Query data first, fallback to manual fetch
   const appointments = appointmentsData?.data?.appointments || manualAppointments || [];
+  const queuePolicy = appointmentsData?.data?.data?.queuePolicy;
   
   const isActuallyLoading = appointmentsLoading || manualLoading;
 
@@ -254,6 +258,33 @@ const DoctorDashboard = () => {
           console.error('Failed to refresh appointments after missed appointment:', error);
         }
       };
+
+      const onPatientCheckedIn = async (data) => {
+        console.log('Patient checked in event received:', data);
+        toast(data.message || 'Patient checked in', { icon: '🏥' });
+
+        try {
+          await queryClient.invalidateQueries(['doctor-appointments']);
+          await refetchAppointments();
+        } catch (error) {
+          console.error('Failed to refresh appointments after check-in:', error);
+        }
+      };
+
+      const onAppointmentRescheduled = async (data) => {
+        console.log('Appointment rescheduled event received:', data);
+        const patient = data.appointment?.patientId;
+        toast(`${patient ? `${patient.firstName} ${patient.lastName}` : 'A patient'} moved their appointment from ${data.previous?.appointmentTime} to ${data.appointment?.appointmentTime}`, {
+          icon: '🔁'
+        });
+
+        try {
+          await queryClient.invalidateQueries(['doctor-appointments']);
+          await refetchAppointments();
+        } catch (error) {
+          console.error('Failed to refresh appointments after reschedule:', error);
+        }
+      };
       
       // Listen for emergency call notifications
       socket.on('emergency-call-available', onEmergencyCallAvailable);
@@ -265,6 +296,8 @@ const DoctorDashboard = () => {
       socket.on('appointment-status-changed', onAppointmentUpdated);
       socket.on('queue-updated', onQueueUpdated);
       socket.on('appointment-missed', onAppointmentMissed);
+      socket.on('appointment-rescheduled', onAppointmentRescheduled);
+      socket.on('patient-checked-in', onPatientCheckedIn);
 
       return () => {
         console.log('Doctor Dashboard: Cleaning up socket listeners');
@@ -275,6 +308,8 @@ const DoctorDashboard = () => {
         socket.off('appointment-status-changed', onAppointmentUpdated);
         socket.off('queue-updated', onQueueUpdated);
         socket.off('appointment-missed', onAppointmentMissed);
+        socket.off('appointment-rescheduled', onAppointmentRescheduled);
+        socket.off('patient-checked-in', onPatientCheckedIn);
         socket.emit('leave-doctor', user._id);
       };
     }
@@ -422,6 +457,11 @@ const DoctorDashboard = () => {
     setShowReferralForm(false);
   };
 
+  const handleFollowUpBooked = () => {
+    setFollowUpAppointment(null);
+    queryClient.invalidateQueries(['doctor-appointments']);
+  };
+
   const handleReferralSuccess = (referral) => {
     console.log('Referral created successfully:', referral);
     toast.success(`Referral sent to Dr. ${referral.referredToDoctorId.firstName} ${referral.referredToDoctorId.lastName}`);
@@ -466,7 +506,7 @@ const DoctorDashboard = () => {
   
   const queueAppointments = todayAppointments.filter(apt => ['confirmed', 'in_progress'].includes(apt.status));
   const completedAppointments = todayAppointments.filter(apt => apt.status === 'completed');
-  const missedAppointments = todayAppointments.filter(apt => apt.status === 'missed');
+  const missedAppointments = todayAppointments.filter(apt => ['missed', 'no_show'].includes(apt.status));
 
   return (
     <div className="max-w-7xl mx-auto animate-slide-up space-y-8">
@@ -486,6 +526,26 @@ const DoctorDashboard = () => {
         </div>
       </div>
 
+      {/* License verification status */}
+      {user?.doctorVerification?.status === 'pending_verification' && (
+        <div className="flex items-start gap-3 p-4 rounded-xl bg-amber-50 border border-amber-200">
+          <ClockIcon className="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-amber-800">
+            Your hospital is reviewing your medical license. Patients can't find or book you until your account is verified.
+          </p>
+        </div>
+      )}
+      {user?.doctorVerification?.status === 'rejected' && (
+        <div className="flex items-start gap-3 p-4 rounded-xl bg-red-50 border border-red-200">
+          <ExclamationTriangleIcon className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-800">
+            Your hospital could not verify your medical license, so patients can't book you.
+            {user.doctorVerification.rejectionReason && ` Reason: ${user.doctorVerification.rejectionReason}.`}
+            {' '}Please contact your hospital administrator.
+          </p>
+        </div>
+      )}
+
       {/* Emergency Availability & Quick Actions */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Emergency Toggle Card */}
@@ -650,6 +710,12 @@ const DoctorDashboard = () => {
             >
               Missed
             </TabButton>
+            <TabButton 
+              active={activeTab === 'leave'} 
+              onClick={() => setActiveTab('leave')}
+            >
+              Leave
+            </TabButton>
           </div>
             
           <div className="flex items-center gap-3">
@@ -675,7 +741,9 @@ const DoctorDashboard = () => {
         </div>
 
         <div className="p-6 min-h-[400px]">
-          {isActuallyLoading ? (
+          {activeTab === 'leave' ? (
+            <LeaveCalendar mode="doctor" />
+          ) : isActuallyLoading ? (
             <div className="flex flex-col items-center justify-center py-20 text-slate-400">
               <div className="loading-spinner mb-4"></div>
               <p>Syncing appointments...</p>
@@ -685,6 +753,11 @@ const DoctorDashboard = () => {
               {/* Queue Tab - Keep as Cards for focus */}
               {activeTab === 'queue' && (
                 <>
+                  {queuePolicy && queuePolicy.mode !== 'token' && (
+                    <p className="text-sm text-slate-500">
+                      Queue ordered by {queuePolicy.mode === 'urgency' ? 'urgency' : 'urgency and waiting time'}; checked-in patients first.
+                    </p>
+                  )}
                   {queueAppointments.length === 0 ? (
                     <EmptyState type="queue" date={selectedDate} />
                   ) : (
@@ -698,6 +771,7 @@ const DoctorDashboard = () => {
                           onStatusUpdate={updateAppointmentStatus}
                           onViewDetails={viewAppointmentDetails}
                           onRefer={openReferralForm}
+                          onFollowUp={setFollowUpAppointment}
                         />
                       ))}
                     </div>
@@ -731,6 +805,7 @@ const DoctorDashboard = () => {
                       onStatusUpdate={updateAppointmentStatus}
                       onViewDetails={viewAppointmentDetails}
                       onRefer={openReferralForm}
+                      onFollowUp={setFollowUpAppointment}
                       type="completed"
                     />
                   )}
@@ -906,6 +981,15 @@ const DoctorDashboard = () => {
         </div>
       )}
 
+      {/* Follow-Up Modal */}
+      {followUpAppointment && (
+        <FollowUpModal
+          appointment={followUpAppointment}
+          onClose={() => setFollowUpAppointment(null)}
+          onBooked={handleFollowUpBooked}
+        />
+      )}
+
       {/* Referral Form Modal */}
       {showReferralForm && referralAppointment && (
         <ReferralForm
@@ -943,7 +1027,7 @@ const StatsCard = ({ icon, value, label, color }) => {
   );
 };
 
-const AppointmentsTable = ({ appointments, onStatusUpdate, onViewDetails, onRefer, type }) => {
+const AppointmentsTable = ({ appointments, onStatusUpdate, onViewDetails, onRefer, onFollowUp, type }) => {
   return (
     <div className="overflow-x-auto rounded-xl border border-slate-200 shadow-sm bg-white">
       <table className="min-w-full divide-y divide-slate-200">
@@ -975,6 +1059,11 @@ const AppointmentsTable = ({ appointments, onStatusUpdate, onViewDetails, onRefe
                     </div>
                     <div className="text-xs text-slate-500 flex items-center gap-1">
                       {appointment.patientDetails?.age} yrs • {appointment.patientDetails?.gender}
+                      {appointment.patientId?.patientInfo?.noShowCount > 0 && (
+                        <span className="ml-1 px-1.5 py-0.5 rounded bg-orange-100 text-orange-700 text-[10px] font-bold uppercase">
+                          {appointment.patientId.patientInfo.noShowCount} no-show{appointment.patientId.patientInfo.noShowCount > 1 ? 's' : ''}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -996,6 +1085,11 @@ const AppointmentsTable = ({ appointments, onStatusUpdate, onViewDetails, onRefe
                   {appointment.status === 'in_progress' && <span className="w-1.5 h-1.5 rounded-full bg-yellow-500 mr-1.5 animate-pulse"></span>}
                   {appointment.status.replace('_', ' ')}
                 </span>
+                {appointment.status === 'confirmed' && appointment.checkedInAt && (
+                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-bold bg-emerald-100 text-emerald-800">
+                    Arrived
+                  </span>
+                )}
               </td>
               <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                 <div className="flex items-center justify-end gap-2">
@@ -1016,6 +1110,15 @@ const AppointmentsTable = ({ appointments, onStatusUpdate, onViewDetails, onRefe
                     </button>
                   )}
                   
+                  {onFollowUp && ['in_progress', 'completed'].includes(appointment.status) && (
+                    <button
+                      onClick={() => onFollowUp(appointment)}
+                      className="px-3 py-1.5 bg-primary-50 text-primary-700 hover:bg-primary-100 rounded-lg text-xs font-bold transition-all"
+                    >
+                      Follow-up
+                    </button>
+                  )}
+
                   {appointment.status === 'in_progress' && (
                     <>
                       {onRefer && (
@@ -1036,12 +1139,20 @@ const AppointmentsTable = ({ appointments, onStatusUpdate, onViewDetails, onRefe
                   )}
                   
                    {appointment.status === 'missed' && (
-                      <button
-                        onClick={() => onStatusUpdate(appointment._id, 'confirmed')}
-                        className="px-3 py-1.5 bg-white border border-slate-200 text-slate-600 hover:bg-slate-50 rounded-lg text-xs font-bold transition-all"
-                      >
-                        Reschedule
-                      </button>
+                      <>
+                        <button
+                          onClick={() => onStatusUpdate(appointment._id, 'no_show')}
+                          className="px-3 py-1.5 bg-orange-50 text-orange-700 hover:bg-orange-100 rounded-lg text-xs font-bold transition-all"
+                        >
+                          No-show
+                        </button>
+                        <button
+                          onClick={() => onStatusUpdate(appointment._id, 'confirmed')}
+                          className="px-3 py-1.5 bg-white border border-slate-200 text-slate-600 hover:bg-slate-50 rounded-lg text-xs font-bold transition-all"
+                        >
+                          Reschedule
+                        </button>
+                      </>
                    )}
                 </div>
               </td>
@@ -1073,7 +1184,7 @@ const TabButton = ({ active, children, onClick, count }) => (
   </button>
 );
 
-const AppointmentCard = ({ appointment, index, type, onStatusUpdate, onViewDetails, onRefer }) => {
+const AppointmentCard = ({ appointment, index, type, onStatusUpdate, onViewDetails, onRefer, onFollowUp }) => {
   const isQueue = type === 'queue';
   
   return (
@@ -1105,6 +1216,16 @@ const AppointmentCard = ({ appointment, index, type, onStatusUpdate, onViewDetai
               <span className="flex items-center gap-1">
                 <ClockIcon className="w-3.5 h-3.5" /> {appointment.appointmentTime}
               </span>
+              {appointment.status === 'confirmed' && appointment.checkedInAt && (
+                <span className="px-1.5 py-0.5 rounded bg-emerald-100 text-emerald-700 text-[10px] font-bold uppercase">
+                  Arrived
+                </span>
+              )}
+              {appointment.patientId?.patientInfo?.noShowCount > 0 && (
+                <span className="px-1.5 py-0.5 rounded bg-orange-100 text-orange-700 text-[10px] font-bold uppercase">
+                  {appointment.patientId.patientInfo.noShowCount} no-show{appointment.patientId.patientInfo.noShowCount > 1 ? 's' : ''}
+                </span>
+              )}
               <span className="flex items-center gap-1">
                 <span className={`w-1.5 h-1.5 rounded-full ${
                   appointment.patientDetails?.urgency === 'high' ? 'bg-red-500' :
@@ -1137,6 +1258,14 @@ const AppointmentCard = ({ appointment, index, type, onStatusUpdate, onViewDetai
            
            {appointment.status === 'in_progress' && (
               <div className="flex gap-2">
+                {onFollowUp && (
+                  <button
+                    onClick={() => onFollowUp(appointment)}
+                    className="px-4 py-2 bg-primary-50 text-primary-700 text-sm font-semibold rounded-lg hover:bg-primary-100 transition-all"
+                  >
+                    Follow-up
+                  </button>
+                )}
                 {onRefer && (
                   <button
                     onClick={() => onRefer(appointment)}
@@ -1155,12 +1284,20 @@ const AppointmentCard = ({ appointment, index, type, onStatusUpdate, onViewDetai
            )}
            
            {appointment.status === 'missed' && (
-              <button
-                onClick={() => onStatusUpdate(appointment._id, 'confirmed')}
-                className="px-4 py-2 bg-white border border-slate-200 text-slate-600 text-sm font-semibold rounded-lg hover:bg-slate-50 transition-all"
-              >
-                Reschedule
-              </button>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onStatusUpdate(appointment._id, 'no_show')}
+                  className="px-4 py-2 bg-orange-50 text-orange-700 text-sm font-semibold rounded-lg hover:bg-orange-100 transition-all"
+                >
+                  Mark No-show
+                </button>
+                <button
+                  onClick={() => onStatusUpdate(appointment._id, 'confirmed')}
+                  className="px-4 py-2 bg-white border border-slate-200 text-slate-600 text-sm font-semibold rounded-lg hover:bg-slate-50 transition-all"
+                >
+                  Reschedule
+                </button>
+              </div>
            )}
         </div>
       </div>
@@ -4,8 +4,15 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
+import { useQuery } from 'react-query';
+import { format, parseISO } from 'date-fns';
 import { useAuth } from '../../context/AuthContext';
 import { hospitalService } from '../../services/hospitalService';
+import { appointmentService } from '../../services/appointmentService';
+import LeaveCalendar from '../../components/leave/LeaveCalendar';
+import LockedAccounts from '../../components/auth/LockedAccounts';
+import ReviewModeration from '../../components/rating/ReviewModeration';
+import StaffManagement from '../../components/staff/StaffManagement';
 import toast from 'react-hot-toast';
 import { 
   BuildingOfficeIcon, 
@@ -19,15 +26,45 @@ import {
   EyeIcon,
   CheckCircleIcon,
   XCircleIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  ShieldCheckIcon,
+  ChatBubbleLeftRightIcon,
+  IdentificationIcon
 } from '@heroicons/react/24/outline';
 
+// Tabs and the permission each one needs; staff see only what their role allows
+const DASHBOARD_TABS = [
+  { id: 'overview', name: 'Overview', icon: ChartBarIcon, permission: 'appointments:view' },
+  { id: 'hospital', name: 'Hospital Info', icon: BuildingOfficeIcon, permission: 'hospital:manage' },
+  { id: 'doctors', name: 'Doctors', icon: UserGroupIcon, permission: 'doctors:manage' },
+  { id: 'verification', name: 'Doctor Verification', icon: ShieldCheckIcon, permission: 'doctors:verify' },
+  { id: 'appointments', name: 'Appointments', icon: CalendarDaysIcon, permission: 'appointments:view' },
+  { id: 'holidays', name: 'Leave & Holidays', icon: ClockIcon, permission: 'leave:manage' },
+  { id: 'reviews', name: 'Reviews', icon: ChatBubbleLeftRightIcon, permission: 'ratings:moderate' },
+  { id: 'staff', name: 'Staff', icon: IdentificationIcon, permission: 'staff:manage' },
+  { id: 'analytics', name: 'Analytics', icon: StarIcon, permission: 'appointments:view' }
+];
+
 const HospitalDashboard = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [loading, setLoading] = useState(true);
   const [dashboardData, setDashboardData] = useState(null);
   const [hospitalInfo, setHospitalInfo] = useState(null);
-  const [activeTab, setActiveTab] = useState('overview');
+
+  const tabs = DASHBOARD_TABS.filter(tab => hasPermission(tab.permission));
+  const [activeTab, setActiveTab] = useState(tabs[0]?.id);
+  const canViewAppointments = hasPermission('appointments:view');
+  const canVerifyDoctors = hasPermission('doctors:verify');
+
+  const currentHospitalId = user?.hospitalId?._id || user?.hospitalId;
+
+  // Shared with the verification tab so the badge updates after each review
+  const { data: pendingDoctors = [] } = useQuery(
+    ['pending-doctors', currentHospitalId],
+    () => hospitalService.getPendingDoctors(currentHospitalId).then(response => response.data.data.doctors),
+    { enabled: Boolean(currentHospitalId) && canVerifyDoctors, refetchInterval: 60000 }
+  );
+  const awaitingReview = pendingDoctors.filter(doctor => doctor.doctorVerification?.status === 'pending_verification').length;
 
   const loadDashboardData = useCallback(async () => {
     if (!user?.hospitalId) {
@@ -41,21 +78,21 @@ const HospitalDashboard = () => {
       // Extract hospital ID properly (it might be an object or string)
       const hospitalId = user.hospitalId._id || user.hospitalId;
       
-      // Load hospital info and dashboard data
+      // Load hospital info and, for those who can see appointments, dashboard data
       const [hospitalResponse, dashboardResponse] = await Promise.all([
         hospitalService.getHospitalById(hospitalId),
-        hospitalService.getHospitalDashboard(hospitalId)
+        canViewAppointments ? hospitalService.getHospitalDashboard(hospitalId) : null
       ]);
 
       setHospitalInfo(hospitalResponse.data.data.hospital);
-      setDashboardData(dashboardResponse.data.data);
+      setDashboardData(dashboardResponse?.data.data || null);
     } catch (error) {
       console.error('Failed to load dashboard data:', error);
       toast.error('Failed to load dashboard data');
     } finally {
       setLoading(false);
     }
-  }, [user]);
+  }, [user, canViewAppointments]);
 
   useEffect(() => {
     loadDashboardData();
@@ -125,9 +162,19 @@ const HospitalDashboard = () => {
             </p>
           </div>
           {hospitalInfo && (
-            <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(hospitalInfo.approvalStatus)}`}>
-              {getStatusIcon(hospitalInfo.approvalStatus)}
-              <span className="capitalize">{hospitalInfo.approvalStatus}</span>
+            <div className="flex items-center gap-3">
+              <a
+                href={`/display/${hospitalInfo._id}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-sm font-medium text-primary-600 hover:underline"
+              >
+                Open lobby display
+              </a>
+              <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(hospitalInfo.approvalStatus)}`}>
+                {getStatusIcon(hospitalInfo.approvalStatus)}
+                <span className="capitalize">{hospitalInfo.approvalStatus}</span>
+              </div>
             </div>
           )}
         </div>
@@ -136,13 +183,7 @@ const HospitalDashboard = () => {
       {/* Navigation Tabs */}
       <div className="border-b border-gray-200 mb-6">
         <nav className="-mb-px flex space-x-8">
-          {[
-            { id: 'overview', name: 'Overview', icon: ChartBarIcon },
-            { id: 'hospital', name: 'Hospital Info', icon: BuildingOfficeIcon },
-            { id: 'doctors', name: 'Doctors', icon: UserGroupIcon },
-            { id: 'appointments', name: 'Appointments', icon: CalendarDaysIcon },
-            { id: 'analytics', name: 'Analytics', icon: StarIcon }
-          ].map((tab) => (
+          {tabs.map((tab) => (
             <button
               key={tab.id}
               data-tab={tab.id}
@@ -155,12 +196,23 @@ const HospitalDashboard = () => {
             >
               <tab.icon className="w-4 h-4" />
               {tab.name}
+              {tab.id === 'verification' && awaitingReview > 0 && (
+                <span className="ml-1 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700">
+                  {awaitingReview}
+                </span>
+              )}
             </button>
           ))}
         </nav>
       </div>
 
       {/* Tab Content */}
+      {tabs.length === 0 && (
+        <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+          Your staff role has no permissions yet. Ask your hospital admin to update it.
+        </div>
+      )}
+      
       {activeTab === 'overview' && (
         <OverviewTab 
           hospitalInfo={hospitalInfo} 
@@ -181,9 +233,35 @@ const HospitalDashboard = () => {
         />
       )}
       
+      {activeTab === 'verification' && (
+        <DoctorVerificationTab 
+          hospitalId={hospitalInfo?._id || currentHospitalId} 
+        />
+      )}
+      
       {activeTab === 'appointments' && (
         <AppointmentsTab 
           dashboardData={dashboardData} 
+          onRefresh={loadDashboardData}
+        />
+      )}
+      
+      {activeTab === 'holidays' && (
+        <LeaveCalendar 
+          mode="hospital"
+          hospitalId={hospitalInfo?._id || (user?.hospitalId?._id || user?.hospitalId)} 
+        />
+      )}
+      
+      {activeTab === 'reviews' && (
+        <ReviewModeration 
+          hospitalId={hospitalInfo?._id || currentHospitalId} 
+        />
+      )}
+      
+      {activeTab === 'staff' && (
+        <StaffManagement 
+          hospitalId={hospitalInfo?._id || currentHospitalId} 
         />
       )}
       
@@ -451,6 +529,12 @@ const OverviewTab = ({ hospitalInfo, dashboardData }) => {
   );
 };
 
+// Timezones offered for a hospital; browsers without Intl.supportedValuesOf get a short list
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const TIMEZONE_OPTIONS = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [DEFAULT_TIMEZONE, 'Asia/Dubai', 'Asia/Singapore', 'Europe/London', 'America/New_York', 'UTC'];
+
 // Hospital Info Tab Component
 const HospitalInfoTab = ({ hospitalInfo, onUpdate }) => {
   const [isEditing, setIsEditing] = useState(false);
@@ -470,7 +554,15 @@ const HospitalInfoTab = ({ hospitalInfo, onUpdate }) => {
         'address.street': hospitalInfo.address?.street || '',
         'address.city': hospitalInfo.address?.city || '',
         'address.state': hospitalInfo.address?.state || '',
-        'address.pincode': hospitalInfo.address?.pincode || ''
+        'address.pincode': hospitalInfo.address?.pincode || '',
+        timezone: hospitalInfo.timezone || DEFAULT_TIMEZONE,
+        'queuePolicy.mode': hospitalInfo.queuePolicy?.mode || 'token',
+        'queuePolicy.urgencyWeightMinutes': hospitalInfo.queuePolicy?.urgencyWeightMinutes ?? 15,
+        'noShowPolicy.graceMinutes': hospitalInfo.noShowPolicy?.graceMinutes ?? 10,
+        'noShowPolicy.markAs': hospitalInfo.noShowPolicy?.markAs || 'missed',
+        'noShowPolicy.threshold': hospitalInfo.noShowPolicy?.threshold ?? 0,
+        'noShowPolicy.restriction': hospitalInfo.noShowPolicy?.restriction || 'none',
+        'security.requireTwoFactor': Boolean(hospitalInfo.security?.requireTwoFactor)
       });
     }
   }, [hospitalInfo]);
@@ -501,6 +593,20 @@ const HospitalInfoTab = ({ hospitalInfo, onUpdate }) => {
           city: formData['address.city'],
           state: formData['address.state'],
           pincode: formData['address.pincode']
+        },
+        timezone: formData.timezone,
+        queuePolicy: {
+          mode: formData['queuePolicy.mode'],
+          urgencyWeightMinutes: parseInt(formData['queuePolicy.urgencyWeightMinutes'])
+        },
+        noShowPolicy: {
+          graceMinutes: parseInt(formData['noShowPolicy.graceMinutes']),
+          markAs: formData['noShowPolicy.markAs'],
+          threshold: parseInt(formData['noShowPolicy.threshold']),
+          restriction: formData['noShowPolicy.restriction']
+        },
+        security: {
+          requireTwoFactor: formData['security.requireTwoFactor']
         }
       };
 
@@ -661,6 +767,29 @@ const HospitalInfoTab = ({ hospitalInfo, onUpdate }) => {
               className={`input-field ${!isEditing ? 'bg-gray-50' : ''}`}
             />
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Timezone *
+            </label>
+            <select
+              value={formData.timezone}
+              onChange={(e) => handleInputChange('timezone', e.target.value)}
+              disabled={!isEditing}
+              required
+              className={`input-field ${!isEditing ? 'bg-gray-50' : ''}`}
+            >
+              {formData.timezone && !TIMEZONE_OPTIONS.includes(formData.timezone) && (
+                <option value={formData.timezone}>{formData.timezone}</option>
+              )}
+              {TIMEZONE_OPTIONS.map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Appointment days, tokens and missed-appointment checks follow this timezone.
+            </p>
+          </div>
         </div>
 
         {/* Address Section */}
@@ -726,6 +855,148 @@ const HospitalInfoTab = ({ hospitalInfo, onUpdate }) => {
           </div>
         </div>
 
+        {/* Queue Policy Section */}
+        <div className="mt-6">
+          <h4 className="text-md font-medium text-gray-900 mb-4">Queue Policy</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Queue Ordering
+              </label>
+              <select
+                value={formData['queuePolicy.mode']}
+                onChange={(e) => handleInputChange('queuePolicy.mode', e.target.value)}
+                disabled={!isEditing}
+                className={`input-field ${!isEditing ? 'bg-gray-50' : ''}`}
+              >
+                <option value="token">Token order</option>
+                <option value="urgency">Urgency first</option>
+                <option value="weighted">Weighted (urgency and waiting time)</option>
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Checked-in patients are always served before those who have not arrived.
+              </p>
+            </div>
+
+            {formData['queuePolicy.mode'] === 'weighted' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Minutes per Urgency Level
+                </label>
+                <input
+                  type="number"
+                  value={formData['queuePolicy.urgencyWeightMinutes']}
+                  onChange={(e) => handleInputChange('queuePolicy.urgencyWeightMinutes', e.target.value)}
+                  disabled={!isEditing}
+                  required
+                  min="0"
+                  max="240"
+                  className={`input-field ${!isEditing ? 'bg-gray-50' : ''}`}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Each urgency level counts as this many extra minutes of waiting.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* No-Show Policy Section */}
+        <div className="mt-6">
+          <h4 className="text-md font-medium text-gray-900 mb-4">No-Show Policy</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Grace Period (minutes)
+              </label>
+              <input
+                type="number"
+                value={formData['noShowPolicy.graceMinutes']}
+                onChange={(e) => handleInputChange('noShowPolicy.graceMinutes', e.target.value)}
+                disabled={!isEditing}
+                required
+                min="0"
+                max="240"
+                className={`input-field ${!isEditing ? 'bg-gray-50' : ''}`}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Patients who have not checked in this long after their slot are marked automatically.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Mark Late Patients As
+              </label>
+              <select
+                value={formData['noShowPolicy.markAs']}
+                onChange={(e) => handleInputChange('noShowPolicy.markAs', e.target.value)}
+                disabled={!isEditing}
+                className={`input-field ${!isEditing ? 'bg-gray-50' : ''}`}
+              >
+                <option value="missed">Missed (doctor decides if it counts)</option>
+                <option value="no_show">No-show (counts against the patient)</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                No-Show Threshold
+              </label>
+              <input
+                type="number"
+                value={formData['noShowPolicy.threshold']}
+                onChange={(e) => handleInputChange('noShowPolicy.threshold', e.target.value)}
+                disabled={!isEditing}
+                required
+                min="0"
+                className={`input-field ${!isEditing ? 'bg-gray-50' : ''}`}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                0 turns restrictions off.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                At the Threshold
+              </label>
+              <select
+                value={formData['noShowPolicy.restriction']}
+                onChange={(e) => handleInputChange('noShowPolicy.restriction', e.target.value)}
+                disabled={!isEditing}
+                className={`input-field ${!isEditing ? 'bg-gray-50' : ''}`}
+              >
+                <option value="none">No restriction</option>
+                <option value="require_prepayment">Require payment before check-in</option>
+                <option value="block_online_booking">Block online booking</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Security Section */}
+        <div className="mt-6">
+          <h4 className="text-md font-medium text-gray-900 mb-4">Security</h4>
+          <label className="flex items-start">
+            <input
+              type="checkbox"
+              checked={formData['security.requireTwoFactor'] || false}
+              onChange={(e) => handleInputChange('security.requireTwoFactor', e.target.checked)}
+              disabled={!isEditing}
+              className="mr-2 mt-1"
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-700">
+                Require two-factor authentication for doctors and administrators
+              </span>
+              <span className="block text-xs text-gray-500 mt-1">
+                Staff without an authenticator app are signed out and set one up at their next login.
+              </span>
+            </span>
+          </label>
+        </div>
+
         {isEditing && (
           <div className="mt-6 flex justify-end space-x-4">
             <button
@@ -899,6 +1170,17 @@ const DoctorsTab = ({ hospitalId }) => {
         </div>
       )}
 
+      {/* Locked Accounts */}
+      <div className="mt-8">
+        <h4 className="text-md font-medium text-gray-900 mb-3">Locked Sign-ins</h4>
+        <LockedAccounts
+          queryKey={['locked-doctors', hospitalId]}
+          fetchAccounts={() => hospitalService.getLockedDoctors(hospitalId).then(response => response.data.data.accounts)}
+          unlockAccount={hospitalService.unlockDoctor}
+          emptyMessage="No doctor accounts are locked."
+        />
+      </div>
+
       {/* Add Doctor Modal */}
       {showAddModal && (
         <AddDoctorModal
@@ -1379,16 +1661,261 @@ const EditDoctorModal = ({ doctor, onClose, onSuccess }) => {
   );
 };
 
+// Doctor Verification Tab Component
+const DoctorVerificationTab = ({ hospitalId }) => {
+  const [reviewing, setReviewing] = useState(null);
+  const [form, setForm] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const { data: doctors = [], isLoading, refetch } = useQuery(
+    ['pending-doctors', hospitalId],
+    () => hospitalService.getPendingDoctors(hospitalId).then(response => response.data.data.doctors),
+    { enabled: Boolean(hospitalId) }
+  );
+
+  const startReview = (doctor) => {
+    setReviewing(doctor._id);
+    setForm({
+      licenseNumber: doctor.doctorVerification?.licenseNumber || '',
+      issuingAuthority: doctor.doctorVerification?.issuingAuthority || '',
+      notes: doctor.doctorVerification?.notes || '',
+      rejectionReason: ''
+    });
+  };
+
+  const handleDecision = async (doctor, status) => {
+    if (status === 'verified' && !form.licenseNumber.trim()) {
+      toast.error('Enter the license number you checked');
+      return;
+    }
+    if (status === 'rejected' && form.rejectionReason.trim().length < 5) {
+      toast.error('Please give a reason for the rejection');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await hospitalService.verifyDoctor(doctor._id, {
+        status,
+        licenseNumber: form.licenseNumber,
+        issuingAuthority: form.issuingAuthority,
+        notes: form.notes,
+        ...(status === 'rejected' && { rejectionReason: form.rejectionReason })
+      });
+      toast.success(status === 'verified'
+        ? `Dr. ${doctor.firstName} ${doctor.lastName} can now be booked`
+        : `Dr. ${doctor.firstName} ${doctor.lastName} was not verified`);
+      setReviewing(null);
+      refetch();
+    } catch (error) {
+      console.error('Failed to update doctor verification:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center">
+        <div className="loading-spinner mx-auto mb-2"></div>
+        <p>Loading doctors awaiting verification...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold text-gray-900">Doctor Verification</h3>
+        <p className="text-sm text-gray-500">
+          Doctors who registered with your hospital stay hidden from patients until you check their license.
+        </p>
+      </div>
+
+      {doctors.length === 0 ? (
+        <div className="text-center py-8">
+          <ShieldCheckIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500">No doctors are waiting for verification.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {doctors.map((doctor) => {
+            const verification = doctor.doctorVerification || {};
+            const isRejected = verification.status === 'rejected';
+
+            return (
+              <div key={doctor._id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                  <div>
+                    <h4 className="font-medium text-gray-900">
+                      Dr. {doctor.firstName} {doctor.lastName}
+                      <span className={`ml-2 px-2 py-1 rounded-full text-xs ${
+                        isRejected ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {isRejected ? 'Rejected' : 'Pending'}
+                      </span>
+                    </h4>
+                    <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm text-gray-600">
+                      <p><span className="font-medium">Specialization:</span> {doctor.doctorInfo?.specialization || '—'}</p>
+                      <p><span className="font-medium">Qualification:</span> {doctor.doctorInfo?.qualification || '—'}</p>
+                      <p><span className="font-medium">Experience:</span> {doctor.doctorInfo?.experience || 0} years</p>
+                      <p><span className="font-medium">License:</span> {verification.licenseNumber || 'Not provided'}</p>
+                      <p><span className="font-medium">Email:</span> {doctor.email}</p>
+                      <p><span className="font-medium">Registered:</span> {format(parseISO(doctor.createdAt), 'MMM d, yyyy')}</p>
+                    </div>
+                    {isRejected && (
+                      <p className="mt-2 text-sm text-red-700">
+                        Rejected{verification.reviewedBy && ` by ${verification.reviewedBy.firstName} ${verification.reviewedBy.lastName}`}
+                        {verification.reviewedAt && ` on ${format(parseISO(verification.reviewedAt), 'MMM d, yyyy')}`}
+                        {verification.rejectionReason && `: ${verification.rejectionReason}`}
+                      </p>
+                    )}
+                  </div>
+
+                  {reviewing !== doctor._id && (
+                    <button
+                      onClick={() => startReview(doctor)}
+                      className="btn-primary flex-shrink-0"
+                    >
+                      {isRejected ? 'Review again' : 'Review'}
+                    </button>
+                  )}
+                </div>
+
+                {reviewing === doctor._id && (
+                  <div className="mt-4 pt-4 border-t border-gray-100 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                          License / Registration Number
+                        </label>
+                        <input
+                          type="text"
+                          value={form.licenseNumber}
+                          onChange={(e) => setForm({ ...form, licenseNumber: e.target.value })}
+                          maxLength={50}
+                          className="input-field mt-1"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                          Issuing Authority
+                        </label>
+                        <input
+                          type="text"
+                          value={form.issuingAuthority}
+                          onChange={(e) => setForm({ ...form, issuingAuthority: e.target.value })}
+                          maxLength={100}
+                          className="input-field mt-1"
+                          placeholder="e.g., State Medical Council"
+                        />
+                      </div>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">
+                        Qualification Notes
+                      </label>
+                      <textarea
+                        value={form.notes}
+                        onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                        maxLength={1000}
+                        rows={2}
+                        className="input-field mt-1"
+                        placeholder="Documents checked, degree certificates, etc."
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">
+                        Rejection Reason
+                      </label>
+                      <input
+                        type="text"
+                        value={form.rejectionReason}
+                        onChange={(e) => setForm({ ...form, rejectionReason: e.target.value })}
+                        maxLength={500}
+                        className="input-field mt-1"
+                        placeholder="Only needed to reject"
+                      />
+                    </div>
+                    <div className="flex justify-end gap-3">
+                      <button
+                        onClick={() => setReviewing(null)}
+                        disabled={submitting}
+                        className="btn-secondary"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => handleDecision(doctor, 'rejected')}
+                        disabled={submitting}
+                        className="btn-danger disabled:opacity-50"
+                      >
+                        <XCircleIcon className="w-4 h-4 inline mr-1" />
+                        Reject
+                      </button>
+                      <button
+                        onClick={() => handleDecision(doctor, 'verified')}
+                        disabled={submitting}
+                        className="btn-primary disabled:opacity-50"
+                      >
+                        <CheckCircleIcon className="w-4 h-4 inline mr-1" />
+                        Approve
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Appointments Tab Component
-const AppointmentsTab = ({ dashboardData }) => {
+const AppointmentsTab = ({ dashboardData, onRefresh }) => {
+  const { hasPermission } = useAuth();
   const [selectedAppointment, setSelectedAppointment] = useState(null);
   const [showPatientModal, setShowPatientModal] = useState(false);
+  const [checkingIn, setCheckingIn] = useState(null);
+  const [recordingPayment, setRecordingPayment] = useState(null);
 
   const handleAppointmentClick = (appointment) => {
     setSelectedAppointment(appointment);
     setShowPatientModal(true);
   };
 
+  const handleCheckIn = async (e, appointment) => {
+    e.stopPropagation();
+    try {
+      setCheckingIn(appointment._id);
+      await appointmentService.checkInAppointment(appointment._id);
+      toast.success(`${appointment.patientId?.firstName} ${appointment.patientId?.lastName} checked in`);
+      onRefresh();
+    } catch (error) {
+      console.error('Check-in failed:', error);
+    } finally {
+      setCheckingIn(null);
+    }
+  };
+
+  const handleRecordPayment = async (e, appointment, paymentStatus = 'paid') => {
+    e.stopPropagation();
+    try {
+      setRecordingPayment(appointment._id);
+      await appointmentService.recordPayment(appointment._id, paymentStatus === 'paid' ? { paymentStatus, paymentMethod: 'cash' } : { paymentStatus });
+      toast.success(`${paymentStatus === 'paid' ? 'Payment' : 'Refund'} recorded for ${appointment.patientId?.firstName} ${appointment.patientId?.lastName}`);
+      onRefresh();
+    } catch (error) {
+      console.error('Recording payment failed:', error);
+    } finally {
+      setRecordingPayment(null);
+    }
+  };
+
+  const isToday = (dateString) => new Date(dateString).toDateString() === new Date().toDateString();
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'confirmed': return 'bg-blue-100 text-blue-800';
@@ -1466,6 +1993,16 @@ const AppointmentsTab = ({ dashboardData }) => {
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
                             {appointment.status}
                           </span>
+                          {appointment.status === 'confirmed' && appointment.checkedInAt && (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-emerald-100 text-emerald-800">
+                              arrived
+                            </span>
+                          )}
+                          {appointment.prepaymentRequired && appointment.paymentStatus !== 'paid' && (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                              prepayment due
+                            </span>
+                          )}
                         </div>
                         
                         <div className="mt-1 text-sm text-gray-600">
@@ -1481,7 +2018,34 @@ const AppointmentsTab = ({ dashboardData }) => {
                       </div>
                     </div>
                     
-                    <div className="flex-shrink-0">
+                    <div className="flex-shrink-0 flex items-center gap-3">
+                      {appointment.status === 'confirmed' && appointment.prepaymentRequired && appointment.paymentStatus !== 'paid' && hasPermission('billing:payment') && (
+                        <button
+                          onClick={(e) => handleRecordPayment(e, appointment)}
+                          disabled={recordingPayment === appointment._id}
+                          className="px-3 py-1.5 bg-orange-600 text-white text-xs font-medium rounded-md hover:bg-orange-700 disabled:opacity-50"
+                        >
+                          {recordingPayment === appointment._id ? 'Saving...' : `Mark ₹${appointment.consultationFee} paid`}
+                        </button>
+                      )}
+                      {appointment.status === 'cancelled' && appointment.paymentStatus === 'paid' && hasPermission('billing:refund') && (
+                        <button
+                          onClick={(e) => handleRecordPayment(e, appointment, 'refunded')}
+                          disabled={recordingPayment === appointment._id}
+                          className="px-3 py-1.5 bg-gray-600 text-white text-xs font-medium rounded-md hover:bg-gray-700 disabled:opacity-50"
+                        >
+                          {recordingPayment === appointment._id ? 'Saving...' : `Mark ₹${appointment.consultationFee} refunded`}
+                        </button>
+                      )}
+                      {appointment.status === 'confirmed' && !appointment.checkedInAt && isToday(appointment.appointmentDate) && hasPermission('appointments:checkin') && (
+                        <button
+                          onClick={(e) => handleCheckIn(e, appointment)}
+                          disabled={checkingIn === appointment._id}
+                          className="px-3 py-1.5 bg-emerald-600 text-white text-xs font-medium rounded-md hover:bg-emerald-700 disabled:opacity-50"
+                        >
+                          {checkingIn === appointment._id ? 'Checking in...' : 'Check in'}
+                        </button>
+                      )}
                       <EyeIcon className="w-5 h-5 text-gray-400" />
                     </div>
                   </div>
@@ -11,6 +11,9 @@ import { ratingService } from '../../services/ratingService';
 import { useAuth } from '../../context/AuthContext';
 import { useSocket } from '../../context/SocketContext';
 import EmergencyButton from '../../components/emergency/EmergencyButton';
+import RescheduleModal from '../../components/appointments/RescheduleModal';
+import MyQueueCard from '../../components/queue/MyQueueCard';
+import WaitlistPanel from '../../components/appointments/WaitlistPanel';
 import toast from 'react-hot-toast';
 import {
   CalendarDaysIcon,
@@ -26,6 +29,7 @@ import {
   BoltIcon
 } from '@heroicons/react/24/outline';
 import { format, parseISO } from 'date-fns';
+import { QRCodeSVG } from 'qrcode.react';
 
 const PatientDashboard = () => {
   const { user } = useAuth();
@@ -36,6 +40,9 @@ const PatientDashboard = () => {
   const [manualAppointments, setManualAppointments] = useState([]);
   const [manualLoading, setManualLoading] = useState(false);
   const [ratedAppointments, setRatedAppointments] = useState(new Set());
+  const [reschedulingAppointment, setReschedulingAppointment] = useState(null);
+  const [checkInQrFor, setCheckInQrFor] = useState(null);
+  const [checkingIn, setCheckingIn] = useState(null);
 
   // Fetch patient appointments with very aggressive settings
   const { data: appointmentsData, isLoading, error, refetch } = useQuery(
@@ -118,6 +125,9 @@ const PatientDashboard = () => {
     return dateA - dateB;
   });
   
+  // Today's appointments that are waiting or in consultation get a live queue card
+  const todaysQueueAppointments = upcomingAppointments.filter(apt => isToday(apt.appointmentDate));
+  
   const pastAppointments = appointments.filter(apt => {
     const appointmentDate = new Date(apt.appointmentDate);
     appointmentDate.setHours(0, 0, 0, 0);
@@ -148,6 +158,43 @@ const PatientDashboard = () => {
     }
   };
 
+  const handleCheckIn = async (appointmentId) => {
+    try {
+      setCheckingIn(appointmentId);
+      await appointmentService.checkInAppointment(appointmentId);
+      toast.success('Checked in - please wait to be called', { id: 'check-in' });
+      setCheckInQrFor(null);
+      refetch();
+      fetchAppointmentsManually();
+    } catch (error) {
+      console.error('Check-in failed:', error);
+    } finally {
+      setCheckingIn(null);
+    }
+  };
+
+  const handleCancelOccurrence = async (appointment) => {
+    if (!window.confirm('Cancel this follow-up visit? The rest of the series stays booked.')) return;
+    try {
+      await appointmentService.cancelAppointment(appointment._id, 'Cancelled one follow-up visit');
+      toast.success('Follow-up visit cancelled');
+      refetch();
+    } catch (error) {
+      console.error('Failed to cancel follow-up visit:', error);
+    }
+  };
+
+  const handleCancelSeries = async (appointment) => {
+    if (!window.confirm('Cancel all upcoming visits in this follow-up series?')) return;
+    try {
+      const response = await appointmentService.cancelSeries(appointment.series.seriesId);
+      toast.success(response.data.message);
+      refetch();
+    } catch (error) {
+      console.error('Failed to cancel follow-up series:', error);
+    }
+  };
+
   const handleEmergencyCall = (callData) => {
     toast.success('Emergency call requested successfully!');
     navigate(`/emergency/${callData.callId}`);
@@ -166,6 +213,43 @@ const PatientDashboard = () => {
     }
   }, [socket, user?._id, navigate]);
 
+  // Reception may check the patient in from the booking QR code, wait
+  // estimates are pushed whenever the doctor's queue moves, doctors may
+  // book follow-ups after a consultation, and notifications such as reminders arrive in-app
+  useEffect(() => {
+    if (!socket) return;
+    const onCheckedIn = () => {
+      toast.success('Checked in - please wait to be called', { id: 'check-in' });
+      refetch();
+    };
+    const onQueueUpdated = () => {
+      refetch();
+    };
+    const onFollowUpBooked = (data) => {
+      toast.success(data.message, { duration: 6000 });
+      refetch();
+    };
+    const onNotification = (notification) => {
+      // The waitlist panel already shows its offers as they happen
+      if (!notification.type?.startsWith('waitlist_')) {
+        toast(notification.message, { icon: '🔔', duration: 8000 });
+      }
+      if (['booking_confirmation', 'appointment_cancelled', 'appointment_rescheduled'].includes(notification.type)) {
+        refetch();
+      }
+    };
+    socket.on('patient-checked-in', onCheckedIn);
+    socket.on('queue-updated', onQueueUpdated);
+    socket.on('follow-up-booked', onFollowUpBooked);
+    socket.on('notification', onNotification);
+    return () => {
+      socket.off('patient-checked-in', onCheckedIn);
+      socket.off('queue-updated', onQueueUpdated);
+      socket.off('follow-up-booked', onFollowUpBooked);
+      socket.off('notification', onNotification);
+    };
+  }, [socket, refetch]);
+
   return (
     <div className="space-y-8 animate-slide-up">
       {/* Header & Emergency Button */}
@@ -183,6 +267,12 @@ const PatientDashboard = () => {
         </div>
       </div>
 
+      {todaysQueueAppointments.map(appointment => (
+        <MyQueueCard key={appointment._id} appointment={appointment} />
+      ))}
+
+      <WaitlistPanel />
+
       {/* Quick Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <StatsCard 
@@ -300,6 +390,23 @@ const PatientDashboard = () => {
                           <span className="text-xs text-slate-400 font-medium">
                             ID: {appointment._id.slice(-6).toUpperCase()}
                           </span>
+                          {appointment.series?.seriesId ? (
+                            <span className="px-2 py-0.5 bg-primary-50 text-primary-700 text-[10px] font-bold uppercase rounded">
+                              Follow-up {appointment.series.occurrence} of {appointment.series.total}
+                            </span>
+                          ) : appointment.followUpOf && (
+                            <span className="px-2 py-0.5 bg-primary-50 text-primary-700 text-[10px] font-bold uppercase rounded">
+                              Follow-up
+                            </span>
+                          )}
+                          {appointment.status === 'confirmed' && appointment.prepaymentRequired && appointment.paymentStatus !== 'paid' && (
+                            <span
+                              className="px-2 py-0.5 bg-orange-50 text-orange-700 text-[10px] font-bold uppercase rounded"
+                              title="Pay the consultation fee at reception before checking in"
+                            >
+                              Pay ₹{appointment.consultationFee} before check-in
+                            </span>
+                          )}
                         </div>
                       </div>
 
@@ -334,12 +441,47 @@ const PatientDashboard = () => {
                               <p className="text-xs text-blue-700">Est. wait: {appointment.estimatedWaitTime} mins</p>
                             </div>
                           </div>
-                          <Link 
-                            to={`/hospitals/${appointment.hospitalId._id}`}
-                            className="text-xs font-semibold text-blue-600 hover:text-blue-800 hover:underline"
-                          >
-                            View Hospital
-                          </Link>
+                          <div className="flex items-center gap-3">
+                            {isToday(appointment.appointmentDate) && (
+                              appointment.checkedInAt ? (
+                                <span className="flex items-center gap-1 text-xs font-semibold text-emerald-700">
+                                  <CheckCircleIcon className="w-4 h-4" />
+                                  Checked in
+                                </span>
+                              ) : (
+                                <>
+                                  <button
+                                    onClick={() => setCheckInQrFor(checkInQrFor === appointment._id ? null : appointment._id)}
+                                    className="text-xs font-semibold text-blue-600 hover:text-blue-800 hover:underline"
+                                  >
+                                    {checkInQrFor === appointment._id ? 'Hide QR' : 'Check-in QR'}
+                                  </button>
+                                  <button
+                                    onClick={() => handleCheckIn(appointment._id)}
+                                    disabled={checkingIn === appointment._id}
+                                    className="text-xs font-semibold text-white bg-blue-600 hover:bg-blue-700 px-2.5 py-1 rounded-md disabled:opacity-50"
+                                  >
+                                    {checkingIn === appointment._id ? 'Checking in...' : "I've arrived"}
+                                  </button>
+                                </>
+                              )
+                            )}
+                            <Link 
+                              to={`/hospitals/${appointment.hospitalId._id}`}
+                              className="text-xs font-semibold text-blue-600 hover:text-blue-800 hover:underline"
+                            >
+                              View Hospital
+                            </Link>
+                          </div>
+                        </div>
+                      )}
+
+                      {checkInQrFor === appointment._id && !appointment.checkedInAt && (
+                        <div className="flex flex-col items-center gap-2 mb-4 p-4 bg-white border border-blue-100 rounded-lg">
+                          <QRCodeSVG value={`${window.location.origin}/check-in/${appointment._id}`} size={160} />
+                          <p className="text-xs text-slate-500 text-center">
+                            Show this code at the reception desk to check in
+                          </p>
                         </div>
                       )}
 
@@ -349,6 +491,32 @@ const PatientDashboard = () => {
                         </div>
                         
                         <div className="flex gap-3">
+                          {appointment.status === 'confirmed' && (
+                            <button
+                              onClick={() => setReschedulingAppointment(appointment)}
+                              className="text-sm font-medium text-primary-600 hover:text-primary-700 flex items-center gap-1"
+                            >
+                              <ArrowPathIcon className="w-4 h-4" />
+                              Reschedule
+                            </button>
+                          )}
+                          {appointment.status === 'confirmed' && appointment.series?.seriesId && (
+                            <>
+                              <button
+                                onClick={() => handleCancelOccurrence(appointment)}
+                                className="text-sm font-medium text-slate-500 hover:text-red-600 flex items-center gap-1"
+                              >
+                                <XCircleIcon className="w-4 h-4" />
+                                Cancel visit
+                              </button>
+                              <button
+                                onClick={() => handleCancelSeries(appointment)}
+                                className="text-sm font-medium text-red-600 hover:text-red-700"
+                              >
+                                Cancel series
+                              </button>
+                            </>
+                          )}
                           {appointment.status === 'completed' && !ratedAppointments.has(appointment._id) && (
                             <Link
                               to={`/rate-appointment/${appointment._id}`}
@@ -374,6 +542,18 @@ const PatientDashboard = () => {
           )}
         </div>
       </div>
+
+      {reschedulingAppointment && (
+        <RescheduleModal
+          appointment={reschedulingAppointment}
+          onClose={() => setReschedulingAppointment(null)}
+          onRescheduled={() => {
+            setReschedulingAppointment(null);
+            refetch();
+            fetchAppointmentsManually();
+          }}
+        />
+      )}
     </div>
   );
 };
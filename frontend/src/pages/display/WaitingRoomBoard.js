@@ -0,0 +1,137 @@
+/**
+ * Waiting Room Board Page
+ * Full-screen lobby display of the tokens each doctor is serving, updated live
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import io from 'socket.io-client';
+import { appointmentService } from '../../services/appointmentService';
+
+// Fallback refresh in case socket events are missed
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const WaitingRoomBoard = () => {
+  const { hospitalId } = useParams();
+  const [board, setBoard] = useState(null);
+  const [error, setError] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [clock, setClock] = useState(new Date());
+
+  const loadBoard = useCallback(async () => {
+    try {
+      const response = await appointmentService.getHospitalBoard(hospitalId);
+      setBoard(response.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load display board:', err);
+      setError(err.response?.status === 404 ? 'Hospital not found' : 'Unable to load the queue');
+    }
+  }, [hospitalId]);
+
+  useEffect(() => {
+    loadBoard();
+    const interval = setInterval(loadBoard, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadBoard]);
+
+  // The board is unauthenticated, so it opens its own socket and joins the public board room
+  useEffect(() => {
+    const socketUrl = process.env.REACT_APP_SERVER_URL ||
+                     (process.env.NODE_ENV === 'production' ? window.location.origin : 'http://localhost:5000');
+    const socket = io(socketUrl);
+
+    socket.on('connect', () => {
+      setConnected(true);
+      socket.emit('join-hospital-board', hospitalId);
+      loadBoard();
+    });
+    socket.on('disconnect', () => setConnected(false));
+    socket.on('board-updated', loadBoard);
+
+    return () => {
+      socket.close();
+    };
+  }, [hospitalId, loadBoard]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setClock(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900 text-white overflow-y-auto">
+      <header className="flex items-center justify-between px-10 py-6 border-b border-slate-700">
+        <div>
+          <h1 className="text-4xl font-bold">{board?.hospital?.name || 'Waiting Room'}</h1>
+          <p className="text-slate-400 text-lg">Please wait for your token to be called</p>
+        </div>
+        <div className="text-right">
+          <p className="text-4xl font-bold tabular-nums">
+            {clock.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+          </p>
+          <p className={`text-sm font-semibold ${connected ? 'text-green-400' : 'text-amber-400'}`}>
+            {connected ? '● Live' : '● Reconnecting...'}
+          </p>
+        </div>
+      </header>
+
+      {error && !board ? (
+        <div className="flex items-center justify-center h-[70vh] text-3xl text-slate-400">{error}</div>
+      ) : !board ? (
+        <div className="flex items-center justify-center h-[70vh] text-3xl text-slate-400">Loading...</div>
+      ) : board.doctors.length === 0 ? (
+        <div className="flex items-center justify-center h-[70vh] text-3xl text-slate-400">No doctors on duty today</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 p-10">
+          {board.doctors.map(doctor => (
+            <div key={doctor.doctorId} className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+              <div className="mb-4">
+                <h2 className="text-2xl font-bold">{doctor.doctorName}</h2>
+                <p className="text-slate-400">{doctor.specialization}</p>
+              </div>
+
+              <div className="bg-primary-600 rounded-xl p-5 mb-4 text-center">
+                <p className="text-sm uppercase tracking-widest text-primary-100 font-semibold">Now serving</p>
+                <p className="text-6xl font-extrabold tabular-nums">
+                  {doctor.nowServing.length > 0 ? doctor.nowServing.map(token => `#${token}`).join(' ') : '—'}
+                </p>
+              </div>
+
+              <div className="mb-4">
+                <p className="text-sm uppercase tracking-widest text-slate-400 font-semibold mb-2">Up next</p>
+                {doctor.upNext.length === 0 ? (
+                  <p className="text-slate-500 text-lg">No one waiting</p>
+                ) : (
+                  <div className="flex flex-wrap gap-2">
+                    {doctor.upNext.map(next => (
+                      <span
+                        key={next.tokenNumber}
+                        className={`px-4 py-2 rounded-lg text-2xl font-bold tabular-nums ${
+                          next.checkedIn ? 'bg-slate-700 text-white' : 'bg-slate-700/50 text-slate-400'
+                        }`}
+                      >
+                        #{next.tokenNumber}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex justify-between text-slate-300 text-lg border-t border-slate-700 pt-3">
+                <span>{doctor.waitingCount} waiting</span>
+                <span>Avg. wait ~{doctor.averageWaitMinutes} min</span>
+              </div>
+
+              {!doctor.isAvailable && (
+                <p className="mt-3 text-amber-400 font-semibold">Not available</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaitingRoomBoard;
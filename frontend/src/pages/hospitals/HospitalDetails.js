@@ -10,6 +10,7 @@ import { useAuth } from '../../context/AuthContext';
 import { hospitalService } from '../../services/hospitalService';
 import { appointmentService } from '../../services/appointmentService';
 import RatingDisplay from '../../components/rating/RatingDisplay';
+import SlotPicker from '../../components/appointments/SlotPicker';
 import toast from 'react-hot-toast';
 import {
   MapPinIcon,
@@ -49,6 +50,7 @@ const HospitalDetails = () => {
     notes: ''
   });
   const [bookingLoading, setBookingLoading] = useState(false);
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
   const [refreshing, setRefreshing] = useState(false);
 
   const fetchHospitalDetails = useCallback(async (showRefreshIndicator = false) => {
@@ -143,6 +145,10 @@ const HospitalDetails = () => {
     setShowBookingModal(true);
   };
 
+  const handleSlotChange = useCallback((time) => {
+    setBookingData(prev => ({ ...prev, appointmentTime: time }));
+  }, []);
+
   const handleBookingSubmit = async (e) => {
     e.preventDefault();
     
@@ -197,6 +203,9 @@ const HospitalDetails = () => {
     } catch (err) {
       console.error('❌ Error booking appointment:', err);
       
+      // The chosen slot may have just been taken - reload availability
+      setSlotRefreshKey(key => key + 1);
+
       // Provide detailed error information
       let errorMessage = 'Failed to book appointment';
       
@@ -624,36 +633,35 @@ const HospitalDetails = () => {
                     </div>
 
                     <form onSubmit={handleBookingSubmit} className="space-y-5">
-                      <div className="grid grid-cols-2 gap-4">
-                        <div>
-                          <label className="block text-sm font-medium text-slate-700 mb-1">Date</label>
-                          <div className="relative">
-                            <CalendarIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
-                            <input
-                              type="date"
-                              required
-                              min={new Date().toISOString().split('T')[0]}
-                              value={bookingData.appointmentDate}
-                              onChange={(e) => setBookingData({ ...bookingData, appointmentDate: e.target.value })}
-                              className="w-full pl-10 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
-                            />
-                          </div>
-                        </div>
-                        <div>
-                          <label className="block text-sm font-medium text-slate-700 mb-1">Time</label>
-                          <div className="relative">
-                            <ClockIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
-                            <input
-                              type="time"
-                              required
-                              value={bookingData.appointmentTime}
-                              onChange={(e) => setBookingData({ ...bookingData, appointmentTime: e.target.value })}
-                              className="w-full pl-10 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
-                            />
-                          </div>
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Date</label>
+                        <div className="relative">
+                          <CalendarIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-400" />
+                          <input
+                            type="date"
+                            required
+                            min={new Date().toISOString().split('T')[0]}
+                            value={bookingData.appointmentDate}
+                            onChange={(e) => setBookingData({ ...bookingData, appointmentDate: e.target.value, appointmentTime: '' })}
+                            className="w-full pl-10 p-3 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+                          />
                         </div>
                       </div>
 
+                      <div>
+                        <label className="flex items-center gap-1 text-sm font-medium text-slate-700 mb-1">
+                          <ClockIcon className="h-4 w-4 text-slate-400" />
+                          Time Slot
+                        </label>
+                        <SlotPicker
+                          doctorId={selectedDoctor?._id}
+                          date={bookingData.appointmentDate}
+                          value={bookingData.appointmentTime}
+                          onChange={handleSlotChange}
+                          refreshKey={slotRefreshKey}
+                        />
+                      </div>
+
                       <div>
                         <label className="block text-sm font-medium text-slate-700 mb-1">Urgency Level</label>
                         <div className="grid grid-cols-3 gap-3">
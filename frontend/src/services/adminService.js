@@ -49,6 +49,56 @@ export const adminService = {
     } catch (error) {
       throw error.response?.data || error;
     }
+  },
+
+  // Get scheduler jobs with their latest run
+  getJobDefinitions: async () => {
+    try {
+      const response = await api.get('/scheduler/jobs/definitions');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Get scheduler job history
+  getJobs: async (params = {}) => {
+    try {
+      const response = await api.get('/scheduler/jobs', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Run a scheduler job now
+  runJob: async (name) => {
+    try {
+      const response = await api.post(`/scheduler/jobs/${name}/run`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Get accounts locked after failed sign-ins
+  getLockedAccounts: async () => {
+    try {
+      const response = await api.get('/admin/users/locked');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Unlock an account
+  unlockAccount: async (userId) => {
+    try {
+      const response = await api.put(`/admin/users/${userId}/unlock`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
   }
 };
 
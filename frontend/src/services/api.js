@@ -6,15 +6,62 @@
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
+const baseURL = process.env.REACT_APP_API_URL || '/api';
+
 // Create axios instance
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || '/api',
+  baseURL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Requests that never retry with a refreshed token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/2fa/login'];
+
+// Store the tokens from login, register or refresh
+export const saveTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+let refreshPromise = null;
+
+// Get a new access token with the stored refresh token.
+// Concurrent callers share one request because each refresh token works only once.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${baseURL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        saveTokens(response.data.data);
+        return response.data.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have used the same refresh token first
+        const latest = localStorage.getItem('refreshToken');
+        if (refreshToken && latest && latest !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -34,23 +81,53 @@ api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    const { response } = error;
+  async (error) => {
+    const { response, config } = error;
     
     if (response) {
       switch (response.status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
-          localStorage.removeItem('token');
-          window.location.href = '/login';
-          toast.error('Session expired. Please login again.');
+          // Login steps and register report their own errors
+          if (NO_REFRESH_PATHS.some(path => config.url?.endsWith(path))) {
+            break;
+          }
+
+          // Access token expired - refresh it once and retry the request
+          if (!config._retried) {
+            config._retried = true;
+            try {
+              const token = await refreshAccessToken();
+              config.headers.Authorization = `Bearer ${token}`;
+              return api(config);
+            } catch (refreshError) {
+              console.error('Token refresh failed:', refreshError);
+            }
+          }
+
+          // Session ended - clear tokens and redirect to login
+          clearTokens();
+          if (window.location.pathname !== '/login') {
+            window.location.href = '/login';
+            toast.error('Session expired. Please login again.');
+          }
           break;
         case 403:
-          toast.error('Access denied. You do not have permission to perform this action.');
+          if (response.data.code === 'EMAIL_NOT_VERIFIED') {
+            toast.error(response.data.message);
+          } else {
+            toast.error('Access denied. You do not have permission to perform this action.');
+          }
           break;
         case 404:
           toast.error('Resource not found.');
           break;
+        case 423:
+        case 429:
+          // The login form explains lockouts and sign-in delays itself
+          if (!NO_REFRESH_PATHS.some(path => config.url?.endsWith(path))) {
+            toast.error(response.data.message || 'Too many requests. Please try again later.');
+          }
+          break;
         case 422:
           // Validation errors
           if (response.data.errors) {
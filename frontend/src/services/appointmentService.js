@@ -36,13 +36,53 @@ export const appointmentService = {
     return api.put(`/appointments/${appointmentId}/cancel`, { reason });
   },
 
+  // Reschedule appointment to a new date/time
+  rescheduleAppointment: (appointmentId, rescheduleData) => {
+    return api.put(`/appointments/${appointmentId}/reschedule`, rescheduleData);
+  },
+
+  // Check in on arrival at the hospital
+  checkInAppointment: (appointmentId) => {
+    return api.put(`/appointments/${appointmentId}/check-in`);
+  },
+
+  // Record payment of the consultation fee (hospital admin)
+  recordPayment: (appointmentId, paymentData) => {
+    return api.put(`/appointments/${appointmentId}/payment`, paymentData);
+  },
+
+  // Book a follow-up or recurring follow-up series from a consultation (doctor)
+  bookFollowUp: (appointmentId, followUpData) => {
+    return api.post(`/appointments/${appointmentId}/follow-ups`, followUpData);
+  },
+
+  // Cancel every upcoming occurrence of a follow-up series
+  cancelSeries: (seriesId, reason) => {
+    return api.put(`/appointments/series/${seriesId}/cancel`, { reason });
+  },
+
+  // Get bookable slots for a doctor on a date
+  getDoctorSlots: (doctorId, date) => {
+    return api.get(`/doctors/${doctorId}/slots`, { params: { date } });
+  },
+
   // Get queue status
   getQueueStatus: (doctorId, date) => {
     return api.get(`/queue/doctor/${doctorId}`, { params: { date } });
   },
 
+  // Get live queue position for an appointment
+  getQueuePosition: (appointmentId) => {
+    return api.get(`/queue/appointment/${appointmentId}`);
+  },
+
   // Get hospital queue summary
   getHospitalQueueSummary: (hospitalId, date) => {
     return api.get(`/queue/hospital/${hospitalId}`, { params: { date } });
+  },
+
+  // Get public waiting-room board for a hospital
+  getHospitalBoard: (hospitalId) => {
+    return api.get(`/queue/hospital/${hospitalId}/board`);
   }
 };
\ No newline at end of file
@@ -34,5 +34,60 @@ export const authService = {
   // Logout
   logout: () => {
     return api.post('/auth/logout');
+  },
+
+  // Signed-in sessions
+  getSessions: () => {
+    return api.get('/auth/sessions');
+  },
+
+  // Sign out one session
+  revokeSession: (sessionId) => {
+    return api.delete(`/auth/sessions/${sessionId}`);
+  },
+
+  // Verify email address from the emailed link
+  verifyEmail: (token) => {
+    return api.post('/auth/verify-email', { token });
+  },
+
+  // Send the verification email again
+  resendVerification: () => {
+    return api.post('/auth/resend-verification');
+  },
+
+  // Request a password reset link
+  forgotPassword: (email) => {
+    return api.post('/auth/forgot-password', { email });
+  },
+
+  // Set a new password from the reset link
+  resetPassword: (token, password) => {
+    return api.post('/auth/reset-password', { token, password });
+  },
+
+  // Finish a login with an authenticator code ({ code }) or a recovery code ({ recoveryCode })
+  verifyTwoFactorLogin: (twoFactorToken, factor) => {
+    return api.post('/auth/2fa/login', { twoFactorToken, ...factor });
+  },
+
+  // Start two-factor enrollment; the token is only needed during a login that requires it
+  setupTwoFactor: (twoFactorToken) => {
+    return api.post('/auth/2fa/setup', { twoFactorToken });
+  },
+
+  // Confirm enrollment with the first code
+  enableTwoFactor: (code, twoFactorToken) => {
+    return api.post('/auth/2fa/enable', { code, twoFactorToken });
+  },
+
+  // Turn two-factor authentication off
+  disableTwoFactor: (data) => {
+    return api.post('/auth/2fa/disable', data);
+  },
+
+  // Replace the recovery codes
+  regenerateRecoveryCodes: (code) => {
+    return api.post('/auth/2fa/recovery-codes', { code });
   }
 };
\ No newline at end of file
@@ -56,8 +56,28 @@ export const hospitalService = {
     return api.delete(`/doctors/${doctorId}`);
   },
 
+  // Get the hospital's doctors locked out after failed sign-ins
+  getLockedDoctors: (hospitalId) => {
+    return api.get(`/doctors/hospital/${hospitalId}/locked`);
+  },
+
+  // Unlock a doctor's account
+  unlockDoctor: (doctorId) => {
+    return api.put(`/doctors/${doctorId}/unlock`);
+  },
+
+  // Get self-registered doctors waiting for license verification
+  getPendingDoctors: (hospitalId) => {
+    return api.get(`/doctors/hospital/${hospitalId}/pending`);
+  },
+
+  // Approve or reject a doctor's license
+  verifyDoctor: (doctorId, verificationData) => {
+    return api.put(`/doctors/${doctorId}/verification`, verificationData);
+  },
+
   // Get doctor profile
-  getDoctorProfile: (doctorId) => {
+  getDoctorProfile:(doctorId) => {
     return api.get(`/doctors/${doctorId}`);
   },
 
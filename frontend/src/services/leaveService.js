@@ -0,0 +1,33 @@
+/**
+ * Leave Service
+ * API calls for doctor leave and hospital holiday management
+ */
+
+import api from './api';
+
+export const leaveService = {
+  // Get leaves and holidays
+  getLeaves: (params = {}) => {
+    return api.get('/leaves', { params });
+  },
+
+  // Add a doctor leave or hospital holiday
+  createLeave: (leaveData) => {
+    return api.post('/leaves', leaveData);
+  },
+
+  // Remove a leave or holiday
+  deleteLeave: (leaveId) => {
+    return api.delete(`/leaves/${leaveId}`);
+  },
+
+  // Get confirmed appointments that fall on a leave
+  getAffectedAppointments: (leaveId) => {
+    return api.get(`/leaves/${leaveId}/affected-appointments`);
+  },
+
+  // Bulk cancel or reschedule affected appointments
+  resolveAffectedAppointments: (leaveId, resolution) => {
+    return api.post(`/leaves/${leaveId}/affected-appointments/resolve`, resolution);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Notification Service
+ * API calls for the logged-in user's notification center
+ */
+
+import api from './api';
+
+export const notificationService = {
+  // Get notifications, newest first, with the unread count
+  getNotifications: (params = {}) => {
+    return api.get('/notifications', { params });
+  },
+
+  // Mark one notification read
+  markRead: (notificationId) => {
+    return api.put(`/notifications/${notificationId}/read`);
+  },
+
+  // Mark every notification read
+  markAllRead: () => {
+    return api.put('/notifications/read-all');
+  }
+};
@@ -34,5 +34,15 @@ export const ratingService = {
   // Update rating (within 7 days)
   updateRating: (ratingId, updateData) => {
     return api.put(`/ratings/${ratingId}`, updateData);
+  },
+
+  // Get a hospital's written reviews for moderation
+  getReviewsForModeration: (hospitalId, params = {}) => {
+    return api.get(`/ratings/hospital/${hospitalId}/moderation`, { params });
+  },
+
+  // Hide a review or restore it
+  moderateRating: (ratingId, moderation) => {
+    return api.put(`/ratings/${ratingId}/moderation`, moderation);
   }
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * Staff Service
+ * API calls for a hospital's staff roles and staff accounts
+ */
+
+import api from './api';
+
+export const staffService = {
+  // Get the permissions a staff role can be given
+  getPermissions: () => {
+    return api.get('/staff/permissions');
+  },
+
+  // Get a hospital's staff roles
+  getRoles: (hospitalId) => {
+    return api.get(`/staff/hospital/${hospitalId}/roles`);
+  },
+
+  // Create a staff role
+  createRole: (hospitalId, roleData) => {
+    return api.post(`/staff/hospital/${hospitalId}/roles`, roleData);
+  },
+
+  // Rename a staff role or change its permissions
+  updateRole: (roleId, roleData) => {
+    return api.put(`/staff/roles/${roleId}`, roleData);
+  },
+
+  // Retire a staff role no one holds
+  deleteRole: (roleId) => {
+    return api.delete(`/staff/roles/${roleId}`);
+  },
+
+  // Get a hospital's staff accounts
+  getMembers: (hospitalId) => {
+    return api.get(`/staff/hospital/${hospitalId}/members`);
+  },
+
+  // Create a staff account
+  createMember: (hospitalId, memberData) => {
+    return api.post(`/staff/hospital/${hospitalId}/members`, memberData);
+  },
+
+  // Change a staff member's role or deactivate them
+  updateMember: (userId, memberData) => {
+    return api.put(`/staff/members/${userId}`, memberData);
+  }
+};
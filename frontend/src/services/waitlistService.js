@@ -0,0 +1,38 @@
+/**
+ * Waitlist Service
+ * API calls for doctor waitlists and freed slot offers
+ */
+
+import api from './api';
+
+export const waitlistService = {
+  // Join a doctor's waitlist for a date
+  joinWaitlist: (waitlistData) => {
+    return api.post('/waitlist', waitlistData);
+  },
+
+  // Get the patient's open waitlist entries
+  getMyWaitlist: () => {
+    return api.get('/waitlist/my');
+  },
+
+  // Get the waitlist for a doctor and date (doctor or hospital admin)
+  getWaitlist: (params = {}) => {
+    return api.get('/waitlist', { params });
+  },
+
+  // Leave the waitlist
+  leaveWaitlist: (entryId) => {
+    return api.delete(`/waitlist/${entryId}`);
+  },
+
+  // Book the slot currently held for an entry
+  confirmOffer: (entryId) => {
+    return api.post(`/waitlist/${entryId}/confirm`);
+  },
+
+  // Decline the held slot and keep waiting
+  declineOffer: (entryId) => {
+    return api.post(`/waitlist/${entryId}/decline`);
+  }
+};